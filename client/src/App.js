@@ -1,5 +1,5 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
-import { Car, Menu, X, User, ShoppingCart, Check, Loader2, Zap, Settings, Gauge, MapPin, DollarSign, Filter, Battery, Globe, Heart, Package, TrendingUp, Award, Leaf, ChevronLeft, ChevronRight, CreditCard, Lock, Clock, Sparkles, LogOut, Home, Wrench, Phone } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, createContext, useContext } from 'react';
+import { Car, Menu, X, User, ShoppingCart, Check, Loader2, Zap, Settings, Gauge, MapPin, DollarSign, Filter, Battery, Globe, Heart, Package, Award, Leaf, ChevronLeft, ChevronRight, CreditCard, Lock, Clock, Sparkles, LogOut, Home, Wrench, Phone } from 'lucide-react';
 
 // ==========================================
 // 0. API SERVICE (Real Backend Only - No Mock Fallback)
@@ -93,16 +93,165 @@ const fetchWithAuth = async (endpoint, options = {}) => {
   }
 };
 
+// Downloads a file the server generates (zip, PDF...) and saves it under the server's file name
+const downloadWithAuth = async (endpoint, fallbackFileName) => {
+  try {
+    const response = await fetch(`${API_BASE}${endpoint}`, { credentials: 'include' });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      return { success: false, error: data.message || 'Download failed' };
+    }
+
+    const disposition = response.headers.get('content-disposition') || '';
+    const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackFileName;
+    const url = URL.createObjectURL(await response.blob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+    return { success: true };
+  } catch (error) {
+    console.error(`Download failed: ${error.message}`);
+    return { success: false, error: 'Unable to connect to server. Please ensure the backend is running.' };
+  }
+};
+
 const authAPI = {
   login: (email, password) => fetchWithAuth('/auth/login', { method: 'POST', body: JSON.stringify({ email, password }) }),
   register: (name, email, password) => fetchWithAuth('/auth/signup', { method: 'POST', body: JSON.stringify({ name, email, password }) }),
   logout: () => fetchWithAuth('/auth/logout', { method: 'POST' }),
   checkStatus: () => fetchWithAuth('/auth/check', { method: 'GET' }),
+  forgotPassword: (email) => fetchWithAuth('/auth/forgot-password', { method: 'POST', body: JSON.stringify({ email }) }),
+  resetPassword: (token, password) => fetchWithAuth('/auth/reset-password', { method: 'POST', body: JSON.stringify({ token, password }) }),
+  verifyEmail: (token) => fetchWithAuth('/auth/verify-email', { method: 'POST', body: JSON.stringify({ token }) }),
+  resendVerification: () => fetchWithAuth('/auth/resend-verification', { method: 'POST' }),
+  loginTwoFactor: (factor) => fetchWithAuth('/auth/login/2fa', { method: 'POST', body: JSON.stringify(factor) }),
+  updateProfile: (updates) => fetchWithAuth('/auth/profile', { method: 'PATCH', body: JSON.stringify(updates) }),
+  changePassword: (currentPassword, newPassword) => fetchWithAuth('/auth/change-password', { method: 'POST', body: JSON.stringify({ currentPassword, newPassword }) }),
+  exportData: () => downloadWithAuth('/auth/me/export', 'tesla-data-export.zip'),
+  deleteAccount: (password, factor) => fetchWithAuth('/auth/account', { method: 'DELETE', body: JSON.stringify({ password, ...factor }) }),
+};
+
+const twoFactorAPI = {
+  getStatus: () => fetchWithAuth('/auth/2fa', { method: 'GET' }),
+  enroll: () => fetchWithAuth('/auth/2fa/enroll', { method: 'POST' }),
+  confirm: (code) => fetchWithAuth('/auth/2fa/confirm', { method: 'POST', body: JSON.stringify({ code }) }),
+  regenerateRecoveryCodes: (code) => fetchWithAuth('/auth/2fa/recovery-codes', { method: 'POST', body: JSON.stringify({ code }) }),
+  disable: (password, factor) => fetchWithAuth('/auth/2fa/disable', { method: 'POST', body: JSON.stringify({ password, ...factor }) }),
+};
+
+const sessionAPI = {
+  list: () => fetchWithAuth('/auth/sessions', { method: 'GET' }),
+  revoke: (id) => fetchWithAuth(`/auth/sessions/${id}`, { method: 'DELETE' }),
+  revokeAll: (keepCurrent) => fetchWithAuth(`/auth/sessions${keepCurrent ? '?keepCurrent=true' : ''}`, { method: 'DELETE' }),
+};
+
+const apiTokenAPI = {
+  list: () => fetchWithAuth('/auth/api-tokens', { method: 'GET' }),
+  create: (token) => fetchWithAuth('/auth/api-tokens', { method: 'POST', body: JSON.stringify(token) }),
+  revoke: (id) => fetchWithAuth(`/auth/api-tokens/${id}`, { method: 'DELETE' }),
+};
+
+const pricingAPI = {
+  getCatalog: () => fetchWithAuth('/pricing/catalog', { method: 'GET' }),
+  getRegions: () => fetchWithAuth('/pricing/regions', { method: 'GET' }),
+  // Without a region the server's default region is used
+  quote: (vehicleId, config, region, tradeIn) => fetchWithAuth('/pricing/quote', {
+    method: 'POST',
+    body: JSON.stringify({ vehicleId, config, region: region || undefined, tradeIn: tradeIn || undefined }),
+  }),
+  // A vehicle from inventory is priced in its own region with its discount
+  quoteInventory: (inventoryVin, tradeIn) => fetchWithAuth('/pricing/quote', {
+    method: 'POST',
+    body: JSON.stringify({ inventoryVin, tradeIn: tradeIn || undefined }),
+  }),
+};
+
+const tradeInAPI = {
+  getOptions: () => fetchWithAuth('/trade-in/options', { method: 'GET' }),
+  estimate: (car) => fetchWithAuth('/trade-in/estimate', { method: 'POST', body: JSON.stringify(car) }),
+};
+
+const financeAPI = {
+  getOptions: () => fetchWithAuth('/finance/options', { method: 'GET' }),
+  quote: (request) => fetchWithAuth('/finance/quote', { method: 'POST', body: JSON.stringify(request) }),
+};
+
+// Form values to finance terms: blank fields are left to the server's defaults
+const toFinanceTerms = (fields) => Object.fromEntries(Object.entries(fields)
+  .filter(([, value]) => value !== '' && value !== undefined)
+  .map(([key, value]) => [key, Number(value)]));
+
+// Price breakdown lines added by the delivery region (server: pricing/regions.js)
+const REGIONAL_LINE_TYPES = ['fee', 'tax', 'incentive'];
+
+const lineItemLabel = (item) => (item.type === 'tax' && item.rate
+  ? `${item.label} (${+(item.rate * 100).toFixed(3)}%)`
+  : item.label);
+
+// Incentives are negative; taxes can have cents
+const formatAmount = (amount) =>
+  `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+// The total in the region's own currency at the stored rate, or null when it is charged in that currency
+const formatDisplayTotal = (breakdown) => {
+  const display = breakdown?.display;
+  if (!display || display.currency === breakdown.currency) return null;
+  const amount = new Intl.NumberFormat(undefined, { style: 'currency', currency: display.currency, maximumFractionDigits: 0 })
+    .format(display.total);
+  return `≈ ${amount} (rate of ${display.ratesAsOf})`;
 };
 
 const orderAPI = {
   getOrders: () => fetchWithAuth('/orders', { method: 'GET' }),
-  createOrder: (orderData) => fetchWithAuth('/orders', { method: 'POST', body: JSON.stringify(orderData) }),
+  // The same idempotency key replays the first response instead of placing a second order
+  createOrder: (orderData, idempotencyKey) => fetchWithAuth('/orders', {
+    method: 'POST',
+    body: JSON.stringify(orderData),
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+  }),
+  cancelOrder: (id, reason) => fetchWithAuth(`/orders/${id}/cancel`, { method: 'POST', body: JSON.stringify({ reason }) }),
+  // Rendered by the server (utils/invoice.js)
+  downloadInvoice: (id, orderNumber) => downloadWithAuth(`/orders/${id}/invoice.pdf`, `Tesla_Invoice_${orderNumber || id}.pdf`),
+  bookDelivery: (id, slot) => fetchWithAuth(`/orders/${id}/delivery/appointment`, { method: 'PUT', body: JSON.stringify(slot) }),
+};
+
+const deliveryAPI = {
+  getCenters: (region) => fetchWithAuth(`/delivery/centers${region ? `?region=${encodeURIComponent(region)}` : ''}`, { method: 'GET' }),
+  estimate: (request) => fetchWithAuth('/delivery/estimate', { method: 'POST', body: JSON.stringify(request) }),
+  getSlots: (centerId, method, from, to) => fetchWithAuth(
+    `/delivery/centers/${centerId}/slots?${new URLSearchParams({ method, from, to })}`,
+    { method: 'GET' }
+  ),
+};
+
+const inventoryAPI = {
+  // Blank filters are left out
+  search: (filters) => fetchWithAuth(
+    `/inventory?${new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== '' && value !== undefined))}`,
+    { method: 'GET' }
+  ),
+  hold: (vin) => fetchWithAuth(`/inventory/${vin}/hold`, { method: 'POST' }),
+  release: (vin) => fetchWithAuth(`/inventory/${vin}/hold`, { method: 'DELETE' }),
+};
+
+// Delivery days are UTC dates ("2026-11-03"); show them as such whatever the browser's timezone
+const formatDeliveryDay = (day) => new Date(`${day}T00:00:00Z`)
+  .toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const formatDeliveryWindow = (deliveryWindow) =>
+  `${formatDeliveryDay(deliveryWindow.earliest)} – ${formatDeliveryDay(deliveryWindow.latest)}`;
+
+// One per checkout attempt (randomUUID needs a secure context; localhost counts)
+const newIdempotencyKey = () => (window.crypto?.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now()}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`);
+
+const paymentAPI = {
+  getTestCards: () => fetchWithAuth('/payments/test-cards', { method: 'GET' }),
+  start: (orderId) => fetchWithAuth(`/payments/orders/${orderId}/intent`, { method: 'POST' }),
+  confirm: (orderId, body) => fetchWithAuth(`/payments/orders/${orderId}/confirm`, { method: 'POST', body: JSON.stringify(body) }),
 };
 
 const analyticsAPI = {
@@ -164,6 +313,10 @@ const AuthProvider = ({ children }) => {
   // 2. Login Action
   const login = async (email, password) => {
     const result = await authAPI.login(email, password);
+    if (result.success && result.data?.twoFactorRequired) {
+      return { success: false, twoFactorRequired: true };
+    }
+
     if (result.success && result.data && result.data.user) {
       setUser(result.data.user);
       saveSessionToStorage(result.data.user);
@@ -174,9 +327,25 @@ const AuthProvider = ({ children }) => {
       return { success: false, error: 'Account not found', showSignupPopup: true };
     }
 
+    // Server is configured not to reveal whether the email exists: offer signup without claiming it doesn't
+    if (result.data?.code === 'INVALID_CREDENTIALS') {
+      return { success: false, error: result.error, showSignupPopup: true, accountMayExist: true };
+    }
+
     return { success: false, error: result.error || 'Login failed' };
   };
 
+  // Second login step for accounts with two-factor authentication
+  const completeTwoFactorLogin = async (factor) => {
+    const result = await authAPI.loginTwoFactor(factor);
+    if (result.success && result.data && result.data.user) {
+      setUser(result.data.user);
+      saveSessionToStorage(result.data.user);
+      return { success: true, recoveryCodesRemaining: result.data.recoveryCodesRemaining };
+    }
+    return { success: false, error: result.error || 'Verification failed', expired: result.data?.code === 'TWO_FACTOR_EXPIRED' };
+  };
+
   // 3. Signup Action
   const signup = async (name, email, password) => {
     const result = await authAPI.register(name, email, password);
@@ -188,7 +357,13 @@ const AuthProvider = ({ children }) => {
     return { success: false, error: result.error || 'Signup failed' };
   };
 
-  // 4. Logout Action
+  // 4. Update the signed-in user after a server-side change (e.g. email verified)
+  const updateUser = (updatedUser) => {
+    setUser(updatedUser);
+    saveSessionToStorage(updatedUser);
+  };
+
+  // 5. Logout Action
   const logout = async () => {
     await authAPI.logout();
     setUser(null);
@@ -197,7 +372,7 @@ const AuthProvider = ({ children }) => {
   };
 
   return (
-    <AuthContext.Provider value={{ user, login, signup, logout, isLoading }}>
+    <AuthContext.Provider value={{ user, login, completeTwoFactorLogin, signup, logout, updateUser, isLoading }}>
       {children}
     </AuthContext.Provider>
   );
@@ -1578,12 +1753,84 @@ const Configurator = ({ vehicleId, onBack, onNavigate }) => {
   const selectedInterior = vehicle.customization.interior.find(i => i.id === config.interior);
   const selectedAutopilot = vehicle.customization.autopilot.find(a => a.id === config.autopilot);
 
-  const totalPrice = vehicle.basePrice +
+  // The server prices every order; the local sum is only shown until its quote arrives
+  const [quote, setQuote] = useState(null);
+  const [pricingErrors, setPricingErrors] = useState([]);
+  // Taxes and fees depend on where the car is delivered; null until the regions load ('' if they can't)
+  const [regions, setRegions] = useState([]);
+  const [region, setRegion] = useState(null);
+
+  useEffect(() => {
+    pricingAPI.getRegions().then(result => {
+      if (!result.success) {
+        setRegion(current => current ?? '');
+        return;
+      }
+      setRegions(result.data.regions);
+      setRegion(current => current || result.data.userRegionDefaults[user?.region] || result.data.defaultRegion);
+    });
+  }, [user?.region]);
+
+  useEffect(() => {
+    if (region === null) return undefined;
+    let cancelled = false;
+    pricingAPI.quote(vehicleId, config, region).then(result => {
+      if (cancelled) return;
+      if (result.success) {
+        setQuote(result.data);
+        setPricingErrors([]);
+      } else {
+        setQuote(null);
+        setPricingErrors(result.data?.errors || [result.error]);
+      }
+    });
+    return () => { cancelled = true; };
+  }, [vehicleId, config, region]);
+
+  // Monthly payments for the Lease and Finance tabs (server: pricing/finance.js)
+  const [paymentTab, setPaymentTab] = useState('cash');
+  const [financeOptions, setFinanceOptions] = useState(null);
+  const [loanFields, setLoanFields] = useState({ termMonths: '', downPayment: '' });
+  const [leaseFields, setLeaseFields] = useState({ termMonths: '', annualMiles: '', downPayment: '' });
+  const [financeQuote, setFinanceQuote] = useState(null);
+  const [financeErrors, setFinanceErrors] = useState([]);
+
+  useEffect(() => {
+    financeAPI.getOptions().then(result => {
+      if (result.success) setFinanceOptions(result.data);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (region === null) return undefined;
+    let cancelled = false;
+    financeAPI.quote({
+      vehicleId,
+      config,
+      region: region || undefined,
+      loan: toFinanceTerms(loanFields),
+      lease: toFinanceTerms(leaseFields)
+    }).then(result => {
+      if (cancelled) return;
+      if (result.success) {
+        setFinanceQuote(result.data);
+        setFinanceErrors([]);
+      } else {
+        setFinanceQuote(null);
+        setFinanceErrors(result.data?.errors || [result.error]);
+      }
+    });
+    return () => { cancelled = true; };
+  }, [vehicleId, config, region, loanFields, leaseFields]);
+
+  const monthly = paymentTab === 'cash' ? null : financeQuote?.[paymentTab === 'lease' ? 'lease' : 'loan'];
+
+  const totalPrice = quote?.priceBreakdown.total ?? (vehicle.basePrice +
     (selectedBattery?.price || 0) +
     (selectedPaint?.price || 0) +
     (selectedWheels?.price || 0) +
     (selectedInterior?.price || 0) +
-    (selectedAutopilot?.price || 0);
+    (selectedAutopilot?.price || 0));
 
   // Update image when paint, wheels, or view mode changes
   useEffect(() => {
@@ -1646,19 +1893,17 @@ const Configurator = ({ vehicleId, onBack, onNavigate }) => {
       onNavigate('login');
       return;
     }
+    if (!quote) return;
 
     const orderData = {
       vehicleId,
-      vehicleName: vehicle.name,
+      vehicleName: quote.vehicle.name,
       config,
-      selectedOptions: {
-        battery: selectedBattery,
-        paint: selectedPaint,
-        wheels: selectedWheels,
-        interior: selectedInterior,
-        autopilot: selectedAutopilot
-      },
-      totalPrice
+      region: quote.priceBreakdown.region.code,
+      selectedOptions: quote.selectedOptions,
+      priceBreakdown: quote.priceBreakdown,
+      totalPrice: quote.priceBreakdown.total,
+      checkoutKey: newIdempotencyKey()
     };
 
     sessionStorage.setItem('pendingOrder', JSON.stringify(orderData));
@@ -1933,25 +2178,174 @@ const Configurator = ({ vehicleId, onBack, onNavigate }) => {
         <div className="space-y-3 py-4 border-t border-purple-100">
           <h3 className="font-semibold text-lg">Payment Options</h3>
           <div className="grid grid-cols-3 gap-3">
-            <div className="p-3 rounded-xl border-2 border-purple-500 bg-purple-50 text-center">
-              <div className="text-sm font-bold text-purple-900">Cash</div>
-              <div className="text-lg font-bold">${totalPrice.toLocaleString()}</div>
+            {[
+              { id: 'cash', label: 'Cash', amount: formatAmount(totalPrice), note: 'Pay in full' },
+              {
+                id: 'lease',
+                label: 'Lease',
+                amount: financeQuote ? `${formatAmount(financeQuote.lease.monthlyPayment)}/mo` : '—',
+                note: financeQuote && `${financeQuote.lease.termMonths}mo · ${financeQuote.lease.mileageTier.toLocaleString()} mi/yr`
+              },
+              {
+                id: 'finance',
+                label: 'Finance',
+                amount: financeQuote ? `${formatAmount(financeQuote.loan.monthlyPayment)}/mo` : '—',
+                note: financeQuote && `${financeQuote.loan.termMonths}mo @ ${financeQuote.loan.apr}% APR`
+              }
+            ].map(tab => (
+              <button
+                key={tab.id}
+                type="button"
+                onClick={() => setPaymentTab(tab.id)}
+                className={`p-3 rounded-xl text-center transition-colors ${paymentTab === tab.id
+                  ? 'border-2 border-purple-500 bg-purple-50'
+                  : 'border border-gray-200 hover:border-purple-300'}`}
+              >
+                <div className={`text-sm ${paymentTab === tab.id ? 'font-bold text-purple-900' : 'font-medium text-gray-600'}`}>{tab.label}</div>
+                <div className="text-lg font-bold">{tab.amount}</div>
+                <div className="text-[10px] text-gray-500">{tab.note}</div>
+              </button>
+            ))}
+          </div>
+
+          {paymentTab === 'lease' && financeOptions && (
+            <div className="space-y-3 text-sm">
+              <div className="grid grid-cols-3 gap-2">
+                <label className="space-y-1">
+                  <span className="text-xs text-gray-500">Term</span>
+                  <select
+                    value={leaseFields.termMonths || financeOptions.lease.defaultTerm}
+                    onChange={(e) => setLeaseFields({ ...leaseFields, termMonths: e.target.value })}
+                    className="w-full px-2 py-1.5 rounded-lg border border-purple-200 bg-white"
+                  >
+                    {financeOptions.lease.terms.map(term => <option key={term} value={term}>{term} months</option>)}
+                  </select>
+                </label>
+                <label className="space-y-1">
+                  <span className="text-xs text-gray-500">Miles per year</span>
+                  <select
+                    value={leaseFields.annualMiles || financeOptions.lease.defaultAnnualMiles}
+                    onChange={(e) => setLeaseFields({ ...leaseFields, annualMiles: e.target.value })}
+                    className="w-full px-2 py-1.5 rounded-lg border border-purple-200 bg-white"
+                  >
+                    {financeOptions.lease.mileageTiers.map(miles => <option key={miles} value={miles}>{miles.toLocaleString()}</option>)}
+                  </select>
+                </label>
+                <label className="space-y-1">
+                  <span className="text-xs text-gray-500">Down payment</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="500"
+                    placeholder={financeOptions.lease.defaultDownPayment}
+                    value={leaseFields.downPayment}
+                    onChange={(e) => setLeaseFields({ ...leaseFields, downPayment: e.target.value })}
+                    className="w-full px-2 py-1.5 rounded-lg border border-purple-200"
+                  />
+                </label>
+              </div>
+              {financeQuote && (
+                <div className="p-3 rounded-xl bg-slate-50 text-gray-600 space-y-1">
+                  <div className="flex justify-between"><span>Due at signing</span><span>{formatAmount(financeQuote.lease.dueAtSigning)}</span></div>
+                  <div className="flex justify-between"><span>Residual value ({Math.round(financeQuote.lease.residualPercent * 100)}%)</span><span>{formatAmount(financeQuote.lease.residualValue)}</span></div>
+                  <div className="flex justify-between"><span>Money factor</span><span>{financeQuote.lease.moneyFactor} (≈{financeQuote.lease.aprEquivalent}% APR)</span></div>
+                  {financeQuote.lease.monthlyTax > 0 && (
+                    <div className="flex justify-between"><span>Tax included per month</span><span>{formatAmount(financeQuote.lease.monthlyTax)}</span></div>
+                  )}
+                  <p className="text-[11px] text-gray-500 pt-1">
+                    ${financeQuote.lease.excessMileageFee}/mi over {financeQuote.lease.mileageTier.toLocaleString()} mi/yr.
+                    {financeQuote.lease.advertised && ` Advertised from $${financeQuote.lease.advertised.monthly}/mo (${financeQuote.lease.advertised.variant}).`}
+                  </p>
+                </div>
+              )}
             </div>
-            <div className="p-3 rounded-xl border border-gray-200 text-center hover:border-purple-300 transition-colors">
-              <div className="text-sm font-medium text-gray-600">Finance</div>
-              <div className="text-lg font-bold">₹{Math.round(totalPrice * 83 / 60).toLocaleString()}/mo</div>
-              <div className="text-[10px] text-gray-500">60mo @ 6%</div>
+          )}
+
+          {paymentTab === 'finance' && financeOptions && (
+            <div className="space-y-3 text-sm">
+              <div className="grid grid-cols-2 gap-2">
+                <label className="space-y-1">
+                  <span className="text-xs text-gray-500">Term</span>
+                  <select
+                    value={loanFields.termMonths || financeOptions.loan.defaultTerm}
+                    onChange={(e) => setLoanFields({ ...loanFields, termMonths: e.target.value })}
+                    className="w-full px-2 py-1.5 rounded-lg border border-purple-200 bg-white"
+                  >
+                    {financeOptions.loan.terms.map(term => <option key={term} value={term}>{term} months</option>)}
+                  </select>
+                </label>
+                <label className="space-y-1">
+                  <span className="text-xs text-gray-500">Down payment</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="500"
+                    placeholder={financeQuote ? financeQuote.loan.downPayment : ''}
+                    value={loanFields.downPayment}
+                    onChange={(e) => setLoanFields({ ...loanFields, downPayment: e.target.value })}
+                    className="w-full px-2 py-1.5 rounded-lg border border-purple-200"
+                  />
+                </label>
+              </div>
+              {financeQuote && (
+                <div className="p-3 rounded-xl bg-slate-50 text-gray-600 space-y-1">
+                  {financeQuote.loan.promotion && <p className="font-medium text-purple-700">{financeQuote.loan.promotion}</p>}
+                  <div className="flex justify-between"><span>Amount financed</span><span>{formatAmount(financeQuote.loan.amountFinanced)}</span></div>
+                  <div className="flex justify-between"><span>Total interest</span><span>{formatAmount(financeQuote.loan.totalInterest)}</span></div>
+                  <div className="flex justify-between"><span>Total cost</span><span>{formatAmount(financeQuote.loan.totalCost)}</span></div>
+                  <details className="pt-1">
+                    <summary className="cursor-pointer text-purple-700">Amortization schedule</summary>
+                    <div className="max-h-48 overflow-y-auto mt-2">
+                      <table className="w-full text-xs">
+                        <thead>
+                          <tr className="text-gray-500">
+                            <th className="text-left">Month</th>
+                            <th className="text-right">Principal</th>
+                            <th className="text-right">Interest</th>
+                            <th className="text-right">Balance</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {financeQuote.loan.schedule.map(row => (
+                            <tr key={row.month}>
+                              <td>{row.month}</td>
+                              <td className="text-right">{formatAmount(row.principal)}</td>
+                              <td className="text-right">{formatAmount(row.interest)}</td>
+                              <td className="text-right">{formatAmount(row.balance)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </details>
+                </div>
+              )}
             </div>
-            <div className="p-3 rounded-xl border border-gray-200 text-center hover:border-purple-300 transition-colors">
-              <div className="text-sm font-medium text-gray-600">Lease</div>
-              <div className="text-lg font-bold">${Math.round(totalPrice / 36).toLocaleString()}/mo</div>
-              <div className="text-[10px] text-gray-500">36mo</div>
+          )}
+
+          {paymentTab !== 'cash' && financeErrors.length > 0 && (
+            <div className="p-3 rounded-xl bg-red-50 border border-red-200 text-sm text-red-700 space-y-1">
+              {financeErrors.map(message => <p key={message}>{message}</p>)}
             </div>
-          </div>
+          )}
         </div>
 
         {/* Order Summary */}
         <div className="mt-auto pt-6 border-t border-purple-100 space-y-4 sticky bottom-0 bg-white pb-4">
+          {regions.length > 0 && (
+            <div className="flex items-center justify-between text-sm">
+              <label htmlFor="delivery-region" className="font-medium text-gray-700">Delivery region</label>
+              <select
+                id="delivery-region"
+                value={region || ''}
+                onChange={(e) => setRegion(e.target.value)}
+                className="px-3 py-1.5 rounded-lg border border-purple-200 bg-white text-slate-900 focus:outline-none focus:border-purple-500"
+              >
+                {regions.map(r => <option key={r.code} value={r.code}>{r.name}</option>)}
+              </select>
+            </div>
+          )}
+
           <div className="space-y-2 text-sm">
             <div className="flex justify-between font-medium">
               <span className="text-gray-700">Base Price</span>
@@ -1987,16 +2381,37 @@ const Configurator = ({ vehicleId, onBack, onNavigate }) => {
                 <span>+${selectedAutopilot.price.toLocaleString()}</span>
               </div>
             )}
+            {quote?.priceBreakdown.lineItems.filter(item => REGIONAL_LINE_TYPES.includes(item.type)).map(item => (
+              <div key={`${item.type}-${item.code}`} className={`flex justify-between ${item.amount < 0 ? 'text-green-700' : 'text-gray-600'}`}>
+                <span>{lineItemLabel(item)}</span>
+                <span>{formatAmount(item.amount)}</span>
+              </div>
+            ))}
           </div>
 
           <div className="flex justify-between text-xl font-bold pt-3 border-t border-purple-100">
             <span className="text-slate-900">Total Price</span>
-            <span className="bg-gradient-to-r from-purple-600 to-blue-600 bg-clip-text text-transparent">${totalPrice.toLocaleString()}</span>
+            <span className="bg-gradient-to-r from-purple-600 to-blue-600 bg-clip-text text-transparent">{formatAmount(totalPrice)}</span>
           </div>
+          {formatDisplayTotal(quote?.priceBreakdown) && (
+            <p className="text-right text-xs text-gray-500 -mt-2">{formatDisplayTotal(quote.priceBreakdown)}</p>
+          )}
+          {monthly && (
+            <p className="text-right text-sm font-semibold text-purple-700 -mt-2">
+              or {formatAmount(monthly.monthlyPayment)}/mo for {monthly.termMonths} months ({paymentTab === 'lease' ? 'lease' : 'finance'})
+            </p>
+          )}
+
+          {pricingErrors.length > 0 && (
+            <div className="p-3 rounded-xl bg-red-50 border border-red-200 text-sm text-red-700 space-y-1">
+              {pricingErrors.map(message => <p key={message}>{message}</p>)}
+            </div>
+          )}
 
           <button
             onClick={handleOrder}
-            className="w-full bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white py-4 rounded-xl font-semibold transition-all duration-300 flex items-center justify-center gap-2 shadow-xl shadow-purple-300/50 hover:shadow-2xl hover:scale-[1.02]"
+            disabled={!quote}
+            className="w-full bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white py-4 rounded-xl font-semibold transition-all duration-300 flex items-center justify-center gap-2 shadow-xl shadow-purple-300/50 hover:shadow-2xl hover:scale-[1.02] disabled:opacity-50 disabled:hover:scale-100"
           >
             <ShoppingCart className="w-5 h-5" />
             Order Now
@@ -2014,15 +2429,27 @@ const Configurator = ({ vehicleId, onBack, onNavigate }) => {
 };
 
 // Signup Popup Component
-const SignupPopup = ({ email, onClose, onSwitchToSignup }) => (
+const SignupPopup = ({ email, accountMayExist, onClose, onSwitchToSignup }) => (
   <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
     <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose} />
     <div className="relative bg-white rounded-2xl shadow-2xl p-8 max-w-md w-full z-10">
-      <h3 className="text-2xl font-semibold text-slate-900 mb-4">Account Not Found</h3>
-      <p className="text-gray-600 mb-6">
-        No account found with email <span className="font-medium text-slate-900">{email}</span>.
-        Please create an account first to continue.
-      </p>
+      {accountMayExist ? (
+        <>
+          <h3 className="text-2xl font-semibold text-slate-900 mb-4">Couldn't Sign You In</h3>
+          <p className="text-gray-600 mb-6">
+            The email or password for <span className="font-medium text-slate-900">{email}</span> is incorrect.
+            Check your details and try again, or create an account if you're new.
+          </p>
+        </>
+      ) : (
+        <>
+          <h3 className="text-2xl font-semibold text-slate-900 mb-4">Account Not Found</h3>
+          <p className="text-gray-600 mb-6">
+            No account found with email <span className="font-medium text-slate-900">{email}</span>.
+            Please create an account first to continue.
+          </p>
+        </>
+      )}
       <div className="flex gap-3">
         <button
           onClick={onSwitchToSignup}
@@ -2034,20 +2461,265 @@ const SignupPopup = ({ email, onClose, onSwitchToSignup }) => (
           onClick={onClose}
           className="px-6 bg-gray-100 hover:bg-gray-200 text-gray-700 font-semibold py-3 rounded-lg transition"
         >
-          Cancel
+          {accountMayExist ? 'Try Again' : 'Cancel'}
         </button>
       </div>
     </div>
   </div>
 );
 
+// Password reset links look like /?resetToken=...
+const getResetToken = () => new URLSearchParams(window.location.search).get('resetToken');
+
+// Email verification links look like /?verifyToken=...
+const getVerifyToken = () => new URLSearchParams(window.location.search).get('verifyToken');
+
+const clearUrlToken = () => {
+  window.history.replaceState(null, '', window.location.pathname);
+};
+
+const inputClassName = "w-full bg-gray-50 border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none transition";
+const REGION_OPTIONS = [
+  { value: 'us-west', label: 'US West' },
+  { value: 'us-east', label: 'US East' },
+  { value: 'us-central', label: 'US Central' },
+  { value: 'europe', label: 'Europe' },
+  { value: 'asia', label: 'Asia Pacific' },
+  { value: 'other', label: 'Other' },
+];
+const primaryButtonClassName = "w-full bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white font-semibold py-3 rounded-lg transition-all duration-300 flex justify-center items-center disabled:opacity-50 shadow-lg hover:shadow-xl";
+
+// Forgot Password Screen
+const ForgotPassword = ({ initialEmail, onBack }) => {
+  const [email, setEmail] = useState(initialEmail || '');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const res = await authAPI.forgotPassword(email);
+    if (res.success) {
+      setMessage(res.data.message);
+    } else {
+      setError(res.error || 'Failed to send reset link');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <>
+      <h2 className="text-3xl font-semibold bg-gradient-to-r from-slate-900 to-purple-900 bg-clip-text text-transparent">Reset Password</h2>
+      {message ? (
+        <div className="bg-green-50 border border-green-300 text-green-700 px-4 py-3 rounded-lg text-sm">
+          {message}
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600">Enter the email you signed up with and we'll send you a link to choose a new password.</p>
+          {error && (
+            <div className="bg-red-50 border border-red-300 text-red-700 px-4 py-3 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-700">Email</label>
+              <input
+                required
+                type="email"
+                className={inputClassName}
+                value={email}
+                onChange={e => setEmail(e.target.value)}
+              />
+            </div>
+            <button disabled={loading} className={primaryButtonClassName}>
+              {loading ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Send Reset Link'}
+            </button>
+          </form>
+        </>
+      )}
+      <div className="text-center">
+        <button onClick={onBack} className="text-sm text-purple-600 hover:underline underline-offset-4 font-medium">
+          Back to sign in
+        </button>
+      </div>
+    </>
+  );
+};
+
+// Choose New Password Screen (opened from the emailed link)
+const ResetPassword = ({ token, onDone }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    const res = await authAPI.resetPassword(token, password);
+    if (res.success) {
+      clearUrlToken();
+      setMessage(res.data.message);
+    } else {
+      setError(res.error || 'Failed to reset password');
+    }
+    setLoading(false);
+  };
+
+  return (
+    <>
+      <h2 className="text-3xl font-semibold bg-gradient-to-r from-slate-900 to-purple-900 bg-clip-text text-transparent">Choose a New Password</h2>
+      {message ? (
+        <>
+          <div className="bg-green-50 border border-green-300 text-green-700 px-4 py-3 rounded-lg text-sm">
+            {message}
+          </div>
+          <button onClick={onDone} className={primaryButtonClassName}>Sign In</button>
+        </>
+      ) : (
+        <>
+          {error && (
+            <div className="bg-red-50 border border-red-300 text-red-700 px-4 py-3 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-700">New Password</label>
+              <input
+                required
+                type="password"
+                minLength={6}
+                className={inputClassName}
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-700">Confirm New Password</label>
+              <input
+                required
+                type="password"
+                minLength={6}
+                className={inputClassName}
+                value={confirmPassword}
+                onChange={e => setConfirmPassword(e.target.value)}
+              />
+            </div>
+            <button disabled={loading} className={primaryButtonClassName}>
+              {loading ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Reset Password'}
+            </button>
+          </form>
+          <div className="text-center">
+            <button
+              onClick={() => { clearUrlToken(); onDone(); }}
+              className="text-sm text-purple-600 hover:underline underline-offset-4 font-medium"
+            >
+              Back to sign in
+            </button>
+          </div>
+        </>
+      )}
+    </>
+  );
+};
+
+// Two-factor Login Step (after a correct password)
+const TwoFactorLogin = ({ onSuccess, onCancel }) => {
+  const { completeTwoFactorLogin } = useAuth();
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const res = await completeTwoFactorLogin(useRecoveryCode ? { recoveryCode: value } : { code: value });
+    setLoading(false);
+
+    if (res.success) {
+      if (res.recoveryCodesRemaining !== undefined) {
+        alert(`Recovery code used. You have ${res.recoveryCodesRemaining} left — generate new ones from your account page if you're running low.`);
+      }
+      onSuccess();
+    } else if (res.expired) {
+      onCancel(res.error);
+    } else {
+      setError(res.error);
+      setValue('');
+    }
+  };
+
+  return (
+    <>
+      <h2 className="text-3xl font-semibold bg-gradient-to-r from-slate-900 to-purple-900 bg-clip-text text-transparent">Two-Factor Verification</h2>
+      <p className="text-sm text-gray-600">
+        {useRecoveryCode
+          ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </p>
+      {error && (
+        <div className="bg-red-50 border border-red-300 text-red-700 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <input
+          required
+          autoFocus
+          autoComplete="one-time-code"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+          className={`${inputClassName} text-center text-2xl tracking-widest`}
+          value={value}
+          onChange={e => setValue(e.target.value)}
+        />
+        <button disabled={loading} className={primaryButtonClassName}>
+          {loading ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Verify'}
+        </button>
+      </form>
+      <div className="flex justify-between">
+        <button
+          onClick={() => { setUseRecoveryCode(!useRecoveryCode); setValue(''); setError(''); }}
+          className="text-sm text-purple-600 hover:underline underline-offset-4 font-medium"
+        >
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button onClick={() => onCancel()} className="text-sm text-gray-500 hover:underline underline-offset-4">
+          Cancel
+        </button>
+      </div>
+    </>
+  );
+};
+
 // Login Component
 const Login = ({ onNavigate }) => {
+  const [resetToken, setResetToken] = useState(getResetToken);
+  const [showForgotPassword, setShowForgotPassword] = useState(false);
   const [isSignup, setIsSignup] = useState(false);
   const [data, setData] = useState({ name: '', email: '', password: '' });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [showSignupPopup, setShowSignupPopup] = useState(false);
+  const [accountMayExist, setAccountMayExist] = useState(false);
+  const [twoFactorRequired, setTwoFactorRequired] = useState(false);
   const { login, signup } = useAuth();
 
   const handleSubmit = async (e) => {
@@ -2063,8 +2735,11 @@ const Login = ({ onNavigate }) => {
 
       if (res.success) {
         onNavigate('home');
+      } else if (res.twoFactorRequired) {
+        setTwoFactorRequired(true);
       } else {
         if (res.showSignupPopup) {
+          setAccountMayExist(!!res.accountMayExist);
           setShowSignupPopup(true);
         } else {
           setError(res.error || 'Authentication failed');
@@ -2088,340 +2763,1028 @@ const Login = ({ onNavigate }) => {
       {showSignupPopup && (
         <SignupPopup
           email={data.email}
+          accountMayExist={accountMayExist}
           onClose={() => setShowSignupPopup(false)}
           onSwitchToSignup={handleSwitchToSignup}
         />
       )}
       <div className="min-h-screen flex flex-col items-center justify-center px-4 bg-gradient-to-br from-slate-50 to-purple-50">
         <div className="w-full max-w-md bg-white p-10 rounded-2xl shadow-2xl space-y-6 border border-purple-100">
-          <h2 className="text-3xl font-semibold bg-gradient-to-r from-slate-900 to-purple-900 bg-clip-text text-transparent">{isSignup ? 'Create Account' : 'Sign In'}</h2>
-          {error && (
-            <div className="bg-red-50 border border-red-300 text-red-700 px-4 py-3 rounded-lg text-sm">
-              {error}
-            </div>
-          )}
-          <form onSubmit={handleSubmit} className="space-y-4">
-            {isSignup && (
-              <>
-                <div className="space-y-2">
-                  <label className="text-sm font-medium text-gray-700">Name</label>
-                  <input
+          {resetToken ? (
+            <ResetPassword token={resetToken} onDone={() => setResetToken(null)} />
+          ) : twoFactorRequired ? (
+            <TwoFactorLogin
+              onSuccess={() => onNavigate('home')}
+              onCancel={(message) => { setTwoFactorRequired(false); setError(message || ''); setData({ ...data, password: '' }); }}
+            />
+          ) : showForgotPassword ? (
+            <ForgotPassword initialEmail={data.email} onBack={() => setShowForgotPassword(false)} />
+          ) : (
+            <>
+              <h2 className="text-3xl font-semibold bg-gradient-to-r from-slate-900 to-purple-900 bg-clip-text text-transparent">{isSignup ? 'Create Account' : 'Sign In'}</h2>
+              {error && (
+                <div className="bg-red-50 border border-red-300 text-red-700 px-4 py-3 rounded-lg text-sm">
+                  {error}
+                </div>
+              )}
+              <form onSubmit={handleSubmit} className="space-y-4">
+                {isSignup && (
+                  <>
+                    <div className="space-y-2">
+                      <label className="text-sm font-medium text-gray-700">Name</label>
+                      <input
+                        required
+                        className="w-full bg-gray-50 border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none transition"
+                        value={data.name}
+                        onChange={e => setData({ ...data, name: e.target.value })}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <label className="text-sm font-medium text-gray-700">Region</label>
+                      <select
+                        required
+                        className="w-full bg-gray-50 border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none transition"
+                        value={data.region || ''}
+                        onChange={e => setData({ ...data, region: e.target.value })}
+                      >
+                        <option value="">Select your region</option>
+                        {REGION_OPTIONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                      </select>
+                    </div>
+                  </>
+                )}
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700">Email</label>
+                  <input
                     required
+                    type="email"
                     className="w-full bg-gray-50 border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none transition"
-                    value={data.name}
-                    onChange={e => setData({ ...data, name: e.target.value })}
+                    value={data.email}
+                    onChange={e => setData({ ...data, email: e.target.value })}
                   />
                 </div>
                 <div className="space-y-2">
-                  <label className="text-sm font-medium text-gray-700">Region</label>
-                  <select
+                  <label className="text-sm font-medium text-gray-700">Password</label>
+                  <input
                     required
+                    type="password"
                     className="w-full bg-gray-50 border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none transition"
-                    value={data.region || ''}
-                    onChange={e => setData({ ...data, region: e.target.value })}
-                  >
-                    <option value="">Select your region</option>
-                    <option value="us-west">US West</option>
-                    <option value="us-east">US East</option>
-                    <option value="us-central">US Central</option>
-                    <option value="europe">Europe</option>
-                    <option value="asia">Asia Pacific</option>
-                    <option value="other">Other</option>
-                  </select>
+                    value={data.password}
+                    onChange={e => setData({ ...data, password: e.target.value })}
+                  />
+                  {!isSignup && (
+                    <div className="text-right">
+                      <button
+                        type="button"
+                        onClick={() => { setShowForgotPassword(true); setError(''); setShowSignupPopup(false); }}
+                        className="text-sm text-purple-600 hover:underline underline-offset-4"
+                      >
+                        Forgot password?
+                      </button>
+                    </div>
+                  )}
                 </div>
-              </>
-            )}
-            <div className="space-y-2">
-              <label className="text-sm font-medium text-gray-700">Email</label>
-              <input
-                required
-                type="email"
-                className="w-full bg-gray-50 border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none transition"
-                value={data.email}
-                onChange={e => setData({ ...data, email: e.target.value })}
-              />
-            </div>
-            <div className="space-y-2">
-              <label className="text-sm font-medium text-gray-700">Password</label>
-              <input
-                required
-                type="password"
-                className="w-full bg-gray-50 border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none transition"
-                value={data.password}
-                onChange={e => setData({ ...data, password: e.target.value })}
-              />
-            </div>
-            <button
-              disabled={loading}
-              className="w-full bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white font-semibold py-3 rounded-lg transition-all duration-300 flex justify-center items-center disabled:opacity-50 shadow-lg hover:shadow-xl"
-            >
-              {loading ? <Loader2 className="w-5 h-5 animate-spin" /> : (isSignup ? 'Create Account' : 'Sign In')}
+                <button
+                  disabled={loading}
+                  className="w-full bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white font-semibold py-3 rounded-lg transition-all duration-300 flex justify-center items-center disabled:opacity-50 shadow-lg hover:shadow-xl"
+                >
+                  {loading ? <Loader2 className="w-5 h-5 animate-spin" /> : (isSignup ? 'Create Account' : 'Sign In')}
+                </button>
+              </form>
+              <div className="text-center">
+                <button
+                  onClick={() => { setIsSignup(!isSignup); setError(''); setShowSignupPopup(false); }}
+                  className="text-sm text-purple-600 hover:underline underline-offset-4 font-medium"
+                >
+                  {isSignup ? 'Already have an account? Sign in' : "Don't have an account? Create one"}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+// Recovery codes are shown once, right after they are generated
+const RecoveryCodesList = ({ codes, onDone }) => (
+  <div className="space-y-4">
+    <p className="text-sm text-gray-700">
+      Save these recovery codes somewhere safe. Each one lets you sign in once if you lose access to your authenticator app. They won't be shown again.
+    </p>
+    <div className="grid grid-cols-2 gap-2 bg-slate-50 border border-slate-200 rounded-lg p-4 font-mono text-sm">
+      {codes.map(code => <div key={code}>{code}</div>)}
+    </div>
+    <button onClick={onDone} className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-2 rounded-lg font-semibold text-sm">
+      I've saved these codes
+    </button>
+  </div>
+);
+
+// Two-factor Authentication Settings (Account Page)
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [step, setStep] = useState('idle'); // idle | enrolling | codes | disabling | regenerating
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [remaining, setRemaining] = useState(null);
+  const [form, setForm] = useState({ code: '', password: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!user.twoFactorEnabled) return;
+    twoFactorAPI.getStatus().then(res => {
+      if (res.success) setRemaining(res.data.recoveryCodesRemaining);
+    });
+  }, [user.twoFactorEnabled]);
+
+  const reset = (nextStep = 'idle') => {
+    setStep(nextStep);
+    setForm({ code: '', password: '' });
+    setError('');
+  };
+
+  const run = async (request, onSuccess) => {
+    setError('');
+    setLoading(true);
+    const res = await request();
+    setLoading(false);
+    if (res.success) onSuccess(res.data);
+    else setError(res.error);
+  };
+
+  const startEnrollment = () => run(twoFactorAPI.enroll, (data) => {
+    setEnrollment(data);
+    reset('enrolling');
+  });
+
+  const confirmEnrollment = (e) => {
+    e.preventDefault();
+    run(() => twoFactorAPI.confirm(form.code), (data) => {
+      updateUser({ ...user, twoFactorEnabled: true });
+      setRecoveryCodes(data.recoveryCodes);
+      setRemaining(data.recoveryCodes.length);
+      setEnrollment(null);
+      reset('codes');
+    });
+  };
+
+  const regenerateCodes = (e) => {
+    e.preventDefault();
+    run(() => twoFactorAPI.regenerateRecoveryCodes(form.code), (data) => {
+      setRecoveryCodes(data.recoveryCodes);
+      setRemaining(data.recoveryCodes.length);
+      reset('codes');
+    });
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    const factor = /^\d{6}$/.test(form.code.trim()) ? { code: form.code } : { recoveryCode: form.code };
+    run(() => twoFactorAPI.disable(form.password, factor), () => {
+      updateUser({ ...user, twoFactorEnabled: false });
+      reset();
+    });
+  };
+
+  const codeInput = (
+    <input
+      required
+      autoComplete="one-time-code"
+      placeholder="123456"
+      className="w-full bg-gray-50 border border-gray-300 rounded-lg px-4 py-2 focus:ring-2 focus:ring-purple-500 outline-none"
+      value={form.code}
+      onChange={e => setForm({ ...form, code: e.target.value })}
+    />
+  );
+
+  return (
+    <div className="border-t border-purple-100 pt-6 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="text-2xl font-semibold text-slate-900 flex items-center gap-2">
+            <Lock className="w-5 h-5 text-purple-600" /> Two-Factor Authentication
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            {user.twoFactorEnabled
+              ? `On — you'll be asked for a code from your authenticator app when you sign in.${remaining !== null ? ` ${remaining} recovery codes left.` : ''}`
+              : 'Add a second step to sign-in with an authenticator app such as Google Authenticator or 1Password.'}
+          </p>
+        </div>
+        {step === 'idle' && (user.twoFactorEnabled ? (
+          <div className="flex gap-2">
+            <button onClick={() => reset('regenerating')} className="bg-white border-2 border-purple-200 text-purple-700 px-4 py-2 rounded-lg font-semibold hover:bg-purple-50 text-sm">
+              New Recovery Codes
             </button>
-          </form>
-          <div className="text-center">
+            <button onClick={() => reset('disabling')} className="bg-red-50 border-2 border-red-200 text-red-700 px-4 py-2 rounded-lg font-semibold hover:bg-red-100 text-sm">
+              Turn Off
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={startEnrollment}
+            disabled={loading}
+            className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-4 py-2 rounded-lg font-semibold text-sm disabled:opacity-50"
+          >
+            {loading ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Turn On'}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-300 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>
+      )}
+
+      {step === 'enrolling' && enrollment && (
+        <form onSubmit={confirmEnrollment} className="bg-purple-50 border border-purple-200 rounded-xl p-6 space-y-4">
+          <p className="text-sm text-gray-700">
+            1. In your authenticator app, add an account using this key
+            (or <a href={enrollment.otpauthUri} className="text-purple-600 underline">open it directly</a> on this device):
+          </p>
+          <div className="font-mono text-lg tracking-wider bg-white border border-purple-200 rounded-lg px-4 py-3 break-all">
+            {enrollment.secret.match(/.{1,4}/g).join(' ')}
+          </div>
+          <p className="text-sm text-gray-700">2. Enter the 6-digit code it shows to finish setup:</p>
+          {codeInput}
+          <div className="flex gap-2">
+            <button disabled={loading} className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-2 rounded-lg font-semibold text-sm disabled:opacity-50">
+              Verify & Turn On
+            </button>
+            <button type="button" onClick={() => { setEnrollment(null); reset(); }} className="px-6 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === 'codes' && (
+        <div className="bg-green-50 border border-green-200 rounded-xl p-6">
+          <RecoveryCodesList codes={recoveryCodes} onDone={() => { setRecoveryCodes([]); reset(); }} />
+        </div>
+      )}
+
+      {step === 'regenerating' && (
+        <form onSubmit={regenerateCodes} className="bg-purple-50 border border-purple-200 rounded-xl p-6 space-y-4">
+          <p className="text-sm text-gray-700">Enter a code from your authenticator app. Your old recovery codes will stop working.</p>
+          {codeInput}
+          <div className="flex gap-2">
+            <button disabled={loading} className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-2 rounded-lg font-semibold text-sm disabled:opacity-50">
+              Generate Codes
+            </button>
+            <button type="button" onClick={() => reset()} className="px-6 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {step === 'disabling' && (
+        <form onSubmit={disable} className="bg-red-50 border border-red-200 rounded-xl p-6 space-y-4">
+          <p className="text-sm text-gray-700">Confirm with your password and an authenticator or recovery code.</p>
+          <input
+            required
+            type="password"
+            placeholder="Password"
+            className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 focus:ring-2 focus:ring-purple-500 outline-none"
+            value={form.password}
+            onChange={e => setForm({ ...form, password: e.target.value })}
+          />
+          {codeInput}
+          <div className="flex gap-2">
+            <button disabled={loading} className="bg-red-600 hover:bg-red-700 text-white px-6 py-2 rounded-lg font-semibold text-sm disabled:opacity-50">
+              Turn Off Two-Factor
+            </button>
+            <button type="button" onClick={() => reset()} className="px-6 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">Cancel</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+// Shared message box for the settings forms
+const StatusMessage = ({ status }) => status && (
+  <div className={`px-4 py-3 rounded-lg text-sm border ${status.type === 'success' ? 'bg-green-50 border-green-300 text-green-700' : 'bg-red-50 border-red-300 text-red-700'}`}>
+    {status.message}
+  </div>
+);
+
+// Profile Settings (Account Page)
+const ProfileSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [form, setForm] = useState({
+    name: user.name || '',
+    phone: user.phone || '',
+    region: user.region || '',
+    favoriteModels: user.preferences?.favoriteModels || []
+  });
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const toggleFavorite = (model) => setForm({
+    ...form,
+    favoriteModels: form.favoriteModels.includes(model)
+      ? form.favoriteModels.filter(m => m !== model)
+      : [...form.favoriteModels, model]
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setStatus(null);
+    const result = await authAPI.updateProfile({
+      name: form.name,
+      phone: form.phone,
+      region: form.region,
+      preferences: { favoriteModels: form.favoriteModels }
+    });
+    setSaving(false);
+    if (result.success) {
+      updateUser(result.data.user);
+      setStatus({ type: 'success', message: 'Profile saved' });
+    } else {
+      setStatus({ type: 'error', message: result.error });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <h3 className="text-2xl font-semibold text-slate-900">Profile</h3>
+      <StatusMessage status={status} />
+      <div className="grid md:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-gray-700">Name</label>
+          <input required minLength={2} className={inputClassName} value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-gray-700">Phone</label>
+          <input type="tel" className={inputClassName} value={form.phone} onChange={e => setForm({ ...form, phone: e.target.value })} />
+        </div>
+        <div className="space-y-2">
+          <label className="text-sm font-medium text-gray-700">Region</label>
+          <select className={inputClassName} value={form.region} onChange={e => setForm({ ...form, region: e.target.value })}>
+            <option value="">Not set</option>
+            {REGION_OPTIONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+          </select>
+        </div>
+      </div>
+      <div className="space-y-2">
+        <label className="text-sm font-medium text-gray-700">Favorite Models</label>
+        <div className="flex flex-wrap gap-2">
+          {Object.values(VEHICLES).map(v => (
             <button
-              onClick={() => { setIsSignup(!isSignup); setError(''); setShowSignupPopup(false); }}
-              className="text-sm text-purple-600 hover:underline underline-offset-4 font-medium"
+              key={v.id}
+              type="button"
+              onClick={() => toggleFavorite(v.id)}
+              className={`px-4 py-2 rounded-full text-sm font-medium border-2 transition ${form.favoriteModels.includes(v.id) ? 'bg-purple-600 border-purple-600 text-white' : 'bg-white border-purple-200 text-purple-700 hover:bg-purple-50'}`}
             >
-              {isSignup ? 'Already have an account? Sign in' : "Don't have an account? Create one"}
+              {v.name}
             </button>
-          </div>
+          ))}
         </div>
       </div>
-    </>
+      <button disabled={saving} className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-2 rounded-lg font-semibold text-sm disabled:opacity-50">
+        {saving ? 'Saving...' : 'Save Profile'}
+      </button>
+    </form>
   );
 };
 
-// Account Page Component
-const AccountPage = ({ onNavigate }) => {
-  const { user, logout } = useAuth();
-  const [orders, setOrders] = useState([]);
+// Change Password (Account Page)
+const ChangePasswordSettings = () => {
+  const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.newPassword !== form.confirmPassword) {
+      setStatus({ type: 'error', message: 'New passwords do not match' });
+      return;
+    }
+    setSaving(true);
+    setStatus(null);
+    const result = await authAPI.changePassword(form.currentPassword, form.newPassword);
+    setSaving(false);
+    if (result.success) {
+      setForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setStatus({ type: 'success', message: result.data.message });
+    } else {
+      setStatus({ type: 'error', message: result.error });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border-t border-purple-100 pt-6 space-y-4">
+      <div>
+        <h3 className="text-2xl font-semibold text-slate-900">Change Password</h3>
+        <p className="text-sm text-gray-600 mt-1">You'll stay signed in here; other devices will be signed out.</p>
+      </div>
+      <StatusMessage status={status} />
+      <div className="grid md:grid-cols-3 gap-4">
+        <input required type="password" autoComplete="current-password" placeholder="Current password" className={inputClassName} value={form.currentPassword} onChange={e => setForm({ ...form, currentPassword: e.target.value })} />
+        <input required type="password" autoComplete="new-password" minLength={6} placeholder="New password" className={inputClassName} value={form.newPassword} onChange={e => setForm({ ...form, newPassword: e.target.value })} />
+        <input required type="password" autoComplete="new-password" minLength={6} placeholder="Confirm new password" className={inputClassName} value={form.confirmPassword} onChange={e => setForm({ ...form, confirmPassword: e.target.value })} />
+      </div>
+      <button disabled={saving} className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-2 rounded-lg font-semibold text-sm disabled:opacity-50">
+        {saving ? 'Updating...' : 'Update Password'}
+      </button>
+    </form>
+  );
+};
+
+// Active Sessions (Account Page)
+const ActiveSessions = ({ onSignedOut }) => {
+  const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState(null);
+
+  const load = async () => {
+    const result = await sessionAPI.list();
+    if (result.success) setSessions(result.data.sessions);
+    else setStatus({ type: 'error', message: result.error });
+    setLoading(false);
+  };
 
   useEffect(() => {
-    const fetchOrders = async () => {
-      if (user) {
-        setLoading(true);
-        const result = await orderAPI.getOrders();
-        if (result.success && result.data) {
-          setOrders(result.data.orders || result.data);
-        }
-        setLoading(false);
-      }
-    };
-    fetchOrders();
-  }, [user]);
+    load();
+  }, []);
 
-  // Download Order Summary as HTML
-  const downloadOrderSummary = (order) => {
-    const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>Order Summary - ${order.vehicleName}</title>
-        <style>
-          body { font-family: Arial, sans-serif; max-width: 800px; margin: 40px auto; padding: 20px; }
-          .header { text-align: center; border-bottom: 3px solid #9333ea; padding-bottom: 20px; margin-bottom: 30px; }
-          .header h1 { color: #1e293b; margin: 0; font-size: 32px; }
-          .header p { color: #64748b; margin: 5px 0; }
-          .section { margin: 30px 0; }
-          .section h2 { color: #1e293b; border-bottom: 2px solid #e2e8f0; padding-bottom: 10px; }
-          .grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 15px; margin-top: 15px; }
-          .item { background: #f8fafc; padding: 15px; border-radius: 8px; }
-          .item-label { color: #64748b; font-size: 14px; margin-bottom: 5px; }
-          .item-value { color: #1e293b; font-weight: bold; font-size: 16px; }
-          .total { background: linear-gradient(135deg, #9333ea 0%, #3b82f6 100%); color: white; padding: 20px; border-radius: 12px; text-align: center; font-size: 24px; font-weight: bold; }
-          .footer { text-align: center; margin-top: 40px; color: #94a3b8; font-size: 12px; border-top: 1px solid #e2e8f0; padding-top: 20px; }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>🚗 Tesla Order Summary</h1>
-          <p>Order #${(order._id || '').slice(-8)}</p>
-          <p>Date: ${new Date(order.createdAt).toLocaleDateString()}</p>
+  const revoke = async (session) => {
+    const result = await sessionAPI.revoke(session.id);
+    if (!result.success) return setStatus({ type: 'error', message: result.error });
+    if (session.current) return onSignedOut();
+    setSessions(sessions.filter(s => s.id !== session.id));
+  };
+
+  const revokeAll = async (keepCurrent) => {
+    const result = await sessionAPI.revokeAll(keepCurrent);
+    if (!result.success) return setStatus({ type: 'error', message: result.error });
+    if (!keepCurrent) return onSignedOut();
+    setStatus({ type: 'success', message: result.data.message });
+    load();
+  };
+
+  return (
+    <div className="border-t border-purple-100 pt-6 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="text-2xl font-semibold text-slate-900">Active Sessions</h3>
+          <p className="text-sm text-gray-600 mt-1">Devices currently signed in to your account.</p>
         </div>
-        
-        <div class="section">
-          <h2>Customer Information</h2>
-          <div class="grid">
-            <div class="item">
-              <div class="item-label">Name</div>
-              <div class="item-value">${user.name || 'N/A'}</div>
-            </div>
-            <div class="item">
-              <div class="item-label">Email</div>
-              <div class="item-value">${user.email}</div>
-            </div>
-            <div class="item">
-              <div class="item-label">Region</div>
-              <div class="item-value">${user.region || 'Not specified'}</div>
+        <div className="flex gap-2">
+          <button onClick={() => revokeAll(true)} disabled={sessions.length < 2} className="bg-white border-2 border-purple-200 text-purple-700 px-4 py-2 rounded-lg font-semibold hover:bg-purple-50 text-sm disabled:opacity-50">
+            Sign Out Other Devices
+          </button>
+          <button onClick={() => revokeAll(false)} className="bg-red-50 border-2 border-red-200 text-red-700 px-4 py-2 rounded-lg font-semibold hover:bg-red-100 text-sm">
+            Sign Out Everywhere
+          </button>
+        </div>
+      </div>
+      <StatusMessage status={status} />
+      {loading ? (
+        <Loader2 className="w-6 h-6 animate-spin text-purple-600" />
+      ) : (
+        <div className="space-y-2">
+          {sessions.map(session => (
+            <div key={session.id} className="flex justify-between items-center bg-gray-50 border border-gray-200 rounded-lg px-4 py-3">
+              <div>
+                <div className="font-semibold text-slate-900 flex items-center gap-2">
+                  {session.device}
+                  {session.current && <span className="bg-green-100 text-green-800 px-2 py-0.5 rounded-full text-xs font-medium">This device</span>}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {session.ip || 'Unknown IP'} · Last active {session.lastActivity ? new Date(session.lastActivity).toLocaleString() : 'unknown'}
+                </div>
+              </div>
+              <button onClick={() => revoke(session)} className="text-sm text-red-600 hover:underline underline-offset-4 font-medium">
+                {session.current ? 'Sign out' : 'Revoke'}
+              </button>
             </div>
-          </div>
+          ))}
         </div>
+      )}
+    </div>
+  );
+};
 
-        <div class="section">
-          <h2>Vehicle Details</h2>
-          <div class="grid">
-            <div class="item">
-              <div class="item-label">Model</div>
-              <div class="item-value">${order.vehicleName}</div>
-            </div>
-            <div class="item">
-              <div class="item-label">Battery</div>
-              <div class="item-value">${order.selectedOptions?.battery?.name || 'N/A'}</div>
-            </div>
-            <div class="item">
-              <div class="item-label">Paint Color</div>
-              <div class="item-value">${order.selectedOptions?.paint?.name || 'N/A'}</div>
-            </div>
-            <div class="item">
-              <div class="item-label">Wheels</div>
-              <div class="item-value">${order.selectedOptions?.wheels?.name || 'N/A'}</div>
-            </div>
-            <div class="item">
-              <div class="item-label">Interior</div>
-              <div class="item-value">${order.selectedOptions?.interior?.name || 'N/A'}</div>
-            </div>
-            <div class="item">
-              <div class="item-label">Autopilot</div>
-              <div class="item-value">${order.selectedOptions?.autopilot?.name || 'N/A'}</div>
-            </div>
+// Personal API Tokens (Account Page)
+const ApiTokenSettings = () => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState({});
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState({ name: '', scopes: [], expiresInDays: 90 });
+  const [newToken, setNewToken] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    apiTokenAPI.list().then(result => {
+      if (result.success) {
+        setTokens(result.data.tokens);
+        setAvailableScopes(result.data.availableScopes);
+      }
+    });
+  }, []);
+
+  const toggleScope = (scope) => setForm({
+    ...form,
+    scopes: form.scopes.includes(scope) ? form.scopes.filter(s => s !== scope) : [...form.scopes, scope]
+  });
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (form.scopes.length === 0) {
+      setStatus({ type: 'error', message: 'Choose at least one scope' });
+      return;
+    }
+    setSaving(true);
+    setStatus(null);
+    const result = await apiTokenAPI.create({ ...form, expiresInDays: form.expiresInDays || null });
+    setSaving(false);
+    if (result.success) {
+      setTokens([result.data.apiToken, ...tokens]);
+      setNewToken(result.data.token);
+      setCreating(false);
+      setForm({ name: '', scopes: [], expiresInDays: 90 });
+    } else {
+      setStatus({ type: 'error', message: result.error });
+    }
+  };
+
+  const revoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Anything using it will stop working.`)) return;
+    const result = await apiTokenAPI.revoke(token.id);
+    if (result.success) setTokens(tokens.filter(t => t.id !== token.id));
+    else setStatus({ type: 'error', message: result.error });
+  };
+
+  const isExpired = (token) => token.expiresAt && new Date(token.expiresAt) < new Date();
+
+  return (
+    <div className="border-t border-purple-100 pt-6 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="text-2xl font-semibold text-slate-900">API Tokens</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            For scripts and tools such as Postman. Send as <code className="bg-gray-100 px-1 rounded">Authorization: Bearer &lt;token&gt;</code>.
+          </p>
+        </div>
+        {!creating && (
+          <button onClick={() => { setCreating(true); setNewToken(null); }} className="bg-white border-2 border-purple-200 text-purple-700 px-4 py-2 rounded-lg font-semibold hover:bg-purple-50 text-sm whitespace-nowrap">
+            New Token
+          </button>
+        )}
+      </div>
+      <StatusMessage status={status} />
+
+      {newToken && (
+        <div className="bg-green-50 border border-green-200 rounded-xl p-6 space-y-3">
+          <p className="text-sm text-gray-700 font-medium">Copy your new token now. You won't be able to see it again.</p>
+          <div className="font-mono text-sm bg-white border border-green-200 rounded-lg px-4 py-3 break-all">{newToken}</div>
+          <div className="flex gap-2">
+            <button onClick={() => navigator.clipboard?.writeText(newToken)} className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-2 rounded-lg font-semibold text-sm">Copy</button>
+            <button onClick={() => setNewToken(null)} className="px-6 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">Done</button>
           </div>
         </div>
+      )}
 
-        <div class="section">
-          <div class="total">
-            Total Amount: $${order.totalPrice?.toLocaleString() || '0'}
+      {creating && (
+        <form onSubmit={handleCreate} className="bg-purple-50 border border-purple-200 rounded-xl p-6 space-y-4">
+          <div className="grid md:grid-cols-2 gap-4">
+            <input required maxLength={60} placeholder="Token name, e.g. Order export script" className={inputClassName} value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} />
+            <select className={inputClassName} value={form.expiresInDays || ''} onChange={e => setForm({ ...form, expiresInDays: Number(e.target.value) || null })}>
+              <option value={30}>Expires in 30 days</option>
+              <option value={90}>Expires in 90 days</option>
+              <option value={365}>Expires in 1 year</option>
+              <option value="">Never expires</option>
+            </select>
+          </div>
+          <div className="grid md:grid-cols-2 gap-2">
+            {Object.entries(availableScopes).map(([scope, description]) => (
+              <label key={scope} className="flex items-start gap-2 text-sm cursor-pointer">
+                <input type="checkbox" className="mt-1" checked={form.scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+                <span><span className="font-mono font-medium">{scope}</span> <span className="text-gray-600">— {description}</span></span>
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button disabled={saving} className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-2 rounded-lg font-semibold text-sm disabled:opacity-50">
+              {saving ? 'Creating...' : 'Create Token'}
+            </button>
+            <button type="button" onClick={() => { setCreating(false); setStatus(null); }} className="px-6 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">Cancel</button>
           </div>
+        </form>
+      )}
+
+      {tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">No API tokens yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {tokens.map(token => (
+            <div key={token.id} className="flex justify-between items-center bg-gray-50 border border-gray-200 rounded-lg px-4 py-3">
+              <div>
+                <div className="font-semibold text-slate-900 flex items-center gap-2">
+                  {token.name}
+                  <span className="font-mono text-xs text-gray-500">{token.prefix}…</span>
+                  {isExpired(token) && <span className="bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full text-xs font-medium">Expired</span>}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {token.scopes.join(', ')} · Last used {token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'never'}
+                  {token.expiresAt && !isExpired(token) && ` · Expires ${new Date(token.expiresAt).toLocaleDateString()}`}
+                </div>
+              </div>
+              <button onClick={() => revoke(token)} className="text-sm text-red-600 hover:underline underline-offset-4 font-medium">Revoke</button>
+            </div>
+          ))}
         </div>
+      )}
+    </div>
+  );
+};
 
-        <div class="footer">
-          <p>Thank you for choosing Tesla! We're excited to have you join the electric revolution.</p>
-          <p>© ${new Date().getFullYear()} Tesla Clone - All rights reserved</p>
+// Download My Data (Account Page)
+const DataExportSettings = () => {
+  const [exporting, setExporting] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setStatus(null);
+    const result = await authAPI.exportData();
+    setExporting(false);
+    if (!result.success) setStatus({ type: 'error', message: result.error });
+  };
+
+  return (
+    <div className="border-t border-purple-100 pt-6 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="text-2xl font-semibold text-slate-900">Download Your Data</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            A zip file with your profile, orders, recommendations, service requests, queries, messages and activity, as JSON and CSV.
+          </p>
         </div>
-      </body>
-      </html>
-    `;
+        <button onClick={handleExport} disabled={exporting} className="flex items-center gap-2 bg-white border-2 border-purple-200 text-purple-700 px-4 py-2 rounded-lg font-semibold hover:bg-purple-50 text-sm whitespace-nowrap disabled:opacity-50">
+          {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Package className="w-4 h-4" />}
+          Export My Data
+        </button>
+      </div>
+      <StatusMessage status={status} />
+    </div>
+  );
+};
 
-    const blob = new Blob([html], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `Tesla_Order_Summary_${(order._id || '').slice(-8)}.html`;
-    a.click();
-    URL.revokeObjectURL(url);
+// Delete Account (Account Page)
+const DeleteAccountSettings = ({ onDeleted }) => {
+  const { user } = useAuth();
+  const [confirming, setConfirming] = useState(false);
+  const [form, setForm] = useState({ password: '', code: '' });
+  const [error, setError] = useState('');
+  const [deleting, setDeleting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setDeleting(true);
+    const code = form.code.trim();
+    const factor = !user.twoFactorEnabled ? {} : /^\d{6}$/.test(code) ? { code } : { recoveryCode: code };
+    const result = await authAPI.deleteAccount(form.password, factor);
+    setDeleting(false);
+    if (result.success) onDeleted();
+    else setError(result.error);
   };
 
-  // Download Detailed Bill as HTML
-  const downloadBill = (order) => {
-    const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="UTF-8">
-        <title>Invoice - ${order.vehicleName}</title>
-        <style>
-          body { font-family: Arial, sans-serif; max-width: 800px; margin: 40px auto; padding: 20px; }
-          .invoice-header { display: flex; justify-content: space-between; border-bottom: 3px solid #1e293b; padding-bottom: 20px; margin-bottom: 30px; }
-          .company { flex: 1; }
-          .company h1 { color: #1e293b; margin: 0; font-size: 36px; }
-          .company p { color: #64748b; margin: 5px 0; }
-          .invoice-details { text-align: right; flex: 1; }
-          .invoice-details h2 { color: #9333ea; margin: 0 0 10px 0; }
-          .invoice-details p { margin: 5px 0; color: #1e293b; }
-          .section { margin: 30px 0; }
-          .section h3 { color: #1e293b; margin-bottom: 15px; }
-          .bill-to { background: #f8fafc; padding: 20px; border-radius: 8px; }
-          table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-          th { background: #1e293b; color: white; padding: 12px; text-align: left; }
-          td { padding: 12px; border-bottom: 1px solid #e2e8f0; }
-          tr:hover { background: #f8fafc; }
-          .subtotal-row { font-weight: bold; background: #f1f5f9; }
-          .total-row { font-size: 20px; font-weight: bold; background: linear-gradient(135deg, #9333ea 0%, #3b82f6 100%); color: white; }
-          .footer { text-align: center; margin-top: 50px; color: #94a3b8; font-size: 12px; border-top: 2px solid #e2e8f0; padding-top: 20px; }
-          .status-badge { display: inline-block; background: #10b981; color: white; padding: 5px 15px; border-radius: 20px; font-size: 12px; font-weight: bold; }
-        </style>
-      </head>
-      <body>
-        <div class="invoice-header">
-          <div class="company">
-            <h1>TESLA</h1>
-            <p>Electric Vehicle Innovation</p>
-            <p>1 Tesla Road, Austin, TX 78725</p>
-            <p>support@tesla.com | +1-888-518-3752</p>
-          </div>
-          <div class="invoice-details">
-            <h2>INVOICE</h2>
-            <p><strong>Invoice #:</strong> INV-${(order._id || '').slice(-8).toUpperCase()}</p>
-            <p><strong>Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
-            <p><strong>Status:</strong> <span class="status-badge">${order.status || 'Paid'}</span></p>
-          </div>
+  return (
+    <div className="border-t border-purple-100 pt-6 space-y-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="text-2xl font-semibold text-red-700">Delete Account</h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Removes your profile, saved configurations, service requests and messages. Past orders are kept for our records without your personal details.
+          </p>
         </div>
+        {!confirming && (
+          <button onClick={() => setConfirming(true)} className="bg-red-50 border-2 border-red-200 text-red-700 px-4 py-2 rounded-lg font-semibold hover:bg-red-100 text-sm whitespace-nowrap">
+            Delete Account
+          </button>
+        )}
+      </div>
 
-        <div class="section">
-          <h3>Bill To:</h3>
-          <div class="bill-to">
-            <p><strong>${user.name || 'N/A'}</strong></p>
-            <p>${user.email}</p>
-            <p>Region: ${user.region || 'Not specified'}</p>
+      {confirming && (
+        <form onSubmit={handleSubmit} className="bg-red-50 border border-red-200 rounded-xl p-6 space-y-4">
+          <p className="text-sm text-red-700 font-medium">This can't be undone. Confirm with your password{user.twoFactorEnabled ? ' and an authenticator or recovery code' : ''}.</p>
+          {error && <div className="bg-white border border-red-300 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>}
+          <input
+            required
+            type="password"
+            placeholder="Password"
+            className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 focus:ring-2 focus:ring-purple-500 outline-none"
+            value={form.password}
+            onChange={e => setForm({ ...form, password: e.target.value })}
+          />
+          {user.twoFactorEnabled && (
+            <input
+              required
+              autoComplete="one-time-code"
+              placeholder="123456"
+              className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 focus:ring-2 focus:ring-purple-500 outline-none"
+              value={form.code}
+              onChange={e => setForm({ ...form, code: e.target.value })}
+            />
+          )}
+          <div className="flex gap-2">
+            <button disabled={deleting} className="bg-red-600 hover:bg-red-700 text-white px-6 py-2 rounded-lg font-semibold text-sm disabled:opacity-50">
+              {deleting ? 'Deleting...' : 'Permanently Delete My Account'}
+            </button>
+            <button type="button" onClick={() => { setConfirming(false); setError(''); }} className="px-6 py-2 rounded-lg text-sm text-gray-600 hover:bg-gray-100">Cancel</button>
           </div>
-        </div>
+        </form>
+      )}
+    </div>
+  );
+};
 
-        <div class="section">
-          <h3>Order Details:</h3>
-          <table>
-            <thead>
-              <tr>
-                <th>Item Description</th>
-                <th>Details</th>
-                <th style="text-align: right;">Amount</th>
-              </tr>
-            </thead>
-            <tbody>
-              <tr>
-                <td><strong>${order.vehicleName}</strong></td>
-                <td>Base Vehicle</td>
-                <td style="text-align: right;">$${(order.totalPrice * 0.7)?.toLocaleString() || '0'}</td>
-              </tr>
-              <tr>
-                <td>Battery Upgrade</td>
-                <td>${order.selectedOptions?.battery?.name || 'Standard'}</td>
-                <td style="text-align: right;">$${(order.totalPrice * 0.1)?.toLocaleString() || '0'}</td>
-              </tr>
-              <tr>
-                <td>Paint</td>
-                <td>${order.selectedOptions?.paint?.name || 'N/A'}</td>
-                <td style="text-align: right;">$${(order.totalPrice * 0.05)?.toLocaleString() || '0'}</td>
-              </tr>
-              <tr>
-                <td>Wheels</td>
-                <td>${order.selectedOptions?.wheels?.name || 'N/A'}</td>
-                <td style="text-align: right;">$${(order.totalPrice * 0.05)?.toLocaleString() || '0'}</td>
-              </tr>
-              <tr>
-                <td>Interior</td>
-                <td>${order.selectedOptions?.interior?.name || 'N/A'}</td>
-                <td style="text-align: right;">$${(order.totalPrice * 0.05)?.toLocaleString() || '0'}</td>
-              </tr>
-              <tr>
-                <td>Autopilot</td>
-                <td>${order.selectedOptions?.autopilot?.name || 'N/A'}</td>
-                <td style="text-align: right;">$${(order.totalPrice * 0.05)?.toLocaleString() || '0'}</td>
-              </tr>
-              <tr class="subtotal-row">
-                <td colspan="2">Subtotal</td>
-                <td style="text-align: right;">$${order.totalPrice?.toLocaleString() || '0'}</td>
-              </tr>
-              <tr>
-                <td colspan="2">Tax (0%)</td>
-                <td style="text-align: right;">$0</td>
-              </tr>
-              <tr class="total-row">
-                <td colspan="2"><strong>TOTAL DUE</strong></td>
-                <td style="text-align: right;"><strong>$${order.totalPrice?.toLocaleString() || '0'}</strong></td>
-              </tr>
-            </tbody>
-          </table>
-        </div>
+// Account Page Component
+// Forward path of an order (server: config/orderStatuses.js); Cancelled can branch off before production.
+// Orders from inventory skip In Production.
+const ORDER_STEPS = [
+  { status: 'Paid', label: 'Order placed' },
+  { status: 'Processing', label: 'Processing' },
+  { status: 'In Production', label: 'In production' },
+  { status: 'Ready for Delivery', label: 'Ready for delivery' },
+  { status: 'Delivered', label: 'Delivered' },
+];
+
+// Statuses a customer can still cancel from (server: config/orderStatuses.js)
+const CANCELLABLE_STATUSES = ['Pending', 'Paid', 'Processing'];
+
+const REFUND_STYLES = {
+  Requested: 'bg-amber-50 border-amber-200 text-amber-800',
+  Approved: 'bg-green-50 border-green-200 text-green-800',
+  Denied: 'bg-red-50 border-red-200 text-red-700',
+};
 
-        <div class="footer">
-          <p><strong>Payment Terms:</strong> Full payment received via credit card</p>
-          <p><strong>Delivery:</strong> Estimated 4-8 weeks from order confirmation</p>
-          <p style="margin-top: 20px;">Thank you for your business! Questions? Contact us at support@tesla.com</p>
-          <p>© ${new Date().getFullYear()} Tesla Clone - All rights reserved</p>
-        </div>
-      </body>
-      </html>
-    `;
+const RefundStatus = ({ refund }) => (
+  <div className={`mt-3 px-3 py-2 rounded-lg border text-sm ${REFUND_STYLES[refund.status] || REFUND_STYLES.Requested}`}>
+    <div className="flex justify-between font-medium">
+      <span>Refund {refund.status === 'Requested' ? 'under review' : refund.status.toLowerCase()}</span>
+      <span>${refund.amount.toLocaleString()}</span>
+    </div>
+    {refund.orderFeeKept > 0 && (
+      <p className="text-xs mt-1">${refund.orderFeeKept.toLocaleString()} order fee kept: the order was already being processed.</p>
+    )}
+    {refund.decisionNote && <p className="text-xs mt-1">{refund.decisionNote}</p>}
+  </div>
+);
 
-    const blob = new Blob([html], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `Tesla_Invoice_${(order._id || '').slice(-8)}.html`;
-    a.click();
-    URL.revokeObjectURL(url);
+// Trade-in credit taken off the order, and how the appraisal went (server: routes/adminRoutes.js)
+const TradeInStatus = ({ tradeIn }) => (
+  <div className="mt-3 px-3 py-2 rounded-lg border text-sm bg-slate-50 border-slate-200 text-slate-700">
+    <div className="flex justify-between font-medium">
+      <span>Trade-in: {tradeIn.year} {tradeIn.make} {tradeIn.model}</span>
+      <span>{formatAmount(tradeIn.finalCredit ?? tradeIn.credit)}</span>
+    </div>
+    <p className="text-xs mt-1">
+      {tradeIn.status === 'Estimated' && 'Estimated credit, confirmed when we inspect the car at delivery.'}
+      {tradeIn.status === 'Confirmed' && 'Appraisal confirmed the credit.'}
+      {tradeIn.status === 'Adjusted' && tradeIn.adjustment !== 0 && (tradeIn.adjustment < 0
+        ? `Adjusted at appraisal: ${formatAmount(-tradeIn.adjustment)} due at delivery.`
+        : `Adjusted at appraisal: ${formatAmount(tradeIn.adjustment)} paid to you at delivery.`)}
+    </p>
+    {tradeIn.appraisalNote && <p className="text-xs mt-1">{tradeIn.appraisalNote}</p>}
+  </div>
+);
+
+// Open appointment slots inside a delivery's window; onPick({ date, time }) books one
+const DeliverySlotPicker = ({ delivery, onPick, busy }) => {
+  const [days, setDays] = useState(null);
+  const [day, setDay] = useState(delivery.appointment?.date || '');
+  const [error, setError] = useState(null);
+  const { centerId, method, window: { earliest, latest } } = delivery;
+
+  useEffect(() => {
+    const today = new Date().toISOString().slice(0, 10);
+    const from = earliest > today ? earliest : today;
+    if (from > latest) {
+      setDays([]);
+      return;
+    }
+    deliveryAPI.getSlots(centerId, method, from, latest).then(result => {
+      if (result.success) {
+        const open = result.data.days.filter(d => d.slots.some(slot => slot.available > 0));
+        setDays(open);
+        setDay(current => current || open[0]?.date || '');
+      } else {
+        setError(result.error || 'Delivery slots are unavailable right now.');
+      }
+    });
+  }, [centerId, method, earliest, latest]);
+
+  if (error) return <p className="text-xs text-red-600">{error}</p>;
+  if (!days) return <p className="text-xs text-gray-500">Loading delivery slots…</p>;
+  if (!days.length) return <p className="text-xs text-gray-500">No slots left in this window. Contact us and we'll find a time.</p>;
+
+  const slots = days.find(d => d.date === day)?.slots || [];
+  const picked = (slot) => delivery.appointment?.date === day && delivery.appointment?.time === slot.time;
+  return (
+    <div className="space-y-2">
+      <select value={day} onChange={(e) => setDay(e.target.value)} className="w-full px-2 py-1.5 rounded-lg border border-gray-300 text-sm">
+        {days.map(d => <option key={d.date} value={d.date}>{formatDeliveryDay(d.date)}</option>)}
+      </select>
+      <div className="flex flex-wrap gap-2">
+        {slots.map(slot => (
+          <button
+            type="button"
+            key={slot.time}
+            disabled={busy || slot.available === 0}
+            onClick={() => onPick({ date: day, time: slot.time })}
+            className={`px-3 py-1.5 rounded-lg border text-sm disabled:opacity-40 ${picked(slot) ? 'bg-purple-600 border-purple-600 text-white' : 'bg-white border-gray-300 hover:border-purple-400'}`}
+          >
+            {slot.time}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Where and when the car is handed over; the slot can be changed until delivery
+const DeliveryStatus = ({ order, onBook }) => {
+  const [picking, setPicking] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+  const { delivery } = order;
+  const schedulable = !['Cancelled', 'Delivered'].includes(order.status);
+
+  const handlePick = async (slot) => {
+    setBusy(true);
+    setStatus(null);
+    const error = await onBook(order, slot);
+    if (error) setStatus({ type: 'error', message: error });
+    else setPicking(false);
+    setBusy(false);
+  };
+
+  return (
+    <div className="mt-3 px-3 py-2 rounded-lg border text-sm bg-blue-50 border-blue-200 text-blue-900 space-y-2">
+      <div className="flex justify-between font-medium">
+        <span>{delivery.method === 'home' ? 'Home delivery' : `Pickup at ${delivery.centerName}`}</span>
+        {schedulable && (
+          <button type="button" onClick={() => setPicking(!picking)} className="text-xs underline">
+            {picking ? 'Close' : delivery.appointment ? 'Change slot' : 'Pick a slot'}
+          </button>
+        )}
+      </div>
+      <p className="text-xs">
+        {delivery.appointment
+          ? `Appointment: ${formatDeliveryDay(delivery.appointment.date)} at ${delivery.appointment.time}`
+          : `Estimated delivery window: ${formatDeliveryWindow(delivery.window)}`}
+        {delivery.method === 'pickup' && ` · ${delivery.centerAddress}`}
+        {delivery.method === 'home' && order.deliveryAddress?.street && ` · ${order.deliveryAddress.street}, ${order.deliveryAddress.city}`}
+      </p>
+      {picking && <DeliverySlotPicker delivery={delivery} onPick={handlePick} busy={busy} />}
+      <StatusMessage status={status} />
+    </div>
+  );
+};
+
+const OrderTimeline = ({ order }) => {
+  const history = order.statusHistory || [];
+  const cancelled = order.status === 'Cancelled';
+  const steps = order.inventory ? ORDER_STEPS.filter(step => step.status !== 'In Production') : ORDER_STEPS;
+  // A cancelled order stops at the last status it reached before cancelling
+  const reached = cancelled ? history[history.length - 1]?.from : order.status;
+  const currentIndex = steps.findIndex(step => step.status === reached);
+  const changedAt = (status) => [...history].reverse().find(entry => entry.status === status)?.changedAt;
+  const formatDate = (date) => date && new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  const cancelledAt = cancelled && changedAt('Cancelled');
+
+  return (
+    <div>
+      <ol className="flex items-start">
+        {steps.map((step, index) => {
+          const done = index <= currentIndex;
+          const current = index === currentIndex && !cancelled;
+          return (
+            <li key={step.status} className="flex-1 flex flex-col items-center text-center relative">
+              {index > 0 && (
+                <span className={`absolute top-3 right-1/2 w-full h-0.5 ${done ? 'bg-purple-500' : 'bg-gray-200'}`} />
+              )}
+              <span className={`relative z-10 w-6 h-6 rounded-full flex items-center justify-center border-2 ${done ? 'bg-purple-600 border-purple-600 text-white' : 'bg-white border-gray-300'} ${current ? 'ring-4 ring-purple-200' : ''}`}>
+                {done && <Check className="w-3.5 h-3.5" />}
+              </span>
+              <span className={`mt-2 text-xs font-medium ${done ? 'text-slate-900' : 'text-gray-400'}`}>{step.label}</span>
+              {done && changedAt(step.status) && (
+                <span className="text-[10px] text-gray-500">{formatDate(changedAt(step.status))}</span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      {cancelled && (
+        <p className="mt-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2">
+          Order cancelled{cancelledAt ? ` on ${new Date(cancelledAt).toLocaleDateString()}` : ''}
+        </p>
+      )}
+      {order.refund && <RefundStatus refund={order.refund} />}
+      {order.tradeIn && <TradeInStatus tradeIn={order.tradeIn} />}
+      {order.status === 'Pending' && (
+        <p className="mt-3 text-sm text-gray-600">Awaiting payment confirmation</p>
+      )}
+    </div>
+  );
+};
+
+const AccountPage = ({ onNavigate }) => {
+  const { user, logout, updateUser } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [verification, setVerification] = useState(null);
+  const [resending, setResending] = useState(false);
+  const [tab, setTab] = useState('overview'); // overview | settings
+
+  // Opened from the emailed verification link; the token is used once
+  const verifyToken = useRef(getVerifyToken());
+  useEffect(() => {
+    const token = verifyToken.current;
+    if (!token) return;
+    verifyToken.current = null;
+    clearUrlToken();
+
+    const verify = async () => {
+      const result = await authAPI.verifyEmail(token);
+      if (result.success) {
+        setVerification({ type: 'success', message: result.data.message });
+        if (user && result.data.user.id === user.id) updateUser(result.data.user);
+      } else {
+        setVerification({ type: 'error', message: result.error });
+      }
+    };
+    verify();
+  }, [user, updateUser]);
+
+  const handleCancelOrder = async (order) => {
+    const policy = order.status === 'Processing'
+      ? 'Your order is already being processed, so the order fee is non-refundable.'
+      : 'You will receive a full refund.';
+    if (!window.confirm(`Cancel your ${order.vehicleName} order? ${policy}`)) return;
+
+    const result = await orderAPI.cancelOrder(order.id || order._id, '');
+    if (result.success) {
+      setOrders(current => current.map(o => ((o.id || o._id) === (order.id || order._id) ? result.data.order : o)));
+      alert('✅ ' + result.data.message);
+    } else {
+      alert('❌ ' + result.error);
+    }
+  };
+
+  // Resolves with an error message or null
+  const handleBookDelivery = async (order, slot) => {
+    const result = await orderAPI.bookDelivery(order.id || order._id, slot);
+    if (!result.success) return (result.data?.errors || [result.error]).join('. ');
+    setOrders(current => current.map(o => ((o.id || o._id) === (order.id || order._id) ? result.data.order : o)));
+    return null;
+  };
+
+  const handleResendVerification = async () => {
+    setResending(true);
+    const result = await authAPI.resendVerification();
+    setVerification(result.success
+      ? { type: 'success', message: result.data.message }
+      : { type: 'error', message: result.error });
+    setResending(false);
+  };
+
+  // The server session is already gone (account deleted or signed out from the sessions list)
+  const handleSignedOut = async () => {
+    await logout();
+    onNavigate('home');
+  };
+
+  const verificationBanner = verification && (
+    <div className={`px-4 py-3 rounded-lg text-sm border ${verification.type === 'success' ? 'bg-green-50 border-green-300 text-green-700' : 'bg-red-50 border-red-300 text-red-700'}`}>
+      {verification.message}
+    </div>
+  );
+
+  useEffect(() => {
+    const fetchOrders = async () => {
+      if (user) {
+        setLoading(true);
+        const result = await orderAPI.getOrders();
+        if (result.success && result.data) {
+          setOrders(result.data.orders || result.data);
+        }
+        setLoading(false);
+      }
+    };
+    fetchOrders();
+  }, [user]);
+
+  const handleDownloadInvoice = async (order) => {
+    const result = await orderAPI.downloadInvoice(order.id || order._id, order.orderNumber);
+    if (!result.success) alert('❌ ' + result.error);
   };
 
   if (!user) {
@@ -2430,6 +3793,7 @@ const AccountPage = ({ onNavigate }) => {
         <div className="text-center bg-white p-12 rounded-2xl shadow-2xl border border-purple-100">
           <User className="w-16 h-16 mx-auto mb-4 text-purple-400" />
           <h2 className="text-2xl font-semibold mb-4 text-slate-900">Please Log In</h2>
+          {verificationBanner && <div className="mb-4">{verificationBanner}</div>}
           <p className="text-gray-600 mb-6">You need to be logged in to view your account</p>
           <button
             onClick={() => onNavigate('login')}
@@ -2459,104 +3823,156 @@ const AccountPage = ({ onNavigate }) => {
             </button>
           </div>
 
-          <div className="grid md:grid-cols-3 gap-6 py-6">
-            <div className="space-y-2">
-              <label className="text-sm font-medium text-gray-600">Name</label>
-              <div className="text-xl font-semibold text-slate-900">{user.name || 'N/A'}</div>
-            </div>
-            <div className="space-y-2">
-              <label className="text-sm font-medium text-gray-600">Email</label>
-              <div className="text-xl font-semibold text-slate-900">{user.email}</div>
-            </div>
-            <div className="space-y-2">
-              <label className="text-sm font-medium text-gray-600">Region</label>
-              <div className="text-xl font-semibold text-slate-900">{user.region || 'Not set'}</div>
-            </div>
+          {verificationBanner}
+
+          <div className="flex gap-2">
+            {[['overview', 'Overview'], ['settings', 'Settings']].map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => setTab(id)}
+                className={`px-5 py-2 rounded-lg font-semibold text-sm transition ${tab === id ? 'bg-gradient-to-r from-purple-600 to-blue-600 text-white' : 'text-purple-700 hover:bg-purple-50'}`}
+              >
+                {label}
+              </button>
+            ))}
           </div>
 
-          <div className="border-t border-purple-100 pt-6">
-            <h3 className="text-2xl font-semibold mb-4 text-slate-900">Order History</h3>
-            {loading ? (
-              <div className="text-center p-12">
-                <Loader2 className="w-12 h-12 animate-spin text-purple-600 mx-auto mb-4" />
-                <p className="text-gray-600">Loading your orders...</p>
-              </div>
-            ) : orders.length === 0 ? (
-              <div className="bg-gradient-to-br from-purple-50 to-blue-50 rounded-xl p-12 text-center border-2 border-dashed border-purple-300">
-                <ShoppingCart className="w-16 h-16 mx-auto mb-4 text-purple-400" />
-                <p className="text-gray-600 font-medium mb-2">No orders yet</p>
-                <p className="text-sm text-gray-500">Configure and order your dream Tesla!</p>
-                <button
-                  onClick={() => onNavigate('home')}
-                  className="mt-4 bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white px-6 py-2 rounded-lg text-sm font-semibold transition-all duration-300"
-                >
-                  Browse Vehicles
-                </button>
-              </div>
-            ) : (
-              <div className="space-y-4">
-                {orders.map((order, index) => (
-                  <div key={order._id || index} className="bg-gradient-to-br from-purple-50 to-blue-50 rounded-xl p-6 border border-purple-200">
-                    <div className="flex justify-between items-start mb-4">
-                      <div>
-                        <h4 className="text-xl font-semibold text-slate-900">{order.vehicleName}</h4>
-                        <p className="text-sm text-gray-600">Order #{(order._id || '').slice(-8)}</p>
-                      </div>
-                      <div className="text-right">
-                        <div className="text-2xl font-bold text-purple-600">${order.totalPrice?.toLocaleString() || '0'}</div>
-                        <div className="text-xs text-gray-500">{new Date(order.createdAt).toLocaleDateString()}</div>
-                      </div>
-                    </div>
-                    {order.selectedOptions && (
-                      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-sm mb-4">
-                        <div>
-                          <span className="text-gray-600">Battery:</span>
-                          <p className="font-medium">{order.selectedOptions.battery?.name || 'N/A'}</p>
-                        </div>
-                        <div>
-                          <span className="text-gray-600">Paint:</span>
-                          <p className="font-medium">{order.selectedOptions.paint?.name || 'N/A'}</p>
-                        </div>
-                        <div>
-                          <span className="text-gray-600">Wheels:</span>
-                          <p className="font-medium">{order.selectedOptions.wheels?.name || 'N/A'}</p>
+          {tab === 'settings' ? (
+            <div className="space-y-6">
+              <ProfileSettings />
+              <ChangePasswordSettings />
+              <TwoFactorSettings />
+              <ActiveSessions onSignedOut={handleSignedOut} />
+              <ApiTokenSettings />
+              <DataExportSettings />
+              <DeleteAccountSettings onDeleted={handleSignedOut} />
+            </div>
+          ) : (
+            <>
+              <div className="grid md:grid-cols-3 gap-6 py-6">
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-600">Name</label>
+                  <div className="text-xl font-semibold text-slate-900">{user.name || 'N/A'}</div>
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-600">Email</label>
+                  <div className="text-xl font-semibold text-slate-900">{user.email}</div>
+                  {user.emailVerified === false ? (
+                    <div className="flex items-center gap-3">
+                      <span className="inline-block bg-yellow-100 text-yellow-800 px-3 py-1 rounded-full text-xs font-medium">Not verified</span>
+                      <button
+                        onClick={handleResendVerification}
+                        disabled={resending}
+                        className="text-sm text-purple-600 hover:underline underline-offset-4 font-medium disabled:opacity-50"
+                      >
+                        {resending ? 'Sending...' : 'Resend verification email'}
+                      </button>
+                    </div>
+                  ) : (
+                    <span className="inline-flex items-center gap-1 bg-green-100 text-green-800 px-3 py-1 rounded-full text-xs font-medium">
+                      <Check className="w-3 h-3" /> Verified
+                    </span>
+                  )}
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-600">Region</label>
+                  <div className="text-xl font-semibold text-slate-900">{REGION_OPTIONS.find(r => r.value === user.region)?.label || user.region || 'Not set'}</div>
+                </div>
+              </div>
+
+              <div className="border-t border-purple-100 pt-6">
+                <h3 className="text-2xl font-semibold mb-4 text-slate-900">Order History</h3>
+                {loading ? (
+                  <div className="text-center p-12">
+                    <Loader2 className="w-12 h-12 animate-spin text-purple-600 mx-auto mb-4" />
+                    <p className="text-gray-600">Loading your orders...</p>
+                  </div>
+                ) : orders.length === 0 ? (
+                  <div className="bg-gradient-to-br from-purple-50 to-blue-50 rounded-xl p-12 text-center border-2 border-dashed border-purple-300">
+                    <ShoppingCart className="w-16 h-16 mx-auto mb-4 text-purple-400" />
+                    <p className="text-gray-600 font-medium mb-2">No orders yet</p>
+                    <p className="text-sm text-gray-500">Configure and order your dream Tesla!</p>
+                    <button
+                      onClick={() => onNavigate('home')}
+                      className="mt-4 bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-700 hover:to-blue-700 text-white px-6 py-2 rounded-lg text-sm font-semibold transition-all duration-300"
+                    >
+                      Browse Vehicles
+                    </button>
+                  </div>
+                ) : (
+                  <div className="space-y-4">
+                    {orders.map((order, index) => (
+                      <div key={order.id || order._id || index} className="bg-gradient-to-br from-purple-50 to-blue-50 rounded-xl p-6 border border-purple-200">
+                        <div className="flex justify-between items-start mb-4">
+                          <div>
+                            <h4 className="text-xl font-semibold text-slate-900">{order.vehicleName}</h4>
+                            <p className="text-sm text-gray-600">Order #{order.orderNumber || (order._id || '').slice(-8)}</p>
+                            {order.inventory && (
+                              <p className="text-xs text-gray-500">
+                                {order.inventory.condition === 'demo' ? 'Demo vehicle' : 'From inventory'} · VIN {order.inventory.vin}
+                              </p>
+                            )}
+                          </div>
+                          <div className="text-right">
+                            <div className="text-2xl font-bold text-purple-600">${order.totalPrice?.toLocaleString() || '0'}</div>
+                            <div className="text-xs text-gray-500">{new Date(order.createdAt).toLocaleDateString()}</div>
+                          </div>
                         </div>
-                        <div>
-                          <span className="text-gray-600">Interior:</span>
-                          <p className="font-medium">{order.selectedOptions.interior?.name || 'N/A'}</p>
+                        {order.selectedOptions && (
+                          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-sm mb-4">
+                            <div>
+                              <span className="text-gray-600">Battery:</span>
+                              <p className="font-medium">{order.selectedOptions.battery?.name || 'N/A'}</p>
+                            </div>
+                            <div>
+                              <span className="text-gray-600">Paint:</span>
+                              <p className="font-medium">{order.selectedOptions.paint?.name || 'N/A'}</p>
+                            </div>
+                            <div>
+                              <span className="text-gray-600">Wheels:</span>
+                              <p className="font-medium">{order.selectedOptions.wheels?.name || 'N/A'}</p>
+                            </div>
+                            <div>
+                              <span className="text-gray-600">Interior:</span>
+                              <p className="font-medium">{order.selectedOptions.interior?.name || 'N/A'}</p>
+                            </div>
+                            <div>
+                              <span className="text-gray-600">Autopilot:</span>
+                              <p className="font-medium">{order.selectedOptions.autopilot?.name || 'N/A'}</p>
+                            </div>
+                          </div>
+                        )}
+                        <div className="mt-4 pt-4 border-t border-purple-200">
+                          <OrderTimeline order={order} />
+                          {order.delivery && <DeliveryStatus order={order} onBook={handleBookDelivery} />}
                         </div>
-                        <div>
-                          <span className="text-gray-600">Autopilot:</span>
-                          <p className="font-medium">{order.selectedOptions.autopilot?.name || 'N/A'}</p>
+                        <div className="mt-4 pt-4 border-t border-purple-200 flex items-center justify-end">
+                          <div className="flex gap-2">
+                            {CANCELLABLE_STATUSES.includes(order.status) && (
+                              <button
+                                onClick={() => handleCancelOrder(order)}
+                                className="flex items-center gap-2 bg-white border-2 border-red-200 text-red-700 px-4 py-2 rounded-lg font-semibold hover:bg-red-50 hover:border-red-400 transition-all text-sm"
+                              >
+                                <X className="w-4 h-4" />
+                                Cancel Order
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleDownloadInvoice(order)}
+                              className="flex items-center gap-2 bg-gradient-to-r from-purple-600 to-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:shadow-lg transition-all text-sm"
+                            >
+                              <DollarSign className="w-4 h-4" />
+                              Download Invoice (PDF)
+                            </button>
+                          </div>
                         </div>
                       </div>
-                    )}
-                    <div className="mt-4 pt-4 border-t border-purple-200 flex items-center justify-between">
-                      <span className="inline-block bg-green-100 text-green-800 px-3 py-1 rounded-full text-xs font-medium">
-                        {order.status || 'Paid'}
-                      </span>
-                      <div className="flex gap-2">
-                        <button
-                          onClick={() => downloadOrderSummary(order)}
-                          className="flex items-center gap-2 bg-white border-2 border-purple-200 text-purple-700 px-4 py-2 rounded-lg font-semibold hover:bg-purple-50 hover:border-purple-400 transition-all text-sm"
-                        >
-                          <TrendingUp className="w-4 h-4" />
-                          Download Summary
-                        </button>
-                        <button
-                          onClick={() => downloadBill(order)}
-                          className="flex items-center gap-2 bg-gradient-to-r from-purple-600 to-blue-600 text-white px-4 py-2 rounded-lg font-semibold hover:shadow-lg transition-all text-sm"
-                        >
-                          <DollarSign className="w-4 h-4" />
-                          Download Bill
-                        </button>
-                      </div>
-                    </div>
+                    ))}
                   </div>
-                ))}
+                )}
               </div>
-            )}
-          </div>
+            </>
+          )}
 
           <div className="border-t border-purple-100 pt-6 flex gap-4">
             <button
@@ -2893,7 +4309,7 @@ const ChargingPage = ({ onNavigate }) => (
   </div>
 );
 
-const DiscoverPage = () => (
+const DiscoverPage = ({ onNavigate }) => (
   <div className="min-h-screen bg-[#020617] pt-24 pb-12 px-6">
     <div className="max-w-7xl mx-auto space-y-24">
 
@@ -2911,7 +4327,7 @@ const DiscoverPage = () => (
               <span className="bg-purple-600 text-white text-xs font-bold px-3 py-1 rounded-full w-fit mb-4">LIMITED TIME</span>
               <h3 className="text-3xl font-bold text-white mb-2">Model Y 0.99% APR</h3>
               <p className="text-gray-200 mb-6">Finance Model Y starting at 0.99% APR for 36 to 72 months.</p>
-              <button className="bg-white text-black py-3 rounded-xl font-semibold hover:bg-gray-200 transition-colors">
+              <button onClick={() => onNavigate('inventory')} className="bg-white text-black py-3 rounded-xl font-semibold hover:bg-gray-200 transition-colors">
                 View Inventory
               </button>
             </div>
@@ -2986,6 +4402,210 @@ const DiscoverPage = () => (
   </div>
 );
 
+// ==========================================
+// INVENTORY PAGE
+// ==========================================
+const INVENTORY_SORTS = [
+  { value: 'price', label: 'Price: low to high' },
+  { value: '-price', label: 'Price: high to low' },
+  { value: 'year', label: 'Newest' },
+  { value: 'mileage', label: 'Lowest mileage' },
+];
+
+const INVENTORY_PAGE_SIZE = 12;
+
+// Built vehicles at our delivery centers; reserving one holds it while the customer checks out
+const InventoryPage = ({ onNavigate }) => {
+  const { user } = useAuth();
+  const [filters, setFilters] = useState({ model: '', condition: '', centerId: '', maxPrice: '', sort: 'price' });
+  const [listings, setListings] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [skip, setSkip] = useState(0);
+  const [centers, setCenters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reserving, setReserving] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    deliveryAPI.getCenters().then(result => {
+      if (result.success) setCenters(result.data.centers);
+    });
+  }, []);
+
+  const search = useCallback(async () => {
+    setLoading(true);
+    const result = await inventoryAPI.search({ ...filters, limit: INVENTORY_PAGE_SIZE, skip });
+    if (result.success) {
+      setListings(result.data.data);
+      setTotal(result.data.pagination.total);
+    } else {
+      setStatus({ type: 'error', message: result.error });
+    }
+    setLoading(false);
+  }, [filters, skip]);
+
+  useEffect(() => {
+    search();
+  }, [search]);
+
+  const updateFilter = (field) => (e) => {
+    setFilters({ ...filters, [field]: e.target.value });
+    setSkip(0);
+  };
+
+  const handleReserve = async (listing) => {
+    if (!user) {
+      alert('Please login to reserve a vehicle');
+      onNavigate('login');
+      return;
+    }
+
+    setReserving(listing.vin);
+    setStatus(null);
+    const result = await inventoryAPI.hold(listing.vin);
+    setReserving(null);
+    if (!result.success) {
+      setStatus({ type: 'error', message: result.error });
+      search();
+      return;
+    }
+
+    const held = result.data.data;
+    sessionStorage.setItem('pendingOrder', JSON.stringify({
+      vehicleId: held.vehicleId,
+      vehicleName: held.vehicleName,
+      config: held.config,
+      region: held.location.region,
+      inventoryVin: held.vin,
+      holdExpiresAt: held.holdExpiresAt,
+      priceBreakdown: held.priceBreakdown,
+      totalPrice: held.priceBreakdown.total,
+      checkoutKey: newIdempotencyKey()
+    }));
+    onNavigate('payment');
+  };
+
+  const selectClass = 'bg-white/5 border border-white/10 text-white rounded-lg px-3 py-2 text-sm [&>option]:text-black';
+  return (
+    <div className="min-h-screen bg-[#020617] pt-24 pb-12 px-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-10">
+          <h1 className="text-5xl font-bold text-white mb-3">Inventory</h1>
+          <p className="text-gray-400">New and demo vehicles ready for delivery, no build time.</p>
+        </div>
+
+        <div className="flex flex-wrap gap-3 mb-8">
+          <select value={filters.model} onChange={updateFilter('model')} className={selectClass}>
+            <option value="">All models</option>
+            {Object.values(VEHICLES).map(vehicle => <option key={vehicle.id} value={vehicle.id}>{vehicle.name}</option>)}
+          </select>
+          <select value={filters.condition} onChange={updateFilter('condition')} className={selectClass}>
+            <option value="">New and demo</option>
+            <option value="new">New</option>
+            <option value="demo">Demo</option>
+          </select>
+          <select value={filters.centerId} onChange={updateFilter('centerId')} className={selectClass}>
+            <option value="">All locations</option>
+            {centers.map(center => <option key={center.id} value={center.id}>{center.name}</option>)}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="1000"
+            placeholder="Max price"
+            value={filters.maxPrice}
+            onChange={updateFilter('maxPrice')}
+            className={`${selectClass} w-36`}
+          />
+          <select value={filters.sort} onChange={updateFilter('sort')} className={`${selectClass} ml-auto`}>
+            {INVENTORY_SORTS.map(sort => <option key={sort.value} value={sort.value}>{sort.label}</option>)}
+          </select>
+        </div>
+
+        <StatusMessage status={status} />
+
+        {loading ? (
+          <div className="flex justify-center py-24"><Loader2 className="w-8 h-8 text-white animate-spin" /></div>
+        ) : listings.length === 0 ? (
+          <p className="text-center text-gray-400 py-24">No vehicles match these filters right now.</p>
+        ) : (
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6 mt-4">
+            {listings.map(listing => {
+              const vehicle = VEHICLES[listing.vehicleId];
+              return (
+                <div key={listing.vin} className="bg-white/5 border border-white/10 rounded-2xl overflow-hidden flex flex-col">
+                  <div className="aspect-[16/10] bg-gradient-to-b from-white/10 to-transparent relative">
+                    <img
+                      src={vehicle?.images?.[listing.config.paint]?.exterior || vehicle?.image}
+                      alt={listing.vehicleName}
+                      className="w-full h-full object-cover"
+                    />
+                    <span className={`absolute top-3 left-3 text-xs font-bold px-3 py-1 rounded-full ${listing.condition === 'demo' ? 'bg-amber-500 text-black' : 'bg-purple-600 text-white'}`}>
+                      {listing.condition === 'demo' ? 'DEMO' : 'NEW'}
+                    </span>
+                  </div>
+                  <div className="p-6 flex flex-col flex-1">
+                    <h2 className="text-xl font-bold text-white">{listing.year} {listing.vehicleName}</h2>
+                    <p className="text-gray-400 text-sm">{listing.variant}</p>
+                    <ul className="text-sm text-gray-300 mt-4 space-y-1 flex-1">
+                      <li>{listing.options.paint} · {listing.options.wheels}</li>
+                      <li>{listing.options.interior} interior · {listing.options.autopilot}</li>
+                      <li className="flex items-center gap-1"><Gauge className="w-4 h-4" /> {listing.mileage.toLocaleString()} mi</li>
+                      <li className="flex items-center gap-1"><MapPin className="w-4 h-4" /> {listing.location.centerName}</li>
+                      <li className="text-xs text-gray-500 font-mono">VIN {listing.vin}</li>
+                    </ul>
+                    <div className="mt-4 flex items-end justify-between">
+                      <div>
+                        {listing.discount > 0 && (
+                          <p className="text-sm text-gray-500 line-through">{formatAmount(listing.price)}</p>
+                        )}
+                        <p className="text-2xl font-bold text-white">{formatAmount(listing.salePrice)}</p>
+                        {listing.discount > 0 && (
+                          <p className="text-xs text-green-400">Save {formatAmount(listing.discount)}</p>
+                        )}
+                      </div>
+                      <button
+                        onClick={() => handleReserve(listing)}
+                        disabled={reserving === listing.vin}
+                        className="bg-white text-black px-5 py-2.5 rounded-xl font-semibold hover:bg-gray-200 transition-colors disabled:opacity-50"
+                      >
+                        {reserving === listing.vin ? <Loader2 className="w-4 h-4 animate-spin" /> : listing.holdExpiresAt ? 'Continue' : 'Reserve'}
+                      </button>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">Before taxes and fees for {listing.priceBreakdown.region.name}</p>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {total > INVENTORY_PAGE_SIZE && (
+          <div className="flex justify-center items-center gap-4 mt-10 text-white">
+            <button
+              onClick={() => setSkip(skip - INVENTORY_PAGE_SIZE)}
+              disabled={skip === 0}
+              className="p-2 rounded-lg border border-white/10 disabled:opacity-30"
+            >
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <span className="text-sm text-gray-400">
+              {skip + 1}–{Math.min(skip + INVENTORY_PAGE_SIZE, total)} of {total}
+            </span>
+            <button
+              onClick={() => setSkip(skip + INVENTORY_PAGE_SIZE)}
+              disabled={skip + INVENTORY_PAGE_SIZE >= total}
+              className="p-2 rounded-lg border border-white/10 disabled:opacity-30"
+            >
+              <ChevronRight className="w-5 h-5" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
 const ShopPage = () => {
   const [selectedCategory, setSelectedCategory] = useState(null);
 
@@ -3045,18 +4665,387 @@ const ShopPage = () => {
   );
 };
 
+// Trade-in estimate on the payment page (server: pricing/tradeIn.js). The credit is the low end
+// of the estimate; it's taken off the order now and confirmed or adjusted at appraisal.
+const TradeInPanel = ({ tradeIn, credit, onApply, onRemove, disabled }) => {
+  const [open, setOpen] = useState(false);
+  const [options, setOptions] = useState(null);
+  const [car, setCar] = useState({ make: '', model: '', year: '', mileage: '', condition: 'good' });
+  const [estimate, setEstimate] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!open || options) return;
+    tradeInAPI.getOptions().then(result => {
+      if (result.success) setOptions(result.data);
+      else setStatus({ type: 'error', message: result.error || 'Trade-in estimates are unavailable right now.' });
+    });
+  }, [open, options]);
+
+  const update = (field) => (e) => {
+    setCar({ ...car, [field]: e.target.value, ...(field === 'make' ? { model: '' } : {}) });
+    setEstimate(null);
+  };
+
+  const handleEstimate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setStatus(null);
+    const result = await tradeInAPI.estimate({ ...car, year: Number(car.year), mileage: Number(car.mileage) });
+    if (result.success) setEstimate(result.data.tradeIn);
+    else setStatus({ type: 'error', message: (result.data?.errors || [result.error]).join('. ') });
+    setBusy(false);
+  };
+
+  const handleApply = async () => {
+    setBusy(true);
+    const error = await onApply({ make: estimate.make, model: estimate.model, year: estimate.year, mileage: estimate.mileage, condition: estimate.condition });
+    if (error) setStatus({ type: 'error', message: error });
+    else setOpen(false);
+    setBusy(false);
+  };
+
+  if (tradeIn) {
+    return (
+      <div className="p-3 rounded-xl bg-green-50 border border-green-200 text-sm text-green-800">
+        <div className="flex justify-between items-center">
+          <span>Trade-in: {tradeIn.year} {tradeIn.make} {tradeIn.model} ({formatAmount(credit)} credit)</span>
+          {!disabled && (
+            <button type="button" onClick={onRemove} className="text-xs underline">Remove</button>
+          )}
+        </div>
+        <p className="text-xs mt-1">Final value is confirmed when we inspect the car at delivery.</p>
+      </div>
+    );
+  }
+
+  if (disabled) return null;
+
+  if (!open) {
+    return (
+      <button type="button" onClick={() => setOpen(true)} className="text-sm font-medium text-purple-700 hover:underline">
+        Have a car to trade in? Get an estimate
+      </button>
+    );
+  }
+
+  const inputClass = 'w-full px-2 py-1.5 rounded-lg border border-gray-300 text-sm';
+  return (
+    <form onSubmit={handleEstimate} className="p-4 rounded-xl border border-gray-200 space-y-3">
+      <h3 className="font-semibold">Trade-in estimate</h3>
+      {options && (
+        <div className="grid grid-cols-2 gap-2">
+          <select required value={car.make} onChange={update('make')} className={inputClass}>
+            <option value="">Make</option>
+            {Object.keys(options.makes).map(make => <option key={make} value={make}>{make}</option>)}
+          </select>
+          <select required value={car.model} onChange={update('model')} disabled={!car.make} className={inputClass}>
+            <option value="">Model</option>
+            {(options.makes[car.make] || []).map(model => <option key={model} value={model}>{model}</option>)}
+          </select>
+          <input
+            required
+            type="number"
+            min={options.years.min}
+            max={options.years.max}
+            placeholder="Year"
+            value={car.year}
+            onChange={update('year')}
+            className={inputClass}
+          />
+          <input required type="number" min="0" placeholder="Mileage" value={car.mileage} onChange={update('mileage')} className={inputClass} />
+          <select value={car.condition} onChange={update('condition')} className={`${inputClass} col-span-2`}>
+            {options.conditions.map(c => <option key={c.id} value={c.id}>{c.label} condition</option>)}
+          </select>
+        </div>
+      )}
+      {estimate && (
+        <div className="text-sm text-gray-700">
+          <p>Estimated value: <strong>{formatAmount(estimate.estimate.low)} – {formatAmount(estimate.estimate.high)}</strong></p>
+          <p className="text-xs text-gray-500">We'll credit {formatAmount(estimate.estimate.offer)} now, subject to appraisal.</p>
+        </div>
+      )}
+      <StatusMessage status={status} />
+      <div className="flex gap-2">
+        <button type="button" onClick={() => setOpen(false)} className="px-3 py-1.5 rounded-lg border border-gray-300 text-sm">Cancel</button>
+        {estimate ? (
+          <button type="button" onClick={handleApply} disabled={busy} className="px-3 py-1.5 rounded-lg bg-green-600 text-white text-sm disabled:opacity-50">
+            Apply {formatAmount(estimate.estimate.offer)} credit
+          </button>
+        ) : (
+          <button type="submit" disabled={busy || !options} className="px-3 py-1.5 rounded-lg bg-purple-600 text-white text-sm disabled:opacity-50">
+            Get estimate
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+// Checkout delivery choice: pickup center or home delivery, with an optional appointment.
+// Only the slot can change once the order is placed.
+const DeliveryStep = ({ orderData, onChange, onBook, placed }) => {
+  const [centers, setCenters] = useState([]);
+  const [plan, setPlan] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const choice = orderData.delivery || { method: 'pickup' };
+  const address = orderData.deliveryAddress || {};
+  const region = orderData.priceBreakdown?.region?.code || orderData.region;
+
+  useEffect(() => {
+    deliveryAPI.getCenters(region).then(result => {
+      if (result.success) setCenters(result.data.centers);
+    });
+  }, [region]);
+
+  const loadEstimate = useCallback(() => {
+    setError(null);
+    deliveryAPI.estimate({
+      inventoryVin: orderData.inventoryVin,
+      vehicleId: orderData.vehicleId,
+      config: orderData.config,
+      region,
+      method: choice.method,
+      centerId: choice.method === 'pickup' ? choice.centerId : undefined,
+    }).then(result => {
+      if (result.success) setPlan(result.data.delivery);
+      else {
+        setPlan(null);
+        setError((result.data?.errors || [result.error]).join('. '));
+      }
+    });
+  }, [orderData.inventoryVin, orderData.vehicleId, orderData.config, region, choice.method, choice.centerId]);
+
+  useEffect(() => {
+    loadEstimate();
+  }, [loadEstimate]);
+
+  // A new method or center has its own window, so any picked slot goes
+  const choose = (changes) => onChange({ delivery: { method: choice.method, centerId: choice.centerId, ...changes } });
+  const updateAddress = (field) => (e) => onChange({ deliveryAddress: { ...address, [field]: e.target.value } });
+
+  const handlePick = async (slot) => {
+    setBusy(true);
+    setError(await onBook({ ...choice, centerId: plan.centerId }, slot));
+    setBusy(false);
+  };
+
+  const inputClass = 'w-full px-2 py-1.5 rounded-lg border border-gray-300 text-sm disabled:bg-gray-50';
+  return (
+    <div className="p-4 rounded-xl border border-gray-200 space-y-3">
+      <h3 className="font-semibold">Delivery</h3>
+      <div className="flex gap-2">
+        {[['pickup', 'Pickup'], ['home', 'Home delivery']].map(([method, label]) => (
+          <button
+            type="button"
+            key={method}
+            disabled={placed}
+            onClick={() => choose({ method, centerId: undefined })}
+            className={`flex-1 py-1.5 rounded-lg border text-sm disabled:opacity-60 ${choice.method === method ? 'bg-black text-white border-black' : 'bg-white border-gray-300'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {choice.method === 'pickup' ? (
+        <select
+          value={plan?.centerId || ''}
+          disabled={placed}
+          onChange={(e) => choose({ centerId: e.target.value })}
+          className={inputClass}
+        >
+          {centers.filter(center => center.pickup).map(center => (
+            <option key={center.id} value={center.id}>{center.name}</option>
+          ))}
+        </select>
+      ) : (
+        <div className="grid grid-cols-2 gap-2">
+          <input placeholder="Street" value={address.street || ''} onChange={updateAddress('street')} disabled={placed} className={`${inputClass} col-span-2`} />
+          <input placeholder="City" value={address.city || ''} onChange={updateAddress('city')} disabled={placed} className={inputClass} />
+          <input placeholder="State" value={address.state || ''} onChange={updateAddress('state')} disabled={placed} className={inputClass} />
+          <input placeholder="ZIP / postcode" value={address.zip || ''} onChange={updateAddress('zip')} disabled={placed} className={inputClass} />
+          <input placeholder="Country" value={address.country || ''} onChange={updateAddress('country')} disabled={placed} className={inputClass} />
+        </div>
+      )}
+      {plan && (
+        <>
+          <p className="text-sm text-gray-700">
+            Estimated delivery window: <strong>{formatDeliveryWindow(plan.window)}</strong>
+            {choice.method === 'pickup' && <span className="block text-xs text-gray-500">{plan.centerAddress}</span>}
+          </p>
+          <p className="text-xs text-gray-500">
+            {choice.appointment
+              ? `Appointment: ${formatDeliveryDay(choice.appointment.date)} at ${choice.appointment.time}`
+              : 'Pick a slot now or later from your account page.'}
+          </p>
+          <DeliverySlotPicker delivery={{ ...plan, appointment: choice.appointment || null }} onPick={handlePick} busy={busy} />
+        </>
+      )}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
 // Payment Page Component
+// The order is created once per checkout (its id is kept with the pending order, so a retry
+// after a decline pays the same order) and is only Paid once the payment gateway confirms.
+// How long an inventory vehicle stays reserved for this checkout (server: INVENTORY_HOLD_MINUTES).
+// Once the order is placed the hold belongs to the order and is renewed when paying.
+const HoldCountdown = ({ vin, expiresAt, placed }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (placed) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [placed]);
+
+  const left = Math.max(0, new Date(expiresAt).getTime() - now);
+  const minutes = Math.floor(left / 60000);
+  const seconds = String(Math.floor((left % 60000) / 1000)).padStart(2, '0');
+
+  return (
+    <div className={`text-sm rounded-lg px-3 py-2 border ${left > 0 || placed ? 'bg-purple-50 border-purple-200 text-purple-900' : 'bg-amber-50 border-amber-200 text-amber-800'}`}>
+      <p className="flex items-center gap-1 font-medium">
+        <Clock className="w-4 h-4" />
+        {placed
+          ? 'Reserved for your order'
+          : left > 0
+            ? `Reserved for you for ${minutes}:${seconds}`
+            : 'Your reservation has run out. You can still pay if nobody else has reserved this vehicle.'}
+      </p>
+      <p className="text-xs font-mono mt-0.5">VIN {vin}</p>
+    </div>
+  );
+};
+
 const PaymentPage = ({ onNavigate }) => {
   const [loading, setLoading] = useState(false);
   const [orderData, setOrderData] = useState(null);
+  const [card, setCard] = useState({ name: '', number: '', expiry: '', cvc: '' });
+  const [status, setStatus] = useState(null);
+  const [challenge, setChallenge] = useState(null); // 3-D Secure nextAction
+  const [testCards, setTestCards] = useState([]);
   const { user } = useAuth();
 
   useEffect(() => {
     const data = sessionStorage.getItem('pendingOrder');
     if (data) setOrderData(JSON.parse(data));
     else onNavigate('home');
+    paymentAPI.getTestCards().then(result => {
+      if (result.success) setTestCards(result.data.cards);
+    });
   }, []);
 
+  const savePendingOrder = (data) => {
+    sessionStorage.setItem('pendingOrder', JSON.stringify(data));
+    setOrderData(data);
+  };
+
+  const handleSignedOut = (result) => {
+    if (result.status === 401) {
+      alert('Your session has expired. Please login again.');
+      onNavigate('login');
+      return true;
+    }
+    return false;
+  };
+
+  // Applies a confirm response: paid, 3-D Secure needed, or declined
+  const handlePaymentResult = (result) => {
+    if (result.success && result.data.payment.status === 'succeeded') {
+      sessionStorage.removeItem('pendingOrder');
+      alert('✅ Payment Successful! Order Placed.');
+      onNavigate('account');
+    } else if (result.success && result.data.payment.status === 'requires_action') {
+      setChallenge(result.data.payment.nextAction);
+    } else if (!handleSignedOut(result)) {
+      setStatus({ type: 'error', message: result.error || 'Unable to process payment. Please try again.' });
+    }
+  };
+
+  // Re-prices the checkout with (or without) a trade-in; resolves with an error message or null
+  const applyTradeIn = async (tradeIn) => {
+    const result = orderData.inventoryVin
+      ? await pricingAPI.quoteInventory(orderData.inventoryVin, tradeIn)
+      : await pricingAPI.quote(orderData.vehicleId, orderData.config, orderData.region, tradeIn);
+    if (!result.success) return (result.data?.errors || [result.error]).join('. ');
+
+    // The price changed, so this is a new order request with a new key
+    const next = {
+      ...orderData,
+      tradeIn,
+      priceBreakdown: result.data.priceBreakdown,
+      totalPrice: result.data.priceBreakdown.total,
+      checkoutKey: newIdempotencyKey()
+    };
+    if (!tradeIn) delete next.tradeIn;
+    savePendingOrder(next);
+    return null;
+  };
+
+  const updateDelivery = (changes) => savePendingOrder({ ...orderData, ...changes });
+
+  // Before the order exists the slot is only remembered; afterwards it is booked right away.
+  // Resolves with an error message or null.
+  const bookDelivery = async (choice, slot) => {
+    if (!orderData.orderId) {
+      updateDelivery({ delivery: { ...choice, appointment: slot } });
+      return null;
+    }
+    const result = await orderAPI.bookDelivery(orderData.orderId, slot);
+    if (!result.success) return (result.data?.errors || [result.error]).join('. ');
+    updateDelivery({ delivery: { ...choice, appointment: slot } });
+    return null;
+  };
+
+  // Places the order on the first attempt; later attempts reuse it
+  const ensureOrder = async () => {
+    if (orderData.orderId) return orderData.orderId;
+
+    const { checkoutKey, ...order } = orderData;
+    const result = await orderAPI.createOrder(order, checkoutKey);
+
+    // The catalog price moved since the configurator quoted it: show the new price and let them pay again
+    if (result.status === 409 && result.data?.code === 'PRICE_CHANGED') {
+      // A new price is a new request, so it needs a new key
+      savePendingOrder({
+        ...orderData,
+        priceBreakdown: result.data.priceBreakdown,
+        totalPrice: result.data.priceBreakdown.total,
+        checkoutKey: newIdempotencyKey()
+      });
+      setStatus({ type: 'error', message: result.data.message });
+      return null;
+    }
+
+    if (!result.success) {
+      console.error('Order failed:', result);
+      if (!handleSignedOut(result)) {
+        setStatus({ type: 'error', message: result.error || 'Unable to place your order. Please try again.' });
+        if (result.data?.code === 'EMAIL_NOT_VERIFIED') onNavigate('account');
+      }
+      return null;
+    }
+
+    const { delivery } = result.data.order;
+    const orderId = result.data.order.id || result.data.order._id;
+    savePendingOrder({
+      ...orderData,
+      orderId,
+      delivery: { method: delivery.method, centerId: delivery.centerId, appointment: delivery.appointment || undefined }
+    });
+
+    // The picked slot filled up meanwhile: let them pick another before paying
+    if (orderData.delivery?.appointment && !delivery.appointment) {
+      setStatus({ type: 'error', message: result.data.message });
+      return null;
+    }
+    return orderId;
+  };
+
   const handlePayment = async (e) => {
     e.preventDefault();
 
@@ -3067,35 +5056,39 @@ const PaymentPage = ({ onNavigate }) => {
       return;
     }
 
-    setLoading(true);
-
-    // Simulate payment processing
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const address = orderData.deliveryAddress || {};
+    if (orderData.delivery?.method === 'home' && (!address.street || !address.city)) {
+      setStatus({ type: 'error', message: 'Enter the street and city for home delivery.' });
+      return;
+    }
 
-    const result = await orderAPI.createOrder({
-      ...orderData,
-      paymentDetails: { last4: '4242', brand: 'Visa' }
-    });
+    setLoading(true);
+    setStatus(null);
 
-    if (result.success) {
-      sessionStorage.removeItem('pendingOrder');
-      alert('✅ Payment Successful! Order Placed.');
-      onNavigate('account');
-    } else {
-      // Show specific error message from backend
-      const errorMsg = result.error || result.data?.message || 'Unable to process payment. Please try again.';
-      console.error('Payment failed:', result);
-      alert('❌ Payment Failed: ' + errorMsg);
-
-      // If unauthorized, redirect to login
-      if (result.status === 401) {
-        alert('Your session has expired. Please login again.');
-        onNavigate('login');
+    const orderId = await ensureOrder();
+    if (orderId) {
+      const started = await paymentAPI.start(orderId);
+      if (!started.success) {
+        if (!handleSignedOut(started)) setStatus({ type: 'error', message: started.error });
+      } else {
+        const [expMonth, expYear] = card.expiry.split('/').map(part => part.trim());
+        handlePaymentResult(await paymentAPI.confirm(orderId, {
+          card: { number: card.number, expMonth, expYear, cvc: card.cvc, name: card.name }
+        }));
       }
     }
     setLoading(false);
   };
 
+  const handleChallenge = async (authentication) => {
+    setLoading(true);
+    setChallenge(null);
+    handlePaymentResult(await paymentAPI.confirm(orderData.orderId, { authentication }));
+    setLoading(false);
+  };
+
+  const updateCard = (field) => (e) => setCard({ ...card, [field]: e.target.value });
+
   if (!orderData) return null;
 
   return (
@@ -3107,20 +5100,53 @@ const PaymentPage = ({ onNavigate }) => {
           <div className="space-y-4">
             <div className="flex justify-between text-lg font-semibold">
               <span>{orderData.vehicleName}</span>
-              <span>${orderData.totalPrice.toLocaleString()}</span>
-            </div>
-            <div className="text-sm text-gray-600 space-y-1">
-              <p>Battery: {orderData.config.battery}</p>
-              <p>Paint: {orderData.config.paint}</p>
-              <p>Wheels: {orderData.config.wheels}</p>
-              <p>Interior: {orderData.config.interior}</p>
+              <span>{formatAmount(orderData.totalPrice)}</span>
             </div>
+            {orderData.inventoryVin && (
+              <HoldCountdown vin={orderData.inventoryVin} expiresAt={orderData.holdExpiresAt} placed={Boolean(orderData.orderId)} />
+            )}
+            {orderData.priceBreakdown ? (
+              <div className="text-sm text-gray-600 space-y-1">
+                {orderData.priceBreakdown.region && (
+                  <p className="text-xs uppercase tracking-wide text-gray-400">Delivered to {orderData.priceBreakdown.region.name}</p>
+                )}
+                {orderData.priceBreakdown.lineItems.map(item => (
+                  <div key={`${item.type}-${item.category || item.code}`} className={`flex justify-between ${item.amount < 0 ? 'text-green-700' : ''}`}>
+                    <span>{item.category ? `${item.category[0].toUpperCase()}${item.category.slice(1)}: ` : ''}{lineItemLabel(item)}</span>
+                    <span>{formatAmount(item.amount)}</span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-sm text-gray-600 space-y-1">
+                <p>Battery: {orderData.config.battery}</p>
+                <p>Paint: {orderData.config.paint}</p>
+                <p>Wheels: {orderData.config.wheels}</p>
+                <p>Interior: {orderData.config.interior}</p>
+              </div>
+            )}
             <div className="border-t pt-4 mt-4">
               <div className="flex justify-between font-bold text-xl">
                 <span>Total Due</span>
-                <span>${orderData.totalPrice.toLocaleString()}</span>
+                <span>{formatAmount(orderData.totalPrice)}</span>
               </div>
+              {formatDisplayTotal(orderData.priceBreakdown) && (
+                <p className="text-right text-xs text-gray-500 mt-1">{formatDisplayTotal(orderData.priceBreakdown)}</p>
+              )}
             </div>
+            <TradeInPanel
+              tradeIn={orderData.tradeIn}
+              credit={orderData.priceBreakdown?.tradeInCredit || 0}
+              onApply={applyTradeIn}
+              onRemove={() => applyTradeIn(null).then(error => error && setStatus({ type: 'error', message: error }))}
+              disabled={Boolean(orderData.orderId)}
+            />
+            <DeliveryStep
+              orderData={orderData}
+              onChange={updateDelivery}
+              onBook={bookDelivery}
+              placed={Boolean(orderData.orderId)}
+            />
           </div>
         </div>
 
@@ -3130,31 +5156,62 @@ const PaymentPage = ({ onNavigate }) => {
           <form onSubmit={handlePayment} className="space-y-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">Cardholder Name</label>
-              <input type="text" required className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-purple-500 outline-none" placeholder="John Doe" />
+              <input type="text" required value={card.name} onChange={updateCard('name')} className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-purple-500 outline-none" placeholder="John Doe" />
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">Card Number</label>
               <div className="relative">
-                <input type="text" required maxLength="19" className="w-full p-3 pl-10 border rounded-lg focus:ring-2 focus:ring-purple-500 outline-none" placeholder="0000 0000 0000 0000" />
+                <input type="text" required maxLength="23" inputMode="numeric" autoComplete="cc-number" value={card.number} onChange={updateCard('number')} className="w-full p-3 pl-10 border rounded-lg focus:ring-2 focus:ring-purple-500 outline-none" placeholder="0000 0000 0000 0000" />
                 <CreditCard className="absolute left-3 top-3.5 text-gray-400 w-5 h-5" />
               </div>
             </div>
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">Expiry</label>
-                <input type="text" required placeholder="MM/YY" className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-purple-500 outline-none" />
+                <input type="text" required pattern="\d{2}\s*/\s*\d{2}" autoComplete="cc-exp" value={card.expiry} onChange={updateCard('expiry')} placeholder="MM/YY" className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-purple-500 outline-none" />
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">CVC</label>
-                <input type="text" required maxLength="3" className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-purple-500 outline-none" placeholder="123" />
+                <input type="text" required maxLength="4" inputMode="numeric" autoComplete="cc-csc" value={card.cvc} onChange={updateCard('cvc')} className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-purple-500 outline-none" placeholder="123" />
               </div>
             </div>
+
+            <StatusMessage status={status} />
+
+            {challenge && (
+              <div className="p-4 rounded-lg border-2 border-purple-300 bg-purple-50 space-y-3">
+                <p className="font-semibold text-purple-900">Confirm with your bank</p>
+                <p className="text-sm text-gray-700">{challenge.message}</p>
+                <div className="flex gap-2">
+                  <button type="button" onClick={() => handleChallenge('approve')} className="flex-1 bg-purple-600 text-white py-2 rounded-lg font-semibold hover:bg-purple-700">Approve</button>
+                  <button type="button" onClick={() => handleChallenge('fail')} className="flex-1 bg-white border border-gray-300 py-2 rounded-lg font-semibold hover:bg-gray-50">Fail</button>
+                </div>
+              </div>
+            )}
+
             <button
-              disabled={loading}
+              disabled={loading || !!challenge}
               className="w-full bg-black text-white py-4 rounded-lg font-bold hover:bg-gray-800 transition-all disabled:opacity-50 flex justify-center items-center gap-2"
             >
-              {loading ? <Loader2 className="animate-spin" /> : <><Lock className="w-4 h-4" /> Pay ${orderData.totalPrice.toLocaleString()}</>}
+              {loading ? <Loader2 className="animate-spin" /> : <><Lock className="w-4 h-4" /> Pay {formatAmount(orderData.totalPrice)}</>}
             </button>
+
+            {testCards.length > 0 && (
+              <div className="text-xs text-gray-500 border-t pt-4">
+                <p className="font-semibold mb-1">Test mode: use any future expiry and any CVC</p>
+                {testCards.map(testCard => (
+                  <button
+                    type="button"
+                    key={testCard.number}
+                    onClick={() => setCard({ ...card, number: testCard.number })}
+                    className="flex justify-between w-full hover:text-purple-700"
+                  >
+                    <span className="font-mono">{testCard.number}</span>
+                    <span>{testCard.description}</span>
+                  </button>
+                ))}
+              </div>
+            )}
           </form>
         </div>
       </div>
@@ -4207,7 +6264,11 @@ const CustomerCarePage = () => {
 // Main App Component
 
 const TeslaApp = () => {
-  const [page, setPage] = useState('home');
+  const [page, setPage] = useState(() => {
+    if (getResetToken()) return 'login';
+    if (getVerifyToken()) return 'account';
+    return 'home';
+  });
   const [selectedVehicle, setSelectedVehicle] = useState(null);
   const handleSelect = (id) => {
     if (id.startsWith('demo-drive-')) {
@@ -4245,7 +6306,8 @@ const TeslaApp = () => {
         {page === 'contact' && <ContactPage />}
         {page === 'customer-care' && <CustomerCarePage />}
         {page === 'charging' && <ChargingPage onNavigate={setPage} />}
-        {page === 'discover' && <DiscoverPage />}
+        {page === 'discover' && <DiscoverPage onNavigate={setPage} />}
+        {page === 'inventory' && <InventoryPage onNavigate={setPage} />}
         {page === 'shop' && <ShopPage />}
         {page === 'payment' && <PaymentPage onNavigate={setPage} />}
         {page === 'configurator' && selectedVehicle && (
@@ -1,18 +1,68 @@
 // Load environment variables from .env file
 require('dotenv').config();
+const path = require('path');
+
+// The server listens here; the mock gateway's webhooks go back to it
+const PORT = parseInt(process.env.PORT, 10) || 5001;
 
 // Export the configuration object
 const config = {
     // Application settings
     NODE_ENV: process.env.NODE_ENV || 'development',
-    PORT: process.env.PORT || 5000,
+    PORT,
 
     // Security settings
     SESSION_SECRET: process.env.SESSION_SECRET || 'fallback_secret_must_be_changed',
     CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000',
+    PASSWORD_RESET_TTL_MINUTES: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30,
+    EMAIL_VERIFICATION_TTL_HOURS: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24,
+
+    // API access tokens (Authorization: Bearer), an alternative to the cookie session
+    JWT_SECRET: process.env.JWT_SECRET || process.env.SESSION_SECRET || 'fallback_jwt_secret_must_be_changed',
+    JWT_ACCESS_TTL_MINUTES: parseInt(process.env.JWT_ACCESS_TTL_MINUTES, 10) || 15,
+    JWT_REFRESH_TTL_DAYS: parseInt(process.env.JWT_REFRESH_TTL_DAYS, 10) || 30,
+
+    // Kept from the refund when an order is cancelled after processing has started
+    ORDER_FEE: parseInt(process.env.ORDER_FEE, 10) || 250,
+
+    // How long a POST with an Idempotency-Key header can be safely retried
+    IDEMPOTENCY_TTL_HOURS: parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24,
+
+    // How long an inventory vehicle stays held for a customer during checkout
+    INVENTORY_HOLD_MINUTES: parseInt(process.env.INVENTORY_HOLD_MINUTES, 10) || 15,
+
+    // Payments (see payments/gateway.js)
+    PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || 'mock',
+    PAYMENT_TIMEOUT_MS: parseInt(process.env.PAYMENT_TIMEOUT_MS, 10) || 10000, // give up waiting on the gateway
+    PAYMENT_WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET || 'mock_webhook_secret_change_me',
+    // Where the mock gateway delivers its webhook events (this server by default)
+    PAYMENT_WEBHOOK_URL: process.env.PAYMENT_WEBHOOK_URL || `http://localhost:${PORT}/api/payments/webhook`,
+
+    // Login brute-force protection
+    LOGIN_MAX_ACCOUNT_ATTEMPTS: parseInt(process.env.LOGIN_MAX_ACCOUNT_ATTEMPTS, 10) || 5, // failures before lockout
+    LOGIN_LOCKOUT_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+    LOGIN_MAX_IP_ATTEMPTS: parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS, 10) || 20, // failures per IP per window
+    LOGIN_ATTEMPT_WINDOW_MINUTES: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15,
+    LOGIN_BASE_DELAY_MS: parseInt(process.env.LOGIN_BASE_DELAY_MS, 10) || 250, // doubles with each failure
+    LOGIN_MAX_DELAY_MS: parseInt(process.env.LOGIN_MAX_DELAY_MS, 10) || 5000,
+    // Same 401 for unknown emails and wrong passwords, so login can't be used to discover accounts
+    AUTH_UNIFORM_ERRORS: process.env.AUTH_UNIFORM_ERRORS === 'true',
+
+    // Frontend URL used in links sent by email
+    APP_URL: process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000',
 
     // Database settings
+    DB_DRIVER: process.env.DB_DRIVER || 'json', // 'json' or 'mongo'
+    JSON_DB_FILE: process.env.JSON_DB_FILE || path.join(__dirname, '..', 'tesla_data.json'),
+    JSON_DB_FLUSH_MS: parseInt(process.env.JSON_DB_FLUSH_MS, 10) || 25, // write-behind batching window
     MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost:27017/tesla-clone',
+
+    // Mail settings
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'outbox', // 'outbox' or 'smtp'
+    MAIL_FROM: process.env.MAIL_FROM || 'Tesla <no-reply@tesla.local>',
+    MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'),
+    SMTP_HOST: process.env.SMTP_HOST || 'localhost',
+    SMTP_PORT: parseInt(process.env.SMTP_PORT, 10) || 1025, // MailHog / smtp4dev / maildev default
 };
 
 module.exports = config;
\ No newline at end of file
@@ -2,7 +2,7 @@ const mongoose = require('mongoose');
 
 /**
  * MongoDB Database Connection (OPTIONAL)
- * Falls back to JSON file database if MongoDB is not available
+ * Only used when DB_DRIVER=mongo; the default JSON store needs no connection
  */
 const connectDB = async () => {
   try {
@@ -19,8 +19,8 @@ const connectDB = async () => {
     return true;
   } catch (error) {
     console.warn('⚠️  MongoDB Connection Failed:', error.message);
-    console.warn('📝 Falling back to JSON file database');
     console.warn('💡 To use MongoDB: Install MongoDB locally or set MONGODB_URI in .env');
+    console.warn('📝 To use the JSON file database instead: set DB_DRIVER=json');
     return false; // Don't exit, just return false
   }
 };
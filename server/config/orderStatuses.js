@@ -0,0 +1,46 @@
+/**
+ * Order Lifecycle
+ * The statuses an order moves through and which moves are allowed. Orders go
+ * forward one step at a time; they can be cancelled until production starts.
+ * Delivered and Cancelled are final.
+ *
+ *   Pending -> Paid -> Processing -> In Production -> Ready for Delivery -> Delivered
+ *      \--------\----------\--> Cancelled
+ *
+ * Orders for a vehicle from inventory (order.inventory) are already built and
+ * go straight from Processing to Ready for Delivery.
+ */
+const ORDER_STATUSES = ['Pending', 'Paid', 'Processing', 'In Production', 'Ready for Delivery', 'Delivered', 'Cancelled'];
+
+const ORDER_TRANSITIONS = {
+    'Pending': ['Paid', 'Cancelled'],
+    'Paid': ['Processing', 'Cancelled'],
+    'Processing': ['In Production', 'Cancelled'],
+    'In Production': ['Ready for Delivery'],
+    'Ready for Delivery': ['Delivered'],
+    'Delivered': [],
+    'Cancelled': []
+};
+
+const INVENTORY_TRANSITIONS = {
+    ...ORDER_TRANSITIONS,
+    'Processing': ['Ready for Delivery', 'Cancelled']
+};
+
+// The moves allowed for `order` (any order when omitted)
+const transitionsFor = (order) => (order?.inventory ? INVENTORY_TRANSITIONS : ORDER_TRANSITIONS);
+
+// Where "advance" takes an order: the first allowed move that isn't a cancellation
+const nextStatus = (status, order) =>
+    (transitionsFor(order)[status] || []).find(next => next !== 'Cancelled') || null;
+
+const canTransition = (from, to, order) => (transitionsFor(order)[from] || []).includes(to);
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    INVENTORY_TRANSITIONS,
+    transitionsFor,
+    nextStatus,
+    canTransition
+};
@@ -0,0 +1,18 @@
+/**
+ * User Roles
+ * Every account has exactly one role. New signups are customers; only admins
+ * can change roles (PATCH /api/admin/users/:id/role or `npm run admin -- users:set-role`).
+ *
+ *   customer        - the default, no staff access
+ *   support_agent   - customer care queries and contact messages
+ *   service_advisor - service appointments
+ *   admin           - everything, including user roles
+ */
+const ROLES = ['customer', 'support_agent', 'service_advisor', 'admin'];
+
+const DEFAULT_ROLE = 'customer';
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE
+};
@@ -0,0 +1,23 @@
+/**
+ * API Token Scopes
+ * What a personal API token or access JWT is allowed to do. Cookie sessions
+ * are not scoped: a signed-in browser can do everything its role allows.
+ * Routes opt in to token access with requireScope(...); everything else stays
+ * session-only.
+ */
+const SCOPES = {
+    'profile:read': 'Read your profile',
+    'orders:read': 'List your orders',
+    'orders:write': 'Place orders',
+    'configs:read': 'Read your saved vehicle configurations',
+    'configs:write': 'Save vehicle configurations',
+    'service:read': 'Read your service requests',
+    'service:write': 'Create, change and cancel service requests'
+};
+
+const SCOPE_NAMES = Object.keys(SCOPES);
+
+module.exports = {
+    SCOPES,
+    SCOPE_NAMES
+};
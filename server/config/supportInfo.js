@@ -0,0 +1,25 @@
+/**
+ * Support Contact
+ * Where customers reach us. Served by GET /api/support-info and printed on
+ * invoices (utils/invoice.js), so both always show the same details.
+ */
+const SUPPORT_INFO = {
+    phone: '+91-8765432109',
+    email: 'ssanushka23@gmail.com',
+    address: {
+        name: 'PES University — Electronic City Campus',
+        street: '1 University Road, Hosur Road',
+        city: 'Bangalore',
+        state: 'Karnataka',
+        zip: '560100',
+        country: 'India'
+    },
+    hours: {
+        weekdays: '9:00 AM - 6:00 PM IST',
+        weekends: '10:00 AM - 4:00 PM IST'
+    }
+};
+
+module.exports = {
+    SUPPORT_INFO
+};
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Delivery Scheduling
+ * Delivery windows and appointment slots. data/delivery_centers.json lists the
+ * delivery centers of each pricing region (pricing/regions.js), how many
+ * pickups and home deliveries each handles per slot, and the lead times:
+ *
+ *   lead time = vehicle + battery + region (+ homeDeliveryExtraDays for home delivery)
+ *
+ * Vehicles from inventory (inventory/stock.js) are already built, so only the
+ * region's lead time (and home delivery's extra days) apply to them.
+ *
+ * The window opens on the first open day after the lead time and lasts
+ * windowDays; customers book a slot inside it. Days are UTC dates ("2026-11-03")
+ * and slot times are the center's local time ("09:00").
+ *
+ * Bookings are counted by the store (bookDeliveryAppointment), which enforces
+ * the capacity.
+ */
+class DeliveryError extends Error {
+    constructor(message, errors = [message]) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.errors = errors;
+    }
+}
+
+const CENTERS_FILE = path.join(__dirname, '..', 'data', 'delivery_centers.json');
+
+const DELIVERY_METHODS = ['home', 'pickup'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let centers = null;
+
+const loadCenters = () => {
+    if (!centers) centers = JSON.parse(fs.readFileSync(CENTERS_FILE, 'utf8'));
+    return centers;
+};
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+const addDays = (day, days) => toDay(new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS));
+const today = () => toDay(new Date());
+
+const isOpenDay = (day) => loadCenters().slots.openDays.includes(new Date(`${day}T00:00:00Z`).getUTCDay());
+
+const nextOpenDay = (day) => {
+    let next = day;
+    while (!isOpenDay(next)) next = addDays(next, 1);
+    return next;
+};
+
+// null for unknown ids (including inherited keys like "constructor")
+const getCenter = (centerId) => {
+    const all = loadCenters().centers;
+    return Object.prototype.hasOwnProperty.call(all, centerId) ? { id: centerId, ...all[centerId] } : null;
+};
+
+const capacityFor = (centerId, method) => getCenter(centerId)?.capacity[method] || 0;
+
+// Centers for the client's picker, optionally only those of one region
+const listCenters = (region) => Object.keys(loadCenters().centers)
+    .map(getCenter)
+    .filter(center => !region || center.region === region)
+    .map(center => ({
+        id: center.id,
+        name: center.name,
+        region: center.region,
+        address: center.address,
+        pickup: center.capacity.pickup > 0,
+        homeDelivery: center.capacity.home > 0
+    }));
+
+/**
+ * The center handling a `method` delivery in `region`: `centerId` when it is
+ * one of the region's centers offering that method, otherwise the first that
+ * does. Throws DeliveryError when there is none.
+ */
+const resolveCenter = (region, method, centerId) => {
+    const offering = listCenters(region).filter(center => (method === 'home' ? center.homeDelivery : center.pickup));
+    if (!offering.length) {
+        throw new DeliveryError(method === 'home'
+            ? `Home delivery isn't available in ${region} yet; choose a pickup center`
+            : `We don't have a delivery center in ${region} yet`);
+    }
+    if (!centerId) return getCenter(offering[0].id);
+
+    if (!offering.some(center => center.id === centerId)) {
+        throw new DeliveryError(`${getCenter(centerId)?.name || centerId} doesn't handle ${method === 'home' ? 'home deliveries' : 'pickups'} in ${region}`);
+    }
+    return getCenter(centerId);
+};
+
+/**
+ * The delivery window for a configuration: { earliest, latest, leadTimeDays }.
+ * Unknown vehicles, batteries and regions add no lead time; `inStock` vehicles
+ * skip the build.
+ */
+const estimateWindow = ({ vehicleId, config = {}, region, method, inStock = false }, from = today()) => {
+    const { leadTimeDays, homeDeliveryExtraDays, windowDays } = loadCenters();
+    const build = inStock ? 0 : (leadTimeDays.vehicle[vehicleId] || 0) + (leadTimeDays.battery[config.battery] || 0);
+    const lead = build
+        + (leadTimeDays.region[region] || 0)
+        + (method === 'home' ? homeDeliveryExtraDays : 0);
+
+    const earliest = nextOpenDay(addDays(from, lead));
+    return { earliest, latest: addDays(earliest, windowDays - 1), leadTimeDays: lead };
+};
+
+/**
+ * What an order stores in `delivery` (without an appointment yet). `method`
+ * defaults to pickup; throws DeliveryError for an unknown method or center.
+ */
+const planDelivery = ({ vehicleId, config, region, method = 'pickup', centerId, inStock = false }) => {
+    if (!DELIVERY_METHODS.includes(method)) {
+        throw new DeliveryError(`Delivery method must be one of: ${DELIVERY_METHODS.join(', ')}`);
+    }
+    const center = resolveCenter(region, method, centerId);
+    const { earliest, latest, leadTimeDays } = estimateWindow({ vehicleId, config, region, method, inStock });
+
+    return {
+        method,
+        centerId: center.id,
+        centerName: center.name,
+        centerAddress: center.address,
+        window: { earliest, latest },
+        leadTimeDays,
+        appointment: null
+    };
+};
+
+// Throws DeliveryError unless { date, time } is a bookable slot of the delivery's window
+const checkAppointment = (delivery, { date, time } = {}) => {
+    const errors = [];
+    const { times } = loadCenters().slots;
+
+    if (!DAY_PATTERN.test(String(date || ''))) {
+        errors.push('Date must look like 2026-11-03');
+    } else {
+        if (date < delivery.window.earliest || date > delivery.window.latest) {
+            errors.push(`Pick a day between ${delivery.window.earliest} and ${delivery.window.latest}`);
+        }
+        if (date < today()) errors.push('That day has already passed');
+        if (!isOpenDay(date)) errors.push(`${delivery.centerName} is closed on ${date}`);
+    }
+    if (!times.includes(time)) errors.push(`Time must be one of: ${times.join(', ')}`);
+
+    if (errors.length) throw new DeliveryError('Invalid delivery appointment', errors);
+};
+
+/**
+ * Open slots of a center from `from` to `to` (inclusive), given the store's
+ * booking counts ([{ date, time, booked }]). Returns
+ * [{ date, slots: [{ time, capacity, booked, available }] }] for open days.
+ */
+const slotAvailability = (centerId, method, from, to, bookings = []) => {
+    const { times } = loadCenters().slots;
+    const capacity = capacityFor(centerId, method);
+    const booked = (date, time) => bookings.find(b => b.date === date && b.time === time)?.booked || 0;
+
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        if (!isOpenDay(date)) continue;
+        days.push({
+            date,
+            slots: times.map(time => ({
+                time,
+                capacity,
+                booked: booked(date, time),
+                available: Math.max(0, capacity - booked(date, time))
+            }))
+        });
+    }
+    return days;
+};
+
+module.exports = {
+    DeliveryError,
+    DELIVERY_METHODS,
+    DAY_PATTERN,
+    addDays,
+    today,
+    getCenter,
+    capacityFor,
+    listCenters,
+    estimateWindow,
+    planDelivery,
+    checkAppointment,
+    slotAvailability
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { getVehicle } = require('../pricing/catalog');
+const { priceConfiguration, PricingError } = require('../pricing/pricingEngine');
+const { getCenter, capacityFor, planDelivery } = require('../delivery/scheduler');
+
+/**
+ * Vehicle Inventory
+ * Built vehicles waiting at a delivery center, each with its own VIN. A stock
+ * vehicle is a catalog configuration (pricing/pricingEngine.js) plus a discount
+ * off its catalog price, priced in the region of the center it stands at.
+ *
+ *   available -> reserved (held for one customer) -> sold (order paid)
+ *
+ * A hold lasts INVENTORY_HOLD_MINUTES. Placing the order moves the hold to the
+ * order, and starting the payment extends it; a hold that runs out puts the
+ * vehicle back on sale. Cancelling the order releases it too.
+ */
+class InventoryError extends Error {
+    constructor(message, errors = [message]) {
+        super(message);
+        this.name = 'InventoryError';
+        this.errors = errors;
+    }
+}
+
+const STOCK_FILE = path.join(__dirname, '..', 'data', 'inventory_stock.json');
+
+const INVENTORY_CONDITIONS = ['new', 'demo'];
+const INVENTORY_STATUSES = ['available', 'reserved', 'sold'];
+
+// 17 characters, never I, O or Q (the check digit isn't verified)
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+const holdExpiry = (from = new Date()) => new Date(from.getTime() + config.INVENTORY_HOLD_MINUTES * 60 * 1000);
+
+const isHeld = (record, now = new Date()) =>
+    record.status === 'reserved' && new Date(record.reservation.expiresAt) > now;
+
+// Reserved vehicles whose hold ran out are on sale again
+const isAvailable = (record, now = new Date()) =>
+    record.status === 'available' || (record.status === 'reserved' && !isHeld(record, now));
+
+const inventoryDiscount = (record) => ({
+    code: 'inventory_discount',
+    label: record.condition === 'demo'
+        ? `Demo vehicle discount (${record.mileage.toLocaleString('en-US')} mi)`
+        : 'Inventory discount',
+    amount: record.discount
+});
+
+/**
+ * priceConfiguration() for a stock vehicle: its own configuration, in its
+ * center's region, with its discount. Throws PricingError when the catalog no
+ * longer offers the configuration.
+ */
+const priceStockVehicle = (record, { tradeIn = null } = {}) => priceConfiguration(record.vehicleId, record.config, {
+    region: record.location.region,
+    tradeIn,
+    discount: inventoryDiscount(record)
+});
+
+/**
+ * planDelivery() for a stock vehicle: no build time, and handed over at the
+ * center it stands at unless another is picked or that center doesn't handle
+ * `method`. Throws DeliveryError like planDelivery().
+ */
+const planStockDelivery = (record, { method = 'pickup', centerId } = {}) => planDelivery({
+    vehicleId: record.vehicleId,
+    config: record.config,
+    region: record.location.region,
+    method,
+    centerId: centerId || (capacityFor(record.location.centerId, method) > 0 ? record.location.centerId : undefined),
+    inStock: true
+});
+
+/**
+ * What the inventory API shows for a stock record, or null when it can't be
+ * priced any more. `userId` marks the caller's own hold.
+ */
+const toListing = (record, { userId } = {}) => {
+    let priced;
+    try {
+        priced = priceStockVehicle(record);
+    } catch (err) {
+        if (err instanceof PricingError) return null;
+        throw err;
+    }
+    const { selectedOptions, breakdown } = priced;
+    const heldByYou = Boolean(userId) && isHeld(record) && String(record.reservation.userId) === String(userId);
+
+    return {
+        vin: record.vin,
+        vehicleId: record.vehicleId,
+        vehicleName: record.vehicleName,
+        variant: selectedOptions.battery.name,
+        year: record.year,
+        condition: record.condition,
+        mileage: record.mileage,
+        config: record.config,
+        options: Object.fromEntries(Object.entries(selectedOptions).map(([category, option]) => [category, option.name])),
+        location: record.location,
+        currency: breakdown.currency,
+        price: breakdown.subtotal + record.discount,
+        discount: record.discount,
+        salePrice: breakdown.subtotal,
+        priceBreakdown: breakdown,
+        available: isAvailable(record) || heldByYou,
+        status: record.status === 'sold' ? 'sold' : isHeld(record) ? 'reserved' : 'available',
+        holdExpiresAt: heldByYou ? record.reservation.expiresAt : null
+    };
+};
+
+/**
+ * Validates a vehicle for the stock ({ vin, vehicleId, year, condition, mileage,
+ * config, centerId, discount }) and returns the record to store. Throws
+ * InventoryError listing every problem.
+ */
+const newStockRecord = ({ vin, vehicleId, year, condition, mileage = 0, config: vehicleConfig, centerId, discount = 0 }) => {
+    const errors = [];
+    const normalizedVin = String(vin || '').trim().toUpperCase();
+    if (!VIN_PATTERN.test(normalizedVin)) errors.push('VIN must be 17 letters and digits (no I, O or Q)');
+
+    const vehicle = getVehicle(vehicleId);
+    if (!vehicle) errors.push(`Unknown vehicle: ${vehicleId}`);
+    if (!INVENTORY_CONDITIONS.includes(condition)) errors.push(`Condition must be one of: ${INVENTORY_CONDITIONS.join(', ')}`);
+    if (!Number.isInteger(year) || year < 2012 || year > new Date().getFullYear() + 1) errors.push('Year is out of range');
+    if (!Number.isFinite(mileage) || mileage < 0) errors.push('Mileage must be 0 or more');
+    if (!Number.isFinite(discount) || discount < 0) errors.push('Discount must be 0 or more');
+
+    const center = getCenter(centerId);
+    if (!center) errors.push(`Unknown delivery center: ${centerId}`);
+
+    if (vehicle && center) {
+        try {
+            const { breakdown } = priceConfiguration(vehicleId, vehicleConfig, { region: center.region });
+            if (discount >= breakdown.subtotal) errors.push('Discount must be less than the vehicle price');
+        } catch (err) {
+            if (!(err instanceof PricingError)) throw err;
+            errors.push(...err.errors);
+        }
+    }
+
+    if (errors.length) throw new InventoryError('Invalid inventory vehicle', errors);
+
+    return {
+        vin: normalizedVin,
+        vehicleId,
+        vehicleName: vehicle.name,
+        year,
+        condition,
+        mileage,
+        config: vehicleConfig,
+        location: { centerId: center.id, centerName: center.name, region: center.region },
+        discount,
+        status: 'available',
+        reservation: null
+    };
+};
+
+// The demo stock in data/inventory_stock.json
+const loadDemoStock = () => JSON.parse(fs.readFileSync(STOCK_FILE, 'utf8')).vehicles;
+
+module.exports = {
+    InventoryError,
+    INVENTORY_CONDITIONS,
+    INVENTORY_STATUSES,
+    VIN_PATTERN,
+    holdExpiry,
+    isHeld,
+    isAvailable,
+    priceStockVehicle,
+    planStockDelivery,
+    toListing,
+    newStockRecord,
+    loadDemoStock
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+
+/**
+ * Mailer
+ * sendMail({ to, subject, text }) delivers through the transport MAIL_TRANSPORT selects:
+ *
+ *   outbox - writes each message as an .eml file in MAIL_OUTBOX_DIR (default)
+ *   smtp   - plain SMTP to SMTP_HOST:SMTP_PORT, meant for a local catcher such as
+ *            MailHog or smtp4dev (no TLS, no auth)
+ *
+ * Both transports receive the same RFC 5322 message, so an outbox file can be
+ * opened in any mail client to see exactly what would have been sent.
+ */
+const encodeHeader = (value) =>
+    (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+// Header injection guard: recipients and subjects come from user input
+const singleLine = (value) => String(value).replace(/[\r\n]+/g, ' ').trim();
+
+const addressOf = (mailbox) => {
+    const match = /<([^>]+)>/.exec(mailbox);
+    return (match ? match[1] : mailbox).trim();
+};
+
+const buildMessage = ({ from, to, subject, text, messageId }) => [
+    `From: ${singleLine(from)}`,
+    `To: ${singleLine(to)}`,
+    `Subject: ${encodeHeader(singleLine(subject))}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    text.replace(/\r?\n/g, '\r\n')
+].join('\r\n');
+
+const outboxTransport = async (mail, message) => {
+    await fs.promises.mkdir(config.MAIL_OUTBOX_DIR, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const recipient = addressOf(mail.to).replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(config.MAIL_OUTBOX_DIR, `${stamp}-${recipient}.eml`);
+
+    await fs.promises.writeFile(file, message);
+    console.log(` Mail to ${addressOf(mail.to)} written to outbox: ${file}`);
+};
+
+/**
+ * Minimal SMTP client: one connection per message, waits for each reply
+ * before sending the next command and fails on any 4xx/5xx reply.
+ */
+const smtpTransport = (mail, message) => new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: config.SMTP_HOST, port: config.SMTP_PORT });
+    socket.setEncoding('utf8');
+    socket.setTimeout(10000);
+
+    // Dot-stuffing: a line starting with '.' would otherwise end the DATA section
+    const body = message.replace(/^\./gm, '..');
+    const steps = [
+        `EHLO ${os.hostname()}`,
+        `MAIL FROM:<${addressOf(mail.from)}>`,
+        `RCPT TO:<${addressOf(mail.to)}>`,
+        'DATA',
+        `${body}\r\n.`,
+        'QUIT'
+    ];
+
+    let buffer = '';
+    let step = -1; // -1 = waiting for the server greeting
+    let done = false;
+
+    const fail = (err) => {
+        if (done) return;
+        done = true;
+        socket.destroy();
+        reject(err);
+    };
+
+    socket.on('data', (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split('\r\n');
+        buffer = lines.pop();
+
+        lines.forEach((line) => {
+            // Multi-line replies use "250-..." for every line but the last ("250 ...")
+            if (done || line[3] === '-') return;
+
+            const code = parseInt(line.slice(0, 3), 10);
+            if (!(code >= 200 && code < 400)) {
+                fail(new Error(`SMTP error after "${steps[step] ? steps[step].split(' ')[0] : 'connect'}": ${line}`));
+                return;
+            }
+
+            step += 1;
+            if (step < steps.length) {
+                socket.write(`${steps[step]}\r\n`);
+            } else {
+                done = true;
+                socket.end();
+                console.log(` Mail to ${addressOf(mail.to)} sent via SMTP ${config.SMTP_HOST}:${config.SMTP_PORT}`);
+                resolve();
+            }
+        });
+    });
+
+    socket.on('timeout', () => fail(new Error('SMTP connection timed out')));
+    socket.on('error', fail);
+    socket.on('close', () => fail(new Error('SMTP connection closed unexpectedly')));
+});
+
+const TRANSPORTS = {
+    outbox: outboxTransport,
+    smtp: smtpTransport
+};
+
+const sendMail = async ({ to, subject, text }) => {
+    const transport = TRANSPORTS[config.MAIL_TRANSPORT];
+    if (!transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${config.MAIL_TRANSPORT}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+
+    const mail = { from: config.MAIL_FROM, to, subject, text };
+    const domain = addressOf(config.MAIL_FROM).split('@')[1] || 'localhost';
+    const messageId = `<${Date.now()}.${Math.random().toString(36).slice(2)}@${domain}>`;
+
+    await transport(mail, buildMessage({ ...mail, messageId }));
+};
+
+module.exports = {
+    sendMail
+};
@@ -0,0 +1,128 @@
+const config = require('../config/config');
+
+/**
+ * Email Templates
+ * Each template returns { subject, text } for mailer.sendMail().
+ */
+const signature = '\n\n— The Tesla Team';
+
+const passwordReset = ({ name, token, ttlMinutes }) => ({
+    subject: 'Reset your Tesla account password',
+    text: [
+        `Hi ${name},`,
+        '',
+        'We received a request to reset the password for your Tesla account.',
+        'Use the link below to choose a new password:',
+        '',
+        `${config.APP_URL}/?resetToken=${token}`,
+        '',
+        `This link expires in ${ttlMinutes} minutes and can only be used once.`,
+        "If you didn't ask to reset your password, you can ignore this email."
+    ].join('\n') + signature
+});
+
+const emailVerification = ({ name, token, ttlHours }) => ({
+    subject: 'Confirm your email for your Tesla account',
+    text: [
+        `Hi ${name},`,
+        '',
+        'Thanks for creating a Tesla account. Please confirm your email address:',
+        '',
+        `${config.APP_URL}/?verifyToken=${token}`,
+        '',
+        `This link expires in ${ttlHours} hours. You'll need a confirmed email to place an order.`,
+        "If you didn't create an account, you can ignore this email."
+    ].join('\n') + signature
+});
+
+const passwordChanged = ({ name }) => ({
+    subject: 'Your Tesla account password was changed',
+    text: [
+        `Hi ${name},`,
+        '',
+        'The password for your Tesla account was just changed.',
+        "If this wasn't you, reset your password right away and contact customer care."
+    ].join('\n') + signature
+});
+
+const accountLocked = ({ name, minutes }) => ({
+    subject: 'Your Tesla account has been temporarily locked',
+    text: [
+        `Hi ${name},`,
+        '',
+        `There were too many unsuccessful sign-in attempts on your Tesla account, so we've locked it for ${minutes} minutes.`,
+        'You can sign in again once the lock expires.',
+        '',
+        "If these attempts weren't you, choose a new password with \"Forgot password?\" on the sign-in page:",
+        config.APP_URL
+    ].join('\n') + signature
+});
+
+const money = (amount, currency = 'USD') =>
+    new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+const orderCancelled = ({ name, orderNumber, vehicleName, refund }) => ({
+    subject: `Your Tesla order ${orderNumber} has been cancelled`,
+    text: [
+        `Hi ${name},`,
+        '',
+        `Your order ${orderNumber} for a ${vehicleName} has been cancelled.`,
+        '',
+        ...(refund
+            ? [
+                `Refund: ${money(refund.amount, refund.currency)}` +
+                    (refund.orderFeeKept ? ` (the ${money(refund.orderFeeKept, refund.currency)} order fee is non-refundable once processing has started)` : ''),
+                "We'll email you again once the refund has been reviewed."
+            ]
+            : ['No payment was taken for this order, so there is nothing to refund.']),
+        '',
+        "If you didn't cancel this order, contact customer care right away."
+    ].join('\n') + signature
+});
+
+const refundDecision = ({ name, orderNumber, refund }) => ({
+    subject: refund.status === 'Approved'
+        ? `Your refund for order ${orderNumber} is on its way`
+        : `An update on the refund for order ${orderNumber}`,
+    text: [
+        `Hi ${name},`,
+        '',
+        ...(refund.status === 'Approved'
+            ? [`We've approved a refund of ${money(refund.amount, refund.currency)} for your cancelled order ${orderNumber}.`,
+                'It will be returned to your original payment method.']
+            : [`We couldn't approve the refund for your cancelled order ${orderNumber}.`,
+                'Please contact customer care if you have any questions.']),
+        ...(refund.decisionNote ? ['', `Note from our team: ${refund.decisionNote}`] : [])
+    ].join('\n') + signature
+});
+
+const tradeInAppraised = ({ name, orderNumber, tradeIn }) => {
+    const car = `${tradeIn.year} ${tradeIn.make} ${tradeIn.model}`;
+    const settlement = tradeIn.adjustment > 0
+        ? [`The extra ${money(tradeIn.adjustment, tradeIn.currency)} will be paid to you at delivery.`]
+        : tradeIn.adjustment < 0
+            ? [`The difference of ${money(-tradeIn.adjustment, tradeIn.currency)} will be due at delivery.`]
+            : [];
+    return {
+        subject: `Your trade-in for order ${orderNumber} has been appraised`,
+        text: [
+            `Hi ${name},`,
+            '',
+            tradeIn.status === 'Confirmed'
+                ? `We've confirmed the ${money(tradeIn.finalCredit, tradeIn.currency)} credit for your ${car}.`
+                : `After appraisal, the credit for your ${car} is ${money(tradeIn.finalCredit, tradeIn.currency)} (estimated at ${money(tradeIn.credit, tradeIn.currency)}).`,
+            ...settlement,
+            ...(tradeIn.appraisalNote ? ['', `Note from our team: ${tradeIn.appraisalNote}`] : [])
+        ].join('\n') + signature
+    };
+};
+
+module.exports = {
+    passwordReset,
+    passwordChanged,
+    emailVerification,
+    accountLocked,
+    orderCancelled,
+    refundDecision,
+    tradeInAppraised
+};
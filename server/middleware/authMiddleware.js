@@ -1,15 +1,146 @@
+const db = require('../database');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
+const { SCOPE_NAMES } = require('../config/scopes');
+const { resolveBearerToken } = require('../utils/apiTokens');
 
+/**
+ * Works out who is making the request and sets req.auth:
+ *
+ *   { userId, method: 'session' | 'api_token' | 'jwt', scopes }
+ *
+ * `scopes` is null for cookie sessions (not scoped). Requests without
+ * credentials get req.auth = null; a bad bearer token is rejected outright.
+ */
+const authenticate = async (req, res, next) => {
+    const [kind, token] = (req.get('authorization') || '').split(' ');
+
+    if (kind !== 'Bearer' || !token) {
+        req.auth = req.session?.userId
+            ? { userId: req.session.userId, method: 'session', scopes: null }
+            : null;
+        return next();
+    }
+
+    try {
+        req.auth = await resolveBearerToken(token);
+        if (!req.auth) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return res.status(401).json({
+                success: false,
+                code: 'INVALID_TOKEN',
+                message: 'The access token is invalid, expired or revoked.'
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// True when the request may act with `scope` (cookie sessions may do anything)
+const hasScope = (req, scope) =>
+    !!req.auth && (req.auth.scopes === null || req.auth.scopes.includes(scope));
+
+/**
+ * Lets a route be used with an API token that carries `scope`, as well as
+ * with a cookie session. The caller's id is req.auth.userId.
+ *
+ *   router.get('/', requireScope('orders:read'), handler)
+ */
+const requireScope = (scope) => {
+    if (!SCOPE_NAMES.includes(scope)) throw new Error(`requireScope: unknown scope ${scope}`);
+
+    return (req, res, next) => {
+        if (!req.auth) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required to access this resource.'
+            });
+        }
+        if (!hasScope(req, scope)) {
+            res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scope}"`);
+            return res.status(403).json({
+                success: false,
+                code: 'INSUFFICIENT_SCOPE',
+                message: `This token is missing the ${scope} scope.`
+            });
+        }
+        next();
+    };
+};
+
+// Any signed-in caller: cookie session or bearer token
 const isAuthenticated = (req, res, next) => {
-    
-    if (req.session.user) {
+
+    if (req.auth) {
         // User is authenticated, proceed to the next middleware or route handler
         next();
     } else {
         // User is not authenticated
-        res.status(401).json({ message: 'Authentication required to access this resource.' });
+        res.status(401).json({ success: false, message: 'Authentication required to access this resource.' });
+    }
+};
+
+/**
+ * Keeps the signed-in session's last activity and IP current so the
+ * active-sessions list reflects how each device is actually being used.
+ */
+const trackSessionActivity = (req, res, next) => {
+    if (req.session?.userId) {
+        req.session.lastActivity = Date.now();
+        req.session.ip = req.ip;
     }
+    next();
+};
+
+/**
+ * Allows the request through only for signed-in users with one of `roles`.
+ * Admins pass every role check. The loaded user is available as req.user.
+ *
+ *   router.get('/all', requireRole('support_agent'), handler)
+ */
+const requireRole = (...roles) => {
+    const unknown = roles.filter(role => !ROLES.includes(role));
+    if (unknown.length) throw new Error(`requireRole: unknown role(s) ${unknown.join(', ')}`);
+
+    return async (req, res, next) => {
+        try {
+            if (!req.session?.userId) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required to access this resource.'
+                });
+            }
+
+            const user = await db.findUserById(req.session.userId);
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required to access this resource.'
+                });
+            }
+
+            const role = user.role || DEFAULT_ROLE;
+            if (role !== 'admin' && !roles.includes(role)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to access this resource.'
+                });
+            }
+
+            req.user = user;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
 };
 
 module.exports = {
+    authenticate,
+    hasScope,
+    requireScope,
     isAuthenticated,
-};
\ No newline at end of file
+    trackSessionActivity,
+    requireRole,
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const db = require('../database');
+
+/**
+ * Idempotency-Key Support
+ * Lets a client retry a POST safely (double clicks, network retries). The first
+ * successful response for a user's key is stored for IDEMPOTENCY_TTL_HOURS and
+ * replayed for every retry with the same key and body, marked with an
+ * Idempotent-Replayed: true header. Failed responses aren't kept, so the same key
+ * can be retried once the problem is fixed.
+ *
+ *   router.post('/', requireScope('orders:write'), idempotent, handler)
+ *
+ * Requests without the header are handled as usual. Must come after the auth
+ * check: keys are per user (req.auth.userId).
+ */
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,255}$/;
+
+const requestHash = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+const idempotent = async (req, res, next) => {
+    const key = req.get('idempotency-key');
+    if (!key) return next();
+
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+            success: false,
+            code: 'INVALID_IDEMPOTENCY_KEY',
+            message: 'Idempotency-Key must be 8-255 letters, digits, "-" or "_"'
+        });
+    }
+
+    try {
+        const hash = requestHash(req);
+        const { record, created } = await db.claimIdempotencyKey({
+            userId: req.auth.userId,
+            key,
+            method: req.method,
+            path: req.originalUrl,
+            requestHash: hash,
+            expiresAt: new Date(Date.now() + config.IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+        });
+
+        if (!created) {
+            if (record.requestHash !== hash) {
+                return res.status(422).json({
+                    success: false,
+                    code: 'IDEMPOTENCY_KEY_REUSED',
+                    message: 'This Idempotency-Key was already used for a different request'
+                });
+            }
+            if (record.status !== 'completed') {
+                res.set('Retry-After', '1');
+                return res.status(409).json({
+                    success: false,
+                    code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+                    message: 'The original request with this Idempotency-Key is still being processed'
+                });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.responseStatus).json(record.responseBody);
+        }
+
+        // Store the response before sending it, so a retry can never miss it
+        let settled = false;
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            settled = true;
+            const saved = res.statusCode < 300
+                ? db.completeIdempotencyKey(record.id, { responseStatus: res.statusCode, responseBody: body })
+                : db.releaseIdempotencyKey(record.id);
+            saved
+                .catch(err => console.error('Idempotency key update failed:', err))
+                .then(() => sendJson(body));
+            return res;
+        };
+
+        // The handler crashed or the client went away without a JSON response
+        res.on('close', () => {
+            if (!settled) db.releaseIdempotencyKey(record.id).catch(() => {});
+        });
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    idempotent
+};
@@ -0,0 +1,135 @@
+const bcrypt = require('bcryptjs');
+const config = require('../config/config');
+const db = require('../database');
+const { sendMail } = require('../mail/mailer');
+const templates = require('../mail/templates');
+
+/**
+ * Login Brute-force Protection
+ *
+ * Per IP (in memory): failed logins are counted in a sliding window. Each
+ * failure slows that IP's next attempt down (LOGIN_BASE_DELAY_MS, doubling up
+ * to LOGIN_MAX_DELAY_MS) and after LOGIN_MAX_IP_ATTEMPTS it gets 429s until
+ * the window passes.
+ *
+ * Per account (stored on the user): after LOGIN_MAX_ACCOUNT_ATTEMPTS failures
+ * in a row the account is locked for LOGIN_LOCKOUT_MINUTES, even for the right
+ * password. A successful login resets the count.
+ */
+const WINDOW_MS = config.LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+
+// Compared against when the email is unknown, so both cases take as long as a real check
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const ipFailures = new Map(); // ip -> [timestamps of failed attempts]
+
+const recentIpFailures = (ip) => {
+    const cutoff = Date.now() - WINDOW_MS;
+    const recent = (ipFailures.get(ip) || []).filter(time => time > cutoff);
+    if (recent.length) ipFailures.set(ip, recent);
+    else ipFailures.delete(ip);
+    return recent;
+};
+
+// Forget IPs whose failures have all aged out
+setInterval(() => {
+    [...ipFailures.keys()].forEach(recentIpFailures);
+}, WINDOW_MS).unref();
+
+const delayFor = (failures) =>
+    (failures > 0 ? Math.min(config.LOGIN_MAX_DELAY_MS, config.LOGIN_BASE_DELAY_MS * 2 ** (failures - 1)) : 0);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const minutesUntil = (date) => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 60000));
+
+/**
+ * Middleware for POST /login: blocks IPs over the limit, otherwise waits
+ * out the progressive delay before the route checks the password.
+ *
+ * The attempt counts as a failure from here on, so parallel guesses can't all
+ * get in under the limit before any of them is recorded. It is taken back once
+ * the response has been sent, unless the route called recordIpFailure(req).
+ */
+const loginIpGuard = async (req, res, next) => {
+    const failures = recentIpFailures(req.ip);
+
+    if (failures.length >= config.LOGIN_MAX_IP_ATTEMPTS) {
+        const retryAfterMs = failures[0] + WINDOW_MS - Date.now();
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        return res.status(429).json({
+            success: false,
+            code: 'TOO_MANY_ATTEMPTS',
+            message: `Too many failed sign-in attempts. Please try again in ${minutesUntil(Date.now() + retryAfterMs)} minutes.`
+        });
+    }
+
+    const attempt = Date.now();
+    ipFailures.set(req.ip, [...failures, attempt]);
+    res.on('finish', () => {
+        if (req.loginFailed) return;
+        const recent = recentIpFailures(req.ip);
+        const index = recent.indexOf(attempt);
+        if (index !== -1) recent.splice(index, 1);
+        if (!recent.length) ipFailures.delete(req.ip);
+    });
+
+    await sleep(delayFor(failures.length));
+    next();
+};
+
+// Keeps the attempt loginIpGuard counted for this request
+const recordIpFailure = (req) => {
+    req.loginFailed = true;
+};
+
+/**
+ * Minutes left on the account's lock, or 0 when it isn't locked.
+ */
+const accountLockMinutes = (user) =>
+    (user.lockedUntil && new Date(user.lockedUntil) > new Date() ? minutesUntil(user.lockedUntil) : 0);
+
+/**
+ * Counts a wrong password against the account and locks it once the limit is
+ * reached, emailing the owner about the lock. Resolves with true when this
+ * failure is the one that locked it.
+ */
+const recordAccountFailure = async (user) => {
+    const locked = await db.recordLoginFailure(user.id, {
+        maxAttempts: config.LOGIN_MAX_ACCOUNT_ATTEMPTS,
+        lockedUntil: new Date(Date.now() + config.LOGIN_LOCKOUT_MINUTES * 60 * 1000)
+    });
+
+    if (locked) {
+        try {
+            await sendMail({ to: user.email, ...templates.accountLocked({ name: user.name, minutes: config.LOGIN_LOCKOUT_MINUTES }) });
+        } catch (mailError) {
+            console.error('Account locked email failed:', mailError);
+        }
+    }
+    return locked;
+};
+
+/**
+ * recordAccountFailure without holding up the response, for wrong passwords:
+ * an unknown email has no account to update, so waiting on the write would
+ * let response times tell the two apart.
+ */
+const recordAccountFailureInBackground = (user) => {
+    recordAccountFailure(user).catch(err => console.error('Recording failed sign-in error:', err));
+};
+
+const clearAccountFailures = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockedUntil) return;
+    await db.updateUser(user.id, { failedLoginAttempts: 0, lockedUntil: null });
+};
+
+module.exports = {
+    loginIpGuard,
+    recordIpFailure,
+    accountLockMinutes,
+    recordAccountFailure,
+    recordAccountFailureInBackground,
+    clearAccountFailures,
+    DUMMY_PASSWORD_HASH
+};
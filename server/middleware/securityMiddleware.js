@@ -27,10 +27,14 @@ const helmetMiddleware = helmet({
 });
 
 // 3. Rate Limiter for Auth Routes
+// JSON body so the client's fetchWithAuth can show the message
 const authRateLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 50, 
-  message: 'Too many login attempts, please try again later.',
+  message: {
+    success: false,
+    message: 'Too many login attempts, please try again later.'
+  },
   standardHeaders: true,
   legacyHeaders: false,
 });
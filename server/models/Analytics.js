@@ -18,7 +18,10 @@ const analyticsSchema = new mongoose.Schema({
     eventType: {
         type: String,
         required: true,
-        enum: ['model_view', 'paint_click', 'wheel_click', 'interior_click', 'shop_click', 'configurator_open', 'page_view']
+        enum: [
+            'model_view', 'paint_click', 'wheel_click', 'interior_click', 'shop_click', 'configurator_open', 'page_view',
+            'config_change', 'customize_order_click', 'service_booking_submit'
+        ]
     },
     modelId: {
         type: String,
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { SCOPE_NAMES } = require('../config/scopes');
+
+/**
+ * API Token Schema
+ * Personal API tokens for scripts and other programmatic clients. Only the
+ * hash of the token is stored; `prefix` is kept so users can tell them apart.
+ */
+const apiTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    prefix: {
+        type: String,
+        required: true
+    },
+    scopes: [{
+        type: String,
+        enum: SCOPE_NAMES
+    }],
+    expiresAt: {
+        type: Date,
+        default: null // never
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+apiTokenSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Auth Token Schema
+ * Single-use, expiring tokens sent by email (password reset, email verification).
+ * Only the hash of the token is stored.
+ */
+const authTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Mongo removes tokens once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authTokenSchema.index({ userId: 1, type: 1 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
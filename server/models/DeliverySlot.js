@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+/**
+ * Delivery Slot Schema
+ * How many orders hold an appointment in one slot of a delivery center, so a
+ * booking can claim a place atomically (see delivery/scheduler.js). Derived
+ * from the orders: importData rebuilds it.
+ */
+const deliverySlotSchema = new mongoose.Schema({
+    centerId: { type: String, required: true },
+    method: { type: String, enum: ['home', 'pickup'], required: true },
+    date: { type: String, required: true }, // "2026-11-03"
+    time: { type: String, required: true }, // "09:00"
+    booked: { type: Number, default: 0, min: 0 }
+});
+
+deliverySlotSchema.index({ centerId: 1, method: 1, date: 1, time: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Idempotency Key Schema
+ * The first response to a request sent with an Idempotency-Key header, kept so
+ * a retry with the same key gets that response back instead of repeating the
+ * action (see middleware/idempotency.js).
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    method: String,
+    path: String,
+    requestHash: String, // the same key with a different body is rejected
+    status: {
+        type: String,
+        enum: ['in_progress', 'completed'],
+        default: 'in_progress'
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Mongo removes keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
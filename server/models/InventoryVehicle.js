@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Inventory Vehicle Schema
+ * One built vehicle in stock at a delivery center (see inventory/stock.js).
+ * The price isn't stored: it comes from the catalog, less `discount`.
+ */
+const inventoryVehicleSchema = new mongoose.Schema({
+    vin: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        match: /^[A-HJ-NPR-Z0-9]{17}$/
+    },
+    vehicleId: { type: String, required: true },
+    vehicleName: { type: String, required: true },
+    year: Number,
+    condition: { type: String, enum: ['new', 'demo'], default: 'new' },
+    mileage: { type: Number, min: 0, default: 0 },
+    config: {
+        battery: String,
+        paint: String,
+        wheels: String,
+        interior: String,
+        autopilot: String
+    },
+    location: {
+        centerId: String,
+        centerName: String,
+        region: String
+    },
+    discount: { type: Number, min: 0, default: 0 },
+    status: { type: String, enum: ['available', 'reserved', 'sold'], default: 'available' },
+    // Who holds the vehicle and until when; orderId once the order is placed
+    reservation: {
+        type: new mongoose.Schema({
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+            expiresAt: Date
+        }, { _id: false }),
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+inventoryVehicleSchema.index({ status: 1, vehicleId: 1 });
+inventoryVehicleSchema.index({ 'location.region': 1 });
+
+module.exports = mongoose.model('InventoryVehicle', inventoryVehicleSchema);
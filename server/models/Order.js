@@ -1,4 +1,97 @@
 const mongoose = require('mongoose');
+const { generateOrderNumber } = require('../utils/ids');
+const { ORDER_STATUSES } = require('../config/orderStatuses');
+const { TRADE_IN_STATUSES } = require('../pricing/tradeIn');
+
+// One row of the itemized price (see pricing/pricingEngine.js)
+const lineItemSchema = new mongoose.Schema({
+    type: { type: String, required: true }, // 'vehicle' | 'option' | 'discount' | 'fee' | 'tax' | 'incentive' | 'trade_in'
+    category: String,
+    code: String,
+    label: { type: String, required: true },
+    rate: Number, // taxes only
+    amount: { type: Number, required: true } // negative for discounts, incentives and trade-ins
+}, { _id: false });
+
+// One status change (see utils/orderLifecycle.js)
+const statusChangeSchema = new mongoose.Schema({
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    from: { type: String, default: null }, // null for the status the order was created with
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    changedByRole: String, // the user's role, or 'system'
+    note: String
+}, { _id: false });
+
+// The order's gateway payment (see payments/paymentService.js)
+const paymentSchema = new mongoose.Schema({
+    provider: String,
+    intentId: String,
+    status: { type: String, enum: ['requires_payment_method', 'requires_action', 'processing', 'succeeded'] },
+    amount: Number,
+    currency: String,
+    lastError: { code: String, message: String },
+    updatedAt: Date
+}, { _id: false });
+
+// Created when the customer cancels (see pricing/refundPolicy.js)
+const refundSchema = new mongoose.Schema({
+    policy: { type: String, enum: ['full', 'order_fee_kept'] },
+    amount: { type: Number, min: 0 },
+    orderFeeKept: { type: Number, min: 0 },
+    currency: String,
+    status: { type: String, enum: ['Requested', 'Approved', 'Denied'], default: 'Requested' },
+    requestedAt: Date,
+    decidedAt: Date,
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    decisionNote: String,
+    gatewayRefundId: String // set when the payment was refunded through the gateway
+}, { _id: false });
+
+// The customer's old car (see pricing/tradeIn.js); `credit` is already taken off totalPrice
+const tradeInSchema = new mongoose.Schema({
+    make: String,
+    model: String,
+    year: Number,
+    mileage: Number,
+    condition: String,
+    estimate: { low: Number, high: Number, offer: Number },
+    currency: String,
+    referenceVersion: String,
+    estimatedAt: Date,
+    credit: { type: Number, min: 0 },
+    status: { type: String, enum: TRADE_IN_STATUSES, default: 'Estimated' },
+    // Set at appraisal; adjustment = finalCredit - credit, settled at delivery
+    finalCredit: { type: Number, min: 0, default: null },
+    adjustment: { type: Number, default: null },
+    appraisedAt: Date,
+    appraisedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    appraisalNote: String
+}, { _id: false });
+
+// Where and when the car is handed over (see delivery/scheduler.js)
+const deliverySchema = new mongoose.Schema({
+    method: { type: String, enum: ['home', 'pickup'], required: true },
+    centerId: String,
+    centerName: String,
+    centerAddress: String,
+    window: { earliest: String, latest: String }, // "2026-11-03"
+    leadTimeDays: Number,
+    appointment: {
+        type: new mongoose.Schema({ date: String, time: String, bookedAt: Date }, { _id: false }),
+        default: null
+    }
+}, { _id: false });
+
+// The stock vehicle the order was placed for (see inventory/stock.js)
+const inventorySchema = new mongoose.Schema({
+    vin: String,
+    condition: { type: String, enum: ['new', 'demo'] },
+    year: Number,
+    mileage: Number,
+    location: { centerId: String, centerName: String, region: String },
+    discount: Number // already taken off priceBreakdown.subtotal
+}, { _id: false });
 
 /**
  * Order Schema
@@ -37,20 +130,58 @@ const orderSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // Server-computed price the order was placed at; totalPrice equals priceBreakdown.total
+    priceBreakdown: {
+        catalogVersion: String,
+        currency: String,
+        // Delivery region the taxes and fees were worked out for (pricing/regions.js)
+        region: {
+            code: String,
+            name: String,
+            country: String,
+            ratesVersion: String
+        },
+        lineItems: [lineItemSchema],
+        subtotal: Number, // vehicle and options, less any inventory discount
+        feeTotal: Number,
+        taxTotal: Number,
+        incentiveTotal: Number,
+        tradeInCredit: Number,
+        total: Number,
+        // The total converted to the region's currency at the stored rate; display only
+        display: {
+            currency: String,
+            exchangeRate: Number,
+            ratesAsOf: String,
+            total: Number
+        },
+        pricedAt: Date
+    },
+    // Card as reported by the gateway once the payment succeeded
     paymentDetails: {
         last4: String,
         brand: String
     },
+    payment: { type: paymentSchema, default: null },
     status: {
         type: String,
-        enum: ['Pending', 'Paid', 'Processing', 'In Production', 'Ready for Delivery', 'Delivered', 'Cancelled'],
+        enum: ORDER_STATUSES,
         default: 'Pending'
     },
+    // Oldest first; the last entry matches `status`
+    statusHistory: [statusChangeSchema],
+    refund: { type: refundSchema, default: null },
+    tradeIn: { type: tradeInSchema, default: null },
+    // Set for orders from inventory, which skip production
+    inventory: { type: inventorySchema, default: null },
     orderNumber: {
         type: String,
         unique: true
     },
+    delivery: { type: deliverySchema, default: null },
+    // The appointment day once booked, otherwise the end of the delivery window
     estimatedDelivery: Date,
+    anonymizedAt: Date, // set when the customer closed their account
     deliveryAddress: {
         street: String,
         city: String,
@@ -69,9 +200,7 @@ const orderSchema = new mongoose.Schema({
 // Generate order number before saving
 orderSchema.pre('save', async function (next) {
     if (!this.orderNumber) {
-        const timestamp = Date.now().toString(36).toUpperCase();
-        const random = Math.random().toString(36).substring(2, 7).toUpperCase();
-        this.orderNumber = `TSL-${timestamp}-${random}`;
+        this.orderNumber = generateOrderNumber();
     }
     next();
 });
@@ -79,6 +208,7 @@ orderSchema.pre('save', async function (next) {
 // Indexes
 orderSchema.index({ userId: 1, createdAt: -1 });
 orderSchema.index({ status: 1, createdAt: -1 });
-orderSchema.index({ orderNumber: 1 });
+orderSchema.index({ 'payment.intentId': 1 }, { sparse: true });
+orderSchema.index({ 'inventory.vin': 1 }, { sparse: true });
 
 module.exports = mongoose.model('Order', orderSchema);
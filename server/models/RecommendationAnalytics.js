@@ -4,7 +4,7 @@ const recommendationAnalyticsSchema = new mongoose.Schema({
     filterType: {
         type: String,
         required: true,
-        enum: ['priceRange', 'dailyDistance', 'passengers', 'style', 'cityHighwayRatio', 'colorPreference']
+        enum: ['priceRange', 'dailyDistance', 'passengers', 'style', 'priority', 'cityHighwayRatio', 'colorPreference']
     },
     filterValue: {
         type: String,
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
 
 /**
  * User Schema
@@ -31,6 +32,41 @@ const userSchema = new mongoose.Schema({
         trim: true,
         default: null
     },
+    region: {
+        type: String,
+        trim: true
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: DEFAULT_ROLE
+    },
+    // Set to false at signup; accounts created before verification existed have no value
+    emailVerified: {
+        type: Boolean
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
+    // Login lockout (see middleware/loginProtection.js)
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    // TOTP two-factor authentication (see routes/twoFactorRoutes.js)
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorSecret: String,
+    twoFactorPendingSecret: String, // set by enroll, promoted by confirm
+    twoFactorRecoveryCodes: [{ type: String }], // SHA-256 hashes
+    twoFactorLastCounter: Number, // last accepted time step, so a code can't be replayed
+    tokensRevokedAt: Date, // access/refresh JWTs issued before this are rejected
     preferences: {
         favoriteModels: [{ type: String }],
         mostViewedModel: { type: String },
@@ -50,18 +86,8 @@ const userSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Hash password before saving
-userSchema.pre('save', async function (next) {
-    if (!this.isModified('password')) return next();
-
-    try {
-        const salt = await bcrypt.genSalt(10);
-        this.password = await bcrypt.hash(this.password, salt);
-        next();
-    } catch (error) {
-        next(error);
-    }
-});
+// Passwords are hashed by authRoutes before they reach the store,
+// so there is no pre-save hashing hook here (it would double-hash).
 
 // Method to compare passwords
 userSchema.methods.comparePassword = async function (candidatePassword) {
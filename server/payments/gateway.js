@@ -0,0 +1,55 @@
+const config = require('../config/config');
+
+/**
+ * Payment Gateway
+ * Routes never talk to a card processor directly; they go through
+ * payments/paymentService.js, which uses the provider PAYMENT_PROVIDER selects:
+ *
+ *   mock - payments/mockGateway.js, a local stand-in with test cards (default)
+ *
+ * A provider implements:
+ *
+ *   name
+ *   createIntent({ amount, currency, metadata, idempotencyKey }) -> intent
+ *   confirmIntent(intentId, { card } | { authentication: 'approve' | 'fail' }) -> intent
+ *   refund(intentId, { amount, idempotencyKey }) -> { id, amount, status }
+ *   parseWebhook(rawBody, headers) -> { id, type, intent }
+ *   testCards() -> [{ number, description }]   (test gateways only)
+ *
+ * Amounts are in minor units (cents). An intent is
+ *   { id, amount, currency, status, metadata, card: { brand, last4 } | null,
+ *     lastError: { code, message } | null, nextAction: { type, message } | null }
+ * where status is one of:
+ *   requires_payment_method - nothing charged yet, or the last attempt failed
+ *   requires_action         - the customer has to authenticate (3-D Secure)
+ *   processing              - waiting on the bank
+ *   succeeded               - paid
+ */
+class PaymentError extends Error {
+    constructor(code, message, httpStatus = 402) {
+        super(message);
+        this.name = 'PaymentError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+const PROVIDERS = {
+    mock: './mockGateway'
+};
+
+let gateway = null;
+
+const getGateway = () => {
+    if (gateway) return gateway;
+    if (!PROVIDERS[config.PAYMENT_PROVIDER]) {
+        throw new Error(`Unknown PAYMENT_PROVIDER "${config.PAYMENT_PROVIDER}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    gateway = require(PROVIDERS[config.PAYMENT_PROVIDER]);
+    return gateway;
+};
+
+module.exports = {
+    PaymentError,
+    getGateway
+};
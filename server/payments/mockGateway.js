@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const { PaymentError } = require('./gateway');
+
+/**
+ * Mock Payment Gateway
+ * A local stand-in for a card processor so checkout works end to end without
+ * a real account. Intents are kept in memory; a restart forgets them, but
+ * payments made before it can still be refunded. Like a real provider, every
+ * payment that succeeds, fails or is refunded is also sent to
+ * PAYMENT_WEBHOOK_URL, signed with PAYMENT_WEBHOOK_SECRET.
+ *
+ * Test cards (any future expiry, any 3-4 digit CVC):
+ *
+ *   4242 4242 4242 4242  succeeds
+ *   5555 5555 5555 4444  succeeds (Mastercard)
+ *   4000 0000 0000 0002  declined: card_declined
+ *   4000 0000 0000 9995  declined: insufficient_funds
+ *   4000 0000 0000 3220  asks for 3-D Secure; approve or fail the challenge
+ *   4000 0000 0000 0119  the bank doesn't answer in time; fails later via webhook
+ *
+ * Any other number is declined as incorrect_number.
+ */
+const name = 'mock';
+
+const TEST_CARDS = {
+    '4242424242424242': { outcome: 'success', description: 'Succeeds' },
+    '5555555555554444': { outcome: 'success', description: 'Succeeds (Mastercard)' },
+    '4000000000000002': { outcome: 'decline', code: 'card_declined', description: 'Declined' },
+    '4000000000009995': { outcome: 'decline', code: 'insufficient_funds', description: 'Declined: insufficient funds' },
+    '4000000000003220': { outcome: '3ds', description: 'Requires 3-D Secure' },
+    '4000000000000119': { outcome: 'timeout', description: 'Times out' }
+};
+
+const DECLINE_MESSAGES = {
+    card_declined: 'Your card was declined.',
+    insufficient_funds: 'Your card has insufficient funds.',
+    incorrect_number: 'Your card number is incorrect.',
+    expired_card: 'Your card has expired.',
+    incorrect_cvc: "Your card's security code is incorrect.",
+    authentication_failed: 'We were unable to authenticate your payment method.',
+    processing_error: 'The bank did not respond. Your card was not charged.'
+};
+
+// How long a "timeout" card keeps the bank busy before failing, well past PAYMENT_TIMEOUT_MS
+const hangMs = () => config.PAYMENT_TIMEOUT_MS + 5000;
+
+const intents = new Map();
+const refunds = new Map(); // idempotencyKey -> refund
+const intentKeys = new Map(); // idempotencyKey -> intent id
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+const brandOf = (number) => {
+    if (/^4/.test(number)) return 'Visa';
+    if (/^(5[1-5]|2[2-7])/.test(number)) return 'Mastercard';
+    if (/^3[47]/.test(number)) return 'American Express';
+    return 'Card';
+};
+
+// Copies, so callers can't change the gateway's state
+const view = (intent) => JSON.parse(JSON.stringify(intent));
+
+const sign = (payload, timestamp) =>
+    crypto.createHmac('sha256', config.PAYMENT_WEBHOOK_SECRET).update(`${timestamp}.${payload}`).digest('hex');
+
+// Fire and forget, like a real provider; the receiver must cope with duplicates
+const sendWebhook = (type, intent) => {
+    const payload = JSON.stringify({ id: randomId('evt'), type, created: Date.now(), data: { intent: view(intent) } });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    fetch(config.PAYMENT_WEBHOOK_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Mock-Signature': `t=${timestamp},v1=${sign(payload, timestamp)}`
+        },
+        body: payload,
+        signal: AbortSignal.timeout(5000)
+    }).catch(err => console.error(` Mock gateway webhook ${type} failed:`, err.message));
+};
+
+const fail = (intent, code) => {
+    intent.status = 'requires_payment_method';
+    intent.nextAction = null;
+    intent.lastError = { code, message: DECLINE_MESSAGES[code] };
+    sendWebhook('payment_intent.payment_failed', intent);
+    return view(intent);
+};
+
+const succeed = (intent) => {
+    intent.status = 'succeeded';
+    intent.nextAction = null;
+    intent.lastError = null;
+    sendWebhook('payment_intent.succeeded', intent);
+    return view(intent);
+};
+
+const findIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) throw new PaymentError('intent_not_found', 'Payment not found', 404);
+    return intent;
+};
+
+// A restart forgets every intent, but orders paid before it still point at
+// theirs. Only paid orders are refunded, so a mock intent we no longer know is
+// taken to be a successful payment of at least the refund (nothing to check it against)
+const forgottenIntent = (intentId, amount) => {
+    if (!/^pi_mock_/.test(intentId)) return findIntent(intentId);
+    const intent = {
+        id: intentId,
+        amount,
+        currency: null,
+        status: 'succeeded',
+        metadata: {},
+        card: null,
+        lastError: null,
+        nextAction: null,
+        amountRefunded: 0,
+        createdAt: null
+    };
+    intents.set(intentId, intent);
+    return intent;
+};
+
+// Expiry as "MM/YY" or separate month/year; the card must not have expired
+const cardExpired = ({ expMonth, expYear }) => {
+    const month = parseInt(expMonth, 10);
+    let year = parseInt(expYear, 10);
+    if (!(month >= 1 && month <= 12) || !year) return true;
+    if (year < 100) year += 2000;
+    const now = new Date();
+    return year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1);
+};
+
+const createIntent = async ({ amount, currency, metadata = {}, idempotencyKey }) => {
+    if (idempotencyKey && intentKeys.has(idempotencyKey)) return view(intents.get(intentKeys.get(idempotencyKey)));
+
+    const intent = {
+        id: randomId('pi'),
+        amount,
+        currency: String(currency).toLowerCase(),
+        status: 'requires_payment_method',
+        metadata,
+        card: null,
+        lastError: null,
+        nextAction: null,
+        amountRefunded: 0,
+        createdAt: new Date().toISOString()
+    };
+    intents.set(intent.id, intent);
+    if (idempotencyKey) intentKeys.set(idempotencyKey, intent.id);
+    return view(intent);
+};
+
+const confirmIntent = async (intentId, { card, authentication } = {}) => {
+    const intent = findIntent(intentId);
+
+    if (intent.status === 'succeeded') return view(intent);
+    if (intent.status === 'processing') {
+        throw new PaymentError('payment_processing', 'This payment is still being processed by the bank.', 409);
+    }
+
+    // Second step of a 3-D Secure payment
+    if (authentication) {
+        if (intent.status !== 'requires_action') {
+            throw new PaymentError('no_action_required', 'This payment is not waiting for authentication.', 409);
+        }
+        return authentication === 'approve' ? succeed(intent) : fail(intent, 'authentication_failed');
+    }
+
+    if (intent.status !== 'requires_payment_method') {
+        throw new PaymentError('invalid_state', `Payment is ${intent.status}`, 409);
+    }
+
+    const number = String(card?.number || '').replace(/[\s-]/g, '');
+    intent.card = { brand: brandOf(number), last4: number.slice(-4) };
+
+    const testCard = TEST_CARDS[number];
+    if (!testCard) return fail(intent, 'incorrect_number');
+    if (cardExpired(card)) return fail(intent, 'expired_card');
+    if (!/^\d{3,4}$/.test(String(card.cvc || ''))) return fail(intent, 'incorrect_cvc');
+
+    switch (testCard.outcome) {
+        case 'success':
+            return succeed(intent);
+        case 'decline':
+            return fail(intent, testCard.code);
+        case '3ds':
+            intent.status = 'requires_action';
+            intent.nextAction = {
+                type: 'three_d_secure',
+                message: 'Your bank wants to confirm this payment. Approve it in the test challenge.'
+            };
+            return view(intent);
+        case 'timeout':
+        default:
+            intent.status = 'processing';
+            return new Promise((resolve) => {
+                setTimeout(() => resolve(fail(intent, 'processing_error')), hangMs()).unref();
+            });
+    }
+};
+
+const refund = async (intentId, { amount, idempotencyKey }) => {
+    if (idempotencyKey && refunds.has(idempotencyKey)) return { ...refunds.get(idempotencyKey) };
+
+    const intent = intents.get(intentId) || forgottenIntent(intentId, amount);
+    if (intent.status !== 'succeeded') {
+        throw new PaymentError('not_refundable', 'Only a successful payment can be refunded.', 409);
+    }
+    if (amount > intent.amount - intent.amountRefunded) {
+        throw new PaymentError('refund_exceeds_payment', 'The refund is larger than what is left of the payment.', 409);
+    }
+
+    intent.amountRefunded += amount;
+    const result = { id: randomId('re'), intentId, amount, status: 'succeeded' };
+    if (idempotencyKey) refunds.set(idempotencyKey, result);
+    sendWebhook('charge.refunded', intent);
+    return { ...result };
+};
+
+// Rejects events that weren't signed with PAYMENT_WEBHOOK_SECRET or are over five minutes old
+const parseWebhook = (rawBody, headers) => {
+    const header = headers['x-mock-signature'] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    const expected = Buffer.from(sign(String(rawBody), timestamp));
+    const received = Buffer.from(parts.v1 || '');
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > 300 ||
+        expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new PaymentError('invalid_signature', 'Webhook signature verification failed', 400);
+    }
+
+    const event = JSON.parse(rawBody);
+    return { id: event.id, type: event.type, intent: event.data.intent };
+};
+
+// Shown on the payment page while the mock gateway is in use
+const testCards = () => Object.entries(TEST_CARDS).map(([number, card]) => ({
+    number: number.replace(/(\d{4})(?=\d)/g, '$1 '),
+    description: card.description
+}));
+
+module.exports = {
+    name,
+    createIntent,
+    confirmIntent,
+    refund,
+    parseWebhook,
+    testCards
+};
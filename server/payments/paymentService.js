@@ -0,0 +1,193 @@
+const config = require('../config/config');
+const db = require('../database');
+const { PaymentError, getGateway } = require('./gateway');
+const { transitionOrder, OrderTransitionError } = require('../utils/orderLifecycle');
+const { computeRefund } = require('../pricing/refundPolicy');
+const { holdExpiry } = require('../inventory/stock');
+
+/**
+ * Order Payments
+ * Ties gateway intents to orders. An order is created Pending and only moves to
+ * Paid here, once the gateway reports the payment succeeded, either in the
+ * confirm response or in a webhook, whichever arrives first.
+ *
+ * The order keeps a summary of its intent in `order.payment`. Orders for a
+ * vehicle from inventory renew its hold at each step and can't be paid once
+ * the hold ran out and someone else reserved it.
+ */
+const GATEWAY_ACTOR = { id: null, role: 'system' };
+
+const toMinor = (amount) => Math.round(amount * 100);
+
+const paymentRecord = (intent) => ({
+    provider: getGateway().name,
+    intentId: intent.id,
+    status: intent.status,
+    amount: intent.amount / 100,
+    currency: intent.currency.toUpperCase(),
+    lastError: intent.lastError || null,
+    updatedAt: new Date()
+});
+
+// What the client needs to carry on with the payment
+const toPublicPayment = (intent) => ({
+    status: intent.status,
+    amount: intent.amount / 100,
+    currency: intent.currency.toUpperCase(),
+    card: intent.card,
+    lastError: intent.lastError,
+    nextAction: intent.nextAction
+});
+
+const withTimeout = (promise) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new PaymentError(
+            'gateway_timeout',
+            "The payment provider didn't respond in time. We'll update your order as soon as it does; don't pay again yet.",
+            504
+        )), config.PAYMENT_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Saves the intent's state on the order and, when it succeeded, moves the order
+ * to Paid. Safe to call more than once for the same intent.
+ * Resolves with the updated order.
+ */
+const applyIntent = async (order, intent) => {
+    if (intent.status === 'succeeded' && order.status === 'Pending') {
+        try {
+            return await transitionOrder(order, 'Paid', {
+                actor: GATEWAY_ACTOR,
+                note: `Payment confirmed by the ${getGateway().name} gateway`,
+                updates: { payment: paymentRecord(intent), paymentDetails: intent.card }
+            });
+        } catch (err) {
+            // The webhook and the confirm response raced; the other one already marked it Paid
+            if (!(err instanceof OrderTransitionError)) throw err;
+            return db.findOrderById(order.id);
+        }
+    }
+
+    // A late "processing" or failure must not undo a payment that already succeeded
+    if (order.payment?.status === 'succeeded') return order;
+
+    // Paid after the customer cancelled (a timed-out payment that went through): queue a full refund
+    if (intent.status === 'succeeded' && order.status === 'Cancelled' && !order.refund) {
+        console.warn(` Order ${order.orderNumber} was paid after it was cancelled; full refund requested`);
+        return db.updateOrder(order.id, {
+            payment: paymentRecord(intent),
+            refund: computeRefund({ ...order, status: 'Paid' })
+        });
+    }
+    return db.updateOrder(order.id, { payment: paymentRecord(intent) });
+};
+
+// Renews the hold on an inventory order's vehicle; throws when it went to someone else
+const renewInventoryHold = async (order) => {
+    if (!order.inventory) return;
+    const held = await db.holdInventoryVehicle(order.inventory.vin, {
+        userId: order.userId,
+        orderId: order.id,
+        expiresAt: holdExpiry()
+    });
+    if (!held) {
+        throw new PaymentError('hold_expired', 'Your reservation of this vehicle ran out and it has been reserved by someone else', 409);
+    }
+};
+
+/**
+ * Creates the gateway intent for a Pending order, or returns the one it already has.
+ */
+const startPayment = async (order) => {
+    if (order.status !== 'Pending') {
+        throw new PaymentError('order_not_payable', `This order is ${order.status} and can't be paid`, 409);
+    }
+    await renewInventoryHold(order);
+
+    const intent = await withTimeout(getGateway().createIntent({
+        amount: toMinor(order.totalPrice),
+        currency: order.priceBreakdown?.currency || 'USD',
+        metadata: { orderId: order.id, orderNumber: order.orderNumber },
+        idempotencyKey: `order-${order.id}`
+    }));
+
+    if (!order.payment || order.payment.intentId !== intent.id) {
+        await db.updateOrder(order.id, { payment: paymentRecord(intent) });
+    }
+    return toPublicPayment(intent);
+};
+
+/**
+ * Confirms the order's intent with a card, or completes a 3-D Secure challenge.
+ * Resolves with { order, payment }. Declines are not errors: the payment comes
+ * back as requires_payment_method with lastError set.
+ */
+const confirmPayment = async (order, input) => {
+    if (!order.payment?.intentId) {
+        throw new PaymentError('no_payment', 'Start the payment before confirming it', 409);
+    }
+    if (order.status !== 'Pending') {
+        throw new PaymentError('order_not_payable', `This order is ${order.status} and can't be paid`, 409);
+    }
+    await renewInventoryHold(order);
+
+    let intent;
+    try {
+        intent = await withTimeout(getGateway().confirmIntent(order.payment.intentId, input));
+    } catch (err) {
+        if (err.code === 'gateway_timeout') {
+            await db.updateOrder(order.id, { payment: { ...order.payment, status: 'processing', updatedAt: new Date() } });
+        }
+        throw err;
+    }
+
+    return {
+        order: await applyIntent(order, intent),
+        payment: toPublicPayment(intent)
+    };
+};
+
+/**
+ * Refunds `amount` of the order's payment. Resolves with the gateway refund, or
+ * null when the order was never paid through the gateway (nothing to send back).
+ */
+const refundPayment = async (order, amount) => {
+    if (order.payment?.status !== 'succeeded' || amount <= 0) return null;
+
+    return withTimeout(getGateway().refund(order.payment.intentId, {
+        amount: toMinor(amount),
+        idempotencyKey: `refund-${order.id}`
+    }));
+};
+
+/**
+ * Applies a gateway webhook event. Throws PaymentError for a bad signature;
+ * events for unknown intents are ignored.
+ */
+const handleWebhook = async (rawBody, headers) => {
+    const event = getGateway().parseWebhook(rawBody, headers);
+    const order = await db.findOrderByPaymentIntent(event.intent.id);
+    if (!order) return { event, order: null };
+
+    if (event.type === 'payment_intent.succeeded' || event.type === 'payment_intent.payment_failed') {
+        return { event, order: await applyIntent(order, event.intent) };
+    }
+    return { event, order };
+};
+
+// Test card numbers when the gateway is a test one, otherwise null
+const testCards = () => {
+    const gateway = getGateway();
+    return typeof gateway.testCards === 'function' ? gateway.testCards() : null;
+};
+
+module.exports = {
+    testCards,
+    startPayment,
+    confirmPayment,
+    refundPayment,
+    handleWebhook
+};
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Vehicle Catalog
+ * The prices orders are charged at. data/vehicle_catalog.json is the source of
+ * truth; the client's VEHICLES constant only drives the configurator display.
+ *
+ * Each vehicle lists its options per category and may carry `rules`:
+ *   { when: { battery: 'performance' }, disallow: { wheels: ['18'] }, message }
+ * meaning the `disallow` options can't be combined with the `when` selection.
+ */
+const CATALOG_FILE = path.join(__dirname, '..', 'data', 'vehicle_catalog.json');
+
+let catalog = null;
+
+const loadCatalog = () => {
+    if (!catalog) catalog = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+    return catalog;
+};
+
+// null for unknown ids (including inherited keys like "constructor")
+const getVehicle = (vehicleId) => {
+    const { vehicles } = loadCatalog();
+    return Object.prototype.hasOwnProperty.call(vehicles, vehicleId) ? vehicles[vehicleId] : null;
+};
+
+module.exports = {
+    loadCatalog,
+    getVehicle
+};
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Finance and Lease Calculator
+ * Monthly payments for a priced configuration (see pricing/pricingEngine.js).
+ * Rates come from data/finance_programs.json; the advertised lease prices per
+ * model come from data/tesla_models.csv. Everything is in the catalog currency.
+ *
+ * Loans finance the order total (taxes, fees and incentives included) less the
+ * down payment. Leases follow the usual US formula:
+ *
+ *   capitalized cost = vehicle price + fees + acquisition fee - down payment
+ *   residual         = vehicle price x residual % for the term and mileage tier
+ *   monthly          = (cap cost - residual) / term + (cap cost + residual) x money factor
+ *
+ * with the region's sales tax charged on each payment instead of on the price.
+ * Regional incentives only apply to purchases.
+ */
+class FinanceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FinanceError';
+        this.errors = [message];
+    }
+}
+
+const PROGRAMS_FILE = path.join(__dirname, '..', 'data', 'finance_programs.json');
+const MODELS_FILE = path.join(__dirname, '..', 'data', 'tesla_models.csv');
+
+let programs = null;
+let advertisedLeases = null;
+
+const loadPrograms = () => {
+    if (!programs) programs = JSON.parse(fs.readFileSync(PROGRAMS_FILE, 'utf8'));
+    return programs;
+};
+
+// Cheapest advertised lease per model name, e.g. { 'Model 3': { monthly: 329, variant: 'Rear-Wheel Drive' } }
+const loadAdvertisedLeases = () => {
+    if (advertisedLeases) return advertisedLeases;
+    const [header, ...rows] = fs.readFileSync(MODELS_FILE, 'utf8').split('\n').filter(line => line.trim());
+    const columns = header.split(',').map(h => h.trim());
+    const modelCol = columns.indexOf('Model');
+    const variantCol = columns.indexOf('Variant');
+    const leaseCol = columns.indexOf('Lease Price (USD/mo)');
+
+    advertisedLeases = {};
+    rows.forEach(line => {
+        const values = line.split(',').map(v => v.trim());
+        const monthly = parseFloat(values[leaseCol]);
+        const current = advertisedLeases[values[modelCol]];
+        if (monthly && (!current || monthly < current.monthly)) {
+            advertisedLeases[values[modelCol]] = { monthly, variant: values[variantCol] };
+        }
+    });
+    return advertisedLeases;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Sum of the tax rates in a breakdown, e.g. 0.0875
+const taxRateOf = (breakdown) => breakdown.lineItems
+    .filter(item => item.type === 'tax')
+    .reduce((sum, item) => sum + (item.rate || 0), 0);
+
+// The promotional APR for this vehicle and term, or the standard one
+const loanApr = (vehicleId, termMonths) => {
+    const { loan } = loadPrograms();
+    const promotion = loan.promotions.find(p => p.vehicleId === vehicleId && p.terms.includes(termMonths));
+    return promotion
+        ? { apr: promotion.apr, promotion: promotion.label }
+        : { apr: loan.aprByTerm[termMonths], promotion: null };
+};
+
+/**
+ * Amortized loan for `breakdown.total`. `apr` (percent) overrides the program
+ * rate, e.g. for financing arranged elsewhere. Returns the monthly payment and
+ * the month-by-month schedule.
+ */
+const loanQuote = (vehicleId, breakdown, { termMonths, downPayment, apr } = {}) => {
+    const { loan } = loadPrograms();
+    const term = termMonths || loan.defaultTerm;
+    const down = downPayment ?? roundMoney(breakdown.total * loan.defaultDownPaymentPercent);
+    if (down >= breakdown.total) {
+        throw new FinanceError('The down payment must be less than the total price');
+    }
+
+    const rate = apr === undefined ? loanApr(vehicleId, term) : { apr, promotion: null };
+    const amountFinanced = roundMoney(breakdown.total - down);
+    const monthlyRate = rate.apr / 100 / 12;
+    const monthlyPayment = monthlyRate === 0
+        ? roundMoney(amountFinanced / term)
+        : roundMoney(amountFinanced * monthlyRate / (1 - Math.pow(1 + monthlyRate, -term)));
+
+    const schedule = [];
+    let balance = amountFinanced;
+    for (let month = 1; month <= term; month++) {
+        const interest = roundMoney(balance * monthlyRate);
+        // The last payment absorbs the rounding
+        const payment = month === term ? roundMoney(balance + interest) : monthlyPayment;
+        const principal = roundMoney(payment - interest);
+        balance = roundMoney(balance - principal);
+        schedule.push({ month, payment, principal, interest, balance });
+    }
+    const totalInterest = roundMoney(schedule.reduce((sum, row) => sum + row.interest, 0));
+
+    return {
+        type: 'loan',
+        termMonths: term,
+        apr: rate.apr,
+        promotion: rate.promotion,
+        price: breakdown.total,
+        downPayment: down,
+        amountFinanced,
+        monthlyPayment,
+        totalInterest,
+        totalCost: roundMoney(down + amountFinanced + totalInterest),
+        schedule
+    };
+};
+
+/**
+ * Lease for the configured vehicle. `annualMiles` picks the mileage tier: the
+ * smallest tier that covers it.
+ */
+const leaseQuote = (vehicleName, breakdown, { termMonths, downPayment, annualMiles } = {}) => {
+    const { lease } = loadPrograms();
+    const term = termMonths || lease.defaultTerm;
+    const miles = annualMiles || lease.defaultAnnualMiles;
+    const mileageTier = lease.mileageTiers.find(tier => tier >= miles);
+    if (!mileageTier) {
+        throw new FinanceError(`Leases allow up to ${Math.max(...lease.mileageTiers).toLocaleString()} miles a year`);
+    }
+
+    const down = downPayment ?? lease.defaultDownPayment;
+    const residualPercent = lease.residualPercent[term][mileageTier];
+    const residualValue = roundMoney(breakdown.subtotal * residualPercent);
+    const capitalizedCost = roundMoney(breakdown.subtotal + (breakdown.feeTotal || 0) + lease.acquisitionFee - down);
+    if (capitalizedCost <= residualValue) {
+        throw new FinanceError('The down payment is too large for a lease on this vehicle');
+    }
+
+    const depreciation = (capitalizedCost - residualValue) / term;
+    const rentCharge = (capitalizedCost + residualValue) * lease.moneyFactor;
+    const basePayment = roundMoney(depreciation + rentCharge);
+    const monthlyTax = roundMoney(basePayment * taxRateOf(breakdown));
+    const monthlyPayment = roundMoney(basePayment + monthlyTax);
+
+    return {
+        type: 'lease',
+        termMonths: term,
+        annualMiles: miles,
+        mileageTier,
+        moneyFactor: lease.moneyFactor,
+        aprEquivalent: roundMoney(lease.moneyFactor * 2400),
+        residualPercent,
+        residualValue,
+        acquisitionFee: lease.acquisitionFee,
+        capitalizedCost,
+        downPayment: down,
+        basePayment,
+        monthlyTax,
+        monthlyPayment,
+        dueAtSigning: roundMoney(down + monthlyPayment),
+        totalCost: roundMoney(down + monthlyPayment * term),
+        excessMileageFee: lease.excessMileageFee,
+        advertised: loadAdvertisedLeases()[vehicleName] || null
+    };
+};
+
+// Terms, mileage tiers and defaults for the client's calculator
+const financeOptions = () => {
+    const { version, loan, lease } = loadPrograms();
+    return {
+        version,
+        loan: { terms: loan.terms, defaultTerm: loan.defaultTerm, defaultDownPaymentPercent: loan.defaultDownPaymentPercent },
+        lease: {
+            terms: lease.terms,
+            defaultTerm: lease.defaultTerm,
+            mileageTiers: lease.mileageTiers,
+            defaultAnnualMiles: lease.defaultAnnualMiles,
+            defaultDownPayment: lease.defaultDownPayment
+        }
+    };
+};
+
+module.exports = {
+    FinanceError,
+    loadPrograms,
+    loanQuote,
+    leaseQuote,
+    financeOptions
+};
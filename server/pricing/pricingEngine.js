@@ -0,0 +1,126 @@
+const { loadCatalog, getVehicle } = require('./catalog');
+const { loadRates, regionalCharges } = require('./regions');
+const { estimateTradeIn } = require('./tradeIn');
+
+/**
+ * Pricing Engine
+ * Works out what an order costs from nothing but the vehicle id and the chosen
+ * option ids, so the browser can't set its own price. The result is an
+ * itemized breakdown that is stored on the order as-is.
+ *
+ * Regional fees, taxes and incentives (pricing/regions.js) are added after the
+ * vehicle, options and any inventory discount (inventory/stock.js): `subtotal`
+ * is the vehicle price, `total` what is charged.
+ * A trade-in (pricing/tradeIn.js) is credited last, after tax.
+ */
+class PricingError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'PricingError';
+        this.errors = errors;
+    }
+}
+
+const ruleApplies = (rule, config) =>
+    Object.entries(rule.when).every(([category, optionId]) => config[category] === optionId);
+
+const ruleViolated = (rule, config) =>
+    Object.entries(rule.disallow).some(([category, optionIds]) => optionIds.includes(config[category]));
+
+/**
+ * Prices `config` ({ battery, paint, wheels, interior, autopilot } option ids)
+ * for `vehicleId` delivered to `region` (a code from data/regional_rates.json,
+ * defaulting to its defaultRegion). Throws PricingError listing every problem
+ * when the vehicle, region or any option is unknown, a category is missing, or
+ * a rule forbids the mix. `tradeIn` ({ make, model, year, mileage, condition })
+ * credits its estimated offer, up to the total; an invalid one throws TradeInError.
+ * `discount` ({ code, label, amount }) comes off the vehicle price before tax.
+ *
+ * Returns { vehicle, selectedOptions, breakdown, tradeIn }, tradeIn being the
+ * valuation (null without one).
+ */
+const priceConfiguration = (vehicleId, config = {}, { region = loadRates().defaultRegion, tradeIn = null, discount = null } = {}) => {
+    const { version, currency, categories } = loadCatalog();
+    const vehicle = getVehicle(vehicleId);
+    if (!vehicle) throw new PricingError(`Unknown vehicle: ${vehicleId}`, [`Unknown vehicle: ${vehicleId}`]);
+
+    const errors = Object.keys(config)
+        .filter(category => !categories.includes(category))
+        .map(category => `Unknown option category: ${category}`);
+
+    const selectedOptions = {};
+    categories.forEach(category => {
+        const optionId = config[category];
+        if (optionId === undefined || optionId === null || optionId === '') {
+            errors.push(`Missing ${category} option`);
+            return;
+        }
+        const option = (vehicle.options[category] || []).find(o => o.id === String(optionId));
+        if (option) selectedOptions[category] = option;
+        else errors.push(`${vehicle.name} has no ${category} option "${optionId}"`);
+    });
+
+    if (errors.length === 0) {
+        (vehicle.rules || [])
+            .filter(rule => ruleApplies(rule, config) && ruleViolated(rule, config))
+            .forEach(rule => errors.push(rule.message));
+    }
+
+    if (errors.length) throw new PricingError('Invalid vehicle configuration', errors);
+
+    const vehicleItems = [
+        { type: 'vehicle', code: vehicleId, label: vehicle.name, amount: vehicle.basePrice },
+        ...categories.map(category => ({
+            type: 'option',
+            category,
+            code: selectedOptions[category].id,
+            label: selectedOptions[category].name,
+            amount: selectedOptions[category].price
+        })),
+        ...(discount && discount.amount > 0
+            ? [{ type: 'discount', code: discount.code, label: discount.label, amount: -discount.amount }]
+            : [])
+    ];
+    const subtotal = vehicleItems.reduce((sum, item) => sum + item.amount, 0);
+
+    const charges = regionalCharges(region, subtotal);
+    if (!charges) throw new PricingError(`Unknown region: ${region}`, [`Unknown region: ${region}`]);
+
+    const beforeTradeIn = Math.max(0,
+        Math.round((subtotal + charges.feeTotal + charges.taxTotal + charges.incentiveTotal) * 100) / 100);
+
+    const valuation = tradeIn ? estimateTradeIn(tradeIn) : null;
+    const tradeInCredit = valuation ? Math.min(valuation.estimate.offer, beforeTradeIn) : 0;
+    const tradeInItems = valuation ? [{
+        type: 'trade_in',
+        code: 'trade_in',
+        label: `Trade-in: ${valuation.year} ${valuation.make} ${valuation.model}`,
+        amount: -tradeInCredit
+    }] : [];
+    const total = Math.round((beforeTradeIn - tradeInCredit) * 100) / 100;
+
+    return {
+        vehicle: { id: vehicleId, name: vehicle.name },
+        selectedOptions,
+        breakdown: {
+            catalogVersion: version,
+            currency,
+            region: charges.region,
+            lineItems: [...vehicleItems, ...charges.lineItems, ...tradeInItems],
+            subtotal,
+            feeTotal: charges.feeTotal,
+            taxTotal: charges.taxTotal,
+            incentiveTotal: charges.incentiveTotal,
+            tradeInCredit,
+            total,
+            display: charges.display(total),
+            pricedAt: new Date().toISOString()
+        },
+        tradeIn: valuation
+    };
+};
+
+module.exports = {
+    PricingError,
+    priceConfiguration
+};
@@ -0,0 +1,45 @@
+const config = require('../config/config');
+
+/**
+ * Refund Policy
+ * What a customer gets back when they cancel. Orders can only be cancelled
+ * before production starts (config/orderStatuses.js):
+ *
+ *   Paid        - full refund
+ *   Processing  - full refund less the order fee (ORDER_FEE), since the
+ *                 factory slot has already been booked
+ *   Pending     - nothing was charged, so there is nothing to refund
+ */
+const REFUND_POLICIES = {
+    'Paid': 'full',
+    'Processing': 'order_fee_kept'
+};
+
+/**
+ * The refund record for cancelling `order` in its current status, or null
+ * when nothing was paid. Starts out as 'Requested' for an admin to decide.
+ */
+const computeRefund = (order) => {
+    const policy = REFUND_POLICIES[order.status];
+    if (!policy) return null;
+
+    const paid = order.totalPrice || 0;
+    const orderFeeKept = policy === 'order_fee_kept' ? Math.min(config.ORDER_FEE, paid) : 0;
+
+    return {
+        policy,
+        amount: paid - orderFeeKept,
+        orderFeeKept,
+        currency: order.priceBreakdown?.currency || 'USD',
+        status: 'Requested',
+        requestedAt: new Date(),
+        decidedAt: null,
+        decidedBy: null,
+        decisionNote: null
+    };
+};
+
+module.exports = {
+    REFUND_POLICIES,
+    computeRefund
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Regional Rates
+ * Sales tax / VAT / GST, delivery fees, EV incentives and display currencies per
+ * delivery region. data/regional_rates.json is the source of truth; nothing is
+ * fetched live, so a quote only changes when that file does.
+ *
+ * Every amount in the file is in the catalog currency (baseCurrency). Orders are
+ * charged in it too; `exchangeRates` only convert the total for display.
+ *
+ *   taxes:      { code, label, rate } applied to the vehicle price plus taxable fees
+ *   fees:       { code, label, amount, taxable }
+ *   incentives: { code, label, amount, maxVehiclePrice? } deducted from the total,
+ *               only when the vehicle price is at most maxVehiclePrice
+ */
+const RATES_FILE = path.join(__dirname, '..', 'data', 'regional_rates.json');
+
+let rates = null;
+
+const loadRates = () => {
+    if (!rates) rates = JSON.parse(fs.readFileSync(RATES_FILE, 'utf8'));
+    return rates;
+};
+
+// null for unknown codes (including inherited keys like "constructor")
+const getRegion = (code) => {
+    const { regions } = loadRates();
+    return Object.prototype.hasOwnProperty.call(regions, code) ? regions[code] : null;
+};
+
+// The region to price in when none is chosen, based on the account's region setting
+const defaultRegionFor = (userRegion) => {
+    const { defaultRegion, userRegionDefaults } = loadRates();
+    const mapped = userRegionDefaults[userRegion];
+    return mapped && getRegion(mapped) ? mapped : defaultRegion;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Line items for region `code` on top of a `vehiclePrice` (vehicle plus options).
+ * Returns { region, lineItems, feeTotal, taxTotal, incentiveTotal, display(total) },
+ * or null when the region is unknown.
+ */
+const regionalCharges = (code, vehiclePrice) => {
+    const region = getRegion(code);
+    if (!region) return null;
+    const { version, baseCurrency, exchangeRates } = loadRates();
+
+    const fees = region.fees.map(fee => ({
+        type: 'fee', code: fee.code, label: fee.label, amount: fee.amount
+    }));
+    const taxable = vehiclePrice + region.fees
+        .filter(fee => fee.taxable)
+        .reduce((sum, fee) => sum + fee.amount, 0);
+    const taxes = region.taxes.map(tax => ({
+        type: 'tax', code: tax.code, label: tax.label, rate: tax.rate, amount: roundMoney(taxable * tax.rate)
+    }));
+    const incentives = region.incentives
+        .filter(incentive => !incentive.maxVehiclePrice || vehiclePrice <= incentive.maxVehiclePrice)
+        .map(incentive => ({
+            type: 'incentive', code: incentive.code, label: incentive.label, amount: -incentive.amount
+        }));
+
+    const sum = items => roundMoney(items.reduce((total, item) => total + item.amount, 0));
+    const exchangeRate = region.displayCurrency === baseCurrency ? 1 : exchangeRates.rates[region.displayCurrency];
+
+    return {
+        region: { code, name: region.name, country: region.country, ratesVersion: version },
+        lineItems: [...fees, ...taxes, ...incentives],
+        feeTotal: sum(fees),
+        taxTotal: sum(taxes),
+        incentiveTotal: sum(incentives),
+        display: (total) => ({
+            currency: region.displayCurrency,
+            exchangeRate,
+            ratesAsOf: exchangeRates.asOf,
+            total: roundMoney(total * exchangeRate)
+        })
+    };
+};
+
+// Region names and display currencies for the client's region picker
+const listRegions = () => {
+    const { version, baseCurrency, defaultRegion, userRegionDefaults, exchangeRates, regions } = loadRates();
+    return {
+        version,
+        baseCurrency,
+        defaultRegion,
+        userRegionDefaults,
+        exchangeRates,
+        regions: Object.entries(regions).map(([code, region]) => ({
+            code,
+            name: region.name,
+            country: region.country,
+            displayCurrency: region.displayCurrency
+        }))
+    };
+};
+
+module.exports = {
+    loadRates,
+    getRegion,
+    defaultRegionFor,
+    regionalCharges,
+    listRegions
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Trade-In Valuation
+ * Estimates what a customer's current car is worth from the reference table in
+ * data/trade_in_values.json: its price new, how fast that kind of car loses
+ * value, mileage against the expected miles for its age, and condition.
+ *
+ *   value = new price x firstYear x (1 - annual)^(age - 1)
+ *           x (1 + mileage adjustment) x condition multiplier
+ *
+ * never below floorPercent of the price new. The estimate is a range of
+ * +/- rangeSpread around that value; the low end is what we credit on the
+ * order until an admin confirms or adjusts it at appraisal.
+ */
+class TradeInError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'TradeInError';
+        this.errors = errors;
+    }
+}
+
+const REFERENCE_FILE = path.join(__dirname, '..', 'data', 'trade_in_values.json');
+
+// Estimated, then Confirmed or Adjusted by an admin (routes/adminRoutes.js)
+const TRADE_IN_STATUSES = ['Estimated', 'Confirmed', 'Adjusted'];
+
+let reference = null;
+
+const loadReference = () => {
+    if (!reference) reference = JSON.parse(fs.readFileSync(REFERENCE_FILE, 'utf8'));
+    return reference;
+};
+
+// Case-insensitive key lookup, returning the key as written in the table
+const findKey = (object, name) =>
+    Object.keys(object).find(key => key.toLowerCase() === String(name || '').trim().toLowerCase());
+
+const yearRange = () => {
+    const currentYear = new Date().getFullYear();
+    return { min: currentYear - loadReference().maxAgeYears, max: currentYear + 1 };
+};
+
+/**
+ * Values { make, model, year, mileage, condition }. Throws TradeInError
+ * listing every problem with the input.
+ *
+ * Returns { make, model, year, mileage, condition, estimate: { low, high, offer },
+ * currency, referenceVersion, estimatedAt }.
+ */
+const estimateTradeIn = ({ make, model, year, mileage, condition } = {}) => {
+    const table = loadReference();
+    const errors = [];
+
+    const makeKey = findKey(table.makes, make);
+    const modelKey = makeKey && findKey(table.makes[makeKey], model);
+    if (!makeKey) errors.push(`We don't have trade-in values for ${make ? `"${make}"` : 'that make'}`);
+    else if (!modelKey) errors.push(`We don't have trade-in values for the ${makeKey} ${model || ''}`.trim());
+
+    const years = yearRange();
+    const modelYear = Number(year);
+    if (!Number.isInteger(modelYear) || modelYear < years.min || modelYear > years.max) {
+        errors.push(`Year must be between ${years.min} and ${years.max}`);
+    }
+
+    const miles = Number(mileage);
+    if (!Number.isFinite(miles) || miles < 0 || miles > 500000) {
+        errors.push('Mileage must be between 0 and 500,000');
+    }
+
+    const conditionKey = findKey(table.conditions, condition);
+    if (!conditionKey) errors.push(`Condition must be one of: ${Object.keys(table.conditions).join(', ')}`);
+
+    if (errors.length) throw new TradeInError('Invalid trade-in', errors);
+
+    const { newPrice, retention } = table.makes[makeKey][modelKey];
+    const curve = table.depreciation[retention];
+    const age = Math.max(1, new Date().getFullYear() - modelYear);
+    const ageFactor = curve.firstYear * Math.pow(1 - curve.annual, age - 1);
+
+    const extraThousands = (miles - table.mileage.expectedPerYear * age) / 1000;
+    const mileageAdjustment = Math.max(-table.mileage.maxAdjustment, Math.min(table.mileage.maxAdjustment,
+        extraThousands > 0 ? extraThousands * table.mileage.overPer1000 : -extraThousands * table.mileage.underPer1000));
+
+    const value = Math.max(
+        newPrice * table.floorPercent,
+        newPrice * ageFactor * (1 + mileageAdjustment) * table.conditions[conditionKey].multiplier
+    );
+    const round = (amount) => Math.round(amount / table.roundTo) * table.roundTo;
+    const low = round(value * (1 - table.rangeSpread));
+
+    return {
+        make: makeKey,
+        model: modelKey,
+        year: modelYear,
+        mileage: miles,
+        condition: conditionKey,
+        estimate: { low, high: round(value * (1 + table.rangeSpread)), offer: low },
+        currency: table.currency,
+        referenceVersion: table.version,
+        estimatedAt: new Date().toISOString()
+    };
+};
+
+// Makes, models, years and conditions for the client's trade-in form
+const tradeInOptions = () => {
+    const { version, currency, conditions, makes } = loadReference();
+    return {
+        version,
+        currency,
+        years: yearRange(),
+        conditions: Object.entries(conditions).map(([id, c]) => ({ id, label: c.label })),
+        makes: Object.fromEntries(Object.entries(makes).map(([make, models]) => [make, Object.keys(models)]))
+    };
+};
+
+module.exports = {
+    TradeInError,
+    TRADE_IN_STATUSES,
+    estimateTradeIn,
+    tradeInOptions
+};
@@ -0,0 +1,551 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { requireRole } = require('../middleware/authMiddleware');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
+const { toPublicUser } = require('../utils/users');
+const { ORDER_STATUSES, transitionsFor, nextStatus } = require('../config/orderStatuses');
+const { transitionOrder, cancelOrder, OrderTransitionError } = require('../utils/orderLifecycle');
+const { sendMail } = require('../mail/mailer');
+const { PaymentError } = require('../payments/gateway');
+const { refundPayment } = require('../payments/paymentService');
+const templates = require('../mail/templates');
+const { TRADE_IN_STATUSES } = require('../pricing/tradeIn');
+const { InventoryError, INVENTORY_STATUSES, isHeld, newStockRecord } = require('../inventory/stock');
+
+const REFUND_STATUSES = ['Requested', 'Approved', 'Denied'];
+
+// Everything under /api/admin is admin-only
+router.use(requireRole('admin'));
+
+/**
+ * List Users (Admin)
+ * GET /api/admin/users?role=support_agent
+ */
+router.get('/users', async (req, res) => {
+    try {
+        const { role } = req.query;
+        const users = (await db.listUsers())
+            .map(user => ({ ...toPublicUser(user), role: user.role || DEFAULT_ROLE }))
+            .filter(user => !role || user.role === role);
+
+        res.json({
+            success: true,
+            data: users,
+            count: users.length
+        });
+    } catch (error) {
+        console.error('Fetch users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch users',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Assign Role (Admin)
+ * PATCH /api/admin/users/:id/role
+ */
+router.patch('/users/:id/role', async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        // Stops the last admin from locking everyone out by accident
+        if (req.params.id === req.user.id && role !== 'admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot remove your own admin role'
+            });
+        }
+
+        const user = await db.updateUser(req.params.id, { role });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        console.log(`🔑 ${req.user.email} set role of ${user.email} to ${role}`);
+
+        res.json({
+            success: true,
+            message: 'Role updated successfully',
+            data: toPublicUser(user)
+        });
+    } catch (error) {
+        console.error('Update role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update role',
+            error: error.message
+        });
+    }
+});
+
+// What an admin can do with the order next
+const withTransitions = (order) => ({
+    ...order,
+    allowedStatuses: transitionsFor(order)[order.status] || [],
+    nextStatus: nextStatus(order.status, order)
+});
+
+/**
+ * List Orders (Admin)
+ * GET /api/admin/orders?status=Processing
+ */
+router.get('/orders', async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${ORDER_STATUSES.join(', ')}`
+            });
+        }
+
+        const orders = await db.findOrders({ status });
+        res.json({
+            success: true,
+            data: orders.map(withTransitions),
+            count: orders.length
+        });
+    } catch (error) {
+        console.error('Fetch orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch orders',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Get Order (Admin)
+ * GET /api/admin/orders/:id
+ */
+router.get('/orders/:id', async (req, res) => {
+    try {
+        const order = await db.findOrderById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: withTransitions(order)
+        });
+    } catch (error) {
+        console.error('Fetch order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch order',
+            error: error.message
+        });
+    }
+});
+
+// Shared by the two status endpoints; `status` of null means "the next step"
+const changeOrderStatus = async (req, res, status) => {
+    try {
+        const order = await db.findOrderById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const target = status || nextStatus(order.status, order);
+        if (!target) {
+            return res.status(409).json({
+                success: false,
+                code: 'INVALID_TRANSITION',
+                message: `The order is ${order.status} and has no next status`
+            });
+        }
+
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 500) : null;
+        const actor = { id: req.user.id, role: req.user.role };
+        // Cancelling goes through cancelOrder so paid orders get their refund request
+        const updated = target === 'Cancelled'
+            ? (await cancelOrder(order, { actor, note })).order
+            : await transitionOrder(order, target, { actor, note });
+
+        console.log(`📦 ${req.user.email} moved order ${order.orderNumber}: ${order.status} -> ${target}`);
+
+        res.json({
+            success: true,
+            message: `Order moved to ${target}`,
+            data: withTransitions(updated)
+        });
+    } catch (error) {
+        if (error instanceof OrderTransitionError) {
+            return res.status(409).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('Update order status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update order status',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Set Order Status (Admin)
+ * POST /api/admin/orders/:id/status
+ * Body: { status, note? }. Only moves allowed by config/orderStatuses.js succeed.
+ */
+router.post('/orders/:id/status', (req, res) => {
+    const { status } = req.body || {};
+    if (!ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({
+            success: false,
+            message: `Status must be one of: ${ORDER_STATUSES.join(', ')}`
+        });
+    }
+    return changeOrderStatus(req, res, status);
+});
+
+/**
+ * Advance Order (Admin)
+ * POST /api/admin/orders/:id/advance
+ * Body: { note? }. Moves the order one step along Paid -> ... -> Delivered.
+ */
+router.post('/orders/:id/advance', (req, res) => changeOrderStatus(req, res, null));
+
+/**
+ * Refund Queue (Admin)
+ * GET /api/admin/refunds?status=Requested
+ * Cancelled orders by refund status, oldest request first. Defaults to the
+ * ones still waiting for a decision.
+ */
+router.get('/refunds', async (req, res) => {
+    try {
+        const status = req.query.status || 'Requested';
+        if (!REFUND_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${REFUND_STATUSES.join(', ')}`
+            });
+        }
+
+        const orders = await db.findOrdersByRefundStatus(status);
+        res.json({
+            success: true,
+            data: orders,
+            count: orders.length
+        });
+    } catch (error) {
+        console.error('Fetch refunds error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch refunds',
+            error: error.message
+        });
+    }
+});
+
+// Shared by approve and deny: settles a Requested refund and tells the customer
+const decideRefund = (decision) => async (req, res) => {
+    try {
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 500) : '';
+
+        // Send the money back before recording the approval; the gateway refund is
+        // idempotent per order, so a retry after a failure here can't pay out twice
+        let gatewayRefund = null;
+        if (decision === 'Approved') {
+            const pending = await db.findOrderById(req.params.orderId);
+            if (pending?.refund?.status === 'Requested') {
+                gatewayRefund = await refundPayment(pending, pending.refund.amount);
+            }
+        }
+
+        const order = await db.updateOrderRefund(req.params.orderId, 'Requested', {
+            status: decision,
+            decidedAt: new Date(),
+            decidedBy: req.user.id,
+            decisionNote: note || null,
+            ...(gatewayRefund ? { gatewayRefundId: gatewayRefund.id } : {})
+        });
+
+        if (!order) {
+            const existing = await db.findOrderById(req.params.orderId);
+            return existing?.refund
+                ? res.status(409).json({
+                    success: false,
+                    code: 'REFUND_ALREADY_DECIDED',
+                    message: `This refund has already been ${existing.refund.status.toLowerCase()}`
+                })
+                : res.status(404).json({
+                    success: false,
+                    message: 'Refund not found'
+                });
+        }
+
+        console.log(`💸 ${req.user.email} ${decision.toLowerCase()} the refund for order ${order.orderNumber}`);
+
+        const customer = order.userId && await db.findUserById(order.userId);
+        if (customer) {
+            try {
+                await sendMail({
+                    to: customer.email,
+                    ...templates.refundDecision({ name: customer.name, orderNumber: order.orderNumber, refund: order.refund })
+                });
+            } catch (mailError) {
+                console.error('Refund decision email failed:', mailError);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: `Refund ${decision.toLowerCase()}`,
+            data: order
+        });
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            return res.status(502).json({
+                success: false,
+                code: error.code,
+                message: `The payment provider couldn't refund this order: ${error.message}`
+            });
+        }
+        console.error('Refund decision error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update refund',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Approve Refund (Admin)
+ * POST /api/admin/refunds/:orderId/approve
+ * Body: { note? }
+ */
+router.post('/refunds/:orderId/approve', decideRefund('Approved'));
+
+/**
+ * Deny Refund (Admin)
+ * POST /api/admin/refunds/:orderId/deny
+ * Body: { note? }. The note is included in the email to the customer.
+ */
+router.post('/refunds/:orderId/deny', decideRefund('Denied'));
+
+/**
+ * Trade-In Queue (Admin)
+ * GET /api/admin/trade-ins?status=Estimated
+ * Orders by trade-in status, oldest estimate first. Defaults to the ones still
+ * waiting for an appraisal.
+ */
+router.get('/trade-ins', async (req, res) => {
+    try {
+        const status = req.query.status || 'Estimated';
+        if (!TRADE_IN_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${TRADE_IN_STATUSES.join(', ')}`
+            });
+        }
+
+        const orders = await db.findOrdersByTradeInStatus(status);
+        res.json({
+            success: true,
+            data: orders,
+            count: orders.length
+        });
+    } catch (error) {
+        console.error('Fetch trade-ins error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch trade-ins',
+            error: error.message
+        });
+    }
+});
+
+// Shared by confirm and adjust: records the final credit and tells the customer
+const appraiseTradeIn = (decision) => async (req, res) => {
+    try {
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 500) : '';
+        const existing = await db.findOrderById(req.params.orderId);
+        if (!existing?.tradeIn) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trade-in not found'
+            });
+        }
+
+        let finalCredit = existing.tradeIn.credit;
+        if (decision === 'Adjusted') {
+            finalCredit = Number(req.body?.finalCredit);
+            if (!Number.isFinite(finalCredit) || finalCredit < 0 || !note) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'An adjustment needs a finalCredit of 0 or more and a note for the customer'
+                });
+            }
+            finalCredit = Math.round(finalCredit * 100) / 100;
+        }
+
+        const order = await db.updateOrderTradeIn(req.params.orderId, 'Estimated', {
+            status: decision,
+            finalCredit,
+            adjustment: Math.round((finalCredit - existing.tradeIn.credit) * 100) / 100,
+            appraisedAt: new Date(),
+            appraisedBy: req.user.id,
+            appraisalNote: note || null
+        });
+
+        if (!order) {
+            return res.status(409).json({
+                success: false,
+                code: 'TRADE_IN_ALREADY_APPRAISED',
+                message: `This trade-in has already been ${existing.tradeIn.status.toLowerCase()}`
+            });
+        }
+
+        console.log(`🚙 ${req.user.email} ${decision.toLowerCase()} the trade-in for order ${order.orderNumber}`);
+
+        const customer = order.userId && await db.findUserById(order.userId);
+        if (customer) {
+            try {
+                await sendMail({
+                    to: customer.email,
+                    ...templates.tradeInAppraised({ name: customer.name, orderNumber: order.orderNumber, tradeIn: order.tradeIn })
+                });
+            } catch (mailError) {
+                console.error('Trade-in appraisal email failed:', mailError);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: `Trade-in ${decision.toLowerCase()}`,
+            data: order
+        });
+    } catch (error) {
+        console.error('Trade-in appraisal error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to appraise trade-in',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Confirm Trade-In (Admin)
+ * POST /api/admin/trade-ins/:orderId/confirm
+ * Body: { note? }. The estimated credit becomes final.
+ */
+router.post('/trade-ins/:orderId/confirm', appraiseTradeIn('Confirmed'));
+
+/**
+ * Adjust Trade-In (Admin)
+ * POST /api/admin/trade-ins/:orderId/adjust
+ * Body: { finalCredit, note }. The difference from the credit already taken off
+ * the order is settled at delivery; the note is emailed to the customer.
+ */
+router.post('/trade-ins/:orderId/adjust', appraiseTradeIn('Adjusted'));
+
+// What a stock record's status is right now: a hold that ran out counts as available
+const stockStatus = (record) => (record.status === 'reserved' && !isHeld(record) ? 'available' : record.status);
+
+/**
+ * Inventory (Admin)
+ * GET /api/admin/inventory?status=reserved
+ * Every stock vehicle with its reservation, oldest first; optionally only the
+ * available, reserved or sold ones.
+ */
+router.get('/inventory', async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !INVENTORY_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${INVENTORY_STATUSES.join(', ')}`
+            });
+        }
+
+        const vehicles = (await db.findInventory({ includeUnavailable: true }))
+            .map(record => ({ ...record, status: stockStatus(record) }))
+            .filter(record => !status || record.status === status);
+        res.json({
+            success: true,
+            data: vehicles,
+            count: vehicles.length
+        });
+    } catch (error) {
+        console.error('Fetch inventory error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch inventory',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Add Inventory Vehicle (Admin)
+ * POST /api/admin/inventory
+ * Body: { vin, vehicleId, year, condition, mileage, config, centerId, discount }.
+ * The configuration must be one the catalog offers (inventory/stock.js).
+ */
+router.post('/inventory', async (req, res) => {
+    try {
+        const record = newStockRecord(req.body || {});
+        const vehicle = await db.createInventoryVehicle(record);
+        if (!vehicle) {
+            return res.status(409).json({
+                success: false,
+                code: 'DUPLICATE_VIN',
+                message: `${record.vin} is already in stock`
+            });
+        }
+
+        console.log(`🚗 ${req.user.email} added ${vehicle.vehicleName} ${vehicle.vin} to the inventory`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Vehicle added to the inventory',
+            data: vehicle
+        });
+    } catch (error) {
+        if (error instanceof InventoryError) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_INVENTORY_VEHICLE',
+                message: error.message,
+                errors: error.errors
+            });
+        }
+        console.error('Add inventory vehicle error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add vehicle',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
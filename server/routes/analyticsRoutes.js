@@ -1,8 +1,50 @@
 const express = require('express');
 const router = express.Router();
-const Analytics = require('../models/Analytics');
+const db = require('../database');
 const geoip = require('geoip-lite');
-const { v4: uuidv4 } = require('crypto');
+const { randomUUID } = require('crypto');
+const Joi = require('joi');
+
+const EVENT_TYPES = [
+    'model_view', 'paint_click', 'wheel_click', 'interior_click', 'shop_click', 'configurator_open', 'page_view',
+    'config_change', 'customize_order_click', 'service_booking_submit'
+];
+
+/**
+ * Validation Schema
+ */
+const trackSchema = Joi.object({
+    eventType: Joi.string().valid(...EVENT_TYPES).required(),
+    modelId: Joi.string().allow('', null),
+    paintColor: Joi.string().allow('', null),
+    wheelType: Joi.string().allow('', null),
+    interiorType: Joi.string().allow('', null),
+    duration: Joi.number().min(0),
+    sessionId: Joi.string()
+}).unknown(true);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Groups events by a key and returns the top entries as [{ _id, count }],
+ * the same shape a Mongo $group/$sort/$limit pipeline produces.
+ */
+const countBy = (events, keyFn, limit) => {
+    const groups = new Map();
+    events.forEach(event => {
+        const key = keyFn(event);
+        if (key === null || key === undefined) return;
+        const id = JSON.stringify(key);
+        const group = groups.get(id) || { _id: key, count: 0, totalDuration: 0 };
+        group.count += 1;
+        group.totalDuration += event.duration || 0;
+        groups.set(id, group);
+    });
+
+    return [...groups.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+};
 
 /**
  * Track Analytics Event
@@ -10,7 +52,16 @@ const { v4: uuidv4 } = require('crypto');
  */
 router.post('/track', async (req, res) => {
     try {
-        const { eventType, modelId, paintColor, wheelType, interiorType, duration, sessionId } = req.body;
+        const { error, value } = trackSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const { eventType, modelId, paintColor, wheelType, interiorType, duration, sessionId } = value;
 
         // Get user IP and location
         const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.connection.remoteAddress || req.ip;
@@ -18,7 +69,7 @@ router.post('/track', async (req, res) => {
 
         const analyticsData = {
             userId: req.session?.userId || null,
-            sessionId: sessionId || req.sessionID || uuidv4(),
+            sessionId: sessionId || req.sessionID || randomUUID(),
             eventType,
             modelId,
             paintColor,
@@ -34,7 +85,7 @@ router.post('/track', async (req, res) => {
             userAgent: req.headers['user-agent']
         };
 
-        const analytics = await Analytics.create(analyticsData);
+        const analytics = await db.createAnalyticsEvent(analyticsData);
 
         res.status(201).json({
             success: true,
@@ -57,51 +108,22 @@ router.post('/track', async (req, res) => {
  */
 router.get('/global-stats', async (req, res) => {
     try {
-        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-
-        // Most viewed models
-        const modelViews = await Analytics.aggregate([
-            { $match: { eventType: 'model_view', timestamp: { $gte: thirtyDaysAgo } } },
-            { $group: { _id: '$modelId', count: { $sum: 1 } } },
-            { $sort: { count: -1 } },
-            { $limit: 10 }
-        ]);
-
-        // Most selected paint colors
-        const paintClicks = await Analytics.aggregate([
-            { $match: { eventType: 'paint_click', paintColor: { $ne: null }, timestamp: { $gte: thirtyDaysAgo } } },
-            { $group: { _id: '$paintColor', count: { $sum: 1 } } },
-            { $sort: { count: -1 } },
-            { $limit: 5 }
-        ]);
-
-        // Most selected wheels
-        const wheelClicks = await Analytics.aggregate([
-            { $match: { eventType: 'wheel_click', wheelType: { $ne: null }, timestamp: { $gte: thirtyDaysAgo } } },
-            { $group: { _id: '$wheelType', count: { $sum: 1 } } },
-            { $sort: { count: -1 } },
-            { $limit: 5 }
-        ]);
-
-        // Most active regions
-        const regionActivity = await Analytics.aggregate([
-            { $match: { 'location.country': { $ne: null }, timestamp: { $gte: thirtyDaysAgo } } },
-            { $group: { _id: { country: '$location.country', city: '$location.city' }, count: { $sum: 1 } } },
-            { $sort: { count: -1 } },
-            { $limit: 10 }
-        ]);
-
-        // Total events
-        const totalEvents = await Analytics.countDocuments({ timestamp: { $gte: thirtyDaysAgo } });
+        const events = await db.findAnalyticsEvents({ since: new Date(Date.now() - 30 * DAY_MS) });
+        const ofType = (eventType) => events.filter(e => e.eventType === eventType);
+        const strip = ({ _id, count }) => ({ _id, count });
 
         res.json({
             success: true,
             data: {
-                mostViewedModels: modelViews,
-                mostSelectedPaints: paintClicks,
-                mostSelectedWheels: wheelClicks,
-                mostActiveRegions: regionActivity,
-                totalEvents,
+                mostViewedModels: countBy(ofType('model_view'), e => e.modelId, 10).map(strip),
+                mostSelectedPaints: countBy(ofType('paint_click'), e => e.paintColor, 5).map(strip),
+                mostSelectedWheels: countBy(ofType('wheel_click'), e => e.wheelType, 5).map(strip),
+                mostActiveRegions: countBy(
+                    events,
+                    e => (e.location?.country ? { country: e.location.country, city: e.location.city } : null),
+                    10
+                ).map(strip),
+                totalEvents: events.length,
                 period: '30 days'
             }
         });
@@ -121,26 +143,16 @@ router.get('/global-stats', async (req, res) => {
  */
 router.get('/trending-models', async (req, res) => {
     try {
-        const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-
-        const trending = await Analytics.aggregate([
-            {
-                $match: {
-                    eventType: { $in: ['model_view', 'configurator_open'] },
-                    modelId: { $ne: null },
-                    timestamp: { $gte: sevenDaysAgo }
-                }
-            },
-            {
-                $group: {
-                    _id: '$modelId',
-                    views: { $sum: 1 },
-                    avgDuration: { $avg: '$duration' }
-                }
-            },
-            { $sort: { views: -1 } },
-            { $limit: 5 }
-        ]);
+        const events = await db.findAnalyticsEvents({
+            since: new Date(Date.now() - 7 * DAY_MS),
+            eventTypes: ['model_view', 'configurator_open']
+        });
+
+        const trending = countBy(events, e => e.modelId, 5).map(group => ({
+            _id: group._id,
+            views: group.count,
+            avgDuration: group.totalDuration / group.count
+        }));
 
         res.json({
             success: true,
@@ -170,38 +182,16 @@ router.get('/user-stats', async (req, res) => {
             });
         }
 
-        const userId = req.session.userId;
-
-        // User's most viewed model
-        const mostViewed = await Analytics.aggregate([
-            { $match: { userId, eventType: 'model_view' } },
-            { $group: { _id: '$modelId', count: { $sum: 1 } } },
-            { $sort: { count: -1 } },
-            { $limit: 1 }
-        ]);
-
-        // User's color preferences
-        const colorPreference = await Analytics.aggregate([
-            { $match: { userId, eventType: 'paint_click', paintColor: { $ne: null } } },
-            { $group: { _id: '$paintColor', count: { $sum: 1 } } },
-            { $sort: { count: -1 } },
-            { $limit: 1 }
-        ]);
-
-        // User's wheel preferences
-        const wheelPreference = await Analytics.aggregate([
-            { $match: { userId, eventType: 'wheel_click', wheelType: { $ne: null } } },
-            { $group: { _id: '$wheelType', count: { $sum: 1 } } },
-            { $sort: { count: -1 } },
-            { $limit: 1 }
-        ]);
+        const events = await db.findAnalyticsEvents({ userId: req.session.userId });
+        const favorite = (eventType, keyFn) =>
+            countBy(events.filter(e => e.eventType === eventType), keyFn, 1)[0]?._id || null;
 
         res.json({
             success: true,
             data: {
-                mostViewedModel: mostViewed[0]?._id || null,
-                favoriteColor: colorPreference[0]?._id || null,
-                favoriteWheels: wheelPreference[0]?._id || null
+                mostViewedModel: favorite('model_view', e => e.modelId),
+                favoriteColor: favorite('paint_click', e => e.paintColor),
+                favoriteWheels: favorite('wheel_click', e => e.wheelType)
             }
         });
     } catch (error) {
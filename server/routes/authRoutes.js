@@ -1,7 +1,60 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const db = require('../database'); // JSON database (WORKING VERSION)
+const Joi = require('joi');
+const db = require('../database');
+const config = require('../config/config');
+const { sendMail } = require('../mail/mailer');
+const templates = require('../mail/templates');
+const { createToken, hashToken } = require('../utils/tokens');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const { toPublicUser } = require('../utils/users');
+const { startUserSession, destroyUserSessions } = require('../utils/sessions');
+const { revokeUserJwts } = require('../utils/apiTokens');
+const { buildDataExport } = require('../utils/dataExport');
+const { requireScope } = require('../middleware/authMiddleware');
+const {
+  loginIpGuard,
+  recordIpFailure,
+  accountLockMinutes,
+  recordAccountFailure,
+  recordAccountFailureInBackground,
+  clearAccountFailures,
+  DUMMY_PASSWORD_HASH
+} = require('../middleware/loginProtection');
+
+// How long the second login step stays open after a correct password
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000;
+
+// Fields a user may change on their own profile (email, role and security state are not among them)
+const profileUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  phone: Joi.string().trim().max(30).allow('', null),
+  region: Joi.string().trim().max(50).allow('', null),
+  preferences: Joi.object({
+    favoriteModels: Joi.array().items(Joi.string()),
+    mostViewedModel: Joi.string().allow(''),
+    mostSelectedPaint: Joi.string().allow(''),
+    mostSelectedWheels: Joi.string().allow(''),
+    mostSelectedInterior: Joi.string().allow('')
+  })
+}).min(1);
+
+// Issues a fresh verification link (older ones stop working) and emails it
+const sendVerificationEmail = async (user) => {
+  const { token, tokenHash } = createToken();
+  const ttlHours = config.EMAIL_VERIFICATION_TTL_HOURS;
+
+  await db.revokeAuthTokens(user.id, 'email_verification');
+  await db.createAuthToken({
+    userId: user.id,
+    type: 'email_verification',
+    tokenHash,
+    expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+  });
+
+  await sendMail({ to: user.email, ...templates.emailVerification({ name: user.name, token, ttlHours }) });
+};
 
 /**
  * SIGNUP
@@ -27,7 +80,7 @@ router.post('/signup', async (req, res) => {
     }
 
     // Check if user exists
-    const existingUser = db.findUserByEmail(email);
+    const existingUser = await db.findUserByEmail(email);
     if (existingUser) {
       return res.status(409).json({
         success: false,
@@ -39,20 +92,25 @@ router.post('/signup', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Create user
-    const newUser = db.createUser({
+    const newUser = await db.createUser({
       name,
       email,
-      password: hashedPassword
+      password: hashedPassword,
+      emailVerified: false
     });
 
-    // Store session with timestamps for refresh token logic
-    req.session.userId = newUser.id;
-    req.session.userEmail = newUser.email;
-    req.session.createdAt = Date.now();
-    req.session.lastActivity = Date.now();
+    // The account is usable right away; ordering waits until the email is confirmed
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error('Verification email failed:', mailError);
+    }
+
+    // Store session with timestamps (and the device it came from) for refresh and session listing
+    startUserSession(req, newUser);
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = newUser;
+    // Remove password and other private fields from response
+    const userWithoutPassword = toPublicUser(newUser);
 
     res.status(201).json({
       success: true,
@@ -72,7 +130,7 @@ router.post('/signup', async (req, res) => {
  * LOGIN
  * POST /api/auth/login
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpGuard, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -85,20 +143,52 @@ router.post('/login', async (req, res) => {
     }
 
     // Find user
-    const user = db.findUserByEmail(email);
+    const user = await db.findUserByEmail(email);
     if (!user) {
+      recordIpFailure(req);
+
+      if (config.AUTH_UNIFORM_ERRORS) {
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        return res.status(401).json({
+          success: false,
+          code: 'INVALID_CREDENTIALS',
+          message: 'Incorrect email or password'
+        });
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Account not found. Please sign up first.'
       });
     }
 
+    const lockMinutes = accountLockMinutes(user);
+    if (lockMinutes) {
+      recordIpFailure(req);
+
+      // A lock only happens to real accounts, so it would give the email away
+      if (config.AUTH_UNIFORM_ERRORS) {
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        return res.status(401).json({
+          success: false,
+          code: 'INVALID_CREDENTIALS',
+          message: 'Incorrect email or password'
+        });
+      }
+
+      return res.status(423).json({
+        success: false,
+        code: 'ACCOUNT_LOCKED',
+        message: `This account is temporarily locked after too many failed sign-in attempts. Try again in ${lockMinutes} minutes or reset your password.`
+      });
+    }
+
     // Check password
-    // Support both 'password' (new) and 'passwordHash' (legacy/existing) fields
-    const storedPassword = user.password || user.passwordHash;
+    // Legacy 'passwordHash' fields are renamed to 'password' by the JSON schema migrations
+    const storedPassword = user.password;
 
     if (!storedPassword) {
-      console.error('User found but no password field:', user);
+      console.error('User found but no password field:', user.id);
       return res.status(500).json({
         success: false,
         message: 'Account error: Invalid password data'
@@ -107,20 +197,42 @@ router.post('/login', async (req, res) => {
 
     const isPasswordValid = await bcrypt.compare(password, storedPassword);
     if (!isPasswordValid) {
-      return res.status(401).json({
+      recordIpFailure(req);
+      recordAccountFailureInBackground(user);
+
+      return res.status(401).json(config.AUTH_UNIFORM_ERRORS ? {
+        success: false,
+        code: 'INVALID_CREDENTIALS',
+        message: 'Incorrect email or password'
+      } : {
         success: false,
+        code: 'INCORRECT_PASSWORD',
         message: 'Incorrect password'
       });
     }
 
-    // Store session with timestamps for refresh token logic
-    req.session.userId = user.id;
-    req.session.userEmail = user.email;
-    req.session.createdAt = Date.now();
-    req.session.lastActivity = Date.now();
+    // Password was right, but the session stays signed out until the second step.
+    // Failures are only cleared once that passes too, so signing in again with a
+    // known password can't reset the lockout between guesses at the code.
+    if (user.twoFactorEnabled) {
+      req.session.pendingTwoFactor = {
+        userId: user.id,
+        expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS
+      };
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    await clearAccountFailures(user);
+
+    // Store session with timestamps (and the device it came from) for refresh and session listing
+    startUserSession(req, user);
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+    // Remove password and other private fields from response
+    const userWithoutPassword = toPublicUser(user);
 
     res.json({
       success: true,
@@ -136,6 +248,78 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * LOGIN - SECOND STEP (TWO-FACTOR)
+ * POST /api/auth/login/2fa
+ * Body: { code } from the authenticator app, or { recoveryCode }
+ */
+router.post('/login/2fa', loginIpGuard, async (req, res) => {
+  try {
+    const pending = req.session?.pendingTwoFactor;
+    if (!pending || pending.expiresAt < Date.now()) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({
+        success: false,
+        code: 'TWO_FACTOR_EXPIRED',
+        message: 'Your sign-in attempt has expired. Please sign in again.'
+      });
+    }
+
+    const user = await db.findUserById(pending.userId);
+    if (!user) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const lockMinutes = accountLockMinutes(user);
+    if (lockMinutes) {
+      delete req.session.pendingTwoFactor;
+      return res.status(423).json({
+        success: false,
+        code: 'ACCOUNT_LOCKED',
+        message: `This account is temporarily locked after too many failed sign-in attempts. Try again in ${lockMinutes} minutes or reset your password.`
+      });
+    }
+
+    const { code, recoveryCode } = req.body;
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      recordIpFailure(req);
+      if (await recordAccountFailure(user)) delete req.session.pendingTwoFactor;
+
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: recoveryCode ? 'That recovery code is not valid' : 'That code is not valid'
+      });
+    }
+
+    await clearAccountFailures(user);
+    delete req.session.pendingTwoFactor;
+
+    // Store session with timestamps (and the device it came from) for refresh and session listing
+    startUserSession(req, user);
+
+    const remaining = (user.twoFactorRecoveryCodes || []).length - (method === 'recovery' ? 1 : 0);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: toPublicUser(user),
+      ...(method === 'recovery' ? { recoveryCodesRemaining: remaining } : {})
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
 /**
  * LOGOUT
  * POST /api/auth/logout
@@ -161,7 +345,7 @@ router.post('/logout', (req, res) => {
  * CHECK AUTH STATUS
  * GET /api/auth/check
  */
-router.get('/check', (req, res) => {
+router.get('/check', async (req, res) => {
   try {
     // Debug logging
     console.log('=== AUTH CHECK ===');
@@ -178,7 +362,7 @@ router.get('/check', (req, res) => {
       });
     }
 
-    const user = db.findUserById(req.session.userId);
+    const user = await db.findUserById(req.session.userId);
 
     if (!user) {
       console.log('❌ User not found for userId:', req.session.userId);
@@ -189,8 +373,8 @@ router.get('/check', (req, res) => {
       });
     }
 
-    // Remove password from response
-    const { password, ...userWithoutPassword } = user;
+    // Remove password and other private fields from response
+    const userWithoutPassword = toPublicUser(user);
 
     console.log('✅ User authenticated:', user.email);
 
@@ -212,7 +396,39 @@ router.get('/check', (req, res) => {
  * GET PROFILE
  * GET /api/auth/profile
  */
-router.get('/profile', (req, res) => {
+router.get('/profile', requireScope('profile:read'), async (req, res) => {
+  try {
+    const user = await db.findUserById(req.auth.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Remove password and other private fields from response
+    const userWithoutPassword = toPublicUser(user);
+
+    res.json({
+      success: true,
+      user: userWithoutPassword
+    });
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile'
+    });
+  }
+});
+
+/**
+ * EXPORT MY DATA
+ * GET /api/auth/me/export
+ * A zip archive (JSON + CSV) of everything stored about the signed-in user.
+ */
+router.get('/me/export', async (req, res) => {
   try {
     if (!req.session || !req.session.userId) {
       return res.status(401).json({
@@ -221,8 +437,55 @@ router.get('/profile', (req, res) => {
       });
     }
 
-    const user = db.findUserById(req.session.userId);
+    const records = await db.exportUserData(req.session.userId);
+    if (!records) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { fileName, buffer } = buildDataExport(records);
+    console.log(`📦 Data export for user ${req.session.userId} (${buffer.length} bytes)`);
 
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(buffer);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export your data'
+    });
+  }
+});
+
+/**
+ * UPDATE PROFILE
+ * PATCH /api/auth/profile
+ */
+router.patch('/profile', async (req, res) => {
+  try {
+    if (!req.session || !req.session.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const { error, value } = profileUpdateSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.details.map(d => d.message)
+      });
+    }
+
+    const user = await db.findUserById(req.session.userId);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -230,18 +493,159 @@ router.get('/profile', (req, res) => {
       });
     }
 
-    // Remove password from response
-    const { password, ...userWithoutPassword } = user;
+    // Partial preference updates keep the fields that weren't sent
+    const updates = { ...value };
+    if (value.preferences) updates.preferences = { ...(user.preferences || {}), ...value.preferences };
+    ['phone', 'region'].forEach(field => {
+      if (updates[field] === '') updates[field] = null;
+    });
+
+    const updatedUser = await db.updateUser(user.id, updates);
 
     res.json({
       success: true,
-      user: userWithoutPassword
+      message: 'Profile updated successfully',
+      user: toPublicUser(updatedUser)
     });
   } catch (error) {
-    console.error('Profile fetch error:', error);
+    console.error('Profile update error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch profile'
+      message: 'Failed to update profile'
+    });
+  }
+});
+
+/**
+ * CHANGE PASSWORD
+ * POST /api/auth/change-password
+ * Signs out every other session of the account.
+ */
+router.post('/change-password', async (req, res) => {
+  try {
+    if (!req.session || !req.session.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current and new password are required'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await db.findUserById(req.session.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await db.updateUser(user.id, { password: hashedPassword });
+    await db.revokeAuthTokens(user.id, 'password_reset');
+    const signedOut = await destroyUserSessions(req.sessionStore, user.id, { exceptId: req.sessionID });
+    await revokeUserJwts(user.id);
+
+    try {
+      await sendMail({ to: user.email, ...templates.passwordChanged({ name: user.name }) });
+    } catch (mailError) {
+      console.error('Password changed email failed:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: signedOut
+        ? `Password changed. ${signedOut} other session(s) were signed out.`
+        : 'Password changed.',
+      sessionsSignedOut: signedOut
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password'
+    });
+  }
+});
+
+/**
+ * DELETE ACCOUNT
+ * DELETE /api/auth/account
+ * Requires the password (and a 2FA code when enabled). Orders are kept for
+ * accounting but no longer linked to the person; everything else is removed.
+ */
+router.delete('/account', async (req, res) => {
+  try {
+    if (!req.session || !req.session.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const user = await db.findUserById(req.session.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    if (user.twoFactorEnabled && !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: 'A valid two-factor code is required to delete your account'
+      });
+    }
+
+    const summary = await db.deleteUserAccount(user.id);
+    await destroyUserSessions(req.sessionStore, user.id, { exceptId: req.sessionID });
+    console.log(`🗑️ Account ${user.id} deleted:`, JSON.stringify(summary));
+
+    req.session.destroy((err) => {
+      if (err) console.error('Session destroy error after account deletion:', err);
+      res.clearCookie('sessionId');
+      res.json({
+        success: true,
+        message: 'Your account has been deleted'
+      });
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete account'
     });
   }
 });
@@ -251,7 +655,7 @@ router.get('/profile', (req, res) => {
  * POST /api/auth/refresh
  * Extends the session if user is still active
  */
-router.post('/refresh', (req, res) => {
+router.post('/refresh', async (req, res) => {
   try {
     if (!req.session || !req.session.userId) {
       return res.status(401).json({
@@ -261,7 +665,7 @@ router.post('/refresh', (req, res) => {
     }
 
     // Verify user still exists
-    const user = db.findUserById(req.session.userId);
+    const user = await db.findUserById(req.session.userId);
     if (!user) {
       req.session.destroy();
       return res.status(401).json({
@@ -291,4 +695,203 @@ router.post('/refresh', (req, res) => {
   }
 });
 
+/**
+ * FORGOT PASSWORD
+ * POST /api/auth/forgot-password
+ * Emails a single-use reset link. The response is the same whether or not
+ * the email is registered, so this can't be used to discover accounts.
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await db.findUserByEmail(email);
+    if (user) {
+      const { token, tokenHash } = createToken();
+      const ttlMinutes = config.PASSWORD_RESET_TTL_MINUTES;
+
+      // Only the newest link works
+      await db.revokeAuthTokens(user.id, 'password_reset');
+      await db.createAuthToken({
+        userId: user.id,
+        type: 'password_reset',
+        tokenHash,
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+      });
+
+      try {
+        await sendMail({ to: user.email, ...templates.passwordReset({ name: user.name, token, ttlMinutes }) });
+      } catch (mailError) {
+        console.error('Password reset email failed:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start password reset'
+    });
+  }
+});
+
+/**
+ * RESET PASSWORD
+ * POST /api/auth/reset-password
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token and new password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const resetToken = await db.consumeAuthToken('password_reset', hashToken(token));
+    const user = resetToken && await db.findUserById(resetToken.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await db.updateUser(user.id, { password: hashedPassword });
+    await db.revokeAuthTokens(user.id, 'password_reset');
+
+    // Whoever knew the old password is signed out everywhere
+    await destroyUserSessions(req.sessionStore, user.id);
+    await revokeUserJwts(user.id);
+
+    try {
+      await sendMail({ to: user.email, ...templates.passwordChanged({ name: user.name }) });
+    } catch (mailError) {
+      console.error('Password changed email failed:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Your password has been reset. You can now sign in.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+/**
+ * VERIFY EMAIL
+ * POST /api/auth/verify-email
+ * Works without a session so the emailed link can be opened on any device.
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const verificationToken = await db.consumeAuthToken('email_verification', hashToken(token));
+    const user = verificationToken && await db.findUserById(verificationToken.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired. Please request a new one.'
+      });
+    }
+
+    const verifiedUser = await db.updateUser(user.id, {
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    // Remove password and other private fields from response
+    const userWithoutPassword = toPublicUser(verifiedUser);
+
+    res.json({
+      success: true,
+      message: 'Your email has been verified.',
+      user: userWithoutPassword
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+});
+
+/**
+ * RESEND VERIFICATION EMAIL
+ * POST /api/auth/resend-verification
+ */
+router.post('/resend-verification', async (req, res) => {
+  try {
+    if (!req.session || !req.session.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated'
+      });
+    }
+
+    const user = await db.findUserById(req.session.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const ContactMessage = require('../models/ContactMessage');
+const db = require('../database');
+const { requireRole } = require('../middleware/authMiddleware');
 const Joi = require('joi');
 
 /**
@@ -31,7 +32,7 @@ router.post('/submit', async (req, res) => {
         }
 
         // Create contact message
-        const contactMessage = await ContactMessage.create({
+        const contactMessage = await db.createContactMessage({
             userId: req.session?.userId || null,
             ...value
         });
@@ -64,9 +65,7 @@ router.get('/my-messages', async (req, res) => {
             });
         }
 
-        const messages = await ContactMessage.find({ userId: req.session.userId })
-            .sort({ createdAt: -1 })
-            .lean();
+        const messages = await db.findContactMessagesByUserId(req.session.userId);
 
         res.json({
             success: true,
@@ -84,24 +83,18 @@ router.get('/my-messages', async (req, res) => {
 });
 
 /**
- * Get All Contact Messages (Admin)
+ * Get All Contact Messages (Support Agent / Admin)
  * GET /api/contact/all
  */
-router.get('/all', async (req, res) => {
+router.get('/all', requireRole('support_agent'), async (req, res) => {
     try {
-        // TODO: Add admin authentication middleware
         const { status, limit = 50, skip = 0 } = req.query;
 
-        const query = status ? { status } : {};
-
-        const messages = await ContactMessage.find(query)
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(parseInt(skip))
-            .populate('userId', 'name email')
-            .lean();
-
-        const total = await ContactMessage.countDocuments(query);
+        const { items: messages, total } = await db.findContactMessages({
+            status,
+            limit: parseInt(limit),
+            skip: parseInt(skip)
+        });
 
         res.json({
             success: true,
@@ -123,10 +116,10 @@ router.get('/all', async (req, res) => {
 });
 
 /**
- * Update Contact Message Status (Admin)
+ * Update Contact Message Status (Support Agent / Admin)
  * PATCH /api/contact/:id/status
  */
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requireRole('support_agent'), async (req, res) => {
     try {
         const { status } = req.body;
 
@@ -137,11 +130,7 @@ router.patch('/:id/status', async (req, res) => {
             });
         }
 
-        const message = await ContactMessage.findByIdAndUpdate(
-            req.params.id,
-            { status },
-            { new: true }
-        );
+        const message = await db.updateContactMessage(req.params.id, { status });
 
         if (!message) {
             return res.status(404).json({
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const CustomerQuery = require('../models/CustomerQuery');
-const InterestedLead = require('../models/InterestedLead');
+const db = require('../database');
+const { requireRole } = require('../middleware/authMiddleware');
 const Joi = require('joi');
 
+const QUERY_STATUSES = ['Open', 'In Progress', 'Resolved', 'Closed'];
+
 /**
  * Validation Schemas
  */
@@ -45,7 +47,7 @@ router.post('/query', async (req, res) => {
         }
 
         // Create customer query
-        const query = await CustomerQuery.create({
+        const query = await db.createCustomerQuery({
             userId: req.session.userId,
             ...value
         });
@@ -78,9 +80,7 @@ router.get('/my-queries', async (req, res) => {
             });
         }
 
-        const queries = await CustomerQuery.find({ userId: req.session.userId })
-            .sort({ createdAt: -1 })
-            .lean();
+        const queries = await db.findCustomerQueriesByUserId(req.session.userId);
 
         res.json({
             success: true,
@@ -110,10 +110,7 @@ router.get('/query/:id', async (req, res) => {
             });
         }
 
-        const query = await CustomerQuery.findOne({
-            _id: req.params.id,
-            userId: req.session.userId
-        });
+        const query = await db.findCustomerQuery(req.params.id, req.session.userId);
 
         if (!query) {
             return res.status(404).json({
@@ -153,7 +150,7 @@ router.post('/interested', async (req, res) => {
         }
 
         // Create interested lead
-        const lead = await InterestedLead.create({
+        const lead = await db.createInterestedLead({
             userId: req.session?.userId || null,
             ...value
         });
@@ -174,26 +171,19 @@ router.post('/interested', async (req, res) => {
 });
 
 /**
- * Get All Queries (Admin)
+ * Get All Queries (Support Agent / Admin)
  * GET /api/customer-care/all-queries
  */
-router.get('/all-queries', async (req, res) => {
+router.get('/all-queries', requireRole('support_agent'), async (req, res) => {
     try {
-        // TODO: Add admin authentication middleware
         const { status, category, limit = 50, skip = 0 } = req.query;
 
-        const query = {};
-        if (status) query.status = status;
-        if (category) query.category = category;
-
-        const queries = await CustomerQuery.find(query)
-            .sort({ priority: -1, createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(parseInt(skip))
-            .populate('userId', 'name email')
-            .lean();
-
-        const total = await CustomerQuery.countDocuments(query);
+        const { items: queries, total } = await db.findCustomerQueries({
+            status,
+            category,
+            limit: parseInt(limit),
+            skip: parseInt(skip)
+        });
 
         res.json({
             success: true,
@@ -215,25 +205,28 @@ router.get('/all-queries', async (req, res) => {
 });
 
 /**
- * Update Query Status/Response (Admin)
+ * Update Query Status/Response (Support Agent / Admin)
  * PATCH /api/customer-care/query/:id
  */
-router.patch('/query/:id', async (req, res) => {
+router.patch('/query/:id', requireRole('support_agent'), async (req, res) => {
     try {
         const { status, response } = req.body;
 
+        if (status && !QUERY_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid status value'
+            });
+        }
+
         const updateData = {};
         if (status) updateData.status = status;
         if (response) {
             updateData.response = response;
-            updateData.respondedAt = new Date();
+            updateData.respondedAt = new Date().toISOString();
         }
 
-        const query = await CustomerQuery.findByIdAndUpdate(
-            req.params.id,
-            updateData,
-            { new: true, runValidators: true }
-        );
+        const query = await db.updateCustomerQuery(req.params.id, updateData);
 
         if (!query) {
             return res.status(404).json({
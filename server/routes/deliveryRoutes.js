@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const db = require('../database');
+const { priceConfiguration, PricingError } = require('../pricing/pricingEngine');
+const { planStockDelivery } = require('../inventory/stock');
+const {
+    DeliveryError, DELIVERY_METHODS, DAY_PATTERN, addDays, today, getCenter, listCenters, planDelivery, slotAvailability
+} = require('../delivery/scheduler');
+
+const MAX_SLOT_RANGE_DAYS = 42;
+
+const estimateSchema = Joi.object({
+    inventoryVin: Joi.string(),
+    vehicleId: Joi.string().when('inventoryVin', { not: Joi.exist(), then: Joi.required() }),
+    config: Joi.object().when('inventoryVin', { not: Joi.exist(), then: Joi.required() }),
+    region: Joi.string(),
+    method: Joi.string().valid(...DELIVERY_METHODS),
+    centerId: Joi.string()
+});
+
+/**
+ * Delivery Centers
+ * GET /api/delivery/centers?region=US-CA
+ * Centers, optionally of one pricing region, and whether they offer pickup and
+ * home delivery.
+ */
+router.get('/centers', (req, res) => {
+    res.json({
+        success: true,
+        centers: listCenters(req.query.region)
+    });
+});
+
+/**
+ * Delivery Estimate
+ * POST /api/delivery/estimate
+ * The delivery window POST /api/orders would give this configuration, and the
+ * center that would handle it. With `inventoryVin`, for that vehicle from
+ * inventory: no build time, handed over where it stands when possible.
+ */
+router.post('/estimate', async (req, res, next) => {
+    const { error, value } = estimateSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: error.details.map(d => d.message)
+        });
+    }
+
+    try {
+        const stock = value.inventoryVin ? await db.findInventoryVehicle(value.inventoryVin) : null;
+        if (value.inventoryVin && !stock) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        let delivery;
+        if (stock) {
+            delivery = planStockDelivery(stock, { method: value.method, centerId: value.centerId });
+        } else {
+            const { breakdown } = priceConfiguration(value.vehicleId, value.config, { region: value.region });
+            delivery = planDelivery({ ...value, region: breakdown.region.code });
+        }
+        res.json({
+            success: true,
+            delivery
+        });
+    } catch (err) {
+        if (!(err instanceof PricingError) && !(err instanceof DeliveryError)) return next(err);
+        res.status(400).json({
+            success: false,
+            code: err instanceof DeliveryError ? 'INVALID_DELIVERY' : 'INVALID_CONFIGURATION',
+            message: err.message,
+            errors: err.errors
+        });
+    }
+});
+
+/**
+ * Appointment Slots
+ * GET /api/delivery/centers/:centerId/slots?method=pickup&from=2026-11-02&to=2026-11-15
+ * Open days between `from` (default today) and `to` (default two weeks later)
+ * with each slot's capacity and remaining places.
+ */
+router.get('/centers/:centerId/slots', async (req, res) => {
+    try {
+        const center = getCenter(req.params.centerId);
+        if (!center) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery center not found'
+            });
+        }
+
+        const method = req.query.method || 'pickup';
+        const from = req.query.from || today();
+        const to = req.query.to || addDays(from, 13);
+        if (!DELIVERY_METHODS.includes(method) || !DAY_PATTERN.test(from) || !DAY_PATTERN.test(to) ||
+            to < from || to > addDays(from, MAX_SLOT_RANGE_DAYS)) {
+            return res.status(400).json({
+                success: false,
+                message: `Use method=${DELIVERY_METHODS.join('|')} and from/to dates (YYYY-MM-DD) at most ${MAX_SLOT_RANGE_DAYS} days apart`
+            });
+        }
+
+        const bookings = await db.countDeliveryAppointments({ centerId: center.id, method, from, to });
+        res.json({
+            success: true,
+            center: { id: center.id, name: center.name, address: center.address },
+            method,
+            days: slotAvailability(center.id, method, from, to, bookings)
+        });
+    } catch (error) {
+        console.error('Fetch delivery slots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch delivery slots',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { priceConfiguration, PricingError } = require('../pricing/pricingEngine');
+const { FinanceError, loadPrograms, loanQuote, leaseQuote, financeOptions } = require('../pricing/finance');
+
+/**
+ * Validation Schemas
+ * Send `loan`, `lease` or both; with neither, both are quoted on the default terms.
+ */
+const { loan, lease } = loadPrograms();
+
+const financeQuoteSchema = Joi.object({
+    vehicleId: Joi.string().required(),
+    config: Joi.object().required(),
+    region: Joi.string(),
+    loan: Joi.object({
+        termMonths: Joi.number().valid(...loan.terms),
+        downPayment: Joi.number().min(0),
+        apr: Joi.number().min(0).max(30)
+    }),
+    lease: Joi.object({
+        termMonths: Joi.number().valid(...lease.terms),
+        downPayment: Joi.number().min(0),
+        annualMiles: Joi.number().integer().min(1)
+    })
+});
+
+/**
+ * Finance Options
+ * GET /api/finance/options
+ * Loan and lease terms, mileage tiers and default down payments.
+ */
+router.get('/options', (req, res) => {
+    res.json({
+        success: true,
+        ...financeOptions()
+    });
+});
+
+/**
+ * Finance Quote
+ * POST /api/finance/quote
+ * Monthly loan payment with its amortization schedule and/or lease payment for
+ * a configuration, priced like POST /api/pricing/quote.
+ */
+router.post('/quote', (req, res) => {
+    const { error, value } = financeQuoteSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: error.details.map(d => d.message)
+        });
+    }
+
+    try {
+        const { vehicle, breakdown } = priceConfiguration(value.vehicleId, value.config, { region: value.region });
+        const both = !value.loan && !value.lease;
+        res.json({
+            success: true,
+            vehicle,
+            priceBreakdown: breakdown,
+            ...(both || value.loan ? { loan: loanQuote(vehicle.id, breakdown, value.loan) } : {}),
+            ...(both || value.lease ? { lease: leaseQuote(vehicle.name, breakdown, value.lease) } : {})
+        });
+    } catch (err) {
+        if (!(err instanceof PricingError) && !(err instanceof FinanceError)) throw err;
+        res.status(400).json({
+            success: false,
+            code: err instanceof FinanceError ? 'INVALID_FINANCE_TERMS' : 'INVALID_CONFIGURATION',
+            message: err.message,
+            errors: err.errors
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const db = require('../database');
+const { requireScope } = require('../middleware/authMiddleware');
+const { INVENTORY_CONDITIONS, holdExpiry, toListing } = require('../inventory/stock');
+
+const SORTS = {
+    price: (a, b) => a.salePrice - b.salePrice,
+    '-price': (a, b) => b.salePrice - a.salePrice,
+    year: (a, b) => b.year - a.year,
+    mileage: (a, b) => a.mileage - b.mileage
+};
+
+const searchSchema = Joi.object({
+    model: Joi.string(),
+    condition: Joi.string().valid(...INVENTORY_CONDITIONS),
+    region: Joi.string(),
+    centerId: Joi.string(),
+    paint: Joi.string(),
+    battery: Joi.string(),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    sort: Joi.string().valid(...Object.keys(SORTS)).default('price'),
+    limit: Joi.number().integer().min(1).max(100).default(24),
+    skip: Joi.number().integer().min(0).default(0)
+});
+
+const vehicleNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Vehicle not found'
+});
+
+/**
+ * Search Inventory
+ * GET /api/inventory?model=model3&condition=demo&region=US-CA&maxPrice=45000&sort=price
+ * Vehicles on sale (and any the caller is holding), priced in the region of
+ * the center they stand at with their discount taken off. Also filters by
+ * centerId, paint, battery and minPrice; sort is price, -price, year (newest
+ * first) or mileage.
+ */
+router.get('/', async (req, res) => {
+    const { error, value } = searchSchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: error.details.map(d => d.message)
+        });
+    }
+
+    try {
+        const { model, minPrice, maxPrice, sort, limit, skip, ...fields } = value;
+        const userId = req.auth?.userId;
+        const listings = (await db.findInventory({ ...fields, vehicleId: model, userId }))
+            .map(record => toListing(record, { userId }))
+            .filter(listing => listing &&
+                (minPrice === undefined || listing.salePrice >= minPrice) &&
+                (maxPrice === undefined || listing.salePrice <= maxPrice))
+            .sort(SORTS[sort]);
+
+        res.json({
+            success: true,
+            data: listings.slice(skip, skip + limit),
+            pagination: { total: listings.length, limit, skip }
+        });
+    } catch (error) {
+        console.error('Search inventory error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search inventory',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Inventory Vehicle
+ * GET /api/inventory/:vin
+ * One vehicle, including sold and reserved ones (`available` says whether it
+ * can be ordered).
+ */
+router.get('/:vin', async (req, res) => {
+    try {
+        const record = await db.findInventoryVehicle(req.params.vin);
+        const listing = record && toListing(record, { userId: req.auth?.userId });
+        if (!listing) return vehicleNotFound(res);
+
+        res.json({
+            success: true,
+            data: listing
+        });
+    } catch (error) {
+        console.error('Fetch inventory vehicle error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch vehicle',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Reserve Vehicle
+ * POST /api/inventory/:vin/hold
+ * Holds the vehicle for the caller for INVENTORY_HOLD_MINUTES while they check
+ * out; holding it again renews the hold. Place the order with `inventoryVin`
+ * before it runs out.
+ */
+router.post('/:vin/hold', requireScope('orders:write'), async (req, res) => {
+    try {
+        const record = await db.findInventoryVehicle(req.params.vin);
+        if (!record || !toListing(record)) return vehicleNotFound(res);
+
+        const held = await db.holdInventoryVehicle(record.vin, { userId: req.auth.userId, expiresAt: holdExpiry() });
+        if (!held) {
+            return res.status(409).json({
+                success: false,
+                code: 'VEHICLE_RESERVED',
+                message: record.status === 'sold'
+                    ? 'Sorry, this vehicle has been sold'
+                    : 'Sorry, this vehicle is reserved by someone else'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Vehicle reserved',
+            data: toListing(held, { userId: req.auth.userId })
+        });
+    } catch (error) {
+        console.error('Reserve inventory vehicle error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reserve vehicle',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Release Vehicle
+ * DELETE /api/inventory/:vin/hold
+ * Puts a vehicle the caller reserved back on sale. Holds that became an order
+ * are released by cancelling the order instead.
+ */
+router.delete('/:vin/hold', requireScope('orders:write'), async (req, res) => {
+    try {
+        const released = await db.releaseInventoryHold(req.params.vin, req.auth.userId);
+        if (!released) {
+            return res.status(404).json({
+                success: false,
+                message: 'You have no reservation on this vehicle that can be released'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Reservation released'
+        });
+    } catch (error) {
+        console.error('Release inventory vehicle error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to release vehicle',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,56 +1,269 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../database'); // JSON database
+const db = require('../database');
+const { requireScope } = require('../middleware/authMiddleware');
+const { idempotent } = require('../middleware/idempotency');
+const { priceConfiguration, PricingError } = require('../pricing/pricingEngine');
+const { statusEntry, transitionOrder, cancelOrder, OrderTransitionError } = require('../utils/orderLifecycle');
+const { canTransition } = require('../config/orderStatuses');
+const { defaultRegionFor } = require('../pricing/regions');
+const { TradeInError } = require('../pricing/tradeIn');
+const { DeliveryError, DELIVERY_METHODS, capacityFor, planDelivery, checkAppointment } = require('../delivery/scheduler');
+const { holdExpiry, isHeld, priceStockVehicle, planStockDelivery } = require('../inventory/stock');
+const { renderInvoice } = require('../utils/invoice');
+const { DEFAULT_ROLE } = require('../config/roles');
+const Joi = require('joi');
+
+/**
+ * Validation Schemas
+ * The price is never taken from the request: `totalPrice`, when sent, is the
+ * amount the customer was shown and only has to match what the server computes.
+ * vehicleName, selectedOptions and anything else the client sends are dropped,
+ * including card details: those come from the payment gateway (routes/paymentRoutes.js).
+ * `region` picks the taxes and fees (pricing/regions.js); without it the
+ * account's region setting decides. `tradeIn` is valued again here too; its
+ * credit is only final once an admin appraises the car (routes/adminRoutes.js).
+ * `delivery` picks home delivery or a pickup center (delivery/scheduler.js) and
+ * optionally books an appointment slot right away; home delivery needs the
+ * street and city of `deliveryAddress`.
+ * `inventoryVin` orders a vehicle from inventory (inventory/stock.js) instead of
+ * building one: the vehicle's own configuration, region and discount are used,
+ * it is held for the order until it is paid, and the order skips production.
+ */
+const appointmentSchema = Joi.object({
+    date: Joi.string().required(),
+    time: Joi.string().required()
+});
+
+const orderSchema = Joi.object({
+    inventoryVin: Joi.string(),
+    vehicleId: Joi.string().when('inventoryVin', { not: Joi.exist(), then: Joi.required() }),
+    config: Joi.object().when('inventoryVin', { not: Joi.exist(), then: Joi.required() }),
+    totalPrice: Joi.number().min(0),
+    region: Joi.string(),
+    tradeIn: Joi.object(),
+    deliveryAddress: Joi.object({
+        street: Joi.string().allow(''),
+        city: Joi.string().allow(''),
+        state: Joi.string().allow(''),
+        zip: Joi.string().allow(''),
+        country: Joi.string().allow('')
+    }),
+    delivery: Joi.object({
+        method: Joi.string().valid(...DELIVERY_METHODS),
+        centerId: Joi.string(),
+        appointment: appointmentSchema
+    })
+});
+
+// The error response for a DeliveryError
+const deliveryError = (res, error) => res.status(400).json({
+    success: false,
+    code: 'INVALID_DELIVERY',
+    message: error.message,
+    errors: error.errors
+});
 
 /**
  * Create Order
  * POST /api/orders
+ * Send an Idempotency-Key header to make retries safe: a repeat with the same
+ * key gets the original order back instead of placing a second one.
  */
-router.post('/', async (req, res) => {
+router.post('/', requireScope('orders:write'), idempotent, async (req, res) => {
     try {
-        // Enhanced authentication check with detailed logging
-        console.log('📝 Order creation attempt - Session data:', {
-            hasSession: !!req.session,
-            userId: req.session?.userId,
-            userEmail: req.session?.userEmail
+        console.log('📝 Order creation attempt:', {
+            userId: req.auth.userId,
+            via: req.auth.method
         });
 
-        if (!req.session?.userId) {
-            console.error('❌ Order creation failed: No active session or userId');
+        const user = await db.findUserById(req.auth.userId);
+        if (!user) {
             return res.status(401).json({
                 success: false,
                 message: 'Please login to place an order. Your session may have expired.'
             });
         }
 
+        // Accounts created before email verification existed have no flag and may order
+        if (user.emailVerified === false) {
+            console.error('❌ Order creation failed: Email not verified', req.auth.userId);
+            return res.status(403).json({
+                success: false,
+                code: 'EMAIL_NOT_VERIFIED',
+                message: 'Please verify your email address before placing an order. Check your inbox or resend the link from your account page.'
+            });
+        }
+
         // Validate required order data
-        const { vehicleName, totalPrice } = req.body;
-        if (!vehicleName || !totalPrice) {
-            console.error('❌ Order creation failed: Missing required fields', req.body);
+        const { error, value } = orderSchema.validate(req.body, { stripUnknown: true });
+        if (error) {
+            console.error('❌ Order creation failed: Invalid order data', error.message);
             return res.status(400).json({
                 success: false,
-                message: 'Missing required order information (vehicle name or price)'
+                message: 'Validation error',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        // A vehicle from inventory must be on sale, or held by this customer for no other order
+        const stock = value.inventoryVin ? await db.findInventoryVehicle(value.inventoryVin) : null;
+        if (value.inventoryVin) {
+            if (!stock) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Vehicle not found'
+                });
+            }
+            const heldByUser = isHeld(stock) && String(stock.reservation.userId) === String(user.id);
+            if (stock.status === 'sold' || (isHeld(stock) && !heldByUser)) {
+                return res.status(409).json({
+                    success: false,
+                    code: 'VEHICLE_RESERVED',
+                    message: 'Sorry, this vehicle has been reserved by someone else. Choose another one from the inventory.'
+                });
+            }
+            if (heldByUser && stock.reservation.orderId) {
+                return res.status(409).json({
+                    success: false,
+                    code: 'VEHICLE_ALREADY_ORDERED',
+                    message: 'You have already placed an order for this vehicle'
+                });
+            }
+        }
+
+        const { vehicle, selectedOptions, breakdown, tradeIn } = stock
+            ? priceStockVehicle(stock, { tradeIn: value.tradeIn })
+            : priceConfiguration(value.vehicleId, value.config, {
+                region: value.region || defaultRegionFor(user.region),
+                tradeIn: value.tradeIn
+            });
+        const vehicleConfig = stock ? stock.config : value.config;
+
+        // The catalog changed (or the client computed something else) since the customer saw the price
+        if (value.totalPrice !== undefined && value.totalPrice !== breakdown.total) {
+            return res.status(409).json({
+                success: false,
+                code: 'PRICE_CHANGED',
+                message: `The price for this configuration is $${breakdown.total.toLocaleString()}. Please review your order.`,
+                priceBreakdown: breakdown
+            });
+        }
+
+        const requested = value.delivery || {};
+        const address = value.deliveryAddress || {};
+        if (requested.method === 'home' && (!address.street || !address.city)) {
+            throw new DeliveryError('Home delivery needs a street and city in the delivery address');
+        }
+        const delivery = stock
+            ? planStockDelivery(stock, { method: requested.method, centerId: requested.centerId })
+            : planDelivery({
+                vehicleId: vehicle.id,
+                config: value.config,
+                region: breakdown.region.code,
+                method: requested.method,
+                centerId: requested.centerId
+            });
+        if (requested.appointment) checkAppointment(delivery, requested.appointment);
+
+        if (stock && !(await db.holdInventoryVehicle(stock.vin, { userId: user.id, expiresAt: holdExpiry() }))) {
+            return res.status(409).json({
+                success: false,
+                code: 'VEHICLE_RESERVED',
+                message: 'Sorry, this vehicle has just been reserved by someone else. Choose another one from the inventory.'
             });
         }
 
         const orderData = {
-            ...req.body,
-            userId: req.session.userId
+            userId: req.auth.userId,
+            vehicleId: vehicle.id,
+            vehicleName: vehicle.name,
+            config: vehicleConfig,
+            selectedOptions,
+            totalPrice: breakdown.total,
+            priceBreakdown: breakdown,
+            // Becomes Paid once the payment gateway confirms (payments/paymentService.js)
+            status: 'Pending',
+            statusHistory: [statusEntry('Pending', null, { id: user.id, role: user.role || DEFAULT_ROLE }, 'Order placed')],
+            ...(tradeIn ? {
+                tradeIn: {
+                    ...tradeIn,
+                    credit: breakdown.tradeInCredit,
+                    status: 'Estimated',
+                    finalCredit: null,
+                    adjustment: null,
+                    appraisedAt: null,
+                    appraisedBy: null,
+                    appraisalNote: null
+                }
+            } : {}),
+            ...(stock ? {
+                inventory: {
+                    vin: stock.vin,
+                    condition: stock.condition,
+                    year: stock.year,
+                    mileage: stock.mileage,
+                    location: stock.location,
+                    discount: stock.discount
+                }
+            } : {}),
+            delivery,
+            estimatedDelivery: new Date(`${delivery.window.latest}T00:00:00Z`).toISOString(),
+            ...(value.deliveryAddress ? { deliveryAddress: value.deliveryAddress } : {})
         };
 
-        console.log('✅ Creating order:', orderData);
-
         // Create order
-        const order = db.createOrder(orderData);
+        let order = await db.createOrder(orderData);
+
+        // Just the order and vehicle; the rest is the customer's data
+        console.log(`✅ Order ${order.id} created: ${orderData.vehicleName}${stock ? ` (VIN ${stock.vin})` : ''}`);
+
+        // The hold moves to the order; only a second order placed at the same moment can fail here
+        if (stock && !(await db.holdInventoryVehicle(stock.vin, { userId: user.id, orderId: order.id, expiresAt: holdExpiry() }))) {
+            await transitionOrder(order, 'Cancelled', {
+                actor: { id: null, role: 'system' },
+                note: `Vehicle ${stock.vin} was already ordered`
+            });
+            return res.status(409).json({
+                success: false,
+                code: 'VEHICLE_ALREADY_ORDERED',
+                message: 'You have already placed an order for this vehicle'
+            });
+        }
 
-        console.log('✅ Order created successfully:', order.id);
+        // Someone may have taken the last place in the slot since it was shown
+        let slotTaken = false;
+        if (requested.appointment) {
+            const booked = await db.bookDeliveryAppointment(order.id, requested.appointment, capacityFor(delivery.centerId, delivery.method));
+            if (booked) order = booked;
+            else slotTaken = true;
+        }
 
         res.status(201).json({
             success: true,
-            message: 'Order placed successfully',
+            message: slotTaken
+                ? 'Order placed, but the delivery slot you picked was just taken. Choose another one from your account page, then complete the payment.'
+                : 'Order placed. Complete the payment to confirm it.',
             order
         });
     } catch (error) {
+        if (error instanceof DeliveryError) return deliveryError(res, error);
+        if (error instanceof TradeInError) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_TRADE_IN',
+                message: error.message,
+                errors: error.errors
+            });
+        }
+        if (error instanceof PricingError) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_CONFIGURATION',
+                message: error.message,
+                errors: error.errors
+            });
+        }
         console.error('❌ Order creation error:', error);
         res.status(500).json({
             success: false,
@@ -64,16 +277,9 @@ router.post('/', async (req, res) => {
  * Get User's Orders
  * GET /api/orders
  */
-router.get('/', async (req, res) => {
+router.get('/', requireScope('orders:read'), async (req, res) => {
     try {
-        if (!req.session?.userId) {
-            return res.status(401).json({
-                success: false,
-                message: 'Authentication required'
-            });
-        }
-
-        const orders = db.findOrdersByUserId(req.session.userId);
+        const orders = await db.findOrdersByUserId(req.auth.userId);
 
         res.json({
             success: true,
@@ -90,4 +296,172 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * Order Invoice
+ * GET /api/orders/:id/invoice.pdf
+ * The order as a printable PDF: items, taxes and fees, payment and delivery.
+ */
+router.get('/:id/invoice.pdf', requireScope('orders:read'), async (req, res) => {
+    try {
+        const order = await db.findOrderById(req.params.id);
+        if (!order || String(order.userId) !== String(req.auth.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const user = await db.findUserById(req.auth.userId);
+        const { fileName, buffer } = renderInvoice(order, user);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+            'Content-Length': buffer.length,
+            'Cache-Control': 'no-store'
+        });
+        res.send(buffer);
+    } catch (error) {
+        console.error('Invoice error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate the invoice',
+            error: error.message
+        });
+    }
+});
+
+const cancelSchema = Joi.object({
+    reason: Joi.string().trim().max(500).allow('')
+});
+
+/**
+ * Cancel Order
+ * POST /api/orders/:id/cancel
+ * Allowed until the order goes into production. The order is cancelled right
+ * away; its refund (pricing/refundPolicy.js) waits in the admin refund queue.
+ */
+router.post('/:id/cancel', requireScope('orders:write'), async (req, res) => {
+    try {
+        const { error, value } = cancelSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const order = await db.findOrderById(req.params.id);
+        if (!order || String(order.userId) !== String(req.auth.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!canTransition(order.status, 'Cancelled', order)) {
+            return res.status(409).json({
+                success: false,
+                code: 'NOT_CANCELLABLE',
+                message: order.status === 'Cancelled'
+                    ? 'This order has already been cancelled'
+                    : `This order is ${order.status} and can no longer be cancelled`
+            });
+        }
+
+        const user = await db.findUserById(req.auth.userId);
+        const { order: cancelled, refund } = await cancelOrder(order, {
+            actor: { id: user.id, role: user.role || DEFAULT_ROLE },
+            note: value.reason || 'Cancelled by customer'
+        });
+
+        console.log(`🚫 Order ${order.orderNumber} cancelled by customer, refund ${refund ? refund.amount : 0}`);
+
+        res.json({
+            success: true,
+            message: refund
+                ? `Order cancelled. A refund of $${refund.amount.toLocaleString()} has been requested.`
+                : 'Order cancelled.',
+            order: cancelled
+        });
+    } catch (error) {
+        if (error instanceof OrderTransitionError) {
+            return res.status(409).json({
+                success: false,
+                code: error.code,
+                message: error.message
+            });
+        }
+        console.error('Cancel order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel order',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Book Delivery Appointment
+ * PUT /api/orders/:id/delivery/appointment
+ * Books { date, time } at the order's delivery center, or moves the current
+ * appointment there. See GET /api/delivery/centers/:centerId/slots for what is free.
+ */
+router.put('/:id/delivery/appointment', requireScope('orders:write'), async (req, res) => {
+    try {
+        const { error, value } = appointmentSchema.validate(req.body || {}, { stripUnknown: true });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const order = await db.findOrderById(req.params.id);
+        if (!order || String(order.userId) !== String(req.auth.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!order.delivery || ['Cancelled', 'Delivered'].includes(order.status)) {
+            return res.status(409).json({
+                success: false,
+                code: 'DELIVERY_NOT_SCHEDULABLE',
+                message: order.delivery
+                    ? `This order is ${order.status}; its delivery can no longer be scheduled`
+                    : 'This order was placed before delivery scheduling; contact us to arrange the delivery'
+            });
+        }
+
+        checkAppointment(order.delivery, value);
+        const updated = await db.bookDeliveryAppointment(order.id, value, capacityFor(order.delivery.centerId, order.delivery.method));
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                code: 'SLOT_FULL',
+                message: 'That slot is fully booked. Please pick another one.'
+            });
+        }
+
+        console.log(`📅 Order ${order.orderNumber} delivery booked for ${value.date} ${value.time}`);
+
+        res.json({
+            success: true,
+            message: `Delivery booked for ${value.date} at ${value.time}.`,
+            order: updated
+        });
+    } catch (error) {
+        if (error instanceof DeliveryError) return deliveryError(res, error);
+        console.error('Book delivery appointment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to book the delivery appointment',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
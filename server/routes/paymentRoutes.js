@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const db = require('../database');
+const { requireScope } = require('../middleware/authMiddleware');
+const { PaymentError } = require('../payments/gateway');
+const paymentService = require('../payments/paymentService');
+
+/**
+ * Validation Schemas
+ * Either a card (first attempt or a retry after a decline) or the result of a
+ * 3-D Secure challenge.
+ */
+const confirmSchema = Joi.object({
+    card: Joi.object({
+        number: Joi.string().pattern(/^[\d\s-]{12,23}$/).required(),
+        expMonth: Joi.alternatives(Joi.number(), Joi.string()).required(),
+        expYear: Joi.alternatives(Joi.number(), Joi.string()).required(),
+        cvc: Joi.string().required(),
+        name: Joi.string().allow('')
+    }),
+    authentication: Joi.string().valid('approve', 'fail')
+}).xor('card', 'authentication');
+
+const paymentError = (res, error) => res.status(error.httpStatus).json({
+    success: false,
+    code: error.code,
+    message: error.message
+});
+
+// Loads the caller's own order, or answers 404 and resolves with null
+const findOwnOrder = async (req, res) => {
+    const order = await db.findOrderById(req.params.orderId);
+    if (!order || String(order.userId) !== String(req.auth.userId)) {
+        res.status(404).json({
+            success: false,
+            message: 'Order not found'
+        });
+        return null;
+    }
+    return order;
+};
+
+/**
+ * Test Cards
+ * GET /api/payments/test-cards
+ * Card numbers the mock gateway understands; empty with a real gateway.
+ */
+router.get('/test-cards', (req, res) => {
+    res.json({
+        success: true,
+        cards: paymentService.testCards() || []
+    });
+});
+
+/**
+ * Start Payment
+ * POST /api/payments/orders/:orderId/intent
+ * Creates the gateway payment for a Pending order (or returns the existing one).
+ */
+router.post('/orders/:orderId/intent', requireScope('orders:write'), async (req, res) => {
+    try {
+        const order = await findOwnOrder(req, res);
+        if (!order) return;
+
+        const payment = await paymentService.startPayment(order);
+        res.json({
+            success: true,
+            payment
+        });
+    } catch (error) {
+        if (error instanceof PaymentError) return paymentError(res, error);
+        console.error('Start payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start payment',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Confirm Payment
+ * POST /api/payments/orders/:orderId/confirm
+ * Body: { card: { number, expMonth, expYear, cvc } } or { authentication: 'approve' | 'fail' }
+ *
+ * 200 with payment.status 'succeeded' (order is now Paid) or 'requires_action'
+ * (show the 3-D Secure challenge); 402 when the card was declined.
+ */
+router.post('/orders/:orderId/confirm', requireScope('orders:write'), async (req, res) => {
+    try {
+        const { error, value } = confirmSchema.validate(req.body || {});
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const order = await findOwnOrder(req, res);
+        if (!order) return;
+
+        const result = await paymentService.confirmPayment(order, value);
+        const { payment } = result;
+
+        if (payment.status === 'requires_payment_method') {
+            return res.status(402).json({
+                success: false,
+                code: payment.lastError?.code || 'payment_failed',
+                message: payment.lastError?.message || 'The payment failed',
+                payment
+            });
+        }
+
+        console.log(`💳 Payment for order ${order.orderNumber}: ${payment.status}`);
+
+        res.json({
+            success: true,
+            message: payment.status === 'succeeded' ? 'Payment successful' : 'Authentication required',
+            payment,
+            order: result.order
+        });
+    } catch (error) {
+        if (error instanceof PaymentError) return paymentError(res, error);
+        console.error('Confirm payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to confirm payment',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Gateway Webhook
+ * POST /api/payments/webhook
+ * Called by the payment provider, not the browser. The signature is checked
+ * against the raw request body.
+ */
+router.post('/webhook', async (req, res) => {
+    try {
+        const { event, order } = await paymentService.handleWebhook(req.rawBody || '', req.headers);
+        console.log(`🔔 Payment webhook ${event.type}${order ? ` for order ${order.orderNumber}` : ' (no matching order)'}`);
+        res.json({ received: true });
+    } catch (error) {
+        if (error instanceof PaymentError) return paymentError(res, error);
+        console.error('Payment webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process webhook'
+        });
+    }
+});
+
+module.exports = router;
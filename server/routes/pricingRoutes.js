@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { loadCatalog } = require('../pricing/catalog');
+const { priceConfiguration, PricingError } = require('../pricing/pricingEngine');
+const { listRegions } = require('../pricing/regions');
+const { TradeInError } = require('../pricing/tradeIn');
+const db = require('../database');
+const { priceStockVehicle } = require('../inventory/stock');
+
+const quoteSchema = Joi.object({
+    inventoryVin: Joi.string(),
+    vehicleId: Joi.string().when('inventoryVin', { not: Joi.exist(), then: Joi.required() }),
+    config: Joi.object().when('inventoryVin', { not: Joi.exist(), then: Joi.required() }),
+    region: Joi.string(),
+    tradeIn: Joi.object()
+});
+
+/**
+ * Vehicle Catalog
+ * GET /api/pricing/catalog
+ * Vehicles, options, prices and option rules orders are charged at.
+ */
+router.get('/catalog', (req, res) => {
+    res.json({
+        success: true,
+        catalog: loadCatalog()
+    });
+});
+
+/**
+ * Delivery Regions
+ * GET /api/pricing/regions
+ * Regions orders can be taxed for, with their display currencies and the
+ * stored exchange rates.
+ */
+router.get('/regions', (req, res) => {
+    res.json({
+        success: true,
+        ...listRegions()
+    });
+});
+
+/**
+ * Price Quote
+ * POST /api/pricing/quote
+ * The itemized price POST /api/orders would charge for this configuration,
+ * including the taxes, fees and incentives of `region` and the credit for
+ * `tradeIn` ({ make, model, year, mileage, condition }). With `inventoryVin`,
+ * the price of that vehicle from inventory instead (its own configuration,
+ * region and discount).
+ */
+router.post('/quote', async (req, res, next) => {
+    const { error, value } = quoteSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: error.details.map(d => d.message)
+        });
+    }
+
+    try {
+        const stock = value.inventoryVin ? await db.findInventoryVehicle(value.inventoryVin) : null;
+        if (value.inventoryVin && !stock) {
+            return res.status(404).json({
+                success: false,
+                message: 'Vehicle not found'
+            });
+        }
+
+        const { vehicle, selectedOptions, breakdown, tradeIn } = stock
+            ? priceStockVehicle(stock, { tradeIn: value.tradeIn })
+            : priceConfiguration(value.vehicleId, value.config, {
+                region: value.region,
+                tradeIn: value.tradeIn
+            });
+        res.json({
+            success: true,
+            vehicle,
+            selectedOptions,
+            priceBreakdown: breakdown,
+            tradeIn
+        });
+    } catch (err) {
+        if (err instanceof TradeInError) {
+            return res.status(400).json({
+                success: false,
+                code: 'INVALID_TRADE_IN',
+                message: err.message,
+                errors: err.errors
+            });
+        }
+        if (!(err instanceof PricingError)) return next(err);
+        res.status(400).json({
+            success: false,
+            code: 'INVALID_CONFIGURATION',
+            message: err.message,
+            errors: err.errors
+        });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../database');
+const { hasScope, requireScope } = require('../middleware/authMiddleware');
 const fs = require('fs');
 const path = require('path');
 
@@ -146,18 +147,18 @@ function calculateAdvancedRecommendations(preferences) {
 }
 
 // Track analytics
-function trackAnalytics(preferences) {
+async function trackAnalytics(preferences) {
     try {
-        db.trackAnalytics('style', preferences.style);
-        db.trackAnalytics('passengers', preferences.passengers.toString());
-        db.trackAnalytics('priority', preferences.priority || 'Balanced');
+        await db.trackAnalytics('style', preferences.style);
+        await db.trackAnalytics('passengers', preferences.passengers.toString());
+        await db.trackAnalytics('priority', preferences.priority || 'Balanced');
     } catch (error) {
         console.error('Analytics tracking error:', error);
     }
 }
 
 // POST /api/recommend - Get recommendations
-router.post('/recommend', (req, res) => {
+router.post('/recommend', async (req, res) => {
     try {
         const { preferences } = req.body;
 
@@ -166,11 +167,12 @@ router.post('/recommend', (req, res) => {
         }
 
         const recommendations = calculateAdvancedRecommendations(preferences);
-        trackAnalytics(preferences);
+        await trackAnalytics(preferences);
 
-        if (req.session && req.session.userId) {
-            db.saveRecommendation({
-                userId: req.session.userId,
+        // Anyone can ask; signed-in callers (tokens need configs:write) get it saved to their history
+        if (hasScope(req, 'configs:write')) {
+            await db.saveRecommendation({
+                userId: req.auth.userId,
                 preferences,
                 recommendations: recommendations.map(r => ({
                     vehicleId: r.id,
@@ -194,12 +196,9 @@ router.post('/recommend', (req, res) => {
 });
 
 // GET /api/recommend/history
-router.get('/recommend/history', (req, res) => {
+router.get('/recommend/history', requireScope('configs:read'), async (req, res) => {
     try {
-        if (!req.session || !req.session.userId) {
-            return res.status(401).json({ message: 'Not authenticated' });
-        }
-        const history = db.findRecommendationsByUserId(req.session.userId).slice(0, 10);
+        const history = (await db.findRecommendationsByUserId(req.auth.userId)).slice(0, 10);
         res.json({ success: true, history });
     } catch (error) {
         console.error('History fetch error:', error);
@@ -208,9 +207,9 @@ router.get('/recommend/history', (req, res) => {
 });
 
 // GET /api/recommend/analytics
-router.get('/recommend/analytics', (req, res) => {
+router.get('/recommend/analytics', async (req, res) => {
     try {
-        const analytics = db.getAnalytics().slice(0, 20);
+        const analytics = (await db.getAnalytics()).slice(0, 20);
         res.json({ success: true, analytics });
     } catch (error) {
         console.error('Analytics fetch error:', error);
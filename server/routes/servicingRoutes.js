@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const ServiceRequest = require('../models/ServiceRequest');
+const db = require('../database');
+const { requireRole, requireScope } = require('../middleware/authMiddleware');
 const Joi = require('joi');
 
+const SERVICE_STATUSES = ['Pending', 'Confirmed', 'In Progress', 'Completed', 'Cancelled'];
+
 /**
- * Validation Schema
+ * Validation Schemas
  */
 const serviceRequestSchema = Joi.object({
     serviceDate: Joi.date().min('now').required(),
@@ -16,20 +19,26 @@ const serviceRequestSchema = Joi.object({
     notes: Joi.string().allow('', null)
 });
 
+// Service advisors manage status, priority and the appointment date
+const serviceRequestStaffUpdateSchema = Joi.object({
+    status: Joi.string().valid(...SERVICE_STATUSES),
+    priority: Joi.string().valid('Low', 'Medium', 'High', 'Urgent'),
+    serviceDate: Joi.date(),
+    notes: Joi.string().allow('', null)
+}).min(1);
+
+// Customers may reschedule or edit details, but not change ownership or status
+const serviceRequestUpdateSchema = serviceRequestSchema.fork(
+    ['serviceDate', 'vehicleModel', 'issueDescription'],
+    (field) => field.optional()
+).min(1);
+
 /**
  * Create Service Request
  * POST /api/servicing/request
  */
-router.post('/request', async (req, res) => {
+router.post('/request', requireScope('service:write'), async (req, res) => {
     try {
-        // Check authentication
-        if (!req.session?.userId) {
-            return res.status(401).json({
-                success: false,
-                message: 'Please login to book a service'
-            });
-        }
-
         // Validate request data
         const { error, value } = serviceRequestSchema.validate(req.body);
         if (error) {
@@ -41,8 +50,8 @@ router.post('/request', async (req, res) => {
         }
 
         // Create service request
-        const serviceRequest = await ServiceRequest.create({
-            userId: req.session.userId,
+        const serviceRequest = await db.createServiceRequest({
+            userId: req.auth.userId,
             ...value
         });
 
@@ -65,18 +74,9 @@ router.post('/request', async (req, res) => {
  * Get User's Service Requests
  * GET /api/servicing/my-requests
  */
-router.get('/my-requests', async (req, res) => {
+router.get('/my-requests', requireScope('service:read'), async (req, res) => {
     try {
-        if (!req.session?.userId) {
-            return res.status(401).json({
-                success: false,
-                message: 'Authentication required'
-            });
-        }
-
-        const requests = await ServiceRequest.find({ userId: req.session.userId })
-            .sort({ createdAt: -1 })
-            .lean();
+        const requests = await db.findServiceRequestsByUserId(req.auth.userId);
 
         res.json({
             success: true,
@@ -97,19 +97,9 @@ router.get('/my-requests', async (req, res) => {
  * Get Service Request by ID
  * GET /api/servicing/request/:id
  */
-router.get('/request/:id', async (req, res) => {
+router.get('/request/:id', requireScope('service:read'), async (req, res) => {
     try {
-        if (!req.session?.userId) {
-            return res.status(401).json({
-                success: false,
-                message: 'Authentication required'
-            });
-        }
-
-        const request = await ServiceRequest.findOne({
-            _id: req.params.id,
-            userId: req.session.userId
-        });
+        const request = await db.findServiceRequest(req.params.id, req.auth.userId);
 
         if (!request) {
             return res.status(404).json({
@@ -136,20 +126,18 @@ router.get('/request/:id', async (req, res) => {
  * Update Service Request
  * PUT /api/servicing/request/:id
  */
-router.put('/request/:id', async (req, res) => {
+router.put('/request/:id', requireScope('service:write'), async (req, res) => {
     try {
-        if (!req.session?.userId) {
-            return res.status(401).json({
+        const { error, value } = serviceRequestUpdateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
                 success: false,
-                message: 'Authentication required'
+                message: 'Validation error',
+                errors: error.details.map(d => d.message)
             });
         }
 
-        const request = await ServiceRequest.findOneAndUpdate(
-            { _id: req.params.id, userId: req.session.userId },
-            { $set: req.body },
-            { new: true, runValidators: true }
-        );
+        const request = await db.updateServiceRequest(req.params.id, req.auth.userId, value);
 
         if (!request) {
             return res.status(404).json({
@@ -177,20 +165,81 @@ router.put('/request/:id', async (req, res) => {
  * Cancel Service Request
  * DELETE /api/servicing/request/:id
  */
-router.delete('/request/:id', async (req, res) => {
+router.delete('/request/:id', requireScope('service:write'), async (req, res) => {
     try {
-        if (!req.session?.userId) {
-            return res.status(401).json({
+        const request = await db.updateServiceRequest(req.params.id, req.auth.userId, { status: 'Cancelled' });
+
+        if (!request) {
+            return res.status(404).json({
                 success: false,
-                message: 'Authentication required'
+                message: 'Service request not found'
             });
         }
 
-        const request = await ServiceRequest.findOneAndUpdate(
-            { _id: req.params.id, userId: req.session.userId },
-            { status: 'Cancelled' },
-            { new: true }
-        );
+        res.json({
+            success: true,
+            message: 'Service request cancelled successfully',
+            data: request
+        });
+    } catch (error) {
+        console.error('Cancel service request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel service request',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Get All Service Requests (Service Advisor / Admin)
+ * GET /api/servicing/all
+ */
+router.get('/all', requireRole('service_advisor'), async (req, res) => {
+    try {
+        const { status, limit = 50, skip = 0 } = req.query;
+
+        const { items: requests, total } = await db.findServiceRequests({
+            status,
+            limit: parseInt(limit),
+            skip: parseInt(skip)
+        });
+
+        res.json({
+            success: true,
+            data: requests,
+            pagination: {
+                total,
+                limit: parseInt(limit),
+                skip: parseInt(skip)
+            }
+        });
+    } catch (error) {
+        console.error('Fetch all service requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch service requests',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Update Any Service Request (Service Advisor / Admin)
+ * PATCH /api/servicing/request/:id
+ */
+router.patch('/request/:id', requireRole('service_advisor'), async (req, res) => {
+    try {
+        const { error, value } = serviceRequestStaffUpdateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                errors: error.details.map(d => d.message)
+            });
+        }
+
+        const request = await db.updateServiceRequestById(req.params.id, value);
 
         if (!request) {
             return res.status(404).json({
@@ -201,14 +250,14 @@ router.delete('/request/:id', async (req, res) => {
 
         res.json({
             success: true,
-            message: 'Service request cancelled successfully',
+            message: 'Service request updated successfully',
             data: request
         });
     } catch (error) {
-        console.error('Cancel service request error:', error);
+        console.error('Staff update service request error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to cancel service request',
+            message: 'Failed to update service request',
             error: error.message
         });
     }
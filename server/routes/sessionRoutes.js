@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const { promisify } = require('util');
+const {
+    publicSessionId,
+    toSessionSummary,
+    findUserSessions,
+    destroyUserSessions
+} = require('../utils/sessions');
+const { revokeUserJwts } = require('../utils/apiTokens');
+
+// Every endpoint here acts on the signed-in user's own sessions
+router.use((req, res, next) => {
+    if (!req.session?.userId) {
+        return res.status(401).json({
+            success: false,
+            message: 'Not authenticated'
+        });
+    }
+    next();
+});
+
+// Ends the request's own session and clears its cookie
+const endCurrentSession = (req, res, body) => {
+    req.session.destroy((err) => {
+        if (err) console.error('Session destroy error:', err);
+        res.clearCookie('sessionId');
+        res.json(body);
+    });
+};
+
+/**
+ * List Active Sessions
+ * GET /api/auth/sessions
+ * Most recently used first; the one making this request is flagged `current`.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const sessions = (await findUserSessions(req.sessionStore, req.session.userId))
+            .map(entry => toSessionSummary(entry, req.sessionID))
+            .sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0));
+
+        res.json({
+            success: true,
+            sessions
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load sessions'
+        });
+    }
+});
+
+/**
+ * Sign Out Everywhere
+ * DELETE /api/auth/sessions[?keepCurrent=true]
+ * Ends every session of the account, or every other one with keepCurrent.
+ * Access/refresh JWTs are revoked either way.
+ */
+router.delete('/', async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true';
+        const signedOut = await destroyUserSessions(req.sessionStore, req.session.userId, { exceptId: req.sessionID });
+        await revokeUserJwts(req.session.userId);
+        const body = {
+            success: true,
+            message: keepCurrent ? 'Signed out of all other devices' : 'Signed out everywhere',
+            sessionsSignedOut: signedOut + (keepCurrent ? 0 : 1)
+        };
+
+        if (keepCurrent) return res.json(body);
+        endCurrentSession(req, res, body);
+    } catch (error) {
+        console.error('Sign out everywhere error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign out sessions'
+        });
+    }
+});
+
+/**
+ * Revoke One Session
+ * DELETE /api/auth/sessions/:id
+ * `id` is the value returned by GET /api/auth/sessions. Revoking the current
+ * session is the same as logging out.
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const target = (await findUserSessions(req.sessionStore, req.session.userId))
+            .find(({ id }) => publicSessionId(id) === req.params.id);
+
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        const body = { success: true, message: 'Session signed out' };
+        if (target.id === req.sessionID) return endCurrentSession(req, res, body);
+
+        await promisify(req.sessionStore.destroy.bind(req.sessionStore))(target.id);
+        res.json(body);
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign out session'
+        });
+    }
+});
+
+module.exports = router;
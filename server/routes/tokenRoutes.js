@@ -0,0 +1,266 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+const db = require('../database');
+const config = require('../config/config');
+const { SCOPES, SCOPE_NAMES } = require('../config/scopes');
+const { createPersonalToken, issueTokenPair, verifyJwt } = require('../utils/apiTokens');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const {
+    loginIpGuard,
+    recordIpFailure,
+    accountLockMinutes,
+    recordAccountFailure,
+    recordAccountFailureInBackground,
+    clearAccountFailures,
+    DUMMY_PASSWORD_HASH
+} = require('../middleware/loginProtection');
+
+const scopesSchema = Joi.array().items(Joi.string().valid(...SCOPE_NAMES)).unique();
+
+const tokenGrantSchema = Joi.object({
+    email: Joi.string().email(),
+    password: Joi.string(),
+    code: Joi.string(),
+    recoveryCode: Joi.string(),
+    scopes: scopesSchema.min(1)
+}).and('email', 'password');
+
+const apiTokenSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(60).required(),
+    scopes: scopesSchema.min(1).required(),
+    expiresInDays: Joi.number().integer().min(1).max(365).allow(null)
+});
+
+const validationError = (res, error) => res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: error.details.map(d => d.message)
+});
+
+const invalidCredentials = (res) => res.status(401).json({
+    success: false,
+    code: 'INVALID_CREDENTIALS',
+    message: 'Incorrect email or password'
+});
+
+/**
+ * Checks an email/password (plus 2FA code when enabled) for the token grant,
+ * with the same brute-force accounting as POST /login. Sends the error
+ * response itself and resolves with null when the credentials don't check out.
+ */
+const authenticateCredentials = async (req, res, { email, password, code, recoveryCode }) => {
+    const user = await db.findUserByEmail(email);
+    if (!user) {
+        recordIpFailure(req);
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        invalidCredentials(res);
+        return null;
+    }
+
+    const lockMinutes = accountLockMinutes(user);
+    if (lockMinutes) {
+        recordIpFailure(req);
+        // Unknown emails get the same answer, so a lock mustn't give the account away
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        invalidCredentials(res);
+        return null;
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+        recordIpFailure(req);
+        recordAccountFailureInBackground(user);
+        invalidCredentials(res);
+        return null;
+    }
+
+    if (user.twoFactorEnabled && !(await verifySecondFactor(user, { code, recoveryCode }))) {
+        recordIpFailure(req);
+        // Only reached with the right password, so the lock gives nothing away
+        if ((code || recoveryCode) && await recordAccountFailure(user)) {
+            res.status(423).json({
+                success: false,
+                code: 'ACCOUNT_LOCKED',
+                message: `This account is temporarily locked after too many failed sign-in attempts. Try again in ${config.LOGIN_LOCKOUT_MINUTES} minutes.`
+            });
+            return null;
+        }
+        res.status(401).json({
+            success: false,
+            code: code || recoveryCode ? 'INVALID_TWO_FACTOR_CODE' : 'TWO_FACTOR_REQUIRED',
+            message: 'This account uses two-factor authentication. Send a valid code or recoveryCode.'
+        });
+        return null;
+    }
+
+    await clearAccountFailures(user);
+    return user;
+};
+
+/**
+ * Issue Access Token
+ * POST /api/auth/token
+ * Exchanges an email/password (or the current cookie session) for a
+ * short-lived access JWT and a refresh JWT. `scopes` defaults to all of them.
+ */
+router.post('/token', loginIpGuard, async (req, res) => {
+    try {
+        const { error, value } = tokenGrantSchema.validate(req.body || {});
+        if (error) return validationError(res, error);
+
+        let user;
+        if (value.email) {
+            user = await authenticateCredentials(req, res, value);
+            if (!user) return;
+        } else if (req.session?.userId) {
+            user = await db.findUserById(req.session.userId);
+        }
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sign in or send email and password to get a token'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...issueTokenPair(user, value.scopes || SCOPE_NAMES)
+        });
+    } catch (error) {
+        console.error('Token grant error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to issue token'
+        });
+    }
+});
+
+/**
+ * Refresh Access Token
+ * POST /api/auth/token/refresh
+ * Trades a refresh JWT for a new pair with the same scopes.
+ */
+router.post('/token/refresh', async (req, res) => {
+    try {
+        const verified = await verifyJwt(req.body?.refreshToken, 'refresh');
+        if (!verified) {
+            return res.status(401).json({
+                success: false,
+                code: 'INVALID_TOKEN',
+                message: 'The refresh token is invalid, expired or revoked.'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...issueTokenPair(verified.user, verified.scopes)
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh token'
+        });
+    }
+});
+
+// Personal tokens are managed from a signed-in browser only: a token can't mint more tokens
+const requireSession = (req, res, next) => {
+    if (!req.session?.userId) {
+        return res.status(401).json({
+            success: false,
+            message: 'Not authenticated'
+        });
+    }
+    next();
+};
+
+const toPublicApiToken = ({ tokenHash, __v, _id, ...token }) => token;
+
+/**
+ * List Personal API Tokens
+ * GET /api/auth/api-tokens
+ * Also returns the scopes a token can be given.
+ */
+router.get('/api-tokens', requireSession, async (req, res) => {
+    try {
+        const tokens = await db.findApiTokensByUserId(req.session.userId);
+        res.json({
+            success: true,
+            tokens: tokens.map(toPublicApiToken),
+            availableScopes: SCOPES
+        });
+    } catch (error) {
+        console.error('List API tokens error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load API tokens'
+        });
+    }
+});
+
+/**
+ * Create Personal API Token
+ * POST /api/auth/api-tokens
+ * The token itself is returned only in this response.
+ */
+router.post('/api-tokens', requireSession, async (req, res) => {
+    try {
+        const { error, value } = apiTokenSchema.validate(req.body);
+        if (error) return validationError(res, error);
+
+        const { token, tokenHash, prefix } = createPersonalToken();
+        const apiToken = await db.createApiToken({
+            userId: req.session.userId,
+            name: value.name,
+            tokenHash,
+            prefix,
+            scopes: value.scopes,
+            expiresAt: value.expiresInDays ? new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000) : null
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'API token created. Copy it now: it won\'t be shown again.',
+            token,
+            apiToken: toPublicApiToken(apiToken)
+        });
+    } catch (error) {
+        console.error('Create API token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create API token'
+        });
+    }
+});
+
+/**
+ * Revoke Personal API Token
+ * DELETE /api/auth/api-tokens/:id
+ */
+router.delete('/api-tokens/:id', requireSession, async (req, res) => {
+    try {
+        const revoked = await db.revokeApiToken(req.params.id, req.session.userId);
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'API token not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'API token revoked'
+        });
+    } catch (error) {
+        console.error('Revoke API token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke API token'
+        });
+    }
+});
+
+module.exports = router;
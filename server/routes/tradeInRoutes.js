@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { estimateTradeIn, tradeInOptions, TradeInError } = require('../pricing/tradeIn');
+
+// Ranges and known makes are checked by estimateTradeIn, which lists every problem at once
+const estimateSchema = Joi.object({
+    make: Joi.string().required(),
+    model: Joi.string().required(),
+    year: Joi.number().integer().required(),
+    mileage: Joi.number().required(),
+    condition: Joi.string().required()
+});
+
+/**
+ * Trade-In Options
+ * GET /api/trade-in/options
+ * Makes and models we can value, the accepted model years and conditions.
+ */
+router.get('/options', (req, res) => {
+    res.json({
+        success: true,
+        ...tradeInOptions()
+    });
+});
+
+/**
+ * Trade-In Estimate
+ * POST /api/trade-in/estimate
+ * Body: { make, model, year, mileage, condition }. The estimated range and the
+ * credit an order would get (send the same fields as `tradeIn` with the order).
+ */
+router.post('/estimate', (req, res) => {
+    const { error, value } = estimateSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: error.details.map(d => d.message)
+        });
+    }
+
+    try {
+        res.json({
+            success: true,
+            tradeIn: estimateTradeIn(value)
+        });
+    } catch (err) {
+        if (!(err instanceof TradeInError)) throw err;
+        res.status(400).json({
+            success: false,
+            code: 'INVALID_TRADE_IN',
+            message: err.message,
+            errors: err.errors
+        });
+    }
+});
+
+module.exports = router;
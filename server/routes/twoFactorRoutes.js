@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const db = require('../database');
+const { generateSecret, verifyCode, provisioningUri } = require('../utils/totp');
+const { createRecoveryCodes } = require('../utils/tokens');
+const { verifySecondFactor } = require('../utils/twoFactor');
+
+const ISSUER = 'Tesla';
+
+// Every 2FA endpoint acts on the signed-in user
+router.use(async (req, res, next) => {
+    try {
+        if (!req.session?.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authenticated'
+            });
+        }
+
+        req.user = await db.findUserById(req.session.userId);
+        if (!req.user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * 2FA Status
+ * GET /api/auth/2fa
+ */
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        twoFactorEnabled: !!req.user.twoFactorEnabled,
+        recoveryCodesRemaining: (req.user.twoFactorRecoveryCodes || []).length
+    });
+});
+
+/**
+ * Start Enrollment
+ * POST /api/auth/2fa/enroll
+ * Returns a new secret and its otpauth:// URI. Nothing changes for login until /confirm.
+ */
+router.post('/enroll', async (req, res) => {
+    try {
+        if (req.user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = generateSecret();
+        await db.updateUser(req.user.id, { twoFactorPendingSecret: secret });
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUri: provisioningUri(secret, req.user.email, ISSUER)
+        });
+    } catch (error) {
+        console.error('2FA enroll error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start two-factor setup'
+        });
+    }
+});
+
+/**
+ * Confirm Enrollment
+ * POST /api/auth/2fa/confirm
+ * Turns 2FA on once the user proves their app produces valid codes.
+ * The recovery codes are returned only in this response.
+ */
+router.post('/confirm', async (req, res) => {
+    try {
+        const { code } = req.body;
+        const secret = req.user.twoFactorPendingSecret;
+
+        if (!secret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first'
+            });
+        }
+
+        const counter = verifyCode(secret, code);
+        if (counter === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'That code is not valid. Check the time on your device and try again.'
+            });
+        }
+
+        const { codes, codeHashes } = createRecoveryCodes();
+        await db.updateUser(req.user.id, {
+            twoFactorEnabled: true,
+            twoFactorSecret: secret,
+            twoFactorPendingSecret: null,
+            twoFactorRecoveryCodes: codeHashes,
+            twoFactorLastCounter: counter
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication is now enabled',
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('2FA confirm error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to enable two-factor authentication'
+        });
+    }
+});
+
+/**
+ * New Recovery Codes
+ * POST /api/auth/2fa/recovery-codes
+ * Replaces every existing recovery code. Needs a current authenticator code.
+ */
+router.post('/recovery-codes', async (req, res) => {
+    try {
+        if (!(await verifySecondFactor(req.user, { code: req.body.code }))) {
+            return res.status(400).json({
+                success: false,
+                message: 'That code is not valid'
+            });
+        }
+
+        const { codes, codeHashes } = createRecoveryCodes();
+        await db.updateUser(req.user.id, { twoFactorRecoveryCodes: codeHashes });
+
+        res.json({
+            success: true,
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate recovery codes'
+        });
+    }
+});
+
+/**
+ * Disable 2FA
+ * POST /api/auth/2fa/disable
+ * Needs the account password plus an authenticator or recovery code.
+ */
+router.post('/disable', async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (!password || !(await bcrypt.compare(password, req.user.password))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Incorrect password'
+            });
+        }
+
+        if (!(await verifySecondFactor(req.user, { code, recoveryCode }))) {
+            return res.status(400).json({
+                success: false,
+                message: 'That code is not valid'
+            });
+        }
+
+        await db.updateUser(req.user.id, {
+            twoFactorEnabled: false,
+            twoFactorSecret: null,
+            twoFactorPendingSecret: null,
+            twoFactorRecoveryCodes: [],
+            twoFactorLastCounter: null
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication has been turned off'
+        });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to disable two-factor authentication'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,303 @@
+/**
+ * Admin CLI
+ * Day-to-day maintenance without hand-editing tesla_data.json or opening a Mongo shell.
+ * Works against whichever backend DB_DRIVER selects.
+ *
+ * Usage: npm run admin -- <command> [args] [--json]
+ *
+ *   users:list
+ *   users:reset-password <email> [--password <new password>]
+ *   users:set-role <email> <role>
+ *   orders:list [--status <status>] [--user <email>]
+ *   orders:set-status <order id | order number> <status> [--note <text>]
+ *   db:export [--out <file>]
+ *   db:import <file> --yes
+ *   db:seed
+ *   db:backup [--dir <directory>]
+ *
+ * --json prints machine-readable output instead of tables.
+ *
+ * With the JSON backend, stop the server before running commands that change
+ * data: the server keeps the file in memory and would write its own copy back.
+ * While it runs (it holds tesla_data.json.lock) those commands fail instead.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const session = require('express-session');
+const FileStore = require('session-file-store')(session);
+const db = require('../database');
+const { ROLES } = require('../config/roles');
+const { toPublicUser } = require('../utils/users');
+const { SESSION_DIR, destroyUserSessions } = require('../utils/sessions');
+const { revokeUserJwts } = require('../utils/apiTokens');
+const { priceConfiguration } = require('../pricing/pricingEngine');
+const { ORDER_STATUSES } = require('../config/orderStatuses');
+const { statusEntry, transitionOrder, cancelOrder, OrderTransitionError } = require('../utils/orderLifecycle');
+const { loadDemoStock, newStockRecord } = require('../inventory/stock');
+
+// Changes made from the CLI aren't tied to an account
+const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+class UsageError extends Error {}
+
+const parseArgs = (argv) => {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const name = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            flags[name] = true;
+        } else {
+            flags[name] = next;
+            i++;
+        }
+    }
+    return { positional, flags };
+};
+
+// Output
+
+const printTable = (rows, columns) => {
+    if (rows.length === 0) {
+        console.log('(none)');
+        return;
+    }
+    const cells = rows.map(row => columns.map(col => {
+        const value = row[col];
+        if (value === null || value === undefined) return '';
+        return value instanceof Date ? value.toISOString() : String(value);
+    }));
+    const widths = columns.map((col, i) => Math.max(col.length, ...cells.map(r => r[i].length)));
+    const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join('  ');
+
+    console.log(line(columns));
+    console.log(line(widths.map(w => '-'.repeat(w))));
+    cells.forEach(r => console.log(line(r)));
+};
+
+const output = (flags, value, { rows, columns, message } = {}) => {
+    if (flags.json) {
+        console.log(JSON.stringify(value, null, 2));
+    } else if (rows) {
+        printTable(rows, columns);
+    } else if (message) {
+        console.log(message);
+    }
+};
+
+// Helpers
+
+const requireUser = async (email) => {
+    if (!email) throw new UsageError('An email address is required');
+    const user = await db.findUserByEmail(email);
+    if (!user) throw new UsageError(`No user with email ${email}`);
+    return user;
+};
+
+const findOrder = async (ref) => {
+    if (!ref) throw new UsageError('An order id or order number is required');
+    return (await db.findOrderByNumber(ref)) || (await db.findOrderById(ref));
+};
+
+const withoutSecrets = (user) => {
+    const { _id, __v, ...rest } = toPublicUser(user);
+    return rest;
+};
+
+const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+// Commands
+
+const commands = {
+    'users:list': async (args, flags) => {
+        const users = (await db.listUsers()).map(withoutSecrets);
+        output(flags, users, {
+            rows: users.map(u => ({ ...u, role: u.role || 'customer' })),
+            columns: ['id', 'email', 'name', 'role', 'createdAt']
+        });
+    },
+
+    'users:reset-password': async ([email], flags) => {
+        const user = await requireUser(email);
+        const generated = typeof flags.password !== 'string';
+        const password = generated ? crypto.randomBytes(9).toString('base64url') : flags.password;
+        if (password.length < 6) throw new UsageError('Password must be at least 6 characters');
+
+        // Like a reset from the emailed link: unlock the account and sign out everywhere
+        await db.updateUser(user.id, { password: await bcrypt.hash(password, 10), failedLoginAttempts: 0, lockedUntil: null });
+        await db.revokeAuthTokens(user.id, 'password_reset');
+        const signedOut = await destroyUserSessions(new FileStore({ path: SESSION_DIR, retries: 0, logFn: () => {} }), user.id);
+        await revokeUserJwts(user.id);
+
+        const result = { email: user.email, signedOut, ...(generated ? { password } : {}) };
+        output(flags, result, {
+            message: generated
+                ? `Password for ${user.email} reset to: ${password} (${signedOut} session(s) signed out)`
+                : `Password for ${user.email} updated (${signedOut} session(s) signed out)`
+        });
+    },
+
+    'users:set-role': async ([email, role], flags) => {
+        if (!ROLES.includes(role)) throw new UsageError(`Role must be one of: ${ROLES.join(', ')}`);
+        const user = await requireUser(email);
+        const updated = await db.updateUser(user.id, { role });
+        output(flags, withoutSecrets(updated), { message: `${user.email} is now ${role}` });
+    },
+
+    'orders:list': async (args, flags) => {
+        if (flags.status && !ORDER_STATUSES.includes(flags.status)) {
+            throw new UsageError(`Status must be one of: ${ORDER_STATUSES.join(', ')}`);
+        }
+        let orders = await db.findOrders({ status: flags.status });
+        if (flags.user) {
+            const user = await requireUser(flags.user);
+            orders = orders.filter(o => String(o.userId) === user.id);
+        }
+        orders = orders.map(({ _id, __v, ...order }) => ({ ...order, userId: order.userId && String(order.userId) }));
+
+        output(flags, orders, {
+            rows: orders,
+            columns: ['id', 'orderNumber', 'vehicleName', 'status', 'totalPrice', 'userId', 'createdAt']
+        });
+    },
+
+    'orders:set-status': async ([ref, status], flags) => {
+        if (!ORDER_STATUSES.includes(status)) {
+            throw new UsageError(`Status must be one of: ${ORDER_STATUSES.join(', ')}`);
+        }
+        const order = await findOrder(ref);
+        if (!order) throw new UsageError(`No order ${ref}`);
+
+        const note = typeof flags.note === 'string' ? flags.note : 'Set from the admin CLI';
+        let updated;
+        try {
+            updated = status === 'Cancelled'
+                ? (await cancelOrder(order, { actor: SYSTEM_ACTOR, note })).order
+                : await transitionOrder(order, status, { actor: SYSTEM_ACTOR, note });
+        } catch (err) {
+            if (!(err instanceof OrderTransitionError)) throw err;
+            throw new UsageError(err.message);
+        }
+        output(flags, updated, { message: `Order ${order.orderNumber || order.id}: ${order.status} -> ${status}` });
+    },
+
+    'db:export': async (args, flags) => {
+        const dump = await db.exportData();
+        if (typeof flags.out === 'string') {
+            fs.writeFileSync(flags.out, JSON.stringify(dump, null, 2));
+            console.error(` Exported ${db.driver} data to ${flags.out}`);
+        } else {
+            console.log(JSON.stringify(dump, null, 2));
+        }
+    },
+
+    'db:import': async ([file], flags) => {
+        if (!file) throw new UsageError('An export file is required');
+        if (!flags.yes) throw new UsageError('db:import replaces ALL existing data. Re-run with --yes to confirm.');
+
+        const dump = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!dump || typeof dump.collections !== 'object') {
+            throw new UsageError(`${file} is not a db:export file (missing "collections")`);
+        }
+
+        const counts = await db.importData(dump);
+        output(flags, counts, {
+            rows: Object.entries(counts).map(([collection, records]) => ({ collection, records })),
+            columns: ['collection', 'records']
+        });
+    },
+
+    'db:seed': async (args, flags) => {
+        const demoUsers = [
+            { name: 'Demo Admin', email: 'admin@example.com', password: 'admin123', role: 'admin' },
+            { name: 'Demo Customer', email: 'customer@example.com', password: 'customer123', role: 'customer' }
+        ];
+
+        const created = [];
+        for (const demo of demoUsers) {
+            if (await db.findUserByEmail(demo.email)) continue;
+            const user = await db.createUser({
+                ...demo,
+                password: await bcrypt.hash(demo.password, 10),
+                phone: null
+            });
+            created.push({ email: user.email, password: demo.password, role: demo.role });
+
+            if (demo.role === 'customer') {
+                const config = { battery: 'long', paint: 'white', wheels: '18', interior: 'black', autopilot: 'basic' };
+                const { vehicle, selectedOptions, breakdown } = priceConfiguration('model3', config);
+                await db.createOrder({
+                    userId: user.id,
+                    vehicleId: vehicle.id,
+                    vehicleName: vehicle.name,
+                    config,
+                    selectedOptions,
+                    totalPrice: breakdown.total,
+                    priceBreakdown: breakdown,
+                    status: 'Paid',
+                    statusHistory: [statusEntry('Paid', null, SYSTEM_ACTOR, 'Demo order from db:seed')]
+                });
+            }
+        }
+
+        // Demo stock (data/inventory_stock.json) for an empty inventory
+        let stocked = 0;
+        if (!(await db.findInventory({ includeUnavailable: true })).length) {
+            for (const vehicle of loadDemoStock()) {
+                if (await db.createInventoryVehicle(newStockRecord(vehicle))) stocked++;
+            }
+        }
+
+        output(flags, created, {
+            rows: created,
+            columns: ['email', 'password', 'role']
+        });
+        if (stocked && !flags.json) console.log(` Added ${stocked} demo vehicles to the inventory`);
+    },
+
+    'db:backup': async (args, flags) => {
+        const dir = typeof flags.dir === 'string' ? flags.dir : path.join(__dirname, '..', 'backups');
+        fs.mkdirSync(dir, { recursive: true });
+
+        const file = path.join(dir, `${db.driver}-${timestamp()}.json`);
+        fs.writeFileSync(file, JSON.stringify(await db.exportData(), null, 2));
+        output(flags, { file }, { message: ` Backup written: ${file}` });
+    }
+};
+
+const usage = () => {
+    console.error('Usage: npm run admin -- <command> [args] [--json]\n');
+    console.error('Commands:');
+    Object.keys(commands).forEach(name => console.error(`  ${name}`));
+};
+
+const main = async () => {
+    const [name, ...rest] = process.argv.slice(2);
+    const command = commands[name];
+    if (!command) {
+        usage();
+        process.exit(name ? 1 : 0);
+    }
+
+    if (!(await db.connect())) process.exit(1);
+
+    const { positional, flags } = parseArgs(rest);
+    try {
+        await command(positional, flags);
+    } finally {
+        await db.close();
+    }
+};
+
+main().catch((err) => {
+    console.error(err instanceof UsageError ? ` ${err.message}` : err);
+    process.exit(1);
+});
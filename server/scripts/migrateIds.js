@@ -0,0 +1,124 @@
+/**
+ * One-time ID Migration (JSON store only)
+ * Re-keys records that still use Date.now() numeric IDs with collision-free IDs,
+ * rewrites every stored user and order reference to match (owners, inventory
+ * holds, who changed an order's status, decided its refund or appraised its
+ * trade-in), and gives each order an order number.
+ *
+ * Usage: npm run migrate:ids   (stop the server first)
+ * A backup of the data file is written next to it before anything changes.
+ * Safe to re-run: records that already have new-style IDs are left alone.
+ */
+const fs = require('fs');
+const config = require('../config/config');
+const store = require('../storage/jsonStore');
+const { newId, isId, generateOrderNumber } = require('../utils/ids');
+
+const KEYED_COLLECTIONS = [
+    'users',
+    'orders',
+    'recommendations',
+    'analyticsEvents',
+    'serviceRequests',
+    'customerQueries',
+    'contactMessages',
+    'interestedLeads',
+    'authTokens',
+    'apiTokens',
+    'idempotencyKeys',
+    'inventory'
+];
+
+// Every place a user or order ID is stored: [collection, objects in a record holding it, field]
+const REFERENCES = {
+    users: [
+        ...KEYED_COLLECTIONS.map(collection => [collection, record => [record], 'userId']),
+        ['inventory', vehicle => [vehicle.reservation], 'userId'],
+        ['orders', order => order.statusHistory || [], 'changedBy'],
+        ['orders', order => [order.refund], 'decidedBy'],
+        ['orders', order => [order.tradeIn], 'appraisedBy']
+    ],
+    orders: [
+        ['inventory', vehicle => [vehicle.reservation], 'orderId']
+    ]
+};
+
+const createdTime = (record) => {
+    const time = new Date(record.createdAt).getTime();
+    return Number.isNaN(time) ? Date.now() : time;
+};
+
+// Points every reference in `references` at the new ID in `ids` (old ID -> new); returns how many moved
+const remapReferences = (data, references, ids) => {
+    let count = 0;
+    references.forEach(([collection, holdersOf, field]) => {
+        (data[collection] || []).forEach(record => {
+            holdersOf(record).forEach(holder => {
+                const newRef = holder && holder[field] !== null && holder[field] !== undefined && ids.get(String(holder[field]));
+                if (!newRef) return;
+                holder[field] = newRef;
+                count += 1;
+            });
+        });
+    });
+    return count;
+};
+
+const rekeyIds = (data) => {
+    const newIds = { users: new Map(), orders: new Map() };
+    const summary = { rekeyed: {}, userReferences: 0, orderReferences: 0, orderNumbers: 0 };
+
+    KEYED_COLLECTIONS.forEach(collection => {
+        let count = 0;
+        (data[collection] || []).forEach(record => {
+            if (isId(record.id)) return;
+
+            // Back-date the new ID so records keep their creation order
+            const id = newId(createdTime(record));
+            if (newIds[collection]) newIds[collection].set(String(record.id), id);
+            record.id = id;
+            count += 1;
+        });
+        summary.rekeyed[collection] = count;
+    });
+
+    summary.userReferences = remapReferences(data, REFERENCES.users, newIds.users);
+    summary.orderReferences = remapReferences(data, REFERENCES.orders, newIds.orders);
+
+    const taken = new Set(data.orders.map(o => o.orderNumber).filter(Boolean));
+    data.orders.forEach(order => {
+        if (order.orderNumber) return;
+        let orderNumber = generateOrderNumber();
+        while (taken.has(orderNumber)) orderNumber = generateOrderNumber();
+        taken.add(orderNumber);
+        order.orderNumber = orderNumber;
+        summary.orderNumbers += 1;
+    });
+
+    return summary;
+};
+
+const main = async () => {
+    if (!(await store.connect())) process.exit(1);
+
+    const backupFile = `${config.JSON_DB_FILE}.bak-${Date.now()}`;
+    fs.copyFileSync(config.JSON_DB_FILE, backupFile);
+    console.log(' Backup written:', backupFile);
+
+    const summary = await store.mutate(rekeyIds);
+
+    console.log(' Re-keyed records:', summary.rekeyed);
+    console.log(' Updated user references:', summary.userReferences);
+    console.log(' Updated order references:', summary.orderReferences);
+    console.log(' Assigned order numbers:', summary.orderNumbers);
+    console.log(' Existing login sessions use the old user IDs; users will need to sign in again.');
+};
+
+if (require.main === module) {
+    main().catch((err) => {
+        console.error(' ID migration failed:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = { rekeyIds };
@@ -6,13 +6,35 @@ const FileStore = require('session-file-store')(session);
 const helmet = require('helmet');
 const morgan = require('morgan');
 
-// Import Routes - JSON DATABASE ONLY
+const config = require('./config/config');
+const db = require('./database');
+const { authRateLimiter } = require('./middleware/securityMiddleware');
+const { authenticate, trackSessionActivity } = require('./middleware/authMiddleware');
+const { SESSION_DIR } = require('./utils/sessions');
+const { SUPPORT_INFO } = require('./config/supportInfo');
+
+// Import Routes - all storage goes through ./database (JSON or MongoDB)
 const authRoutes = require('./routes/authRoutes');
+const twoFactorRoutes = require('./routes/twoFactorRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
+const tokenRoutes = require('./routes/tokenRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const recommendRoutes = require('./routes/recommendRoutes');
+const servicingRoutes = require('./routes/servicingRoutes');
+const customerCareRoutes = require('./routes/customerCareRoutes');
+const contactRoutes = require('./routes/contactRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const pricingRoutes = require('./routes/pricingRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const financeRoutes = require('./routes/financeRoutes');
+const tradeInRoutes = require('./routes/tradeInRoutes');
+const deliveryRoutes = require('./routes/deliveryRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
 
 const app = express();
-const PORT = process.env.PORT || 5001;
+const { PORT } = config;
+const DB_LABEL = db.driver === 'mongo' ? 'MongoDB' : 'JSON (tesla_data.json)';
 
 // ==========================================
 // MIDDLEWARE
@@ -43,12 +65,13 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['set-cookie']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['set-cookie', 'Content-Disposition', 'Idempotent-Replayed']
 }));
 
 // Body Parsing
-app.use(express.json());
+// The raw body is kept for payment webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging
@@ -60,7 +83,7 @@ app.set('trust proxy', 1);
 // Session Management (30-minute timeout with automatic refresh)
 app.use(session({
   store: new FileStore({
-    path: './sessions',
+    path: SESSION_DIR,
     ttl: 1800, // 30 minutes (in seconds)
     retries: 0
   }),
@@ -77,6 +100,8 @@ app.use(session({
   },
   rolling: true // Reset session expiry on each request
 }));
+app.use(trackSessionActivity);
+app.use(authenticate);
 
 // ==========================================
 // ROUTES
@@ -87,36 +112,47 @@ app.get('/health', (req, res) => {
   res.status(200).json({
     status: 'OK',
     env: process.env.NODE_ENV || 'development',
-    db: 'JSON (tesla_data.json)',
+    db: DB_LABEL,
     timestamp: new Date().toISOString()
   });
 });
 
-// API Routes - WORKING WITH JSON DATABASE
+// API Routes
+// Rate-limit only the credential endpoints (app.use matches sub-paths, so /login covers /login/2fa
+// and /token covers /token/refresh);
+// /check and /refresh are polled by the client
+app.use([
+  '/api/auth/login',
+  '/api/auth/signup',
+  '/api/auth/forgot-password',
+  '/api/auth/reset-password',
+  '/api/auth/verify-email',
+  '/api/auth/resend-verification',
+  '/api/auth/token'
+], authRateLimiter);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/sessions', sessionRoutes);
+app.use('/api/auth', tokenRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/servicing', servicingRoutes);
+app.use('/api/customer-care', customerCareRoutes);
+app.use('/api/contact', contactRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/finance', financeRoutes);
+app.use('/api/trade-in', tradeInRoutes);
+app.use('/api/delivery', deliveryRoutes);
+app.use('/api/inventory', inventoryRoutes);
 app.use('/api', recommendRoutes);
 
 // Support Info
 app.get('/api/support-info', (req, res) => {
   res.json({
     success: true,
-    data: {
-      phone: '+91-8765432109',
-      email: 'ssanushka23@gmail.com',
-      address: {
-        name: 'PES University — Electronic City Campus',
-        street: '1 University Road, Hosur Road',
-        city: 'Bangalore',
-        state: 'Karnataka',
-        zip: '560100',
-        country: 'India'
-      },
-      hours: {
-        weekdays: '9:00 AM - 6:00 PM IST',
-        weekends: '10:00 AM - 4:00 PM IST'
-      }
-    }
+    data: SUPPORT_INFO
   });
 });
 
@@ -141,27 +177,38 @@ app.use((err, req, res, next) => {
 // ==========================================
 // START SERVER
 // ==========================================
-const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log('');
-  console.log('╔════════════════════════════════════════════╗');
-  console.log('║    TESLA SERVER - JSON DATABASE    ║');
-  console.log('╚════════════════════════════════════════════╝');
-  console.log('');
-  console.log(` Server:        http://localhost:${PORT}`);
-  console.log(` Health:        http://localhost:${PORT}/health`);
-  console.log(` Database:      JSON (tesla_data.json)`);
-  console.log(` Auth:          ENABLED`);
-  console.log(`Orders:        ENABLED`);
-  console.log('');
-  console.log(' Login/Signup ready to use!');
-  console.log('');
-});
-
-server.on('error', (e) => {
-  if (e.code === 'EADDRINUSE') {
-    console.error(` Port ${PORT} already in use!`);
+const startServer = async () => {
+  // The JSON store locks its file so scripts can't write to it underneath the server
+  const connected = await db.connect({ exclusive: true });
+  if (!connected) {
+    console.error(` Could not connect to ${DB_LABEL}. Server not started.`);
     process.exit(1);
-  } else {
-    console.error(' Server Error:', e);
   }
-});
\ No newline at end of file
+
+  const server = app.listen(PORT, '0.0.0.0', () => {
+    console.log('');
+    console.log('╔════════════════════════════════════════════╗');
+    console.log('║           TESLA SERVER                     ║');
+    console.log('╚════════════════════════════════════════════╝');
+    console.log('');
+    console.log(` Server:        http://localhost:${PORT}`);
+    console.log(` Health:        http://localhost:${PORT}/health`);
+    console.log(` Database:      ${DB_LABEL}`);
+    console.log(` Auth:          ENABLED`);
+    console.log(`Orders:        ENABLED`);
+    console.log('');
+    console.log(' Login/Signup ready to use!');
+    console.log('');
+  });
+
+  server.on('error', (e) => {
+    if (e.code === 'EADDRINUSE') {
+      console.error(` Port ${PORT} already in use!`);
+      process.exit(1);
+    } else {
+      console.error(' Server Error:', e);
+    }
+  });
+};
+
+startServer();
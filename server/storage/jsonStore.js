@@ -0,0 +1,896 @@
+const fs = require('fs');
+const config = require('../config/config');
+const { newId, generateOrderNumber } = require('../utils/ids');
+const { LATEST_VERSION, runMigrations } = require('./migrations');
+const { DEFAULT_ROLE } = require('../config/roles');
+
+/**
+ * JSON File Store
+ * Implements the storage interface on top of a single JSON file (tesla_data.json).
+ *
+ * The file is loaded once into an in-memory cache. Mutations run one at a time
+ * against the cache and are flushed write-behind: changes made within
+ * JSON_DB_FLUSH_MS are batched into one write, and every caller resolves only
+ * once the batch holding its change is on disk. Each write goes to a temp file
+ * that is fsynced and renamed over the data file, so a crash mid-write can
+ * never leave a truncated tesla_data.json behind.
+ *
+ * A failed write is retried with a growing delay. The change is not rolled
+ * back: it is already in the cache and other requests may have read it, so the
+ * store keeps trying to get it on disk. Callers waiting on it are held through
+ * the first WRITE_ATTEMPTS tries and then rejected, while retries go on.
+ *
+ * Because the server keeps its own copy in memory, it takes a lock file
+ * (connect({ exclusive: true })) holding its pid. Other processes, such as
+ * scripts/admin.js, may read the file meanwhile, but their writes are refused:
+ * the server's next flush would put its old copy back over them.
+ */
+const DB_FILE = config.JSON_DB_FILE;
+const TMP_FILE = `${DB_FILE}.tmp`;
+const LOCK_FILE = `${DB_FILE}.lock`;
+const FLUSH_DELAY_MS = config.JSON_DB_FLUSH_MS;
+const WRITE_ATTEMPTS = 5; // failed writes a caller waits through before its promise rejects
+const MAX_RETRY_DELAY_MS = 5000;
+
+// A brand-new file already has the latest schema, so no migrations run on it
+const EMPTY_DB = () => ({
+    schemaVersion: LATEST_VERSION,
+    migrations: [],
+    users: [],
+    orders: [],
+    recommendations: [],
+    analytics: [],
+    analyticsEvents: [],
+    serviceRequests: [],
+    customerQueries: [],
+    contactMessages: [],
+    interestedLeads: [],
+    authTokens: [],
+    apiTokens: [],
+    idempotencyKeys: [],
+    inventory: []
+});
+
+let cache = null;
+let ownsLock = false;
+let dirty = false;
+let mutationQueue = Promise.resolve();
+let flushTimer = null;
+let flushing = null;
+let waiters = [];
+let failedWrites = 0; // in a row
+
+const serialize = (data) => JSON.stringify(data, null, 2);
+
+const writeFileAtomicSync = (data) => {
+    const fd = fs.openSync(TMP_FILE, 'w');
+    try {
+        fs.writeSync(fd, serialize(data));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(TMP_FILE, DB_FILE);
+};
+
+const writeFileAtomic = async (data) => {
+    const handle = await fs.promises.open(TMP_FILE, 'w');
+    try {
+        await handle.writeFile(serialize(data));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.promises.rename(TMP_FILE, DB_FILE);
+};
+
+const loadDb = () => {
+    // Initialize DB if not exists
+    if (!fs.existsSync(DB_FILE)) {
+        writeFileAtomicSync(EMPTY_DB());
+        console.log(' Initialized new JSON database:', DB_FILE);
+    }
+
+    const raw = fs.readFileSync(DB_FILE, 'utf8');
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (err) {
+        // Never fall back to an empty database here: the next write would wipe every record
+        throw new Error(`JSON database ${DB_FILE} is unreadable (${err.message}). Restore it from a backup.`);
+    }
+
+    // Upgrade older files in place, keeping a copy of what was there before
+    const fromVersion = data.schemaVersion || 0;
+    const applied = runMigrations(data);
+    if (applied.length) {
+        const backupFile = `${DB_FILE}.bak-v${fromVersion}`;
+        fs.writeFileSync(backupFile, raw);
+        writeFileAtomicSync(data);
+        console.log(` JSON database upgraded to schema v${data.schemaVersion} (backup: ${backupFile})`);
+    }
+
+    return data;
+};
+
+// pid of another live process holding the lock, or null (stale locks are ignored)
+const lockHolder = () => {
+    let pid;
+    try {
+        pid = parseInt(fs.readFileSync(LOCK_FILE, 'utf8'), 10);
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+    if (!pid || pid === process.pid) return null;
+    try {
+        process.kill(pid, 0);
+        return pid;
+    } catch (err) {
+        return err.code === 'EPERM' ? pid : null;
+    }
+};
+
+const acquireLock = () => {
+    const holder = lockHolder();
+    if (holder) throw new Error(`JSON database ${DB_FILE} is already in use by process ${holder}`);
+    fs.writeFileSync(LOCK_FILE, String(process.pid));
+    ownsLock = true;
+};
+
+const releaseLock = () => {
+    if (!ownsLock) return;
+    ownsLock = false;
+    try {
+        fs.unlinkSync(LOCK_FILE);
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error(' Could not remove lock file:', err.message);
+    }
+};
+
+const assertWritable = () => {
+    if (ownsLock) return;
+    const holder = lockHolder();
+    if (holder) {
+        throw new Error(`JSON database ${DB_FILE} is in use by the server (process ${holder}), which would overwrite this change. Stop the server first.`);
+    }
+};
+
+const readDb = () => {
+    if (!cache) cache = loadDb();
+    return cache;
+};
+
+// Callers get copies so they can never change the cache behind the store's back
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Writes the cache to disk and settles everyone waiting on the changes it contains.
+ * Only one write is in flight at a time; changes made meanwhile go in the next one.
+ */
+const flush = () => {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    if (flushing) return flushing.then(() => (dirty ? flush() : undefined));
+    if (!dirty) return Promise.resolve();
+
+    const batch = waiters;
+    waiters = [];
+    dirty = false;
+
+    flushing = writeFileAtomic(cache)
+        .then(() => {
+            failedWrites = 0;
+            batch.forEach(w => w.resolve());
+        })
+        .catch((err) => {
+            failedWrites += 1;
+            console.error(` Error writing DB (attempt ${failedWrites}):`, err);
+            dirty = true;
+
+            batch.forEach(w => { w.attempts = (w.attempts || 0) + 1; });
+            batch.filter(w => w.attempts >= WRITE_ATTEMPTS).forEach(w => w.reject(err));
+            waiters = [...batch.filter(w => w.attempts < WRITE_ATTEMPTS), ...waiters];
+
+            if (!flushTimer) {
+                flushTimer = setTimeout(flush, Math.min(MAX_RETRY_DELAY_MS, FLUSH_DELAY_MS * 2 ** failedWrites));
+            }
+        })
+        .finally(() => {
+            flushing = null;
+        });
+    return flushing;
+};
+
+const flushSync = () => {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    if (!dirty && !flushing) return;
+
+    writeFileAtomicSync(cache);
+    dirty = false;
+};
+
+/**
+ * Applies `fn(data)` to the cache after every earlier mutation has finished and
+ * resolves with a copy of its result once that change has been written to disk.
+ */
+const mutate = (fn) => {
+    const applied = mutationQueue.then(() => {
+        assertWritable();
+        return fn(readDb());
+    });
+    mutationQueue = applied.catch(() => {});
+
+    return applied.then(result => new Promise((resolve, reject) => {
+        dirty = true;
+        waiters.push({ resolve: () => resolve(clone(result)), reject });
+        if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+    }));
+};
+
+// Don't lose a pending batch when the process is stopped
+process.on('exit', () => {
+    flushSync();
+    releaseLock();
+});
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, () => {
+        flushSync();
+        process.exit(0);
+    });
+});
+
+// Legacy IDs are numbers in the file but arrive as strings from URLs and sessions
+const sameId = (a, b) => a !== null && a !== undefined && String(a) === String(b);
+
+const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+// `record` may be a function of the current data, for fields that must be unique
+const insert = (collection, record) => mutate((data) => {
+    const newRecord = {
+        ...(typeof record === 'function' ? record(data) : record),
+        id: newId(),
+        createdAt: new Date().toISOString()
+    };
+    data[collection].push(newRecord);
+    return newRecord;
+});
+
+const update = (collection, predicate, updates) => mutate((data) => {
+    const record = data[collection].find(predicate);
+    if (!record) return null;
+
+    Object.assign(record, updates, { updatedAt: new Date().toISOString() });
+    return record;
+});
+
+const find = (collection, predicate) => clone(readDb()[collection].find(predicate) || null);
+
+const filter = (collection, predicate) => clone(readDb()[collection].filter(predicate));
+
+// Mirrors Mongoose populate('userId', 'name email') for admin listings
+const withUser = (data) => (record) => {
+    const user = data.users.find(u => sameId(u.id, record.userId));
+    return {
+        ...record,
+        user: user ? { id: user.id, name: user.name, email: user.email } : null
+    };
+};
+
+const paginate = (records, { limit = 50, skip = 0 }) =>
+    records.slice(Number(skip), Number(skip) + Number(limit));
+
+const PRIORITY_RANK = { Low: 0, Medium: 1, High: 2, Urgent: 3 };
+
+const holdExpired = (vehicle, now = new Date()) =>
+    vehicle.status === 'reserved' && new Date(vehicle.reservation.expiresAt) <= now;
+
+// Inventory search fields and where they live on a stock record
+const INVENTORY_FIELDS = {
+    vehicleId: v => v.vehicleId,
+    condition: v => v.condition,
+    region: v => v.location.region,
+    centerId: v => v.location.centerId,
+    paint: v => v.config.paint,
+    battery: v => v.config.battery
+};
+
+const uniqueOrderNumber = (orders) => {
+    const taken = new Set(orders.map(o => o.orderNumber));
+    let orderNumber = generateOrderNumber();
+    while (taken.has(orderNumber)) orderNumber = generateOrderNumber();
+    return orderNumber;
+};
+
+module.exports = {
+    driver: 'json',
+
+    // exclusive: this process keeps the data in memory for a while (the server)
+    connect: async ({ exclusive = false } = {}) => {
+        try {
+            if (exclusive) acquireLock();
+            readDb();
+            return true;
+        } catch (err) {
+            console.error(' Failed to load JSON database:', err.message);
+            return false;
+        }
+    },
+
+    flush,
+
+    close: flush,
+
+    // JSON-only: whole-file maintenance for scripts/ (runs in the mutation queue)
+    mutate,
+
+    // Bulk Data Methods (admin CLI)
+    exportData: async () => {
+        const data = clone(readDb());
+        const { schemaVersion, migrations, ...collections } = data;
+        return {
+            driver: 'json',
+            exportedAt: new Date().toISOString(),
+            schemaVersion,
+            collections
+        };
+    },
+
+    // Replaces everything in the store with an export produced by exportData()
+    importData: async (dump) => mutate((data) => {
+        const imported = {
+            ...EMPTY_DB(),
+            ...clone(dump.collections),
+            schemaVersion: dump.schemaVersion || 0,
+            migrations: []
+        };
+        runMigrations(imported);
+
+        Object.keys(data).forEach(key => { delete data[key]; });
+        Object.assign(data, imported);
+
+        return Object.fromEntries(Object.keys(dump.collections).map(name => [name, data[name].length]));
+    }),
+
+    // User Methods
+    findUserByEmail: async (email) =>
+        find('users', u => u.email === email.toLowerCase().trim()),
+
+    findUserById: async (id) =>
+        find('users', u => sameId(u.id, id)),
+
+    createUser: async (userData) => insert('users', {
+        role: DEFAULT_ROLE,
+        ...userData,
+        email: userData.email.toLowerCase().trim()
+    }),
+
+    /**
+     * Closes an account: deletes the user and their personal records, and keeps
+     * orders and analytics events (needed for accounting and aggregate stats)
+     * with everything that identifies the person removed.
+     */
+    deleteUserAccount: async (userId) => mutate((data) => {
+        const user = data.users.find(u => sameId(u.id, userId));
+        if (!user) return null;
+
+        const now = new Date().toISOString();
+        const owned = (record) => sameId(record.userId, userId);
+        const ownedOrSameEmail = (record) => owned(record) || record.email === user.email;
+        const summary = {};
+
+        const remove = (collection, predicate) => {
+            const before = data[collection].length;
+            data[collection] = data[collection].filter(record => !predicate(record));
+            summary[collection] = before - data[collection].length;
+        };
+
+        const orders = data.orders.filter(owned);
+        orders.forEach(order => {
+            order.userId = null;
+            delete order.deliveryAddress;
+            delete order.paymentDetails;
+            order.anonymizedAt = now;
+        });
+        summary.ordersAnonymized = orders.length;
+
+        data.analyticsEvents.filter(owned).forEach(event => {
+            event.userId = null;
+            delete event.location;
+            delete event.userAgent;
+        });
+
+        remove('recommendations', owned);
+        remove('serviceRequests', owned);
+        remove('customerQueries', owned);
+        remove('contactMessages', ownedOrSameEmail);
+        remove('interestedLeads', ownedOrSameEmail);
+        remove('authTokens', owned);
+        remove('apiTokens', owned);
+        remove('idempotencyKeys', owned);
+        remove('users', u => sameId(u.id, userId));
+
+        return summary;
+    }),
+
+    /**
+     * Everything stored about one user, collection by collection, for a
+     * personal data export. Uses the same ownership rules as deleteUserAccount.
+     * Returns null when the user doesn't exist.
+     */
+    exportUserData: async (userId) => {
+        const data = readDb();
+        const user = data.users.find(u => sameId(u.id, userId));
+        if (!user) return null;
+
+        const owned = (record) => sameId(record.userId, userId);
+        const ownedOrSameEmail = (record) => owned(record) || record.email === user.email;
+
+        return clone({
+            user,
+            orders: data.orders.filter(owned).sort(newestFirst),
+            recommendations: data.recommendations.filter(owned).sort(newestFirst),
+            serviceRequests: data.serviceRequests.filter(owned).sort(newestFirst),
+            customerQueries: data.customerQueries.filter(owned).sort(newestFirst),
+            contactMessages: data.contactMessages.filter(ownedOrSameEmail).sort(newestFirst),
+            interestedLeads: data.interestedLeads.filter(ownedOrSameEmail).sort(newestFirst),
+            analyticsEvents: data.analyticsEvents.filter(owned),
+            apiTokens: data.apiTokens.filter(owned).sort(newestFirst)
+        });
+    },
+
+    listUsers: async () =>
+        filter('users', () => true).sort(newestFirst),
+
+    updateUser: async (id, updates) =>
+        update('users', u => sameId(u.id, id), updates),
+
+    /**
+     * Counts a failed sign-in against the user and locks the account until
+     * `lockedUntil` once `maxAttempts` are reached. Resolves with true when this
+     * failure locked it; failures while it is already locked don't count.
+     */
+    recordLoginFailure: async (id, { maxAttempts, lockedUntil }) => mutate((data) => {
+        const user = data.users.find(u => sameId(u.id, id));
+        if (!user || (user.lockedUntil && new Date(user.lockedUntil) > new Date())) return false;
+
+        // Attempts made before an earlier lock expired don't count again
+        const attempts = (user.lockedUntil ? 0 : (user.failedLoginAttempts || 0)) + 1;
+        const locked = attempts >= maxAttempts;
+        Object.assign(user, {
+            failedLoginAttempts: locked ? 0 : attempts,
+            lockedUntil: locked ? new Date(lockedUntil).toISOString() : null,
+            updatedAt: new Date().toISOString()
+        });
+        return locked;
+    }),
+
+    /**
+     * Marks TOTP time step `counter` as used, unless it (or a later one) already
+     * was. Resolves with the user, or null for a replayed code.
+     */
+    useTotpCounter: async (id, counter) => mutate((data) => {
+        const user = data.users.find(u => sameId(u.id, id));
+        if (!user || counter <= (user.twoFactorLastCounter ?? -1)) return null;
+
+        Object.assign(user, { twoFactorLastCounter: counter, updatedAt: new Date().toISOString() });
+        return user;
+    }),
+
+    // Spends a recovery code (by hash); resolves with the user, or null when it was already spent
+    useRecoveryCode: async (id, hash) => mutate((data) => {
+        const user = data.users.find(u => sameId(u.id, id));
+        if (!user || !(user.twoFactorRecoveryCodes || []).includes(hash)) return null;
+
+        Object.assign(user, {
+            twoFactorRecoveryCodes: user.twoFactorRecoveryCodes.filter(h => h !== hash),
+            updatedAt: new Date().toISOString()
+        });
+        return user;
+    }),
+
+    // Order Methods
+    findOrdersByUserId: async (userId) =>
+        filter('orders', o => sameId(o.userId, userId)).sort(newestFirst),
+
+    createOrder: async (orderData) => insert('orders', (data) => ({
+        status: 'Pending',
+        statusHistory: [],
+        ...orderData,
+        orderNumber: uniqueOrderNumber(data.orders)
+    })),
+
+    findOrders: async ({ status } = {}) =>
+        filter('orders', o => !status || o.status === status).sort(newestFirst),
+
+    findOrderById: async (id) =>
+        find('orders', o => sameId(o.id, id)),
+
+    findOrderByNumber: async (orderNumber) =>
+        find('orders', o => o.orderNumber === orderNumber),
+
+    updateOrder: async (id, updates) =>
+        update('orders', o => sameId(o.id, id), updates),
+
+    // Only applies while the order is still `from`, so two concurrent changes can't both win
+    // `updates` are other fields to set in the same write (e.g. the refund on cancellation)
+    transitionOrderStatus: async (id, from, entry, updates = {}) => mutate((data) => {
+        const order = data.orders.find(o => sameId(o.id, id) && o.status === from);
+        if (!order) return null;
+
+        Object.assign(order, clone(updates));
+        order.status = entry.status;
+        order.statusHistory = [...(order.statusHistory || []), clone(entry)];
+        order.updatedAt = new Date().toISOString();
+        return order;
+    }),
+
+    findOrderByPaymentIntent: async (intentId) =>
+        find('orders', o => o.payment && o.payment.intentId === intentId),
+
+    findOrdersByRefundStatus: async (status) =>
+        filter('orders', o => o.refund && o.refund.status === status)
+            .sort((a, b) => new Date(a.refund.requestedAt) - new Date(b.refund.requestedAt)),
+
+    // Only applies while the refund is still `from`, so it can't be decided twice
+    updateOrderRefund: async (id, from, updates) => mutate((data) => {
+        const order = data.orders.find(o => sameId(o.id, id) && o.refund && o.refund.status === from);
+        if (!order) return null;
+
+        Object.assign(order.refund, clone(updates));
+        order.updatedAt = new Date().toISOString();
+        return order;
+    }),
+
+    // Appointments per slot of a delivery center, as [{ date, time, booked }]; cancelled orders hold none
+    countDeliveryAppointments: async ({ centerId, method, from, to }) => {
+        const counts = {};
+        filter('orders', o => o.status !== 'Cancelled' && o.delivery && o.delivery.appointment &&
+            o.delivery.centerId === centerId && o.delivery.method === method &&
+            o.delivery.appointment.date >= from && o.delivery.appointment.date <= to)
+            .forEach(({ delivery: { appointment: { date, time } } }) => {
+                const key = `${date} ${time}`;
+                counts[key] = counts[key] || { date, time, booked: 0 };
+                counts[key].booked += 1;
+            });
+        return Object.values(counts);
+    },
+
+    /**
+     * Books { date, time } at the order's delivery center, moving any earlier
+     * appointment. Resolves with the order, or null when the slot already has
+     * `capacity` bookings.
+     */
+    bookDeliveryAppointment: async (id, { date, time }, capacity) => mutate((data) => {
+        const order = data.orders.find(o => sameId(o.id, id) && o.delivery);
+        if (!order) return null;
+        const { centerId, method, appointment } = order.delivery;
+        if (appointment && appointment.date === date && appointment.time === time) return order;
+
+        const booked = data.orders.filter(o => !sameId(o.id, id) && o.status !== 'Cancelled' &&
+            o.delivery && o.delivery.centerId === centerId && o.delivery.method === method &&
+            o.delivery.appointment && o.delivery.appointment.date === date && o.delivery.appointment.time === time).length;
+        if (booked >= capacity) return null;
+
+        order.delivery.appointment = { date, time, bookedAt: new Date().toISOString() };
+        order.estimatedDelivery = new Date(`${date}T00:00:00Z`).toISOString();
+        order.updatedAt = new Date().toISOString();
+        return order;
+    }),
+
+    // Frees the order's appointment slot; its estimate goes back to the end of the window
+    releaseDeliveryAppointment: async (id) => mutate((data) => {
+        const order = data.orders.find(o => sameId(o.id, id) && o.delivery);
+        if (!order || !order.delivery.appointment) return order || null;
+
+        order.delivery.appointment = null;
+        order.estimatedDelivery = new Date(`${order.delivery.window.latest}T00:00:00Z`).toISOString();
+        order.updatedAt = new Date().toISOString();
+        return order;
+    }),
+
+    findOrdersByTradeInStatus: async (status) =>
+        filter('orders', o => o.tradeIn && o.tradeIn.status === status)
+            .sort((a, b) => new Date(a.tradeIn.estimatedAt) - new Date(b.tradeIn.estimatedAt)),
+
+    // Only applies while the trade-in is still `from`, so it can't be appraised twice
+    updateOrderTradeIn: async (id, from, updates) => mutate((data) => {
+        const order = data.orders.find(o => sameId(o.id, id) && o.tradeIn && o.tradeIn.status === from);
+        if (!order) return null;
+
+        Object.assign(order.tradeIn, clone(updates));
+        order.updatedAt = new Date().toISOString();
+        return order;
+    }),
+
+    // Inventory Methods (see inventory/stock.js)
+
+    /**
+     * Stock matching the given fields (vehicleId, condition, region, centerId,
+     * paint, battery), oldest first. Only vehicles on sale, plus any held by
+     * `userId`, unless includeUnavailable.
+     */
+    findInventory: async ({ userId, includeUnavailable = false, ...fields } = {}) =>
+        filter('inventory', v =>
+            (includeUnavailable || v.status === 'available' || holdExpired(v) ||
+                (v.status === 'reserved' && sameId(v.reservation.userId, userId))) &&
+            Object.entries(fields).every(([field, value]) => value === undefined || INVENTORY_FIELDS[field](v) === value))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+
+    findInventoryVehicle: async (vin) =>
+        find('inventory', v => v.vin === String(vin).toUpperCase()),
+
+    // Resolves with the record, or null when the VIN is already in stock
+    createInventoryVehicle: async (record) => mutate((data) => {
+        if (data.inventory.some(v => v.vin === record.vin)) return null;
+        const vehicle = { ...clone(record), id: newId(), createdAt: new Date().toISOString() };
+        data.inventory.push(vehicle);
+        return vehicle;
+    }),
+
+    /**
+     * Holds the vehicle for `userId` until `expiresAt`, for `orderId` when given.
+     * Succeeds when it is on sale, its hold ran out, or the user already holds
+     * it (for no order or the same one). Resolves with the record or null.
+     */
+    holdInventoryVehicle: async (vin, { userId, orderId = null, expiresAt }) => mutate((data) => {
+        const vehicle = data.inventory.find(v => v.vin === String(vin).toUpperCase());
+        if (!vehicle) return null;
+        const current = vehicle.status === 'reserved' && !holdExpired(vehicle) ? vehicle.reservation : null;
+        const ownHold = current && sameId(current.userId, userId);
+        if (vehicle.status === 'sold' || (current && !ownHold)) return null;
+        if (ownHold && orderId && current.orderId && !sameId(current.orderId, orderId)) return null;
+
+        vehicle.status = 'reserved';
+        vehicle.reservation = {
+            userId,
+            orderId: orderId || (ownHold ? current.orderId : null),
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+        vehicle.updatedAt = new Date().toISOString();
+        return vehicle;
+    }),
+
+    // Lets go of a hold the user placed, unless an order was placed with it
+    releaseInventoryHold: async (vin, userId) =>
+        update('inventory', v => v.vin === String(vin).toUpperCase() && v.status === 'reserved' &&
+            sameId(v.reservation.userId, userId) && !v.reservation.orderId, { status: 'available', reservation: null }),
+
+    // The order holding the vehicle was paid
+    markInventorySold: async (vin, orderId) => mutate((data) => {
+        const vehicle = data.inventory.find(v => v.vin === String(vin).toUpperCase() && v.status === 'reserved' &&
+            sameId(v.reservation.orderId, orderId));
+        if (!vehicle) return null;
+        vehicle.status = 'sold';
+        vehicle.reservation.expiresAt = null;
+        vehicle.updatedAt = new Date().toISOString();
+        return vehicle;
+    }),
+
+    // The order holding (or that bought) the vehicle was cancelled: back on sale
+    releaseInventoryVehicle: async (vin, orderId) =>
+        update('inventory', v => v.vin === String(vin).toUpperCase() && v.reservation &&
+            sameId(v.reservation.orderId, orderId), { status: 'available', reservation: null }),
+
+    // Auth Token Methods (password reset, email verification)
+    createAuthToken: async (tokenData) => insert('authTokens', (data) => {
+        // Drop spent tokens so the collection doesn't grow forever
+        const now = new Date();
+        data.authTokens = data.authTokens.filter(t => !t.usedAt && new Date(t.expiresAt) > now);
+        return {
+            ...tokenData,
+            expiresAt: new Date(tokenData.expiresAt).toISOString(),
+            usedAt: null
+        };
+    }),
+
+    // Marks the token used and returns it, or null if it is unknown, used or expired
+    consumeAuthToken: async (type, tokenHash) => mutate((data) => {
+        const token = data.authTokens.find(t => t.type === type && t.tokenHash === tokenHash);
+        if (!token || token.usedAt || new Date(token.expiresAt) <= new Date()) return null;
+
+        token.usedAt = new Date().toISOString();
+        return token;
+    }),
+
+    revokeAuthTokens: async (userId, type) => mutate((data) => {
+        const now = new Date().toISOString();
+        const outstanding = data.authTokens.filter(t => sameId(t.userId, userId) && t.type === type && !t.usedAt);
+        outstanding.forEach(t => { t.usedAt = now; });
+        return outstanding.length;
+    }),
+
+    // API Token Methods (personal access tokens)
+    createApiToken: async (tokenData) => insert('apiTokens', {
+        ...tokenData,
+        expiresAt: tokenData.expiresAt ? new Date(tokenData.expiresAt).toISOString() : null,
+        lastUsedAt: null,
+        revokedAt: null
+    }),
+
+    // Tokens the user hasn't revoked, including expired ones
+    findApiTokensByUserId: async (userId) =>
+        filter('apiTokens', t => sameId(t.userId, userId) && !t.revokedAt).sort(newestFirst),
+
+    // The token if it can still be used, otherwise null
+    findActiveApiToken: async (tokenHash) =>
+        find('apiTokens', t => t.tokenHash === tokenHash && !t.revokedAt && (!t.expiresAt || new Date(t.expiresAt) > new Date())),
+
+    recordApiTokenUse: async (id) =>
+        update('apiTokens', t => sameId(t.id, id), { lastUsedAt: new Date().toISOString() }),
+
+    revokeApiToken: async (id, userId) =>
+        update('apiTokens', t => sameId(t.id, id) && sameId(t.userId, userId) && !t.revokedAt, { revokedAt: new Date().toISOString() }),
+
+    // Idempotency Key Methods (replayed responses, see middleware/idempotency.js)
+
+    /**
+     * Claims `key` for the user. Resolves with { record, created }: created is
+     * false when an unexpired record for the key already exists (it is returned).
+     */
+    claimIdempotencyKey: async ({ userId, key, ...rest }) => mutate((data) => {
+        const now = new Date();
+        // Drop expired keys so the collection doesn't grow forever
+        data.idempotencyKeys = data.idempotencyKeys.filter(k => new Date(k.expiresAt) > now);
+
+        const existing = data.idempotencyKeys.find(k => sameId(k.userId, userId) && k.key === key);
+        if (existing) return { record: existing, created: false };
+
+        const record = {
+            ...rest,
+            userId,
+            key,
+            status: 'in_progress',
+            expiresAt: new Date(rest.expiresAt).toISOString(),
+            id: newId(),
+            createdAt: now.toISOString()
+        };
+        data.idempotencyKeys.push(record);
+        return { record, created: true };
+    }),
+
+    completeIdempotencyKey: async (id, { responseStatus, responseBody }) =>
+        update('idempotencyKeys', k => sameId(k.id, id), { status: 'completed', responseStatus, responseBody }),
+
+    // Frees the key again, e.g. after a server error, so the request can be retried
+    releaseIdempotencyKey: async (id) => mutate((data) => {
+        const before = data.idempotencyKeys.length;
+        data.idempotencyKeys = data.idempotencyKeys.filter(k => !sameId(k.id, id));
+        return before !== data.idempotencyKeys.length;
+    }),
+
+    // Recommendation Methods
+    saveRecommendation: async (recommendationData) => insert('recommendations', recommendationData),
+
+    findRecommendationsByUserId: async (userId) =>
+        filter('recommendations', r => sameId(r.userId, userId)).sort(newestFirst),
+
+    // Recommendation Filter Analytics
+    trackAnalytics: async (filterType, filterValue) => mutate((data) => {
+        const existing = data.analytics.find(a => a.filterType === filterType && a.filterValue === filterValue);
+
+        if (existing) {
+            existing.count += 1;
+            existing.lastUpdated = new Date().toISOString();
+        } else {
+            data.analytics.push({
+                filterType,
+                filterValue,
+                count: 1,
+                lastUpdated: new Date().toISOString()
+            });
+        }
+    }),
+
+    getAnalytics: async () =>
+        filter('analytics', () => true).sort((a, b) => b.count - a.count),
+
+    // Analytics Event Methods
+    createAnalyticsEvent: async (eventData) => insert('analyticsEvents', {
+        ...eventData,
+        timestamp: new Date().toISOString()
+    }),
+
+    findAnalyticsEvents: async ({ since, userId, eventTypes } = {}) =>
+        filter('analyticsEvents', e =>
+            (!since || new Date(e.timestamp) >= since) &&
+            (userId === undefined || sameId(e.userId, userId)) &&
+            (!eventTypes || eventTypes.includes(e.eventType))
+        ),
+
+    // Service Request Methods
+    createServiceRequest: async (requestData) => insert('serviceRequests', {
+        status: 'Pending',
+        priority: 'Medium',
+        serviceType: 'Regular Maintenance',
+        ...requestData
+    }),
+
+    findServiceRequestsByUserId: async (userId) =>
+        filter('serviceRequests', r => sameId(r.userId, userId)).sort(newestFirst),
+
+    findServiceRequest: async (id, userId) =>
+        find('serviceRequests', r => sameId(r.id, id) && sameId(r.userId, userId)),
+
+    updateServiceRequest: async (id, userId, updates) =>
+        update('serviceRequests', r => sameId(r.id, id) && sameId(r.userId, userId), updates),
+
+    // Staff views: every customer's requests, soonest appointment first
+    findServiceRequests: async ({ status, limit, skip } = {}) => {
+        const data = readDb();
+        const matching = filter('serviceRequests', r => !status || r.status === status)
+            .sort((a, b) => new Date(a.serviceDate) - new Date(b.serviceDate));
+
+        return {
+            items: paginate(matching, { limit, skip }).map(withUser(data)),
+            total: matching.length
+        };
+    },
+
+    updateServiceRequestById: async (id, updates) =>
+        update('serviceRequests', r => sameId(r.id, id), updates),
+
+    // Customer Query Methods
+    createCustomerQuery: async (queryData) => insert('customerQueries', {
+        status: 'Open',
+        priority: 'Medium',
+        ...queryData
+    }),
+
+    findCustomerQueriesByUserId: async (userId) =>
+        filter('customerQueries', q => sameId(q.userId, userId)).sort(newestFirst),
+
+    findCustomerQuery: async (id, userId) =>
+        find('customerQueries', q => sameId(q.id, id) && sameId(q.userId, userId)),
+
+    findCustomerQueries: async ({ status, category, limit, skip } = {}) => {
+        const data = readDb();
+        const matching = filter('customerQueries', q => (!status || q.status === status) && (!category || q.category === category))
+            .sort((a, b) => (PRIORITY_RANK[b.priority] || 0) - (PRIORITY_RANK[a.priority] || 0) || newestFirst(a, b));
+
+        return {
+            items: paginate(matching, { limit, skip }).map(withUser(data)),
+            total: matching.length
+        };
+    },
+
+    updateCustomerQuery: async (id, updates) =>
+        update('customerQueries', q => sameId(q.id, id), updates),
+
+    // Contact Message Methods
+    createContactMessage: async (messageData) => insert('contactMessages', {
+        status: 'New',
+        ...messageData
+    }),
+
+    findContactMessagesByUserId: async (userId) =>
+        filter('contactMessages', m => sameId(m.userId, userId)).sort(newestFirst),
+
+    findContactMessages: async ({ status, limit, skip } = {}) => {
+        const data = readDb();
+        const matching = filter('contactMessages', m => !status || m.status === status)
+            .sort(newestFirst);
+
+        return {
+            items: paginate(matching, { limit, skip }).map(withUser(data)),
+            total: matching.length
+        };
+    },
+
+    updateContactMessage: async (id, updates) =>
+        update('contactMessages', m => sameId(m.id, id), updates),
+
+    // Interested Lead Methods
+    createInterestedLead: async (leadData) => insert('interestedLeads', {
+        interestedIn: ['Learn More'],
+        source: 'Model Page',
+        contacted: false,
+        ...leadData,
+        email: leadData.email.toLowerCase().trim()
+    })
+};
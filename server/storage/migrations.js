@@ -0,0 +1,179 @@
+const { generateOrderNumber } = require('../utils/ids');
+const { DEFAULT_ROLE } = require('../config/roles');
+
+/**
+ * JSON Schema Migrations
+ * tesla_data.json carries a `schemaVersion` and a `migrations` log. On boot the
+ * JSON store runs every migration newer than the file's version, in order.
+ *
+ * Each migration must be idempotent: it checks before it changes anything, so
+ * re-running it (or running it on a file that was partly fixed by hand) is safe.
+ * To change the schema, append a migration with the next version number.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'backfill-collections',
+        up: (data) => {
+            const collections = [
+                'users', 'orders', 'recommendations', 'analytics', 'analyticsEvents',
+                'serviceRequests', 'customerQueries', 'contactMessages', 'interestedLeads'
+            ];
+            const added = collections.filter(name => !Array.isArray(data[name]));
+            added.forEach(name => { data[name] = []; });
+            return { added };
+        }
+    },
+    {
+        version: 2,
+        name: 'normalize-password-field',
+        up: (data) => {
+            let renamed = 0;
+            data.users.forEach(user => {
+                if (user.passwordHash === undefined) return;
+                if (!user.password) {
+                    user.password = user.passwordHash;
+                    renamed += 1;
+                }
+                delete user.passwordHash;
+            });
+            return { renamed };
+        }
+    },
+    {
+        version: 3,
+        name: 'record-defaults',
+        up: (data) => {
+            let users = 0;
+            let orders = 0;
+
+            data.users.forEach(user => {
+                if (user.region === undefined) {
+                    user.region = null;
+                    users += 1;
+                }
+            });
+
+            const taken = new Set(data.orders.map(o => o.orderNumber).filter(Boolean));
+            data.orders.forEach(order => {
+                let changed = false;
+                if (!order.status) {
+                    order.status = 'Paid';
+                    changed = true;
+                }
+                if (!order.orderNumber) {
+                    let orderNumber = generateOrderNumber();
+                    while (taken.has(orderNumber)) orderNumber = generateOrderNumber();
+                    taken.add(orderNumber);
+                    order.orderNumber = orderNumber;
+                    changed = true;
+                }
+                if (changed) orders += 1;
+            });
+
+            return { users, orders };
+        }
+    },
+    {
+        version: 4,
+        name: 'auth-tokens-collection',
+        up: (data) => {
+            if (Array.isArray(data.authTokens)) return { added: false };
+            data.authTokens = [];
+            return { added: true };
+        }
+    },
+    {
+        version: 5,
+        name: 'user-roles',
+        up: (data) => {
+            let users = 0;
+            data.users.forEach(user => {
+                if (!user.role) {
+                    user.role = DEFAULT_ROLE;
+                    users += 1;
+                }
+            });
+            return { users };
+        }
+    },
+    {
+        version: 6,
+        name: 'api-tokens-collection',
+        up: (data) => {
+            if (Array.isArray(data.apiTokens)) return { added: false };
+            data.apiTokens = [];
+            return { added: true };
+        }
+    },
+    {
+        version: 7,
+        name: 'order-status-history',
+        up: (data) => {
+            let orders = 0;
+            data.orders.forEach(order => {
+                if (Array.isArray(order.statusHistory)) return;
+                order.statusHistory = [{
+                    status: order.status,
+                    from: null,
+                    changedAt: order.createdAt || null,
+                    changedBy: null,
+                    changedByRole: 'system',
+                    note: 'Status before history was recorded'
+                }];
+                orders += 1;
+            });
+            return { orders };
+        }
+    },
+    {
+        version: 8,
+        name: 'idempotency-keys-collection',
+        up: (data) => {
+            if (Array.isArray(data.idempotencyKeys)) return { added: false };
+            data.idempotencyKeys = [];
+            return { added: true };
+        }
+    },
+    {
+        version: 9,
+        name: 'inventory-collection',
+        up: (data) => {
+            if (Array.isArray(data.inventory)) return { added: false };
+            data.inventory = [];
+            return { added: true };
+        }
+    }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrades `data` in place to LATEST_VERSION.
+ * Returns the migrations that were applied (empty when already up to date).
+ */
+const runMigrations = (data) => {
+    const current = data.schemaVersion || 0;
+    if (!Array.isArray(data.migrations)) data.migrations = [];
+
+    const pending = MIGRATIONS.filter(m => m.version > current);
+    return pending.map(migration => {
+        const result = migration.up(data);
+        const entry = {
+            version: migration.version,
+            name: migration.name,
+            appliedAt: new Date().toISOString(),
+            result
+        };
+
+        data.migrations.push(entry);
+        data.schemaVersion = migration.version;
+        console.log(` Migration ${migration.version} (${migration.name}) applied:`, JSON.stringify(result));
+        return entry;
+    });
+};
+
+module.exports = {
+    LATEST_VERSION,
+    runMigrations
+};
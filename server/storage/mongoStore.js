@@ -0,0 +1,774 @@
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const UserRecommendation = require('../models/UserRecommendation');
+const RecommendationAnalytics = require('../models/RecommendationAnalytics');
+const Analytics = require('../models/Analytics');
+const ServiceRequest = require('../models/ServiceRequest');
+const CustomerQuery = require('../models/CustomerQuery');
+const ContactMessage = require('../models/ContactMessage');
+const InterestedLead = require('../models/InterestedLead');
+const AuthToken = require('../models/AuthToken');
+const ApiToken = require('../models/ApiToken');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const DeliverySlot = require('../models/DeliverySlot');
+const InventoryVehicle = require('../models/InventoryVehicle');
+
+/**
+ * MongoDB Store
+ * Implements the storage interface on top of the Mongoose models.
+ * Every method returns plain objects with a string `id`, like the JSON store.
+ */
+const toPlain = (doc) => {
+    if (!doc) return null;
+    const obj = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    return { ...obj, id: String(obj._id) };
+};
+
+const toPlainList = (docs) => docs.map(toPlain);
+
+// Malformed IDs are treated as "not found" rather than surfacing a CastError
+const isId = (id) => mongoose.isValidObjectId(id);
+
+// Flattens populate('userId', 'name email') into { userId, user } like the JSON store
+const withUser = (doc) => {
+    const { userId: user, ...rest } = toPlain(doc);
+    return {
+        ...rest,
+        userId: user ? String(user._id) : null,
+        user: user ? { id: String(user._id), name: user.name, email: user.email } : null
+    };
+};
+
+const PRIORITY_ORDER = ['Low', 'Medium', 'High', 'Urgent'];
+
+// Export/import collection names match the JSON store's top-level keys
+const COLLECTION_MODELS = {
+    users: User,
+    orders: Order,
+    recommendations: UserRecommendation,
+    analytics: RecommendationAnalytics,
+    analyticsEvents: Analytics,
+    serviceRequests: ServiceRequest,
+    customerQueries: CustomerQuery,
+    contactMessages: ContactMessage,
+    interestedLeads: InterestedLead,
+    authTokens: AuthToken,
+    apiTokens: ApiToken,
+    inventory: InventoryVehicle
+};
+
+// Inventory search fields and their paths on InventoryVehicle
+const INVENTORY_FIELDS = {
+    vehicleId: 'vehicleId',
+    condition: 'condition',
+    region: 'location.region',
+    centerId: 'location.centerId',
+    paint: 'config.paint',
+    battery: 'config.battery'
+};
+
+// Vehicles on sale: never held, or held by a hold that ran out
+const onSale = (now) => [
+    { status: 'available' },
+    { status: 'reserved', 'reservation.expiresAt': { $lte: now } }
+];
+
+// Reservation ids are ObjectIds here; the JSON store and the API use strings
+const toPlainVehicle = (doc) => {
+    const vehicle = toPlain(doc);
+    if (vehicle?.reservation) {
+        vehicle.reservation = {
+            ...vehicle.reservation,
+            userId: String(vehicle.reservation.userId),
+            orderId: vehicle.reservation.orderId ? String(vehicle.reservation.orderId) : null
+        };
+    }
+    return vehicle;
+};
+
+// Shapes a JSON-store record for insertMany: its string `id` becomes `_id` when
+// it is a valid ObjectId, otherwise Mongo assigns one and userIds are remapped
+const toDocument = ({ id, _id, ...rest }) => {
+    const key = _id || id;
+    return isId(key) ? { ...rest, _id: key } : rest;
+};
+
+module.exports = {
+    driver: 'mongo',
+
+    connect: connectDB,
+
+    // Mongo writes are acknowledged by the server, so there is nothing to flush
+    flush: async () => {},
+
+    close: () => mongoose.connection.close(),
+
+    // Bulk Data Methods (admin CLI)
+    exportData: async () => {
+        const collections = {};
+        for (const [name, Model] of Object.entries(COLLECTION_MODELS)) {
+            const docs = toPlainList(await Model.find().lean());
+            collections[name] = docs.map(({ _id, __v, ...doc }) => ({
+                ...doc,
+                ...(doc.userId ? { userId: String(doc.userId) } : {}),
+                ...(doc.statusHistory ? {
+                    statusHistory: doc.statusHistory.map(entry => ({ ...entry, changedBy: entry.changedBy ? String(entry.changedBy) : null }))
+                } : {})
+            }));
+        }
+        // Same shape as the JSON store's records: `lastUpdated` rather than `date`
+        collections.analytics = collections.analytics.map(({ date, ...rest }) => ({ ...rest, lastUpdated: date }));
+
+        return {
+            driver: 'mongo',
+            exportedAt: new Date().toISOString(),
+            collections
+        };
+    },
+
+    // Replaces everything in the database with an export produced by exportData()
+    importData: async (dump) => {
+        const counts = {};
+        const userIds = new Map();
+
+        const orderIds = new Map();
+
+        const users = dump.collections.users || [];
+        await User.deleteMany({});
+        const insertedUsers = await User.insertMany(users.map(toDocument), { lean: true });
+        users.forEach((user, i) => userIds.set(String(user.id || user._id), insertedUsers[i]._id));
+        counts.users = insertedUsers.length;
+
+        for (const [name, Model] of Object.entries(COLLECTION_MODELS)) {
+            if (name === 'users') continue;
+            const records = (dump.collections[name] || []).map((record) => {
+                const doc = toDocument(record);
+                if (name === 'analytics' && doc.lastUpdated) {
+                    doc.date = doc.lastUpdated;
+                    delete doc.lastUpdated;
+                }
+                if (doc.userId !== undefined && doc.userId !== null) {
+                    doc.userId = userIds.get(String(doc.userId)) || null;
+                }
+                if (Array.isArray(doc.statusHistory)) {
+                    doc.statusHistory = doc.statusHistory.map(entry => ({
+                        ...entry,
+                        changedBy: entry.changedBy ? userIds.get(String(entry.changedBy)) || null : null
+                    }));
+                }
+                // Admins who decided a refund or appraised a trade-in
+                if (doc.refund?.decidedBy) doc.refund.decidedBy = userIds.get(String(doc.refund.decidedBy)) || null;
+                if (doc.tradeIn?.appraisedBy) doc.tradeIn.appraisedBy = userIds.get(String(doc.tradeIn.appraisedBy)) || null;
+                // Inventory holds point at a user and, once ordered, an order (imported before inventory)
+                if (doc.reservation) {
+                    doc.reservation.userId = userIds.get(String(doc.reservation.userId)) || null;
+                    doc.reservation.orderId = doc.reservation.orderId ? orderIds.get(String(doc.reservation.orderId)) || null : null;
+                }
+                return doc;
+            });
+
+            await Model.deleteMany({});
+            const inserted = await Model.insertMany(records, { lean: true });
+            counts[name] = inserted.length;
+            if (name === 'orders') {
+                (dump.collections.orders || []).forEach((order, i) => orderIds.set(String(order.id || order._id), inserted[i]._id));
+            }
+        }
+
+        // Slot counts aren't exported; recount them from the imported appointments
+        const appointments = await Order.aggregate([
+            { $match: { status: { $ne: 'Cancelled' }, 'delivery.appointment': { $ne: null } } },
+            {
+                $group: {
+                    _id: {
+                        centerId: '$delivery.centerId',
+                        method: '$delivery.method',
+                        date: '$delivery.appointment.date',
+                        time: '$delivery.appointment.time'
+                    },
+                    booked: { $sum: 1 }
+                }
+            }
+        ]);
+        await DeliverySlot.deleteMany({});
+        await DeliverySlot.insertMany(appointments.map(({ _id, booked }) => ({ ..._id, booked })));
+
+        return counts;
+    },
+
+    // User Methods
+    findUserByEmail: async (email) =>
+        toPlain(await User.findOne({ email: email.toLowerCase().trim() }).lean()),
+
+    findUserById: async (id) =>
+        isId(id) ? toPlain(await User.findById(id).lean()) : null,
+
+    createUser: async (userData) =>
+        toPlain(await User.create(userData)),
+
+    /**
+     * Closes an account: deletes the user and their personal records, and keeps
+     * orders and analytics events (needed for accounting and aggregate stats)
+     * with everything that identifies the person removed.
+     */
+    deleteUserAccount: async (userId) => {
+        const user = isId(userId) ? await User.findById(userId).lean() : null;
+        if (!user) return null;
+
+        const owned = { userId: user._id };
+        const ownedOrSameEmail = { $or: [owned, { email: user.email }] };
+
+        // updateMany doesn't run validators, so the otherwise required userId can be cleared
+        const orders = await Order.updateMany(owned, {
+            $set: { userId: null, anonymizedAt: new Date() },
+            $unset: { deliveryAddress: '', paymentDetails: '' }
+        });
+        await Analytics.updateMany(owned, { $set: { userId: null }, $unset: { location: '', userAgent: '' } });
+
+        const summary = { ordersAnonymized: orders.modifiedCount };
+        summary.recommendations = (await UserRecommendation.deleteMany(owned)).deletedCount;
+        summary.serviceRequests = (await ServiceRequest.deleteMany(owned)).deletedCount;
+        summary.customerQueries = (await CustomerQuery.deleteMany(owned)).deletedCount;
+        summary.contactMessages = (await ContactMessage.deleteMany(ownedOrSameEmail)).deletedCount;
+        summary.interestedLeads = (await InterestedLead.deleteMany(ownedOrSameEmail)).deletedCount;
+        summary.authTokens = (await AuthToken.deleteMany(owned)).deletedCount;
+        summary.apiTokens = (await ApiToken.deleteMany(owned)).deletedCount;
+        summary.idempotencyKeys = (await IdempotencyKey.deleteMany(owned)).deletedCount;
+        summary.users = (await User.deleteOne({ _id: user._id })).deletedCount;
+
+        return summary;
+    },
+
+    /**
+     * Everything stored about one user, collection by collection, for a
+     * personal data export. Uses the same ownership rules as deleteUserAccount.
+     * Returns null when the user doesn't exist.
+     */
+    exportUserData: async (userId) => {
+        const user = isId(userId) ? await User.findById(userId).lean() : null;
+        if (!user) return null;
+
+        const owned = { userId: user._id };
+        const ownedOrSameEmail = { $or: [owned, { email: user.email }] };
+        const newest = { createdAt: -1 };
+
+        const [orders, recommendations, serviceRequests, customerQueries, contactMessages, interestedLeads, analyticsEvents, apiTokens] = await Promise.all([
+            Order.find(owned).sort(newest).lean(),
+            UserRecommendation.find(owned).sort(newest).lean(),
+            ServiceRequest.find(owned).sort(newest).lean(),
+            CustomerQuery.find(owned).sort(newest).lean(),
+            ContactMessage.find(ownedOrSameEmail).sort(newest).lean(),
+            InterestedLead.find(ownedOrSameEmail).sort(newest).lean(),
+            Analytics.find(owned).sort({ timestamp: 1 }).lean(),
+            ApiToken.find(owned).sort(newest).lean()
+        ]);
+
+        return {
+            user: toPlain(user),
+            orders: toPlainList(orders),
+            recommendations: toPlainList(recommendations),
+            serviceRequests: toPlainList(serviceRequests),
+            customerQueries: toPlainList(customerQueries),
+            contactMessages: toPlainList(contactMessages),
+            interestedLeads: toPlainList(interestedLeads),
+            analyticsEvents: toPlainList(analyticsEvents),
+            apiTokens: toPlainList(apiTokens)
+        };
+    },
+
+    listUsers: async () =>
+        toPlainList(await User.find().sort({ createdAt: -1 }).lean()),
+
+    updateUser: async (id, updates) =>
+        isId(id) ? toPlain(await User.findByIdAndUpdate(id, { $set: updates }, { new: true, runValidators: true }).lean()) : null,
+
+    /**
+     * Counts a failed sign-in against the user and locks the account until
+     * `lockedUntil` once `maxAttempts` are reached. Resolves with true when this
+     * failure locked it; failures while it is already locked don't count.
+     */
+    recordLoginFailure: async (id, { maxAttempts, lockedUntil }) => {
+        if (!isId(id)) return false;
+        // Attempts made before an earlier lock expired don't count again
+        await User.updateOne(
+            { _id: id, lockedUntil: { $ne: null, $lte: new Date() } },
+            { $set: { failedLoginAttempts: 0, lockedUntil: null } }
+        );
+
+        const user = await User.findOneAndUpdate(
+            { _id: id, lockedUntil: null },
+            { $inc: { failedLoginAttempts: 1 } },
+            { new: true }
+        ).lean();
+        if (!user || user.failedLoginAttempts < maxAttempts) return false;
+
+        // Parallel failures can all pass the limit; only one of them locks
+        const { modifiedCount } = await User.updateOne(
+            { _id: id, lockedUntil: null, failedLoginAttempts: { $gte: maxAttempts } },
+            { $set: { failedLoginAttempts: 0, lockedUntil } }
+        );
+        return modifiedCount === 1;
+    },
+
+    /**
+     * Marks TOTP time step `counter` as used, unless it (or a later one) already
+     * was. Resolves with the user, or null for a replayed code.
+     */
+    useTotpCounter: async (id, counter) =>
+        isId(id) ? toPlain(await User.findOneAndUpdate(
+            { _id: id, $or: [{ twoFactorLastCounter: null }, { twoFactorLastCounter: { $lt: counter } }] },
+            { $set: { twoFactorLastCounter: counter } },
+            { new: true }
+        ).lean()) : null,
+
+    // Spends a recovery code (by hash); resolves with the user, or null when it was already spent
+    useRecoveryCode: async (id, hash) =>
+        isId(id) ? toPlain(await User.findOneAndUpdate(
+            { _id: id, twoFactorRecoveryCodes: hash },
+            { $pull: { twoFactorRecoveryCodes: hash } },
+            { new: true }
+        ).lean()) : null,
+
+    // Order Methods
+    findOrdersByUserId: async (userId) =>
+        toPlainList(await Order.find({ userId }).sort({ createdAt: -1 }).lean()),
+
+    createOrder: async (orderData) =>
+        toPlain(await Order.create(orderData)),
+
+    findOrders: async ({ status } = {}) =>
+        toPlainList(await Order.find(status ? { status } : {}).sort({ createdAt: -1 }).lean()),
+
+    findOrderById: async (id) =>
+        isId(id) ? toPlain(await Order.findById(id).lean()) : null,
+
+    findOrderByNumber: async (orderNumber) =>
+        toPlain(await Order.findOne({ orderNumber }).lean()),
+
+    updateOrder: async (id, updates) =>
+        isId(id) ? toPlain(await Order.findByIdAndUpdate(id, { $set: updates }, { new: true, runValidators: true }).lean()) : null,
+
+    // Only applies while the order is still `from`, so two concurrent changes can't both win
+    // `updates` are other fields to set in the same write (e.g. the refund on cancellation)
+    transitionOrderStatus: async (id, from, entry, updates = {}) =>
+        isId(id) ? toPlain(await Order.findOneAndUpdate(
+            { _id: id, status: from },
+            { $set: { ...updates, status: entry.status }, $push: { statusHistory: entry } },
+            { new: true, runValidators: true }
+        ).lean()) : null,
+
+    findOrderByPaymentIntent: async (intentId) =>
+        toPlain(await Order.findOne({ 'payment.intentId': intentId }).lean()),
+
+    findOrdersByRefundStatus: async (status) =>
+        toPlainList(await Order.find({ 'refund.status': status }).sort({ 'refund.requestedAt': 1 }).lean()),
+
+    // Appointments per slot of a delivery center, as [{ date, time, booked }]
+    countDeliveryAppointments: async ({ centerId, method, from, to }) =>
+        (await DeliverySlot.find({ centerId, method, date: { $gte: from, $lte: to }, booked: { $gt: 0 } }).lean())
+            .map(({ date, time, booked }) => ({ date, time, booked })),
+
+    /**
+     * Books { date, time } at the order's delivery center, moving any earlier
+     * appointment. Resolves with the order, or null when the slot already has
+     * `capacity` bookings.
+     */
+    bookDeliveryAppointment: async (id, { date, time }, capacity) => {
+        if (!isId(id) || capacity < 1) return null;
+        const order = await Order.findById(id).lean();
+        if (!order?.delivery) return null;
+        const { centerId, method, appointment } = order.delivery;
+        if (appointment && appointment.date === date && appointment.time === time) return toPlain(order);
+
+        // Claim a place; when the slot is full the filter misses and the upsert hits the unique index
+        try {
+            await DeliverySlot.findOneAndUpdate(
+                { centerId, method, date, time, booked: { $lt: capacity } },
+                { $inc: { booked: 1 } },
+                { upsert: true }
+            );
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            return null;
+        }
+
+        if (appointment) {
+            await DeliverySlot.updateOne(
+                { centerId, method, date: appointment.date, time: appointment.time, booked: { $gt: 0 } },
+                { $inc: { booked: -1 } }
+            );
+        }
+        return toPlain(await Order.findByIdAndUpdate(id, {
+            $set: {
+                'delivery.appointment': { date, time, bookedAt: new Date() },
+                estimatedDelivery: new Date(`${date}T00:00:00Z`)
+            }
+        }, { new: true, runValidators: true }).lean());
+    },
+
+    // Frees the order's appointment slot; its estimate goes back to the end of the window
+    releaseDeliveryAppointment: async (id) => {
+        if (!isId(id)) return null;
+        // Returns the order as it was, so the freed slot is known
+        const order = await Order.findOneAndUpdate(
+            { _id: id, 'delivery.appointment': { $ne: null } },
+            { $set: { 'delivery.appointment': null } }
+        ).lean();
+        if (!order) return toPlain(await Order.findById(id).lean());
+
+        const { centerId, method, appointment, window } = order.delivery;
+        await DeliverySlot.updateOne(
+            { centerId, method, date: appointment.date, time: appointment.time, booked: { $gt: 0 } },
+            { $inc: { booked: -1 } }
+        );
+        return toPlain(await Order.findByIdAndUpdate(id, {
+            $set: { estimatedDelivery: new Date(`${window.latest}T00:00:00Z`) }
+        }, { new: true }).lean());
+    },
+
+    findOrdersByTradeInStatus: async (status) =>
+        toPlainList(await Order.find({ 'tradeIn.status': status }).sort({ 'tradeIn.estimatedAt': 1 }).lean()),
+
+    // Only applies while the trade-in is still `from`, so it can't be appraised twice
+    updateOrderTradeIn: async (id, from, updates) => {
+        if (!isId(id)) return null;
+        const $set = Object.fromEntries(Object.entries(updates).map(([key, value]) => [`tradeIn.${key}`, value]));
+        return toPlain(await Order.findOneAndUpdate(
+            { _id: id, 'tradeIn.status': from },
+            { $set },
+            { new: true, runValidators: true }
+        ).lean());
+    },
+
+    // Only applies while the refund is still `from`, so it can't be decided twice
+    updateOrderRefund: async (id, from, updates) => {
+        if (!isId(id)) return null;
+        const $set = Object.fromEntries(Object.entries(updates).map(([key, value]) => [`refund.${key}`, value]));
+        return toPlain(await Order.findOneAndUpdate(
+            { _id: id, 'refund.status': from },
+            { $set },
+            { new: true, runValidators: true }
+        ).lean());
+    },
+
+    // Inventory Methods (see inventory/stock.js)
+
+    /**
+     * Stock matching the given fields (vehicleId, condition, region, centerId,
+     * paint, battery), oldest first. Only vehicles on sale, plus any held by
+     * `userId`, unless includeUnavailable.
+     */
+    findInventory: async ({ userId, includeUnavailable = false, ...fields } = {}) => {
+        const query = {};
+        Object.entries(fields).forEach(([field, value]) => {
+            if (value !== undefined) query[INVENTORY_FIELDS[field]] = value;
+        });
+        if (!includeUnavailable) {
+            query.$or = [
+                ...onSale(new Date()),
+                ...(isId(userId) ? [{ status: 'reserved', 'reservation.userId': userId }] : [])
+            ];
+        }
+        return (await InventoryVehicle.find(query).sort({ createdAt: 1 }).lean()).map(toPlainVehicle);
+    },
+
+    findInventoryVehicle: async (vin) =>
+        toPlainVehicle(await InventoryVehicle.findOne({ vin: String(vin).toUpperCase() }).lean()),
+
+    // Resolves with the record, or null when the VIN is already in stock
+    createInventoryVehicle: async (record) => {
+        try {
+            return toPlainVehicle(await InventoryVehicle.create(record));
+        } catch (err) {
+            if (err.code === 11000) return null;
+            throw err;
+        }
+    },
+
+    /**
+     * Holds the vehicle for `userId` until `expiresAt`, for `orderId` when given.
+     * Succeeds when it is on sale, its hold ran out, or the user already holds
+     * it (for no order or the same one). Resolves with the record or null.
+     */
+    holdInventoryVehicle: async (vin, { userId, orderId = null, expiresAt }) => {
+        if (!isId(userId) || (orderId && !isId(orderId))) return null;
+        const now = new Date();
+        const ownHold = {
+            status: 'reserved',
+            'reservation.userId': userId,
+            'reservation.expiresAt': { $gt: now },
+            ...(orderId ? { 'reservation.orderId': { $in: [null, orderId] } } : {})
+        };
+        const vehicle = await InventoryVehicle.findOneAndUpdate(
+            { vin: String(vin).toUpperCase(), $or: [...onSale(now), ownHold] },
+            // A plain hold by the same user keeps the order it was placed with
+            orderId
+                ? { $set: { status: 'reserved', reservation: { userId, orderId, expiresAt } } }
+                : [{
+                    $set: {
+                        status: 'reserved',
+                        reservation: {
+                            userId: mongoose.Types.ObjectId.createFromHexString(String(userId)),
+                            orderId: {
+                                $cond: [
+                                    { $and: [{ $eq: ['$status', 'reserved'] }, { $gt: ['$reservation.expiresAt', now] }] },
+                                    '$reservation.orderId',
+                                    null
+                                ]
+                            },
+                            expiresAt: new Date(expiresAt)
+                        }
+                    }
+                }],
+            { new: true }
+        ).lean();
+        return toPlainVehicle(vehicle);
+    },
+
+    // Lets go of a hold the user placed, unless an order was placed with it
+    releaseInventoryHold: async (vin, userId) => {
+        if (!isId(userId)) return null;
+        return toPlainVehicle(await InventoryVehicle.findOneAndUpdate(
+            { vin: String(vin).toUpperCase(), status: 'reserved', 'reservation.userId': userId, 'reservation.orderId': null },
+            { $set: { status: 'available', reservation: null } },
+            { new: true }
+        ).lean());
+    },
+
+    // The order holding the vehicle was paid
+    markInventorySold: async (vin, orderId) => {
+        if (!isId(orderId)) return null;
+        return toPlainVehicle(await InventoryVehicle.findOneAndUpdate(
+            { vin: String(vin).toUpperCase(), status: 'reserved', 'reservation.orderId': orderId },
+            { $set: { status: 'sold', 'reservation.expiresAt': null } },
+            { new: true }
+        ).lean());
+    },
+
+    // The order holding (or that bought) the vehicle was cancelled: back on sale
+    releaseInventoryVehicle: async (vin, orderId) => {
+        if (!isId(orderId)) return null;
+        return toPlainVehicle(await InventoryVehicle.findOneAndUpdate(
+            { vin: String(vin).toUpperCase(), 'reservation.orderId': orderId },
+            { $set: { status: 'available', reservation: null } },
+            { new: true }
+        ).lean());
+    },
+
+    // Auth Token Methods (password reset, email verification)
+    createAuthToken: async (tokenData) =>
+        toPlain(await AuthToken.create(tokenData)),
+
+    // Marks the token used and returns it, or null if it is unknown, used or expired
+    consumeAuthToken: async (type, tokenHash) =>
+        toPlain(await AuthToken.findOneAndUpdate(
+            { type, tokenHash, usedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { usedAt: new Date() } },
+            { new: true }
+        ).lean()),
+
+    revokeAuthTokens: async (userId, type) => {
+        const result = await AuthToken.updateMany(
+            { userId, type, usedAt: null },
+            { $set: { usedAt: new Date() } }
+        );
+        return result.modifiedCount;
+    },
+
+    // API Token Methods (personal access tokens)
+    createApiToken: async (tokenData) =>
+        toPlain(await ApiToken.create(tokenData)),
+
+    // Tokens the user hasn't revoked, including expired ones
+    findApiTokensByUserId: async (userId) =>
+        toPlainList(await ApiToken.find({ userId, revokedAt: null }).sort({ createdAt: -1 }).lean()),
+
+    // The token if it can still be used, otherwise null
+    findActiveApiToken: async (tokenHash) =>
+        toPlain(await ApiToken.findOne({
+            tokenHash,
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        }).lean()),
+
+    recordApiTokenUse: async (id) =>
+        isId(id) ? toPlain(await ApiToken.findByIdAndUpdate(id, { $set: { lastUsedAt: new Date() } }, { new: true }).lean()) : null,
+
+    revokeApiToken: async (id, userId) =>
+        isId(id) ? toPlain(await ApiToken.findOneAndUpdate(
+            { _id: id, userId, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        ).lean()) : null,
+
+    // Idempotency Key Methods (replayed responses, see middleware/idempotency.js)
+
+    /**
+     * Claims `key` for the user. Resolves with { record, created }: created is
+     * false when an unexpired record for the key already exists (it is returned).
+     */
+    claimIdempotencyKey: async ({ userId, key, ...rest }) => {
+        // The TTL index sweeps about once a minute, so an expired key may still be there
+        await IdempotencyKey.deleteOne({ userId, key, expiresAt: { $lte: new Date() } });
+        try {
+            const record = await IdempotencyKey.create({ ...rest, userId, key, status: 'in_progress' });
+            return { record: toPlain(record), created: true };
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            return { record: toPlain(await IdempotencyKey.findOne({ userId, key }).lean()), created: false };
+        }
+    },
+
+    completeIdempotencyKey: async (id, { responseStatus, responseBody }) =>
+        isId(id) ? toPlain(await IdempotencyKey.findByIdAndUpdate(
+            id,
+            { $set: { status: 'completed', responseStatus, responseBody } },
+            { new: true }
+        ).lean()) : null,
+
+    // Frees the key again, e.g. after a server error, so the request can be retried
+    releaseIdempotencyKey: async (id) =>
+        isId(id) ? (await IdempotencyKey.deleteOne({ _id: id })).deletedCount > 0 : false,
+
+    // Recommendation Methods
+    saveRecommendation: async (recommendationData) =>
+        toPlain(await UserRecommendation.create(recommendationData)),
+
+    findRecommendationsByUserId: async (userId) =>
+        toPlainList(await UserRecommendation.find({ userId }).sort({ createdAt: -1 }).lean()),
+
+    // Recommendation Filter Analytics
+    trackAnalytics: async (filterType, filterValue) => {
+        await RecommendationAnalytics.findOneAndUpdate(
+            { filterType, filterValue },
+            { $inc: { count: 1 }, $set: { date: new Date() } },
+            { upsert: true, setDefaultsOnInsert: true }
+        );
+    },
+
+    getAnalytics: async () => {
+        const analytics = await RecommendationAnalytics.find().sort({ count: -1 }).lean();
+        return analytics.map(({ filterType, filterValue, count, date }) => ({
+            filterType,
+            filterValue,
+            count,
+            lastUpdated: date
+        }));
+    },
+
+    // Analytics Event Methods
+    createAnalyticsEvent: async (eventData) =>
+        toPlain(await Analytics.create(eventData)),
+
+    findAnalyticsEvents: async ({ since, userId, eventTypes } = {}) => {
+        const query = {};
+        if (since) query.timestamp = { $gte: since };
+        if (userId !== undefined) query.userId = userId;
+        if (eventTypes) query.eventType = { $in: eventTypes };
+        return toPlainList(await Analytics.find(query).lean());
+    },
+
+    // Service Request Methods
+    createServiceRequest: async (requestData) =>
+        toPlain(await ServiceRequest.create(requestData)),
+
+    findServiceRequestsByUserId: async (userId) =>
+        toPlainList(await ServiceRequest.find({ userId }).sort({ createdAt: -1 }).lean()),
+
+    findServiceRequest: async (id, userId) =>
+        isId(id) ? toPlain(await ServiceRequest.findOne({ _id: id, userId }).lean()) : null,
+
+    updateServiceRequest: async (id, userId, updates) =>
+        isId(id) ? toPlain(await ServiceRequest.findOneAndUpdate(
+            { _id: id, userId },
+            { $set: updates },
+            { new: true, runValidators: true }
+        ).lean()) : null,
+
+    // Staff views: every customer's requests, soonest appointment first
+    findServiceRequests: async ({ status, limit = 50, skip = 0 } = {}) => {
+        const query = status ? { status } : {};
+
+        const requests = await ServiceRequest.find(query)
+            .sort({ serviceDate: 1 })
+            .limit(Number(limit))
+            .skip(Number(skip))
+            .populate('userId', 'name email')
+            .lean();
+
+        return {
+            items: requests.map(withUser),
+            total: await ServiceRequest.countDocuments(query)
+        };
+    },
+
+    updateServiceRequestById: async (id, updates) =>
+        isId(id) ? toPlain(await ServiceRequest.findByIdAndUpdate(id, { $set: updates }, { new: true, runValidators: true }).lean()) : null,
+
+    // Customer Query Methods
+    createCustomerQuery: async (queryData) =>
+        toPlain(await CustomerQuery.create(queryData)),
+
+    findCustomerQueriesByUserId: async (userId) =>
+        toPlainList(await CustomerQuery.find({ userId }).sort({ createdAt: -1 }).lean()),
+
+    findCustomerQuery: async (id, userId) =>
+        isId(id) ? toPlain(await CustomerQuery.findOne({ _id: id, userId }).lean()) : null,
+
+    findCustomerQueries: async ({ status, category, limit = 50, skip = 0 } = {}) => {
+        const match = {};
+        if (status) match.status = status;
+        if (category) match.category = category;
+
+        // Priority is stored as a label, so rank it explicitly instead of sorting alphabetically
+        const queries = await CustomerQuery.aggregate([
+            { $match: match },
+            { $addFields: { priorityRank: { $indexOfArray: [PRIORITY_ORDER, '$priority'] } } },
+            { $sort: { priorityRank: -1, createdAt: -1 } },
+            { $skip: Number(skip) },
+            { $limit: Number(limit) },
+            { $project: { priorityRank: 0 } }
+        ]);
+        await CustomerQuery.populate(queries, { path: 'userId', select: 'name email' });
+
+        return {
+            items: queries.map(withUser),
+            total: await CustomerQuery.countDocuments(match)
+        };
+    },
+
+    updateCustomerQuery: async (id, updates) =>
+        isId(id) ? toPlain(await CustomerQuery.findByIdAndUpdate(id, updates, { new: true, runValidators: true }).lean()) : null,
+
+    // Contact Message Methods
+    createContactMessage: async (messageData) =>
+        toPlain(await ContactMessage.create(messageData)),
+
+    findContactMessagesByUserId: async (userId) =>
+        toPlainList(await ContactMessage.find({ userId }).sort({ createdAt: -1 }).lean()),
+
+    findContactMessages: async ({ status, limit = 50, skip = 0 } = {}) => {
+        const query = status ? { status } : {};
+
+        const messages = await ContactMessage.find(query)
+            .sort({ createdAt: -1 })
+            .limit(Number(limit))
+            .skip(Number(skip))
+            .populate('userId', 'name email')
+            .lean();
+
+        return {
+            items: messages.map(withUser),
+            total: await ContactMessage.countDocuments(query)
+        };
+    },
+
+    updateContactMessage: async (id, updates) =>
+        isId(id) ? toPlain(await ContactMessage.findByIdAndUpdate(id, updates, { new: true, runValidators: true }).lean()) : null,
+
+    // Interested Lead Methods
+    createInterestedLead: async (leadData) =>
+        toPlain(await InterestedLead.create(leadData))
+};
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway JSON database, set before anything loads the config
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-test-'));
+process.env.DB_DRIVER = 'json';
+process.env.JSON_DB_FILE = path.join(tmpDir, 'data.json');
+
+const express = require('express');
+const db = require('../database');
+const { idempotent } = require('../middleware/idempotency');
+
+let server;
+let baseUrl;
+let calls = 0;
+let nextStatus = 201;
+let releaseSlow = null;
+
+test.before(async () => {
+    await db.connect();
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.auth = { userId: req.get('x-user') || 'user-1' };
+        next();
+    });
+    app.post('/orders', idempotent, (req, res) => {
+        calls += 1;
+        res.status(nextStatus).json({ success: nextStatus < 300, call: calls, echo: req.body });
+    });
+    app.post('/slow', idempotent, async (req, res) => {
+        await new Promise(resolve => { releaseSlow = resolve; });
+        res.status(201).json({ success: true });
+    });
+
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.flush();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const post = (url, body, { key, user } = {}) => fetch(`${baseUrl}${url}`, {
+    method: 'POST',
+    headers: {
+        'Content-Type': 'application/json',
+        ...(key ? { 'Idempotency-Key': key } : {}),
+        ...(user ? { 'X-User': user } : {})
+    },
+    body: JSON.stringify(body)
+});
+
+test('a retry with the same key and body replays the first response', async () => {
+    nextStatus = 201;
+    const before = calls;
+    const first = await post('/orders', { vehicleId: 'model3' }, { key: 'replay-key-1' });
+    const retry = await post('/orders', { vehicleId: 'model3' }, { key: 'replay-key-1' });
+
+    assert.equal(first.status, 201);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(await retry.json(), await first.json());
+    assert.equal(calls, before + 1);
+});
+
+test('reusing a key for a different body is refused', async () => {
+    nextStatus = 201;
+    await post('/orders', { vehicleId: 'model3' }, { key: 'conflict-key-1' });
+    const reused = await post('/orders', { vehicleId: 'modelY' }, { key: 'conflict-key-1' });
+
+    assert.equal(reused.status, 422);
+    assert.equal((await reused.json()).code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('a retry while the first request is still running gets a 409', async () => {
+    const first = post('/slow', { vehicleId: 'model3' }, { key: 'in-progress-key-1' });
+    while (!releaseSlow) await new Promise(resolve => setTimeout(resolve, 10));
+
+    const retry = await post('/slow', { vehicleId: 'model3' }, { key: 'in-progress-key-1' });
+    assert.equal(retry.status, 409);
+    assert.equal(retry.headers.get('retry-after'), '1');
+    assert.equal((await retry.json()).code, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+
+    releaseSlow();
+    assert.equal((await first).status, 201);
+});
+
+test('failed responses are not kept, so the key can be retried', async () => {
+    nextStatus = 400;
+    const failed = await post('/orders', { vehicleId: 'model3' }, { key: 'retry-after-error-1' });
+    nextStatus = 201;
+    const retry = await post('/orders', { vehicleId: 'model3' }, { key: 'retry-after-error-1' });
+
+    assert.equal(failed.status, 400);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+});
+
+test('keys are per user', async () => {
+    nextStatus = 201;
+    const before = calls;
+    await post('/orders', { vehicleId: 'model3' }, { key: 'shared-key-1', user: 'user-a' });
+    const other = await post('/orders', { vehicleId: 'model3' }, { key: 'shared-key-1', user: 'user-b' });
+
+    assert.equal(other.headers.get('idempotent-replayed'), null);
+    assert.equal(calls, before + 2);
+});
+
+test('malformed keys are rejected and requests without one run as usual', async () => {
+    const malformed = await post('/orders', {}, { key: 'short' });
+    assert.equal(malformed.status, 400);
+    assert.equal((await malformed.json()).code, 'INVALID_IDEMPOTENCY_KEY');
+
+    nextStatus = 201;
+    const before = calls;
+    await post('/orders', {});
+    await post('/orders', {});
+    assert.equal(calls, before + 2);
+});
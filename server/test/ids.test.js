@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { newId, isId, generateOrderNumber } = require('../utils/ids');
+
+test('ids made in the same millisecond are distinct and stay in creation order', () => {
+    const ids = Array.from({ length: 1000 }, () => newId());
+
+    assert.equal(new Set(ids).size, ids.length);
+    assert.deepEqual([...ids].sort(), ids);
+    assert.ok(ids.every(isId));
+});
+
+test('back-dated ids sort by the time they are given', () => {
+    const older = newId(Date.UTC(2020, 0, 1));
+    const newer = newId(Date.UTC(2024, 0, 1));
+
+    assert.ok(older < newer);
+    assert.ok(newer < newId());
+});
+
+test('isId only accepts new-style ids', () => {
+    assert.equal(isId(1700000000000), false);
+    assert.equal(isId('1700000000000'), false);
+    assert.equal(isId('01M5AV6B074NDYGGB4H4MTRVF1'), true);
+    assert.equal(isId('01M5AV6B074NDYGGB4H4MTRVFI'), false); // I is not Crockford base32
+});
+
+test('order numbers look like TSL-<time>-<random>', () => {
+    assert.match(generateOrderNumber(), /^TSL-[0-9A-Z]+-[0-9A-HJKMNP-TV-Z]{5}$/);
+});
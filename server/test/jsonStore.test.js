@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway JSON database, set before anything loads the config
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-test-'));
+const DB_FILE = path.join(tmpDir, 'data.json');
+process.env.DB_DRIVER = 'json';
+process.env.JSON_DB_FILE = DB_FILE;
+
+const store = require('../storage/jsonStore');
+
+const LOCK_FILE = `${DB_FILE}.lock`;
+
+const onDisk = () => JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+
+test.before(async () => {
+    assert.equal(await store.connect(), true);
+});
+
+test.after(async () => {
+    await store.flush();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('parallel mutations run one at a time and all of them are kept', async () => {
+    const user = await store.createUser({ name: 'Counter', email: 'counter@example.com', password: 'x' });
+
+    // Read-modify-write from many callers at once; any overlap would lose updates
+    await Promise.all(Array.from({ length: 25 }, () => store.mutate((data) => {
+        const record = data.users.find(u => u.id === user.id);
+        record.failedLoginAttempts = (record.failedLoginAttempts || 0) + 1;
+    })));
+
+    assert.equal((await store.findUserById(user.id)).failedLoginAttempts, 25);
+    assert.equal(onDisk().users.find(u => u.id === user.id).failedLoginAttempts, 25);
+});
+
+test('a write resolves only once it is on disk', async () => {
+    const order = await store.createOrder({ userId: null, vehicleId: 'model3', vehicleName: 'Model 3', totalPrice: 1 });
+    assert.ok(onDisk().orders.some(o => o.id === order.id));
+
+    await store.updateOrder(order.id, { totalPrice: 2 });
+    assert.equal(onDisk().orders.find(o => o.id === order.id).totalPrice, 2);
+});
+
+test('records created together get distinct ids and order numbers', async () => {
+    const orders = await Promise.all(Array.from({ length: 20 }, (_, i) =>
+        store.createOrder({ userId: null, vehicleId: 'model3', vehicleName: 'Model 3', totalPrice: i })));
+
+    assert.equal(new Set(orders.map(o => o.id)).size, 20);
+    assert.equal(new Set(orders.map(o => o.orderNumber)).size, 20);
+    assert.deepEqual([...orders.map(o => o.id)].sort(), orders.map(o => o.id));
+});
+
+test('a mutation that throws is rejected without holding up the ones after it', async () => {
+    const failed = store.mutate(() => { throw new Error('boom'); });
+    const next = store.mutate(data => data.users.length);
+
+    await assert.rejects(failed, /boom/);
+    assert.equal(typeof await next, 'number');
+});
+
+test('callers get copies, not the cached records', async () => {
+    const user = await store.createUser({ name: 'Copy', email: 'copy@example.com', password: 'x' });
+    user.name = 'Changed';
+
+    assert.equal((await store.findUserById(user.id)).name, 'Copy');
+});
+
+// A directory where the temp file goes makes every write fail until it is removed
+const breakWrites = () => fs.mkdirSync(`${DB_FILE}.tmp`);
+const fixWrites = () => fs.rmSync(`${DB_FILE}.tmp`, { recursive: true, force: true });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a failed write is retried and the caller resolves once it lands', async (t) => {
+    t.after(fixWrites);
+    breakWrites();
+
+    const saved = store.createUser({ name: 'Retry', email: 'retry@example.com', password: 'x' });
+    await sleep(100);
+    assert.equal(onDisk().users.some(u => u.email === 'retry@example.com'), false);
+    assert.ok(await store.findUserByEmail('retry@example.com')); // kept in the cache meanwhile
+
+    fixWrites();
+    await saved;
+    assert.ok(onDisk().users.some(u => u.email === 'retry@example.com'));
+});
+
+test('callers are told after repeated failures, but the change still reaches disk', async (t) => {
+    t.after(fixWrites);
+    breakWrites();
+
+    await assert.rejects(store.createUser({ name: 'Late', email: 'late@example.com', password: 'x' }), /EISDIR/);
+    assert.ok(await store.findUserByEmail('late@example.com'));
+
+    fixWrites();
+    await store.flush();
+    assert.ok(onDisk().users.some(u => u.email === 'late@example.com'));
+});
+
+test('writes are refused while another live process holds the lock', async (t) => {
+    // Stands in for the server
+    const server = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 30000)'], { stdio: 'ignore' });
+    t.after(() => {
+        server.kill();
+        fs.rmSync(LOCK_FILE, { force: true });
+    });
+    fs.writeFileSync(LOCK_FILE, String(server.pid));
+
+    await assert.rejects(
+        store.createUser({ name: 'Locked', email: 'locked@example.com', password: 'x' }),
+        new RegExp(`in use by the server \\(process ${server.pid}\\)`)
+    );
+    assert.equal(await store.findUserByEmail('locked@example.com'), null);
+    assert.equal(await store.connect({ exclusive: true }), false);
+
+    fs.rmSync(LOCK_FILE);
+    assert.ok(await store.createUser({ name: 'Unlocked', email: 'unlocked@example.com', password: 'x' }));
+});
+
+test('a lock left behind by a process that is gone is ignored', async (t) => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    t.after(() => fs.rmSync(LOCK_FILE, { force: true }));
+    fs.writeFileSync(LOCK_FILE, String(pid));
+
+    assert.ok(await store.createUser({ name: 'Stale', email: 'stale@example.com', password: 'x' }));
+});
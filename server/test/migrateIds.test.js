@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+// Never touch the real data file; rekeyIds itself only works on the object it is given
+process.env.DB_DRIVER = 'json';
+process.env.JSON_DB_FILE = path.join(os.tmpdir(), `migrate-ids-test-${process.pid}.json`);
+
+const { rekeyIds } = require('../scripts/migrateIds');
+const { isId } = require('../utils/ids');
+
+const legacyData = () => ({
+    users: [
+        { id: 1700000000001, email: 'customer@example.com', createdAt: '2023-11-14T22:13:20.001Z' },
+        { id: 1700000000002, email: 'admin@example.com', createdAt: '2023-11-14T22:13:20.002Z' }
+    ],
+    orders: [{
+        id: 1700000000003,
+        userId: 1700000000001,
+        createdAt: '2023-11-14T22:13:20.003Z',
+        statusHistory: [
+            { status: 'Pending', changedBy: 1700000000001 },
+            { status: 'Cancelled', changedBy: 1700000000002 }
+        ],
+        refund: { status: 'Approved', decidedBy: 1700000000002 },
+        tradeIn: { status: 'Appraised', appraisedBy: 1700000000002 }
+    }],
+    recommendations: [{ id: 1700000000004, userId: '1700000000001' }],
+    authTokens: [{ id: '01M5AV6B074NDYGGB4H4MTRVF1', userId: 1700000000001 }],
+    apiTokens: [{ id: '01M5AV6B074NDYGGB4H4MTRVF2', userId: 1700000000001 }],
+    idempotencyKeys: [{ id: '01M5AV6B074NDYGGB4H4MTRVF3', userId: 1700000000001 }],
+    inventory: [{
+        id: '01M5AV6B074NDYGGB4H4MTRVF4',
+        vin: '5YJ3E1EA7PF000001',
+        reservation: { userId: 1700000000001, orderId: 1700000000003 }
+    }]
+});
+
+test('re-keys legacy records and moves every reference to the new ids', () => {
+    const data = legacyData();
+    const summary = rekeyIds(data);
+    const [customer, admin] = data.users;
+    const [order] = data.orders;
+
+    assert.ok(isId(customer.id) && isId(admin.id) && isId(order.id));
+    assert.equal(order.userId, customer.id);
+    assert.deepEqual(order.statusHistory.map(entry => entry.changedBy), [customer.id, admin.id]);
+    assert.equal(order.refund.decidedBy, admin.id);
+    assert.equal(order.tradeIn.appraisedBy, admin.id);
+    assert.equal(data.recommendations[0].userId, customer.id);
+    assert.equal(data.authTokens[0].userId, customer.id);
+    assert.equal(data.apiTokens[0].userId, customer.id);
+    assert.equal(data.idempotencyKeys[0].userId, customer.id);
+    assert.equal(data.inventory[0].reservation.userId, customer.id);
+    assert.equal(data.inventory[0].reservation.orderId, order.id);
+    assert.ok(order.orderNumber);
+
+    assert.equal(summary.userReferences, 10);
+    assert.equal(summary.orderReferences, 1);
+});
+
+test('keeps records in creation order', () => {
+    const data = legacyData();
+    rekeyIds(data);
+
+    assert.ok(data.users[0].id < data.users[1].id);
+});
+
+test('running it again changes nothing', () => {
+    const data = legacyData();
+    rekeyIds(data);
+    const once = JSON.parse(JSON.stringify(data));
+    const summary = rekeyIds(data);
+
+    assert.deepEqual(data, once);
+    assert.equal(summary.userReferences, 0);
+    assert.equal(summary.orderNumbers, 0);
+});
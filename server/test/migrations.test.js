@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A legacy data file in a throwaway directory, set before anything loads the config
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+const DB_FILE = path.join(tmpDir, 'data.json');
+process.env.DB_DRIVER = 'json';
+process.env.JSON_DB_FILE = DB_FILE;
+
+const { LATEST_VERSION, runMigrations } = require('../storage/migrations');
+
+// What tesla_data.json looked like before it had a schema version
+const legacyData = () => ({
+    users: [{ id: 1700000000001, email: 'customer@example.com', passwordHash: '$2a$10$hash' }],
+    orders: [{ id: 1700000000002, userId: 1700000000001, createdAt: '2023-11-14T22:13:20.002Z' }]
+});
+
+// The data without the migration log, which records when each migration ran
+const withoutLog = ({ migrations, schemaVersion, ...data }) => data;
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('upgrades a legacy file to the latest version', () => {
+    const data = legacyData();
+    const applied = runMigrations(data);
+    const [user] = data.users;
+    const [order] = data.orders;
+
+    assert.equal(data.schemaVersion, LATEST_VERSION);
+    assert.equal(applied.length, LATEST_VERSION);
+    assert.deepEqual(data.migrations.map(m => m.version), applied.map(m => m.version));
+    assert.equal(user.password, '$2a$10$hash');
+    assert.equal(user.passwordHash, undefined);
+    assert.ok(user.role);
+    assert.equal(order.status, 'Paid'); // old orders were placed already paid
+    assert.ok(order.orderNumber);
+    assert.equal(order.statusHistory.length, 1);
+    ['authTokens', 'apiTokens', 'idempotencyKeys', 'inventory'].forEach(collection => assert.deepEqual(data[collection], []));
+});
+
+test('an up-to-date file is left alone', () => {
+    const data = legacyData();
+    runMigrations(data);
+    const before = JSON.parse(JSON.stringify(data));
+
+    assert.deepEqual(runMigrations(data), []);
+    assert.deepEqual(data, before);
+});
+
+test('every migration is idempotent: running them all again changes no data', () => {
+    const data = legacyData();
+    runMigrations(data);
+    const before = withoutLog(JSON.parse(JSON.stringify(data)));
+
+    data.schemaVersion = 0;
+    runMigrations(data);
+
+    assert.deepEqual(withoutLog(data), before);
+});
+
+test('the store upgrades an old file on load and keeps a backup of it', async () => {
+    const raw = JSON.stringify(legacyData());
+    fs.writeFileSync(DB_FILE, raw);
+
+    const store = require('../storage/jsonStore');
+    assert.equal(await store.connect(), true);
+
+    assert.equal(JSON.parse(fs.readFileSync(DB_FILE, 'utf8')).schemaVersion, LATEST_VERSION);
+    assert.equal(fs.readFileSync(`${DB_FILE}.bak-v0`, 'utf8'), raw);
+    assert.equal((await store.findUserByEmail('customer@example.com')).password, '$2a$10$hash');
+});
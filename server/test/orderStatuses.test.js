@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ORDER_STATUSES, canTransition, nextStatus } = require('../config/orderStatuses');
+
+const inventoryOrder = { inventory: { vin: '5YJ3E1EA7PF000001' } };
+
+test('orders advance one step at a time to Delivered', () => {
+    const path = ['Pending'];
+    while (nextStatus(path[path.length - 1])) path.push(nextStatus(path[path.length - 1]));
+
+    assert.deepEqual(path, ['Pending', 'Paid', 'Processing', 'In Production', 'Ready for Delivery', 'Delivered']);
+});
+
+test('steps can not be skipped or undone', () => {
+    assert.equal(canTransition('Pending', 'Processing'), false);
+    assert.equal(canTransition('Paid', 'Pending'), false);
+    assert.equal(canTransition('Processing', 'Ready for Delivery'), false);
+});
+
+test('orders can be cancelled until production starts', () => {
+    ['Pending', 'Paid', 'Processing'].forEach(status => assert.equal(canTransition(status, 'Cancelled'), true, status));
+    ['In Production', 'Ready for Delivery', 'Delivered'].forEach(status => assert.equal(canTransition(status, 'Cancelled'), false, status));
+});
+
+test('Delivered and Cancelled are final', () => {
+    ['Delivered', 'Cancelled'].forEach(status => {
+        assert.equal(nextStatus(status), null);
+        ORDER_STATUSES.forEach(to => assert.equal(canTransition(status, to), false, `${status} -> ${to}`));
+    });
+});
+
+test('inventory orders skip production', () => {
+    assert.equal(nextStatus('Processing', inventoryOrder), 'Ready for Delivery');
+    assert.equal(canTransition('Processing', 'In Production', inventoryOrder), false);
+    assert.equal(canTransition('Processing', 'Cancelled', inventoryOrder), true);
+});
+
+test('unknown statuses go nowhere', () => {
+    assert.equal(nextStatus('Shipped'), null);
+    assert.equal(canTransition('Shipped', 'Delivered'), false);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { priceConfiguration, PricingError } = require('../pricing/pricingEngine');
+const { getVehicle } = require('../pricing/catalog');
+
+const BASE_CONFIG = { battery: 'standard', paint: 'white', wheels: '18', interior: 'black', autopilot: 'basic' };
+
+const optionPrice = (vehicle, category, id) => vehicle.options[category].find(o => o.id === id).price;
+
+test('prices the vehicle and every chosen option', () => {
+    const model3 = getVehicle('model3');
+    const config = { ...BASE_CONFIG, battery: 'long', autopilot: 'fsd' };
+    const { breakdown, selectedOptions } = priceConfiguration('model3', config);
+
+    const expected = model3.basePrice + optionPrice(model3, 'battery', 'long') + optionPrice(model3, 'autopilot', 'fsd');
+    assert.equal(breakdown.subtotal, expected);
+    assert.equal(selectedOptions.battery.id, 'long');
+    assert.equal(breakdown.lineItems.filter(item => item.type === 'option').length, 5);
+});
+
+test('lists every problem with an invalid configuration', () => {
+    assert.throws(
+        () => priceConfiguration('model3', { ...BASE_CONFIG, paint: 'plaid', autopilot: undefined }),
+        (err) => err instanceof PricingError &&
+            err.errors.some(message => message.includes('paint')) &&
+            err.errors.includes('Missing autopilot option')
+    );
+});
+
+test('rejects option combinations the catalog rules forbid', () => {
+    assert.throws(
+        () => priceConfiguration('model3', { ...BASE_CONFIG, battery: 'performance', wheels: '18' }),
+        (err) => err instanceof PricingError && err.errors.length === 1
+    );
+});
+
+test('rejects unknown vehicles and regions', () => {
+    assert.throws(() => priceConfiguration('cybertruck-x', BASE_CONFIG), PricingError);
+    assert.throws(() => priceConfiguration('model3', BASE_CONFIG, { region: 'XX-NOPE' }), PricingError);
+});
+
+test('the total is the subtotal plus fees, taxes and incentives, and matches the line items', () => {
+    const { breakdown } = priceConfiguration('model3', BASE_CONFIG, { region: 'US-CA' });
+    const sum = (items) => Math.round(items.reduce((total, item) => total + item.amount, 0) * 100) / 100;
+
+    assert.equal(breakdown.total,
+        Math.round((breakdown.subtotal + breakdown.feeTotal + breakdown.taxTotal + breakdown.incentiveTotal) * 100) / 100);
+    assert.equal(sum(breakdown.lineItems), breakdown.total);
+    assert.ok(breakdown.taxTotal > 0);
+    assert.equal(breakdown.region.code, 'US-CA');
+});
+
+test('an inventory discount comes off the subtotal before tax', () => {
+    const full = priceConfiguration('model3', BASE_CONFIG, { region: 'US-CA' }).breakdown;
+    const discounted = priceConfiguration('model3', BASE_CONFIG, {
+        region: 'US-CA',
+        discount: { code: 'demo', label: 'Demo vehicle', amount: 1000 }
+    }).breakdown;
+
+    assert.equal(discounted.subtotal, full.subtotal - 1000);
+    assert.ok(discounted.taxTotal < full.taxTotal);
+});
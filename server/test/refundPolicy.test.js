@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config/config');
+const { computeRefund } = require('../pricing/refundPolicy');
+
+const order = (status, totalPrice = 50000) => ({ status, totalPrice, priceBreakdown: { currency: 'USD' } });
+
+test('a Paid order gets everything back', () => {
+    const refund = computeRefund(order('Paid'));
+
+    assert.equal(refund.policy, 'full');
+    assert.equal(refund.amount, 50000);
+    assert.equal(refund.orderFeeKept, 0);
+    assert.equal(refund.status, 'Requested');
+    assert.equal(refund.currency, 'USD');
+});
+
+test('a Processing order keeps the order fee', () => {
+    const refund = computeRefund(order('Processing'));
+
+    assert.equal(refund.policy, 'order_fee_kept');
+    assert.equal(refund.orderFeeKept, config.ORDER_FEE);
+    assert.equal(refund.amount, 50000 - config.ORDER_FEE);
+});
+
+test('never keeps more than was paid', () => {
+    const refund = computeRefund(order('Processing', config.ORDER_FEE / 2));
+
+    assert.equal(refund.orderFeeKept, config.ORDER_FEE / 2);
+    assert.equal(refund.amount, 0);
+});
+
+test('nothing to refund when nothing was paid or the order can no longer be cancelled', () => {
+    ['Pending', 'In Production', 'Ready for Delivery', 'Delivered', 'Cancelled'].forEach(status => {
+        assert.equal(computeRefund(order(status)), null, status);
+    });
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway JSON database, set before anything loads the config
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'two-factor-test-'));
+process.env.DB_DRIVER = 'json';
+process.env.JSON_DB_FILE = path.join(tmpDir, 'data.json');
+
+const db = require('../database');
+const { generateSecret, generateCode } = require('../utils/totp');
+const { hashRecoveryCode } = require('../utils/tokens');
+const { verifySecondFactor } = require('../utils/twoFactor');
+
+const RECOVERY_CODE = 'ABCD-EFGH-JKMN';
+
+let user;
+
+test.before(async () => {
+    await db.connect();
+    user = await db.createUser({
+        name: 'Two Factor',
+        email: 'two-factor@example.com',
+        password: 'x',
+        twoFactorEnabled: true,
+        twoFactorSecret: generateSecret(),
+        twoFactorRecoveryCodes: [hashRecoveryCode(RECOVERY_CODE)]
+    });
+});
+
+test.after(async () => {
+    await db.flush();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('a code is accepted once, even when sent twice at the same time', async () => {
+    const code = generateCode(user.twoFactorSecret);
+    const results = await Promise.all([
+        verifySecondFactor(user, { code }),
+        verifySecondFactor(user, { code })
+    ]);
+
+    assert.deepEqual(results.sort(), ['totp', null].sort());
+    assert.equal(await verifySecondFactor(await db.findUserById(user.id), { code }), null);
+});
+
+test('an older code is refused once a newer one was used', async () => {
+    const older = generateCode(user.twoFactorSecret, Date.now() - 30 * 1000);
+    assert.equal(await verifySecondFactor(user, { code: older }), null);
+});
+
+test('a recovery code can only be spent once', async () => {
+    const results = await Promise.all([
+        verifySecondFactor(user, { recoveryCode: RECOVERY_CODE }),
+        verifySecondFactor(user, { recoveryCode: RECOVERY_CODE })
+    ]);
+
+    assert.deepEqual(results.sort(), ['recovery', null].sort());
+    assert.deepEqual((await db.findUserById(user.id)).twoFactorRecoveryCodes, []);
+});
+
+test('wrong codes are refused', async () => {
+    assert.equal(await verifySecondFactor(user, { code: '12345' }), null);
+    assert.equal(await verifySecondFactor(user, { recoveryCode: 'NOPE-NOPE-NOPE' }), null);
+});
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const db = require('../database');
+const { hashToken } = require('./tokens');
+
+/**
+ * API Tokens
+ * Two kinds of bearer token are accepted alongside the cookie session:
+ *
+ *   Personal API tokens  "tpat_..." - long-lived, created and revoked from the
+ *                        account page, stored hashed in the apiTokens collection.
+ *   Access/refresh JWTs  from POST /api/auth/token - short-lived and stateless.
+ *                        Setting user.tokensRevokedAt (password change, sign out
+ *                        everywhere) invalidates every JWT issued before it.
+ *
+ * Both carry scopes (config/scopes.js).
+ */
+const PERSONAL_TOKEN_PREFIX = 'tpat_';
+const JWT_ISSUER = 'tesla-api';
+
+// Don't rewrite the token record on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const createPersonalToken = () => {
+    const token = PERSONAL_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    return {
+        token,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, PERSONAL_TOKEN_PREFIX.length + 6)
+    };
+};
+
+const signJwt = (user, scopes, type, expiresIn) =>
+    jwt.sign({ typ: type, scope: scopes.join(' ') }, config.JWT_SECRET, {
+        subject: String(user.id),
+        issuer: JWT_ISSUER,
+        expiresIn
+    });
+
+/**
+ * A fresh access/refresh pair for `user`, limited to `scopes`.
+ */
+const issueTokenPair = (user, scopes) => ({
+    tokenType: 'Bearer',
+    accessToken: signJwt(user, scopes, 'access', `${config.JWT_ACCESS_TTL_MINUTES}m`),
+    refreshToken: signJwt(user, scopes, 'refresh', `${config.JWT_REFRESH_TTL_DAYS}d`),
+    expiresIn: config.JWT_ACCESS_TTL_MINUTES * 60,
+    scopes
+});
+
+// Whole seconds, like the JWT's iat
+const revokedBefore = (user) =>
+    (user.tokensRevokedAt ? Math.floor(new Date(user.tokensRevokedAt).getTime() / 1000) : 0);
+
+/**
+ * Verifies a JWT of the given type ('access' or 'refresh').
+ * Resolves with { user, scopes }, or null if it is invalid, expired or revoked.
+ */
+const verifyJwt = async (token, type) => {
+    let claims;
+    try {
+        claims = jwt.verify(token, config.JWT_SECRET, { issuer: JWT_ISSUER, algorithms: ['HS256'] });
+    } catch (err) {
+        return null;
+    }
+    if (claims.typ !== type) return null;
+
+    const user = await db.findUserById(claims.sub);
+    if (!user || claims.iat < revokedBefore(user)) return null;
+
+    return { user, scopes: claims.scope ? claims.scope.split(' ') : [] };
+};
+
+/**
+ * Resolves an Authorization: Bearer value to the request's auth context
+ * ({ userId, method, scopes, tokenId? }), or null when it isn't valid.
+ */
+const resolveBearerToken = async (token) => {
+    if (token.startsWith(PERSONAL_TOKEN_PREFIX)) {
+        const apiToken = await db.findActiveApiToken(hashToken(token));
+        if (!apiToken || !(await db.findUserById(apiToken.userId))) return null;
+
+        if (!apiToken.lastUsedAt || Date.now() - new Date(apiToken.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+            await db.recordApiTokenUse(apiToken.id);
+        }
+        return { userId: String(apiToken.userId), method: 'api_token', scopes: apiToken.scopes, tokenId: apiToken.id };
+    }
+
+    const verified = await verifyJwt(token, 'access');
+    return verified && { userId: verified.user.id, method: 'jwt', scopes: verified.scopes };
+};
+
+/**
+ * Invalidates every access/refresh JWT the user holds. Personal API tokens are
+ * revoked one by one from the account page instead.
+ */
+const revokeUserJwts = (userId) => db.updateUser(userId, { tokensRevokedAt: new Date() });
+
+module.exports = {
+    createPersonalToken,
+    issueTokenPair,
+    verifyJwt,
+    resolveBearerToken,
+    revokeUserJwts
+};
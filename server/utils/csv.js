@@ -0,0 +1,39 @@
+/**
+ * CSV Writer
+ * Nested objects become dotted columns (deliveryAddress.city) and arrays are
+ * JSON-encoded, so any store record fits in one row.
+ */
+const flatten = (value, prefix = '', row = {}) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        Object.entries(value).forEach(([key, nested]) => flatten(nested, prefix ? `${prefix}.${key}` : key, row));
+    } else {
+        row[prefix] = value;
+    }
+    return row;
+};
+
+const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString()
+        : Array.isArray(value) ? JSON.stringify(value)
+            : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Turns a list of records into CSV text with a header row covering every field seen.
+ */
+const toCsv = (records) => {
+    const rows = records.map(record => flatten(record));
+    const columns = [...new Set(rows.flatMap(Object.keys))];
+    if (columns.length === 0) return '';
+
+    return [
+        columns.map(formatCell).join(','),
+        ...rows.map(row => columns.map(column => formatCell(row[column])).join(','))
+    ].join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    toCsv
+};
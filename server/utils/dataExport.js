@@ -0,0 +1,70 @@
+const { createZip } = require('./zip');
+const { toCsv } = require('./csv');
+const { toPublicUser } = require('./users');
+
+/**
+ * Personal Data Export
+ * Turns db.exportUserData() into the archive served by GET /api/auth/me/export:
+ * one data.json with everything, plus a CSV per section for spreadsheets.
+ * Secrets (password and 2FA hashes, API token hashes) are left out.
+ */
+const SECTIONS = {
+    profile: 'Your account details',
+    orders: 'Vehicle orders',
+    recommendations: 'Vehicle recommendation history (advisor answers and results)',
+    serviceRequests: 'Service appointments',
+    customerQueries: 'Customer care queries',
+    contactMessages: 'Messages sent through the contact form',
+    interestedLeads: '"Learn more" requests',
+    analyticsEvents: 'Configurator and browsing activity',
+    apiTokens: 'Personal API tokens (names, scopes and usage; not the tokens themselves)'
+};
+
+const withoutInternals = ({ _id, __v, ...record }) => record;
+
+const readme = (exportedAt, counts) => [
+    'Tesla - Personal Data Export',
+    `Created: ${exportedAt}`,
+    '',
+    'data.json contains everything below in one file. Each CSV holds one section.',
+    '',
+    ...Object.entries(SECTIONS).map(([name, description]) => `${name}.csv (${counts[name]} records) - ${description}`),
+    '',
+    'Orders placed by an account stay with us for accounting after it is deleted,',
+    'with your name, address and payment details removed.',
+    ''
+].join('\r\n');
+
+/**
+ * Returns { fileName, buffer } for the user's zip archive.
+ */
+const buildDataExport = (records) => {
+    const exportedAt = new Date().toISOString();
+    const sections = {
+        profile: [withoutInternals(toPublicUser(records.user))],
+        orders: records.orders.map(withoutInternals),
+        recommendations: records.recommendations.map(withoutInternals),
+        serviceRequests: records.serviceRequests.map(withoutInternals),
+        customerQueries: records.customerQueries.map(withoutInternals),
+        contactMessages: records.contactMessages.map(withoutInternals),
+        interestedLeads: records.interestedLeads.map(withoutInternals),
+        analyticsEvents: records.analyticsEvents.map(withoutInternals),
+        apiTokens: records.apiTokens.map(({ tokenHash, ...token }) => withoutInternals(token))
+    };
+    const counts = Object.fromEntries(Object.entries(sections).map(([name, rows]) => [name, rows.length]));
+
+    const files = [
+        { name: 'README.txt', content: readme(exportedAt, counts) },
+        { name: 'data.json', content: JSON.stringify({ exportedAt, ...sections, profile: sections.profile[0] }, null, 2) },
+        ...Object.entries(sections).map(([name, rows]) => ({ name: `${name}.csv`, content: toCsv(rows) }))
+    ];
+
+    return {
+        fileName: `tesla-data-export-${exportedAt.slice(0, 10)}.zip`,
+        buffer: createZip(files)
+    };
+};
+
+module.exports = {
+    buildDataExport
+};
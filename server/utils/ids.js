@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+/**
+ * ID Generation
+ * ULID-style IDs: 10 chars of millisecond timestamp + 16 chars of randomness,
+ * Crockford base32. They sort by creation time and never collide, even when
+ * several records are created in the same millisecond.
+ */
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+let lastTime = 0;
+let lastRandom = '';
+
+// 256 is a multiple of 32, so `byte % 32` keeps every character equally likely
+const randomChars = (length) =>
+    Array.from(crypto.randomBytes(length), b => ENCODING[b % 32]).join('');
+
+const encodeTime = (time) => {
+    let str = '';
+    for (let i = 0; i < 10; i++) {
+        str = ENCODING[time % 32] + str;
+        time = Math.floor(time / 32);
+    }
+    return str;
+};
+
+// Adds one to a base32 string so IDs from the same millisecond stay ordered
+const increment = (str) => {
+    const chars = str.split('');
+    for (let i = chars.length - 1; i >= 0; i--) {
+        const index = ENCODING.indexOf(chars[i]);
+        if (index < ENCODING.length - 1) {
+            chars[i] = ENCODING[index + 1];
+            return chars.join('');
+        }
+        chars[i] = ENCODING[0];
+    }
+    return randomChars(16);
+};
+
+/**
+ * New record ID. Pass `time` to back-date an ID (used when re-keying old records).
+ */
+const newId = (time) => {
+    if (time !== undefined) return encodeTime(time) + randomChars(16);
+
+    const now = Date.now();
+    if (now <= lastTime) {
+        lastRandom = increment(lastRandom);
+    } else {
+        lastTime = now;
+        lastRandom = randomChars(16);
+    }
+    return encodeTime(lastTime) + lastRandom;
+};
+
+const isId = (id) => typeof id === 'string' && /^[0-9A-HJKMNP-TV-Z]{26}$/.test(id);
+
+/**
+ * Customer-facing order number, e.g. TSL-MHB2Q9K4-7XQ2D
+ */
+const generateOrderNumber = () => {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    return `TSL-${timestamp}-${randomChars(5)}`;
+};
+
+module.exports = {
+    newId,
+    isId,
+    generateOrderNumber
+};
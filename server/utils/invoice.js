@@ -0,0 +1,218 @@
+const { createPdf, wrapText } = require('./pdf');
+const { SUPPORT_INFO } = require('../config/supportInfo');
+
+/**
+ * Order Invoice
+ * Lays out the PDF served by GET /api/orders/:id/invoice.pdf: the customer,
+ * vehicle and options, the price breakdown the order was placed at (fees,
+ * taxes, incentives, trade-in), payment and delivery. Everything comes from
+ * the stored order; nothing is re-priced.
+ */
+const MARGIN = 50;
+const BOTTOM = 60; // space kept for the footer
+const COLORS = {
+    text: '#1e293b',
+    muted: '#64748b',
+    accent: '#9333ea',
+    rule: '#e2e8f0',
+    shade: '#f1f5f9',
+    credit: '#15803d'
+};
+
+// Printed under the logo; the same contact details as GET /api/support-info
+const { address } = SUPPORT_INFO;
+const COMPANY = [
+    'Tesla',
+    address.name,
+    `${address.street}, ${address.city}, ${address.state} ${address.zip}, ${address.country}`,
+    `${SUPPORT_INFO.email} | ${SUPPORT_INFO.phone}`
+];
+
+const money = (amount, currency = 'USD') =>
+    new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+const capitalize = (word) => (word ? `${word[0].toUpperCase()}${word.slice(1)}` : '');
+
+const lineLabel = (item) => (item.type === 'tax' && item.rate
+    ? `${item.label} (${+(item.rate * 100).toFixed(3)}%)`
+    : item.label);
+
+// Orders placed before server-side pricing have no breakdown: bill them as one line
+const lineItemsOf = (order) => order.priceBreakdown?.lineItems?.length
+    ? order.priceBreakdown.lineItems
+    : [{ type: 'vehicle', label: order.vehicleName, amount: order.totalPrice || 0 }];
+
+const paymentLines = (order) => {
+    const currency = order.priceBreakdown?.currency;
+    const card = order.paymentDetails?.last4
+        ? `${capitalize(order.paymentDetails.brand) || 'Card'} ending in ${order.paymentDetails.last4}`
+        : null;
+    const lines = [];
+    if (order.payment?.status === 'succeeded') {
+        lines.push(`Paid ${money(order.payment.amount ?? order.totalPrice, currency)}${card ? ` by ${card}` : ''}`);
+    } else if (order.status === 'Cancelled') {
+        lines.push('No payment taken');
+    } else {
+        lines.push('Awaiting payment');
+    }
+    if (order.refund) {
+        lines.push(`Refund ${order.refund.status.toLowerCase()}: ${money(order.refund.amount, order.refund.currency)}` +
+            (order.refund.orderFeeKept ? ` (${money(order.refund.orderFeeKept, order.refund.currency)} order fee kept)` : ''));
+    }
+    return lines;
+};
+
+const deliveryLines = (order) => {
+    const { delivery, deliveryAddress: address } = order;
+    if (!delivery) {
+        return order.estimatedDelivery ? [`Estimated delivery: ${formatDate(order.estimatedDelivery)}`] : ['To be scheduled'];
+    }
+    const lines = delivery.method === 'home'
+        ? ['Home delivery', [address?.street, address?.city, address?.state, address?.zip, address?.country].filter(Boolean).join(', ')]
+        : [`Pickup at ${delivery.centerName}`, delivery.centerAddress];
+    lines.push(delivery.appointment
+        ? `Appointment: ${formatDate(delivery.appointment.date)} at ${delivery.appointment.time}`
+        : `Estimated window: ${formatDate(delivery.window.earliest)} - ${formatDate(delivery.window.latest)}`);
+    return lines.filter(Boolean);
+};
+
+/**
+ * Returns { fileName, buffer } for `order`, billed to `user` ({ name, email }).
+ */
+const renderInvoice = (order, user) => {
+    const number = order.orderNumber || String(order.id);
+    const breakdown = order.priceBreakdown || {};
+    const currency = breakdown.currency || 'USD';
+    const pdf = createPdf({ title: `Invoice ${number}`, author: COMPANY[0] });
+    const right = pdf.width - MARGIN;
+    const contentWidth = right - MARGIN;
+    let y = MARGIN;
+
+    // Starts a new page when the next `height` points don't fit
+    const ensureSpace = (height) => {
+        if (y + height <= pdf.height - BOTTOM) return;
+        pdf.addPage();
+        y = MARGIN;
+    };
+
+    const paragraph = (text, { size = 10, color = COLORS.text } = {}) => {
+        wrapText(text, contentWidth, size).forEach(line => {
+            ensureSpace(size * 1.4);
+            y += size * 1.4;
+            pdf.text(MARGIN, y, line, { size, color });
+        });
+    };
+
+    // One title, or one per column when given several
+    const heading = (...titles) => {
+        ensureSpace(40);
+        y += 26;
+        titles.forEach((title, i) => pdf.text(MARGIN + i * contentWidth / titles.length, y, title, { size: 13, bold: true, color: COLORS.text }));
+        y += 6;
+        pdf.line(MARGIN, y, right, y, { color: COLORS.rule });
+    };
+
+    // Header: company on the left, invoice details on the right
+    pdf.text(MARGIN, y + 24, 'TESLA', { size: 28, bold: true, color: COLORS.text });
+    COMPANY.slice(1).forEach((line, i) => pdf.text(MARGIN, y + 44 + i * 14, line, { size: 9, color: COLORS.muted }));
+    pdf.text(right, y + 20, 'INVOICE', { size: 20, bold: true, color: COLORS.accent, align: 'right' });
+    [
+        `Invoice #: INV-${number}`,
+        `Order #: ${number}`,
+        `Date: ${formatDate(order.createdAt)}`,
+        `Status: ${order.status}`
+    ].forEach((line, i) => pdf.text(right, y + 40 + i * 14, line, { size: 10, color: COLORS.text, align: 'right' }));
+    y += 100;
+    pdf.line(MARGIN, y, right, y, { color: COLORS.text, lineWidth: 2 });
+
+    // Bill to and delivery, side by side
+    heading('Bill To', 'Delivery');
+    const column = contentWidth / 2;
+    const columnLines = (lines) => lines.flatMap(line => wrapText(line, column - 10, 10));
+    const billTo = columnLines([user.name || 'Customer', user.email].filter(Boolean));
+    const deliverTo = columnLines(deliveryLines(order));
+    billTo.forEach((line, i) => pdf.text(MARGIN, y + 14 * (i + 1), line, { size: 10, color: COLORS.text }));
+    deliverTo.forEach((line, i) => pdf.text(MARGIN + column, y + 14 * (i + 1), line, { size: 10, color: COLORS.text }));
+    y += 14 * Math.max(billTo.length, deliverTo.length);
+
+    // Items: vehicle, options and inventory discount, subtotal, then regional charges and trade-in
+    heading(`Order Details${breakdown.region ? ` (${breakdown.region.name})` : ''}`);
+    const amountX = right - 8;
+    const detailX = MARGIN + contentWidth * 0.55;
+    const row = (label, detail, amount, { bold = false, fill = null, color = COLORS.text } = {}) => {
+        const lines = wrapText(label, detailX - MARGIN - 16, 10, bold);
+        const height = lines.length * 14 + 10;
+        ensureSpace(height);
+        if (fill) pdf.rect(MARGIN, y, contentWidth, height, { fill });
+        lines.forEach((line, i) => pdf.text(MARGIN + 8, y + 17 + i * 14, line, { size: 10, bold, color }));
+        if (detail) pdf.text(detailX, y + 17, detail, { size: 10, color: COLORS.muted });
+        pdf.text(amountX, y + 17, amount, { size: 10, bold, color, align: 'right' });
+        y += height;
+        if (!fill) pdf.line(MARGIN, y, right, y, { color: COLORS.rule, lineWidth: 0.5 });
+    };
+
+    y += 8;
+    row('Item', 'Details', 'Amount', { bold: true, fill: COLORS.shade });
+    const items = lineItemsOf(order);
+    const isVehicleItem = (item) => ['vehicle', 'option', 'discount'].includes(item.type);
+    const itemDetail = (item) => {
+        if (item.type === 'vehicle') return order.inventory ? `VIN ${order.inventory.vin}` : 'Base vehicle';
+        return item.type === 'discount' ? 'Discount' : capitalize(item.category);
+    };
+    items.filter(isVehicleItem).forEach(item => {
+        row(item.label, itemDetail(item), money(item.amount, currency), { color: item.amount < 0 ? COLORS.credit : COLORS.text });
+    });
+    row('Subtotal', '', money(breakdown.subtotal ?? order.totalPrice ?? 0, currency), { bold: true });
+    items.filter(item => !isVehicleItem(item)).forEach(item => {
+        row(lineLabel(item), capitalize(item.type.replace('_', '-')), money(item.amount, currency),
+            { color: item.amount < 0 ? COLORS.credit : COLORS.text });
+    });
+    ensureSpace(40);
+    y += 6;
+    pdf.rect(MARGIN, y, contentWidth, 30, { fill: COLORS.accent });
+    pdf.text(MARGIN + 8, y + 20, 'TOTAL', { size: 12, bold: true, color: '#ffffff' });
+    pdf.text(amountX, y + 20, money(order.totalPrice || 0, currency), { size: 12, bold: true, color: '#ffffff', align: 'right' });
+    y += 30;
+    if (breakdown.display && breakdown.display.currency !== currency) {
+        y += 16;
+        const display = `Approx. ${money(breakdown.display.total, breakdown.display.currency)} at the rate of ${breakdown.display.ratesAsOf}`;
+        pdf.text(right, y, display, { size: 9, color: COLORS.muted, align: 'right' });
+    }
+
+    if (order.inventory) {
+        const { inventory } = order;
+        heading('Vehicle');
+        paragraph(`${inventory.year} ${order.vehicleName}, VIN ${inventory.vin}`);
+        paragraph(`${inventory.condition === 'demo' ? 'Demo vehicle' : 'New vehicle'} from inventory, ${inventory.mileage.toLocaleString('en-US')} miles, at ${inventory.location.centerName}`);
+    }
+
+    heading('Payment');
+    paymentLines(order).forEach(line => paragraph(line));
+
+    if (order.tradeIn) {
+        const { tradeIn } = order;
+        heading('Trade-In');
+        paragraph(`${tradeIn.year} ${tradeIn.make} ${tradeIn.model}, ${tradeIn.mileage.toLocaleString('en-US')} miles, ${tradeIn.condition} condition`);
+        paragraph(tradeIn.status === 'Estimated'
+            ? `Estimated credit of ${money(tradeIn.credit, currency)}, confirmed when we inspect the car at delivery.`
+            : `Appraised credit: ${money(tradeIn.finalCredit, currency)}` +
+                (tradeIn.adjustment ? ` (${money(Math.abs(tradeIn.adjustment), currency)} ${tradeIn.adjustment > 0 ? 'paid to you' : 'due'} at delivery)` : ''));
+    }
+
+    pdf.eachPage((page, pageCount) => {
+        pdf.line(MARGIN, pdf.height - 45, right, pdf.height - 45, { color: COLORS.rule });
+        pdf.text(MARGIN, pdf.height - 30, `Thank you for choosing Tesla! Questions? Contact us at ${SUPPORT_INFO.email}`, { size: 8, color: COLORS.muted });
+        if (pageCount > 1) pdf.text(right, pdf.height - 30, `Page ${page} of ${pageCount}`, { size: 8, color: COLORS.muted, align: 'right' });
+    });
+
+    return {
+        fileName: `Tesla_Invoice_${number}.pdf`,
+        buffer: pdf.toBuffer()
+    };
+};
+
+module.exports = {
+    renderInvoice
+};
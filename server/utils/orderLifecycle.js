@@ -0,0 +1,97 @@
+const db = require('../database');
+const { transitionsFor, canTransition } = require('../config/orderStatuses');
+const { computeRefund } = require('../pricing/refundPolicy');
+const { sendMail } = require('../mail/mailer');
+const templates = require('../mail/templates');
+
+/**
+ * Order Status Changes
+ * Every status change goes through transitionOrder() so it is checked against
+ * config/orderStatuses.js and recorded in the order's statusHistory.
+ */
+class OrderTransitionError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'OrderTransitionError';
+        this.code = code;
+    }
+}
+
+/**
+ * One statusHistory entry. `actor` is who made the change: { id, role } for a
+ * signed-in user, or { id: null, role: 'system' } for the server itself.
+ */
+const statusEntry = (status, from, actor, note) => ({
+    status,
+    from,
+    changedAt: new Date(),
+    changedBy: actor.id || null,
+    changedByRole: actor.role,
+    note: note || null
+});
+
+/**
+ * Moves `order` to `status` and resolves with the updated order. Throws
+ * OrderTransitionError when the move isn't allowed from the order's current
+ * status, or when someone else changed the status first. `updates` are saved
+ * together with the status change. Cancelling frees the order's delivery slot;
+ * for orders from inventory, paying sells the vehicle and cancelling puts it
+ * back on sale.
+ */
+const transitionOrder = async (order, status, { actor, note, updates } = {}) => {
+    if (!canTransition(order.status, status, order)) {
+        const allowed = transitionsFor(order)[order.status] || [];
+        throw new OrderTransitionError(
+            `The order is ${order.status} and can't be moved to ${status}` +
+                (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ' (no further changes are allowed)'),
+            'INVALID_TRANSITION'
+        );
+    }
+
+    const updated = await db.transitionOrderStatus(order.id, order.status, statusEntry(status, order.status, actor, note), updates);
+    if (!updated) {
+        throw new OrderTransitionError('The order was changed by someone else. Reload it and try again.', 'STATUS_CONFLICT');
+    }
+    if (updated.inventory && status === 'Paid' && !(await db.markInventorySold(updated.inventory.vin, updated.id))) {
+        // Paid by a late webhook after the hold went to someone else; staff have to sort it out
+        console.warn(` Order ${updated.orderNumber} was paid but vehicle ${updated.inventory.vin} is no longer held for it`);
+    }
+    if (updated.inventory && status === 'Cancelled') {
+        await db.releaseInventoryVehicle(updated.inventory.vin, updated.id);
+    }
+    if (status === 'Cancelled' && updated.delivery?.appointment) {
+        return db.releaseDeliveryAppointment(updated.id);
+    }
+    return updated;
+};
+
+/**
+ * Cancels `order` with the refund its status calls for (pricing/refundPolicy.js)
+ * and emails the customer, whoever cancels it: the customer, an admin or the
+ * CLI. Throws like transitionOrder(). Resolves with { order, refund }.
+ */
+const cancelOrder = async (order, { actor, note } = {}) => {
+    const refund = computeRefund(order);
+    const cancelled = await transitionOrder(order, 'Cancelled', { actor, note, updates: { refund } });
+
+    // Anonymized orders have no customer left to tell
+    const customer = order.userId && await db.findUserById(order.userId);
+    if (customer) {
+        try {
+            await sendMail({
+                to: customer.email,
+                ...templates.orderCancelled({ name: customer.name, orderNumber: order.orderNumber, vehicleName: order.vehicleName, refund })
+            });
+        } catch (mailError) {
+            console.error('Order cancelled email failed:', mailError);
+        }
+    }
+    return { order: cancelled, refund };
+};
+
+module.exports = {
+    OrderTransitionError,
+    statusEntry,
+    transitionOrder,
+    cancelOrder
+};
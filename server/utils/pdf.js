@@ -0,0 +1,213 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PDF Writer
+ * Enough of PDF 1.4 (text in the built-in Helvetica fonts, lines and filled
+ * boxes) to lay out invoices and similar documents without pulling in a
+ * dependency. Coordinates are points from the top-left corner of the page;
+ * text is positioned by its baseline.
+ *
+ *   const pdf = createPdf({ title: 'Invoice' });
+ *   pdf.text(50, 80, 'Hello', { size: 18, bold: true });
+ *   const buffer = pdf.toBuffer();
+ *
+ * Text is stored as WinAnsi (Latin-1 plus a few punctuation marks); anything
+ * outside it prints as "?".
+ */
+const PAGE_SIZES = {
+    letter: [612, 792],
+    a4: [595.28, 841.89]
+};
+
+// Glyph widths (1/1000 em) of characters 32-126, from the Adobe font metrics
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// WinAnsi codes of the characters outside Latin-1 that we use, with their widths
+const WIN_ANSI_EXTRAS = {
+    '€': [0x80, 556],
+    '‘': [0x91, 222],
+    '’': [0x92, 222],
+    '“': [0x93, 333],
+    '”': [0x94, 333],
+    '•': [0x95, 350],
+    '–': [0x96, 556],
+    '—': [0x97, 1000],
+    '≈': [0x7e, 584] // not in WinAnsi; "~" reads the same
+};
+
+const encodeChar = (char) => {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char][0];
+    if (code === 0x09) return 0x20;
+    if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) return code;
+    return 0x3f; // "?"
+};
+
+const charWidth = (char, bold) => {
+    if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char][1];
+    const code = encodeChar(char);
+    return code <= 0x7e ? WIDTHS[bold ? 'bold' : 'regular'][code - 32] : 556;
+};
+
+// Width of `text` in points at font `size`
+const textWidth = (text, size, bold = false) =>
+    [...String(text)].reduce((sum, char) => sum + charWidth(char, bold), 0) * size / 1000;
+
+/**
+ * Splits `text` into lines no wider than `maxWidth`, breaking at spaces (or
+ * inside words longer than a line).
+ */
+const wrapText = (text, maxWidth, size, bold = false) => {
+    const lines = [];
+    String(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, size, bold) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            line = '';
+            for (const char of word) {
+                if (textWidth(line + char, size, bold) > maxWidth && line) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+};
+
+// PDF string literal in WinAnsi, with ( ) and \ escaped
+const pdfString = (text) => `(${[...String(text)].map(char => {
+    const code = encodeChar(char);
+    if (code === 0x28 || code === 0x29 || code === 0x5c) return `\\${char}`;
+    return String.fromCharCode(code);
+}).join('')})`;
+
+const num = (value) => String(Math.round(value * 100) / 100);
+
+// '#9333ea' -> '0.58 0.2 0.92'
+const rgb = (hex) => [1, 3, 5].map(i => num(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+
+// D:20261103142500Z
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+/**
+ * Starts a document with one empty page. `size` is 'letter' (default) or 'a4'.
+ */
+const createPdf = ({ size = 'letter', title = '', author = '' } = {}) => {
+    const [width, height] = PAGE_SIZES[size];
+    const pages = [];
+    let ops;
+
+    const addPage = () => {
+        ops = [];
+        pages.push(ops);
+    };
+    addPage();
+
+    return {
+        width,
+        height,
+        addPage,
+
+        // Draws on every page, e.g. footers: fn(pageNumber, pageCount)
+        eachPage(fn) {
+            const current = ops;
+            pages.forEach((pageOps, i) => {
+                ops = pageOps;
+                fn(i + 1, pages.length);
+            });
+            ops = current;
+        },
+
+        // align: 'left' | 'right' | 'center' around x
+        text(x, y, text, { size: fontSize = 10, bold = false, color = '#000000', align = 'left' } = {}) {
+            const w = textWidth(text, fontSize, bold);
+            const left = align === 'right' ? x - w : align === 'center' ? x - w / 2 : x;
+            ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(fontSize)} Tf ${rgb(color)} rg ${num(left)} ${num(height - y)} Td ${pdfString(text)} Tj ET`);
+        },
+
+        line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1 } = {}) {
+            ops.push(`${rgb(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`);
+        },
+
+        rect(x, y, w, h, { fill = '#000000' } = {}) {
+            ops.push(`${rgb(fill)} rg ${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re f`);
+        },
+
+        // The finished file
+        toBuffer(createdAt = new Date()) {
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+            ];
+            pages.forEach((pageOps, i) => {
+                objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+                    `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`);
+                const stream = zlib.deflateSync(Buffer.from(pageOps.join('\n'), 'latin1'));
+                objects.push([`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, stream, '\nendstream']);
+            });
+            objects.push(`<< /Title ${pdfString(title)} /Author ${pdfString(author)} /CreationDate (${pdfDate(createdAt)}) >>`);
+            const infoRef = objects.length;
+
+            const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+            let offset = parts[0].length;
+            const offsets = objects.map((object, i) => {
+                const start = offset;
+                const chunks = [`${i + 1} 0 obj\n`, ...[].concat(object), '\nendobj\n']
+                    .map(chunk => (Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1')));
+                chunks.forEach(chunk => {
+                    parts.push(chunk);
+                    offset += chunk.length;
+                });
+                return start;
+            });
+
+            const xref = [
+                'xref',
+                `0 ${objects.length + 1}`,
+                '0000000000 65535 f ',
+                ...offsets.map(start => `${String(start).padStart(10, '0')} 00000 n `),
+                'trailer',
+                `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoRef} 0 R >>`,
+                'startxref',
+                String(offset),
+                '%%EOF',
+                ''
+            ].join('\n');
+            parts.push(Buffer.from(xref, 'latin1'));
+            return Buffer.concat(parts);
+        }
+    };
+};
+
+module.exports = {
+    createPdf,
+    textWidth,
+    wrapText
+};
@@ -0,0 +1,109 @@
+const path = require('path');
+const { promisify } = require('util');
+const { hashToken } = require('./tokens');
+
+/**
+ * Session Store Helpers
+ * express-session only knows about the current request's session. These helpers
+ * go through the store (req.sessionStore) to act on a user's other sessions,
+ * e.g. signing out everywhere else after a password change.
+ */
+
+// Where the server's session-file-store keeps sessions (also read by scripts/admin.js)
+const SESSION_DIR = path.join(__dirname, '..', 'sessions');
+
+// Raw session ids are what the signed cookie carries, so users only ever see a hash of them
+const publicSessionId = (id) => hashToken(id).slice(0, 24);
+
+// "Chrome on macOS"-style label; good enough to tell your own devices apart
+const describeDevice = (userAgent = '') => {
+    const browsers = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//], ['Chrome', /Chrome\//],
+        ['Safari', /Safari\//], ['curl', /^curl\//], ['Postman', /PostmanRuntime/]
+    ];
+    const systems = [
+        ['iOS', /iPhone|iPad|iPod/], ['Android', /Android/], ['Windows', /Windows/],
+        ['macOS', /Mac OS X|Macintosh/], ['ChromeOS', /CrOS/], ['Linux', /Linux/]
+    ];
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return 'Unknown device';
+    if (!system) return browser[0];
+    return browser ? `${browser[0]} on ${system[0]}` : system[0];
+};
+
+/**
+ * Marks the request's session as signed in to `user`, recording where it came from.
+ */
+const startUserSession = (req, user) => {
+    const now = Date.now();
+    const userAgent = req.get('user-agent') || '';
+    req.session.userId = user.id;
+    req.session.userEmail = user.email;
+    req.session.createdAt = now;
+    req.session.lastActivity = now;
+    req.session.ip = req.ip;
+    req.session.userAgent = userAgent;
+    req.session.device = describeDevice(userAgent);
+};
+
+// What GET /api/auth/sessions returns for one stored session
+const toSessionSummary = ({ id, session }, currentId) => ({
+    id: publicSessionId(id),
+    device: session.device || describeDevice(session.userAgent),
+    ip: session.ip || null,
+    userAgent: session.userAgent || null,
+    createdAt: session.createdAt ? new Date(session.createdAt) : null,
+    lastActivity: session.lastActivity ? new Date(session.lastActivity) : null,
+    current: id === currentId
+});
+
+// Every stored session as { id, session }, skipping ones that expired or can't be read
+const listSessions = async (store) => {
+    if (typeof store.all === 'function') {
+        const all = await promisify(store.all.bind(store))();
+        return Object.entries(all || {}).map(([id, session]) => ({ id, session }));
+    }
+
+    // session-file-store has no all(), only list() of file names
+    const files = await promisify(store.list.bind(store))();
+    const extension = store.options?.fileExtension || '.json';
+    const get = promisify(store.get.bind(store));
+
+    const sessions = await Promise.all(files.map(async (file) => {
+        const id = file.slice(0, -extension.length);
+        try {
+            const session = await get(id);
+            return session ? { id, session } : null;
+        } catch (err) {
+            return null;
+        }
+    }));
+    return sessions.filter(Boolean);
+};
+
+const findUserSessions = async (store, userId) =>
+    (await listSessions(store)).filter(({ session }) => session.userId && String(session.userId) === String(userId));
+
+/**
+ * Destroys every session belonging to `userId` except `exceptId` (usually req.sessionID).
+ * Resolves with the number of sessions removed.
+ */
+const destroyUserSessions = async (store, userId, { exceptId } = {}) => {
+    const destroy = promisify(store.destroy.bind(store));
+    const others = (await findUserSessions(store, userId)).filter(({ id }) => id !== exceptId);
+    await Promise.all(others.map(({ id }) => destroy(id)));
+    return others.length;
+};
+
+module.exports = {
+    SESSION_DIR,
+    publicSessionId,
+    describeDevice,
+    startUserSession,
+    toSessionSummary,
+    listSessions,
+    findUserSessions,
+    destroyUserSessions
+};
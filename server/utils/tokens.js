@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+/**
+ * One-time Tokens
+ * Password reset (and similar) links carry a random token. Only its SHA-256 hash
+ * is stored, so a leaked database can't be used to take over accounts.
+ * Two-factor recovery codes are stored the same way.
+ */
+const hashToken = (token) =>
+    crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const createToken = () => {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashToken(token) };
+};
+
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // no 0/o, 1/l/i
+
+// Users type these in, so dashes, spaces and case don't matter
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Ten codes like "k7qm-x2cp". Returns the codes to show once and the hashes to store.
+ */
+const createRecoveryCodes = (count = 10) => {
+    const codes = Array.from({ length: count }, () => {
+        const chars = Array.from({ length: 8 }, () => RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)]).join('');
+        return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+    });
+    return {
+        codes,
+        codeHashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+    };
+};
+
+const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+module.exports = {
+    hashToken,
+    createToken,
+    createRecoveryCodes,
+    hashRecoveryCode
+};
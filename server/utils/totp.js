@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238)
+ * Time-based one-time passwords compatible with Google Authenticator, Authy,
+ * 1Password and friends: HMAC-SHA1, 30-second steps, 6 digits.
+ */
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+    let out = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return out;
+};
+
+const base32Decode = (str) => {
+    const clean = str.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = '';
+    for (const char of clean) {
+        const value = BASE32.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 secret');
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size RFC 4226 recommends for HMAC-SHA1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+    // Dynamic truncation (RFC 4226 section 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentCounter = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, time) => hotp(secret, currentCounter(time));
+
+/**
+ * Checks `code` against the current step and one step either side (clock drift).
+ * Returns the matching counter so callers can refuse to accept it twice, or null.
+ */
+const verifyCode = (secret, code, { window = 1, time } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const counter = currentCounter(time);
+    for (let delta = -window; delta <= window; delta++) {
+        const candidate = hotp(secret, counter + delta);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+            return counter + delta;
+        }
+    }
+    return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps import (usually shown as a QR code).
+ */
+const provisioningUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    provisioningUri
+};
@@ -0,0 +1,31 @@
+const db = require('../database');
+const { verifyCode } = require('./totp');
+const { hashRecoveryCode } = require('./tokens');
+
+/**
+ * Second-factor Check
+ * Accepts either a current TOTP code or one of the user's unused recovery codes,
+ * and records the use (last TOTP step / spent recovery code) so neither can be
+ * replayed. Returns 'totp', 'recovery' or null when nothing matched.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret) return null;
+
+    if (code) {
+        const counter = verifyCode(user.twoFactorSecret, code);
+        // The store only takes a step newer than the last one used, so of two
+        // requests sending the same code at once only one gets in
+        if (counter === null || !(await db.useTotpCounter(user.id, counter))) return null;
+        return 'totp';
+    }
+
+    if (recoveryCode) {
+        return (await db.useRecoveryCode(user.id, hashRecoveryCode(recoveryCode))) ? 'recovery' : null;
+    }
+
+    return null;
+};
+
+module.exports = {
+    verifySecondFactor
+};
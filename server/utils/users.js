@@ -0,0 +1,23 @@
+/**
+ * Public User Shape
+ * Strips credentials and security state before a user record is sent to a client.
+ */
+const PRIVATE_USER_FIELDS = [
+    'password',
+    'failedLoginAttempts',
+    'lockedUntil',
+    'twoFactorSecret',
+    'twoFactorPendingSecret',
+    'twoFactorRecoveryCodes',
+    'twoFactorLastCounter',
+    'tokensRevokedAt'
+];
+
+const toPublicUser = (user) => Object.fromEntries(
+    Object.entries(user).filter(([key]) => !PRIVATE_USER_FIELDS.includes(key))
+);
+
+module.exports = {
+    PRIVATE_USER_FIELDS,
+    toPublicUser
+};